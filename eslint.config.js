@@ -14,5 +14,5 @@ module.exports = {
     'func-names': 'error',
     'prefer-arrow-callback': 'error',
   },
-  ignores: ['**/dist/**'],
+  ignores: ['**/dist/**', 'src/templates/**'],
 };
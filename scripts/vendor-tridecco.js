@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Vendor tridecco-board
+ * @description This script downloads the supported tridecco-board builds into dist/ so the IDE works offline.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  SUPPORTED_TRIDECCO_VERSIONS,
+  TRIDECCO_CDN_URL_TEMPLATE,
+  TRIDECCO_BUNDLE_FILE_NAME,
+  TRIDECCO_VENDOR_PATH,
+  TRIDECCO_MANIFEST_FILE_NAME,
+  formatVersionUrl,
+} = require('../src/js/versions');
+
+// Downloads are cached so rebuilding does not need the network
+const cacheDir = path.join(__dirname, '../.cache/tridecco-board');
+const destDir = path.join(__dirname, '../dist', TRIDECCO_VENDOR_PATH);
+
+async function fetchBuild(version) {
+  const cachedFile = path.join(cacheDir, version, TRIDECCO_BUNDLE_FILE_NAME);
+  if (await fs.pathExists(cachedFile)) {
+    return cachedFile;
+  }
+
+  const url = formatVersionUrl(TRIDECCO_CDN_URL_TEMPLATE, version);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  await fs.outputFile(cachedFile, Buffer.from(await response.arrayBuffer()));
+  return cachedFile;
+}
+
+async function vendor() {
+  const vendored = [];
+  const failed = [];
+
+  for (const version of SUPPORTED_TRIDECCO_VERSIONS) {
+    try {
+      const file = await fetchBuild(version);
+      await fs.copy(
+        file,
+        path.join(destDir, version, TRIDECCO_BUNDLE_FILE_NAME),
+      );
+      vendored.push(version);
+      console.log(`Vendored tridecco-board v${version}`);
+    } catch (err) {
+      failed.push(version);
+      console.error(
+        `Failed to vendor tridecco-board v${version}:`,
+        err.message,
+      );
+    }
+  }
+
+  await fs.outputJson(
+    path.join(destDir, TRIDECCO_MANIFEST_FILE_NAME),
+    { versions: vendored },
+    { spaces: 2 },
+  );
+  console.log(
+    `Vendored ${vendored.length}/${SUPPORTED_TRIDECCO_VERSIONS.length} versions -> ${destDir}`,
+  );
+
+  if (failed.length > 0) {
+    // A build missing a version would silently depend on the CDN for it
+    throw new Error(
+      `Could not vendor tridecco-board ${failed.map((version) => `v${version}`).join(', ')}. Check the network connection, or put the builds in ${cacheDir}.`,
+    );
+  }
+}
+
+vendor().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Commands Module
+ * @description This module registers the IDE actions as named commands with keyboard shortcuts that can be rebound.
+ * Shortcuts are written as modifiers followed by a KeyboardEvent code, e.g. "Ctrl+Shift+KeyP",
+ * where "Ctrl" stands for Cmd on macOS.
+ */
+
+const KEYBINDINGS_STORAGE_KEY = 'IDEKeybindings';
+const IS_MAC =
+  typeof navigator !== 'undefined' &&
+  /Mac|iPhone|iPad/.test(navigator.platform || '');
+const MODIFIER_CODES = [
+  'ControlLeft',
+  'ControlRight',
+  'ShiftLeft',
+  'ShiftRight',
+  'AltLeft',
+  'AltRight',
+  'MetaLeft',
+  'MetaRight',
+];
+const MODIFIER_LABELS = IS_MAC
+  ? { Ctrl: '⌘', Alt: '⌥', Shift: '⇧' }
+  : { Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+const KEY_LABELS = {
+  Backquote: '`',
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+};
+
+/**
+ * @function keybindingFromEvent - Gets the shortcut of a key press.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {string|null} - The shortcut (e.g. "Ctrl+KeyS"), or null for a lone modifier key.
+ */
+function keybindingFromEvent(event) {
+  if (!event.code || MODIFIER_CODES.includes(event.code)) return null;
+  const parts = [];
+  if (IS_MAC ? event.metaKey : event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  parts.push(event.code);
+  return parts.join('+');
+}
+
+/**
+ * @function parseKeybinding - Splits a shortcut into its modifiers and key.
+ * @param {string} keybinding - The shortcut (e.g. "Ctrl+Shift+KeyP").
+ * @returns {Object} - { ctrl, alt, shift, code }.
+ */
+function parseKeybinding(keybinding) {
+  const parts = keybinding.split('+');
+  return {
+    ctrl: parts.includes('Ctrl'),
+    alt: parts.includes('Alt'),
+    shift: parts.includes('Shift'),
+    code: parts[parts.length - 1],
+  };
+}
+
+/**
+ * @function formatKeybinding - Formats a shortcut for display, with the symbols of the platform.
+ * @param {string|null} keybinding - The shortcut.
+ * @returns {string} - The label (e.g. "Ctrl+Shift+P" or "⌘⇧P"), or an empty string if unbound.
+ */
+function formatKeybinding(keybinding) {
+  if (!keybinding) return '';
+  return keybinding
+    .split('+')
+    .map(
+      (part) =>
+        MODIFIER_LABELS[part] ||
+        KEY_LABELS[part] ||
+        part.replace(/^(Key|Digit)/, ''),
+    )
+    .join(IS_MAC ? '' : '+');
+}
+
+/**
+ * @function isEditableTarget - Checks whether a key press goes to a text field (other than the code editor).
+ * @param {EventTarget} target - The event target.
+ * @returns {boolean} - True for inputs, selects, text areas, and editable elements.
+ */
+function isEditableTarget(target) {
+  return Boolean(
+    target &&
+      target.closest &&
+      target.closest('input, select, textarea, [contenteditable="true"]'),
+  );
+}
+
+/**
+ * @class CommandRegistry - Keeps the named commands of the IDE, their shortcuts, and the user's rebindings.
+ */
+class CommandRegistry {
+  /**
+   * @constructor
+   * @param {Object} [options] - Optional parameters for the registry.
+   * @param {Editor} [options.editor] - The code editor; commands are added to it as actions, so they show up in its command palette.
+   * @param {string} [options.storageKey='IDEKeybindings'] - The localStorage key of the rebindings.
+   */
+  constructor(options = {}) {
+    this.editor = options.editor || null;
+    this.storageKey = options.storageKey || KEYBINDINGS_STORAGE_KEY;
+    this.commands = new Map(); // Command ID -> { id, label, defaultKeybinding, run, action }
+    this.overrides = this._loadOverrides(); // Command ID -> shortcut, or null when removed
+    this.changeCallbacks = [];
+  }
+
+  /**
+   * @method _loadOverrides - Reads the saved rebindings.
+   * @returns {Object} - The rebindings, keyed by command ID.
+   */
+  _loadOverrides() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+      console.warn('Failed to read keyboard shortcuts:', e);
+      return {};
+    }
+  }
+
+  /**
+   * @method _saveOverrides - Saves the rebindings.
+   */
+  _saveOverrides() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+    } catch (e) {
+      console.warn('Failed to save keyboard shortcuts:', e);
+    }
+  }
+
+  /**
+   * @method _bindAction - (Re)adds a command to the code editor with its current shortcut.
+   * @param {Object} command - The command.
+   */
+  _bindAction(command) {
+    if (!this.editor) return;
+    if (command.action) command.action.dispose();
+    const keybinding = this.getKeybinding(command.id);
+    command.action = this.editor.addAction({
+      id: `ide.${command.id}`,
+      label: command.label,
+      keybinding: keybinding ? parseKeybinding(keybinding) : null,
+      run: () => command.run(),
+    });
+  }
+
+  /**
+   * @method register - Adds a command.
+   * @param {Object} command - The command.
+   * @param {string} command.id - The unique name of the command (e.g. "run-code").
+   * @param {string} command.label - The label shown in the palette (e.g. "Run: Run Code").
+   * @param {string} [command.keybinding] - The default shortcut.
+   * @param {Function} command.run - Runs the command.
+   * @throws {Error} - If a command with the same ID exists.
+   */
+  register({ id, label, keybinding = null, run }) {
+    if (this.commands.has(id)) {
+      throw new Error(`Command "${id}" is already registered.`);
+    }
+    const command = { id, label, defaultKeybinding: keybinding, run };
+    this.commands.set(id, command);
+    this._bindAction(command);
+  }
+
+  /**
+   * @method getKeybinding - Gets the current shortcut of a command.
+   * @param {string} id - The command ID.
+   * @returns {string|null} - The shortcut, or null if it has none.
+   */
+  getKeybinding(id) {
+    if (Object.prototype.hasOwnProperty.call(this.overrides, id)) {
+      return this.overrides[id];
+    }
+    const command = this.commands.get(id);
+    return command ? command.defaultKeybinding : null;
+  }
+
+  /**
+   * @method list - Lists the commands, sorted by label.
+   * @returns {Array<Object>} - { id, label, keybinding, defaultKeybinding, isCustom } for every command.
+   */
+  list() {
+    return Array.from(this.commands.values())
+      .map(({ id, label, defaultKeybinding }) => ({
+        id,
+        label,
+        keybinding: this.getKeybinding(id),
+        defaultKeybinding,
+        isCustom: this.getKeybinding(id) !== defaultKeybinding,
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /**
+   * @method findByKeybinding - Finds the command bound to a shortcut.
+   * @param {string} keybinding - The shortcut.
+   * @returns {Object|null} - The command ({ id, label }), or null if the shortcut is free.
+   */
+  findByKeybinding(keybinding) {
+    const command = Array.from(this.commands.values()).find(
+      ({ id }) => this.getKeybinding(id) === keybinding,
+    );
+    return command ? { id: command.id, label: command.label } : null;
+  }
+
+  /**
+   * @method setKeybinding - Rebinds a command and saves the change.
+   * @param {string} id - The command ID.
+   * @param {string|null} keybinding - The new shortcut, or null to remove it.
+   * @throws {Error} - If the command does not exist.
+   */
+  setKeybinding(id, keybinding) {
+    const command = this.commands.get(id);
+    if (!command) {
+      throw new Error(`Command "${id}" does not exist.`);
+    }
+    if (keybinding === command.defaultKeybinding) {
+      delete this.overrides[id];
+    } else {
+      this.overrides[id] = keybinding || null;
+    }
+    this._saveOverrides();
+    this._bindAction(command);
+    this.changeCallbacks.forEach((callback) => callback(id));
+  }
+
+  /**
+   * @method resetKeybindings - Restores the default shortcuts of all commands.
+   */
+  resetKeybindings() {
+    const changedIds = Object.keys(this.overrides);
+    this.overrides = {};
+    this._saveOverrides();
+    changedIds.forEach((id) => {
+      const command = this.commands.get(id);
+      if (command) this._bindAction(command);
+      this.changeCallbacks.forEach((callback) => callback(id));
+    });
+  }
+
+  /**
+   * @method onKeybindingChange - Registers a callback called with the command ID whenever a shortcut changes.
+   * @param {Function} callback - The callback.
+   */
+  onKeybindingChange(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * @method execute - Runs a command.
+   * @param {string} id - The command ID.
+   * @returns {boolean} - True if the command exists.
+   */
+  execute(id) {
+    const command = this.commands.get(id);
+    if (!command) return false;
+    command.run();
+    return true;
+  }
+
+  /**
+   * @method handleKeyDown - Runs the command bound to a key press made outside of the code editor
+   * (the editor runs its actions itself). Plain keys are left alone while typing in a text field.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @returns {boolean} - True if a command ran.
+   */
+  handleKeyDown(event) {
+    if (event.defaultPrevented) return false;
+    if (this.editor && this.editor.hasFocus()) return false;
+    const keybinding = keybindingFromEvent(event);
+    if (!keybinding) return false;
+    const { ctrl, alt } = parseKeybinding(keybinding);
+    if (!ctrl && !alt && isEditableTarget(event.target)) return false;
+
+    const command = this.findByKeybinding(keybinding);
+    if (!command) return false;
+    event.preventDefault(); // e.g. the browser's own Ctrl+S
+    return this.execute(command.id);
+  }
+}
+
+module.exports = {
+  CommandRegistry,
+  keybindingFromEvent,
+  formatKeybinding,
+};
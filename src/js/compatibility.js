@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Compatibility Module
+ * @description This module runs the same code against several tridecco-board versions, each in its own sandbox,
+ * and summarizes which versions threw errors or logged warnings.
+ */
+
+const Console = require('./console');
+const Sandbox = require('./sandbox');
+
+const RELEASE_LINE_PARTS = 2; // major.minor
+const ERROR_METHODS = ['error', 'assert'];
+const WARNING_METHODS = ['warn'];
+const PROBLEM_PREVIEW_LENGTH = 120;
+
+const STATUS_LABELS = {
+  running: 'Running…',
+  passed: '✓ OK',
+  warnings: '⚠ Warnings',
+  errors: '✗ Errors',
+  unavailable: '✗ Not available',
+};
+const STATUS_CLASSES = {
+  running: 'text-gray-400',
+  passed: 'text-green-400',
+  warnings: 'text-yellow-400',
+  errors: 'text-red-400',
+  unavailable: 'text-red-400',
+};
+const SUMMARY_STATUS_CLASSES = {
+  running: 'text-gray-500',
+  passed: 'text-green-700',
+  warnings: 'text-yellow-700',
+  errors: 'text-red-700',
+  unavailable: 'text-red-700',
+};
+
+/**
+ * @function getReleaseLine - Gets the release line of a version ("0.6.2" -> "0.6").
+ * @param {string} version - The version.
+ * @returns {string} - The release line.
+ */
+function getReleaseLine(version) {
+  return version.split('.').slice(0, RELEASE_LINE_PARTS).join('.');
+}
+
+/**
+ * @function describeProblem - Shortens an error or warning for the summary table.
+ * @param {string} text - The full text.
+ * @returns {string} - The first line, truncated.
+ */
+function describeProblem(text) {
+  const firstLine = String(text).split('\n')[0];
+  return firstLine.length > PROBLEM_PREVIEW_LENGTH
+    ? `${firstLine.slice(0, PROBLEM_PREVIEW_LENGTH)}…`
+    : firstLine;
+}
+
+/**
+ * @class CompatibilityView - Picks versions, runs the code against each of them side by side, and shows the results.
+ */
+class CompatibilityView {
+  /**
+   * @constructor
+   * @param {HTMLElement} element - The element containing [data-compat-versions], [data-compat-select] buttons,
+   * [data-compat-summary], and [data-compat-grid].
+   * @param {Object} options - Parameters for the view.
+   * @param {Array<string>} options.versions - The versions that can be picked, newest first.
+   * @param {Function} options.resolveLibrary - Resolves a version to its library source ({ urls, bundled }).
+   */
+  constructor(element, options) {
+    if (!element) {
+      throw new Error('Compatibility element is required.');
+    }
+    this.element = element;
+    this.versions = options.versions;
+    this.resolveLibrary = options.resolveLibrary;
+    this.versionListElement = element.querySelector('[data-compat-versions]');
+    this.summaryElement = element.querySelector('[data-compat-summary]');
+    this.gridElement = element.querySelector('[data-compat-grid]');
+    this.previews = [];
+    this.runId = 0;
+
+    this._renderVersionList();
+    this.select('lines');
+
+    element.querySelectorAll('[data-compat-select]').forEach((button) => {
+      button.addEventListener('click', () =>
+        this.select(button.dataset.compatSelect),
+      );
+    });
+  }
+
+  /**
+   * @method _renderVersionList - Renders one checkbox per version.
+   */
+  _renderVersionList() {
+    this.versionListElement.innerHTML = '';
+    this.versions.forEach((version) => {
+      const label = document.createElement('label');
+      label.className =
+        'inline-flex items-center space-x-1 px-2 py-0.5 border rounded text-sm cursor-pointer hover:bg-gray-100';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = version;
+      checkbox.dataset.compatVersion = '';
+      const text = document.createElement('span');
+      text.textContent = `v${version}`;
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      this.versionListElement.appendChild(label);
+    });
+  }
+
+  /**
+   * @method select - Checks a preset of versions.
+   * @param {string} preset - "lines" (the newest version of each release line), "all", or "none".
+   * @param {string} [extraVersion] - A version to check as well (e.g. the one selected in the editor).
+   */
+  select(preset, extraVersion) {
+    const releaseLines = new Set();
+    this.versionListElement
+      .querySelectorAll('[data-compat-version]')
+      .forEach((checkbox) => {
+        const line = getReleaseLine(checkbox.value);
+        let checked = preset === 'all';
+        if (preset === 'lines' && !releaseLines.has(line)) {
+          checked = true; // Versions are listed newest first
+        }
+        releaseLines.add(line);
+        checkbox.checked = checked || checkbox.value === extraVersion;
+      });
+  }
+
+  /**
+   * @method getSelectedVersions - Gets the checked versions.
+   * @returns {Array<string>} - The versions, newest first.
+   */
+  getSelectedVersions() {
+    return Array.from(
+      this.versionListElement.querySelectorAll('[data-compat-version]'),
+    )
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+  }
+
+  /**
+   * @method _createPreview - Creates the card of one version, with its canvas and its own console.
+   * @param {string} version - The version.
+   * @returns {Object} - The preview state.
+   */
+  _createPreview(version) {
+    const card = document.createElement('div');
+    card.className =
+      'flex flex-col bg-gray-800 text-white rounded overflow-hidden border border-gray-700';
+
+    const header = document.createElement('div');
+    header.className =
+      'flex items-center justify-between px-2 py-1 text-sm border-b border-gray-700';
+    const title = document.createElement('span');
+    title.className = 'font-semibold';
+    title.textContent = `v${version}`;
+    const status = document.createElement('span');
+    header.appendChild(title);
+    header.appendChild(status);
+
+    const canvasContainer = document.createElement('div');
+    canvasContainer.className = 'relative h-64 bg-gray-900 overflow-hidden';
+
+    const consolePanel = document.createElement('div');
+    consolePanel.className = 'h-40 border-t border-gray-700';
+    const consoleOutput = document.createElement('div');
+    consoleOutput.className = 'h-full overflow-auto text-xs font-mono';
+    consoleOutput.dataset.consoleOutput = '';
+    consolePanel.appendChild(consoleOutput);
+
+    card.appendChild(header);
+    card.appendChild(canvasContainer);
+    card.appendChild(consolePanel);
+    this.gridElement.appendChild(card);
+
+    const preview = {
+      version,
+      card,
+      statusElement: status,
+      status: 'running',
+      errors: 0,
+      warnings: 0,
+      firstProblem: '',
+    };
+    preview.console = new Console(consolePanel, {
+      inspect: (objectId) => preview.sandbox.inspect(objectId),
+    });
+    preview.sandbox = new Sandbox(canvasContainer, {
+      onConsole: (message) => {
+        preview.console.handleMessage(message);
+        this._countMessage(preview, message);
+      },
+      onError: (error) => {
+        preview.console.reportError(error);
+        this._recordProblem(preview, 'errors', error.message);
+      },
+    });
+    this._updatePreview(preview);
+    return preview;
+  }
+
+  /**
+   * @method _countMessage - Counts console errors and warnings of a version.
+   * @param {Object} preview - The preview state.
+   * @param {Object} message - The console message sent by the sandbox.
+   */
+  _countMessage(preview, message) {
+    const isError = ERROR_METHODS.includes(message.method);
+    if (!isError && !WARNING_METHODS.includes(message.method)) return;
+    const text = (message.args || [])
+      .map((arg) => arg.value ?? arg.description ?? '')
+      .join(' ');
+    this._recordProblem(
+      preview,
+      isError ? 'errors' : 'warnings',
+      text || message.method,
+    );
+  }
+
+  /**
+   * @method _recordProblem - Adds an error or warning to a version and refreshes its status.
+   * @param {Object} preview - The preview state.
+   * @param {string} kind - "errors" or "warnings".
+   * @param {string} text - The error or warning text.
+   */
+  _recordProblem(preview, kind, text) {
+    preview[kind]++;
+    // Errors take precedence over an earlier warning
+    if (!preview.firstProblem || (kind === 'errors' && preview.errors === 1)) {
+      preview.firstProblem = describeProblem(text);
+    }
+    this._updatePreview(preview);
+  }
+
+  /**
+   * @method _getStatus - Gets the status of a version from its run and its counters.
+   * @param {Object} preview - The preview state.
+   * @returns {string} - The status key.
+   */
+  _getStatus(preview) {
+    if (preview.status === 'running' || preview.status === 'unavailable') {
+      return preview.errors > 0 ? 'errors' : preview.status;
+    }
+    if (preview.errors > 0) return 'errors';
+    return preview.warnings > 0 ? 'warnings' : 'passed';
+  }
+
+  /**
+   * @method _updatePreview - Refreshes the status of a card and the summary table.
+   * @param {Object} preview - The preview state.
+   */
+  _updatePreview(preview) {
+    const status = this._getStatus(preview);
+    preview.statusElement.className = `text-xs ${STATUS_CLASSES[status]}`;
+    preview.statusElement.textContent = STATUS_LABELS[status];
+    this._renderSummary();
+  }
+
+  /**
+   * @method _renderSummary - Renders the table of versions with their error and warning counts.
+   */
+  _renderSummary() {
+    this.summaryElement.innerHTML = '';
+    if (this.previews.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'w-full text-sm mb-3';
+    const head = document.createElement('tr');
+    head.className = 'text-left text-gray-500 border-b';
+    ['Version', 'Result', 'Errors', 'Warnings', 'First problem'].forEach(
+      (text) => {
+        const cell = document.createElement('th');
+        cell.className = 'px-2 py-1 font-medium';
+        cell.textContent = text;
+        head.appendChild(cell);
+      },
+    );
+    table.appendChild(head);
+
+    this.previews.forEach((preview) => {
+      const status = this._getStatus(preview);
+      const row = document.createElement('tr');
+      row.className = 'border-b cursor-pointer hover:bg-gray-100';
+      row.title = 'Show the preview of this version';
+      row.addEventListener('click', () =>
+        preview.card.scrollIntoView({ behavior: 'smooth', block: 'nearest' }),
+      );
+      [
+        `v${preview.version}`,
+        STATUS_LABELS[status],
+        String(preview.errors),
+        String(preview.warnings),
+        preview.firstProblem,
+      ].forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.className = 'px-2 py-1';
+        if (index === 1) cell.classList.add(SUMMARY_STATUS_CLASSES[status]);
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    this.summaryElement.appendChild(table);
+  }
+
+  /**
+   * @method _runPreview - Runs the code in the sandbox of one version.
+   * @param {Object} preview - The preview state.
+   * @param {string|Object} code - The script or project module graph to run.
+   * @param {number} runId - The run the preview belongs to.
+   */
+  async _runPreview(preview, code, runId) {
+    const source = await this.resolveLibrary(preview.version);
+    if (runId !== this.runId) return; // Stopped meanwhile
+    const result = await preview.sandbox.run(code, source.urls);
+    if (!result) return;
+
+    if (result.libraryLoaded) {
+      preview.status = 'done';
+    } else {
+      preview.status = 'unavailable';
+      preview.console.print(
+        'error',
+        `Tridecco Board v${preview.version} could not be loaded.`,
+      );
+      preview.firstProblem = preview.firstProblem || 'Library not available';
+    }
+    this._updatePreview(preview);
+  }
+
+  /**
+   * @method run - Runs the code against every selected version in parallel.
+   * Code that keeps running (timers, click handlers) keeps updating the results until the next run or stop().
+   * @param {string|Object} code - The script or project module graph to run.
+   * @returns {Promise<Array<Object>>} - Resolves once every version finished its first pass, with one
+   * { version, status, errors, warnings, firstProblem } per version.
+   */
+  async run(code) {
+    this.stop();
+    const runId = this.runId;
+    this.previews = this.getSelectedVersions().map((version) =>
+      this._createPreview(version),
+    );
+    this._renderSummary();
+
+    await Promise.all(
+      this.previews.map((preview) => this._runPreview(preview, code, runId)),
+    );
+    return this.previews.map((preview) => ({
+      version: preview.version,
+      status: this._getStatus(preview),
+      errors: preview.errors,
+      warnings: preview.warnings,
+      firstProblem: preview.firstProblem,
+    }));
+  }
+
+  /**
+   * @method stop - Removes all previews, dropping everything their code created.
+   */
+  stop() {
+    this.runId++;
+    this.previews.forEach((preview) => preview.sandbox.destroy());
+    this.previews = [];
+    this.gridElement.innerHTML = '';
+    this.summaryElement.innerHTML = '';
+  }
+}
+
+module.exports = CompatibilityView;
@@ -3,14 +3,816 @@
  * @description This module handles the console functionalities for the application.
  */
 
+const CONSOLE_LEVELS = ['error', 'warn', 'info', 'log', 'debug'];
+const MAX_ENTRIES = 1000; // Oldest entries are dropped beyond this
+const TIMER_PRECISION = 3;
+const STRING_PREVIEW_LENGTH = 100;
+const GROUP_INDENT = '  ';
+
+const METHOD_LEVELS = {
+  log: 'log',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+  debug: 'debug',
+  assert: 'error',
+};
+
+const LEVEL_CLASSES = {
+  error: 'text-red-400 bg-red-900/20 border-red-900/50',
+  warn: 'text-yellow-400 bg-yellow-900/20 border-yellow-900/50',
+  info: 'text-blue-400 border-gray-700',
+  log: 'text-gray-300 border-gray-700',
+  debug: 'text-gray-500 border-gray-700',
+};
+
+const VALUE_CLASSES = {
+  string: 'text-green-300',
+  number: 'text-blue-300',
+  bigint: 'text-blue-300',
+  boolean: 'text-purple-300',
+  undefined: 'text-gray-500',
+  null: 'text-gray-500',
+  symbol: 'text-pink-300',
+  function: 'text-yellow-200 italic',
+  object: 'text-gray-300',
+};
+
+const LEVEL_BUTTON_ACTIVE_CLASSES = ['bg-gray-600', 'text-white'];
+const LEVEL_BUTTON_INACTIVE_CLASSES = ['text-gray-500'];
+const TAB_BUTTON_ACTIVE_CLASSES = ['text-white', 'border-blue-500'];
+const TAB_BUTTON_INACTIVE_CLASSES = ['text-gray-400', 'border-transparent'];
+
+/**
+ * @function formatValue - Formats a value descriptor as plain text.
+ * @param {Object} descriptor - The value descriptor sent by the sandbox.
+ * @param {boolean} nested - Whether the value is nested (quotes and truncates strings).
+ * @returns {string} - The plain text representation.
+ */
+function formatValue(descriptor, nested) {
+  switch (descriptor.type) {
+    case 'string':
+      if (!nested) return descriptor.value;
+      return descriptor.value.length > STRING_PREVIEW_LENGTH
+        ? `'${descriptor.value.slice(0, STRING_PREVIEW_LENGTH)}…'`
+        : `'${descriptor.value}'`;
+    case 'number':
+      return Object.is(descriptor.value, -0) ? '-0' : String(descriptor.value);
+    case 'boolean':
+      return String(descriptor.value);
+    case 'undefined':
+      return 'undefined';
+    case 'null':
+      return 'null';
+    case 'object':
+      return nested ? descriptor.description : formatPreview(descriptor);
+    default:
+      return descriptor.description || '';
+  }
+}
+
+/**
+ * @function formatPreview - Formats an object descriptor with its shallow preview, e.g. "Array(2) [1, 2]".
+ * @param {Object} descriptor - The object descriptor.
+ * @returns {string} - The preview text.
+ */
+function formatPreview(descriptor) {
+  const { subtype, className, description, preview } = descriptor;
+  if (!preview || ['error', 'date', 'regexp', 'node'].includes(subtype)) {
+    return description;
+  }
+
+  const parts = preview.entries.map((entry) => {
+    if (subtype === 'map') {
+      return `${formatValue(entry.key, true)} => ${formatValue(entry.value, true)}`;
+    }
+    if (subtype === 'array' || subtype === 'set') {
+      return formatValue(entry.value, true);
+    }
+    return `${entry.name}: ${formatValue(entry.value, true)}`;
+  });
+  if (preview.overflow) parts.push('…');
+
+  if (subtype === 'array') return `${description} [${parts.join(', ')}]`;
+  if (subtype === 'map' || subtype === 'set') {
+    return `${description} {${parts.join(', ')}}`;
+  }
+  const prefix = className === 'Object' ? '' : `${className} `;
+  return `${prefix}{${parts.join(', ')}}`;
+}
+
+/**
+ * @function applyFormatSpecifiers - Applies printf-style specifiers (%s, %d, %i, %f, %o, %O, %c) of a leading string argument.
+ * @param {Array<Object>} args - The argument descriptors.
+ * @returns {Array<Object>} - The descriptors with the format string resolved.
+ */
+function applyFormatSpecifiers(args) {
+  const [first, ...rest] = args;
+  if (!first || first.type !== 'string' || !first.value.includes('%')) {
+    return args;
+  }
+
+  const remaining = [...rest];
+  const text = first.value.replace(/%([sdifoOc%])/g, (match, specifier) => {
+    if (specifier === '%') return '%';
+    if (remaining.length === 0) return match;
+
+    const arg = remaining.shift();
+    switch (specifier) {
+      case 'd':
+      case 'i':
+        return arg.type === 'number' ? String(Math.trunc(arg.value)) : 'NaN';
+      case 'f':
+        return arg.type === 'number' ? String(arg.value) : 'NaN';
+      case 'c':
+        return ''; // CSS styling is not supported
+      default:
+        return formatValue(arg, false);
+    }
+  });
+
+  return [{ type: 'string', value: text }, ...remaining];
+}
+
+/**
+ * @function createText - Creates a span holding plain text.
+ * @param {string} text - The text content.
+ * @param {string} [className] - Optional classes.
+ * @returns {HTMLElement} - The span element.
+ */
+function createText(text, className = '') {
+  const span = document.createElement('span');
+  span.className = className;
+  span.textContent = text;
+  return span;
+}
+
 /**
  * @class Console - Handles the console functionalities of the application.
  */
 class Console {
   /**
    * @constructor
+   * @param {HTMLElement} panelElement - The console panel containing the output and its controls.
+   * @param {Object} [options] - Optional parameters for the console.
+   * @param {Function} [options.inspect] - Resolves an object handle to its properties ({ properties, entries, overflow }) or null.
+   * @param {Function} [options.notify] - Called with (message, status) to report user-facing results such as copying.
+   */
+  constructor(panelElement, options = {}) {
+    if (!panelElement) {
+      throw new Error('Console panel element is required.');
+    }
+    this.panelElement = panelElement;
+    this.outputElement = panelElement.querySelector('[data-console-output]');
+    this.filterInput = panelElement.querySelector('[data-console-filter]');
+    this.levelButtons = panelElement.querySelectorAll('[data-console-level]');
+    this.tabButtons = panelElement.querySelectorAll('[data-console-tab]');
+    this.tabPanels = panelElement.querySelectorAll('[data-console-tab-panel]');
+    this.inspect = options.inspect;
+    this.notify = options.notify;
+
+    this.enabledLevels = new Set(CONSOLE_LEVELS);
+    this.filterText = '';
+    this.entries = [];
+    this.lastEntry = null;
+    this.groupStack = [];
+    this.counters = new Map();
+    this.timers = new Map();
+
+    this._bindControls();
+    this._updateLevelButtons();
+    if (this.tabButtons.length > 0) {
+      this.showTab(this.tabButtons[0].dataset.consoleTab);
+    }
+  }
+
+  /**
+   * @method _bindControls - Wires the filter input, level toggles, and panel actions.
+   */
+  _bindControls() {
+    if (this.filterInput) {
+      this.filterInput.addEventListener('input', () => {
+        this.setFilter(this.filterInput.value);
+      });
+    }
+
+    this.levelButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        const level = button.dataset.consoleLevel;
+        this.setLevelEnabled(level, !this.enabledLevels.has(level));
+      });
+    });
+
+    this.tabButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        this.showTab(button.dataset.consoleTab);
+      });
+    });
+
+    this.panelElement.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-console-action]');
+      if (!button) return;
+
+      switch (button.dataset.consoleAction) {
+        case 'clear':
+          this.clear();
+          break;
+        case 'copy':
+          this.copyToClipboard()
+            .then((count) =>
+              this._notify(
+                `Copied ${count} console line(s) to clipboard.`,
+                'success',
+              ),
+            )
+            .catch((error) =>
+              this._notify(
+                `Failed to copy console output: ${error.message}`,
+                'error',
+              ),
+            );
+          break;
+        default:
+          console.warn('Unknown console action:', button.dataset.consoleAction);
+      }
+    });
+  }
+
+  /**
+   * @method _notify - Reports a message through the notify callback, if any.
+   * @param {string} message - The message.
+   * @param {string} status - The status of the message.
+   */
+  _notify(message, status) {
+    if (typeof this.notify === 'function') {
+      this.notify(message, status);
+    }
+  }
+
+  /**
+   * @method _updateLevelButtons - Reflects the enabled levels on the toggle buttons.
+   */
+  _updateLevelButtons() {
+    this.levelButtons.forEach((button) => {
+      const enabled = this.enabledLevels.has(button.dataset.consoleLevel);
+      LEVEL_BUTTON_ACTIVE_CLASSES.forEach((cls) =>
+        button.classList.toggle(cls, enabled),
+      );
+      LEVEL_BUTTON_INACTIVE_CLASSES.forEach((cls) =>
+        button.classList.toggle(cls, !enabled),
+      );
+      button.setAttribute('aria-pressed', String(enabled));
+    });
+  }
+
+  /**
+   * @method _currentContainer - Gets the element new entries are appended to (the innermost open group).
+   * @returns {HTMLElement} - The container element.
+   */
+  _currentContainer() {
+    return this.groupStack.length > 0
+      ? this.groupStack[this.groupStack.length - 1]
+      : this.outputElement;
+  }
+
+  /**
+   * @method _matches - Checks whether an entry passes the level and text filters.
+   * @param {Object} entry - The console entry.
+   * @returns {boolean} - True if the entry should be visible.
+   */
+  _matches(entry) {
+    if (entry.isGroup) return true; // Groups stay visible so their children can show
+    if (!this.enabledLevels.has(entry.level)) return false;
+    return (
+      !this.filterText || entry.text.toLowerCase().includes(this.filterText)
+    );
+  }
+
+  /**
+   * @method _applyFilter - Shows or hides an entry according to the current filters.
+   * @param {Object} entry - The console entry.
+   */
+  _applyFilter(entry) {
+    entry.element.classList.toggle('hidden', !this._matches(entry));
+  }
+
+  /**
+   * @method _appendEntry - Adds an entry, collapsing it into the previous one when identical.
+   * @param {Object} params - The entry parameters.
+   * @param {string} params.level - The log level.
+   * @param {string} params.text - The plain text used for filtering and copying.
+   * @param {HTMLElement} params.content - The rendered content.
+   * @param {boolean} [params.isGroup] - Whether the entry is a group header.
+   * @returns {Object} - The console entry.
+   */
+  _appendEntry({ level, text, content, isGroup = false }) {
+    if (!this.outputElement) return null;
+
+    const container = this._currentContainer();
+    const signature = `${level}|${text}`;
+    const last = this.lastEntry;
+
+    if (
+      !isGroup &&
+      last &&
+      !last.isGroup &&
+      last.signature === signature &&
+      last.container === container
+    ) {
+      last.repeatCount++;
+      last.badge.textContent = String(last.repeatCount);
+      last.badge.classList.remove('hidden');
+      return last;
+    }
+
+    const element = document.createElement('div');
+    element.className = `flex items-start px-2 py-0.5 border-b ${LEVEL_CLASSES[level] || LEVEL_CLASSES.log}`;
+
+    const badge = createText(
+      '',
+      'hidden flex-shrink-0 mr-2 px-1.5 rounded-full bg-gray-600 text-white',
+    );
+    const body = document.createElement('div');
+    body.className = 'flex-grow min-w-0 break-words';
+    body.appendChild(content);
+
+    element.appendChild(badge);
+    element.appendChild(body);
+    container.appendChild(element);
+
+    const entry = {
+      element,
+      level,
+      text,
+      signature,
+      container,
+      badge,
+      isGroup,
+      depth: this.groupStack.length,
+      repeatCount: 1,
+    };
+    this.entries.push(entry);
+    this.lastEntry = entry;
+
+    this._applyFilter(entry);
+    this._trimEntries();
+    this.outputElement.scrollTop = this.outputElement.scrollHeight; // Auto-scroll to the bottom
+    return entry;
+  }
+
+  /**
+   * @method _trimEntries - Drops the oldest entries once the limit is exceeded.
+   */
+  _trimEntries() {
+    if (this.entries.length <= MAX_ENTRIES) return;
+
+    while (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift().element.remove();
+    }
+    // Removing a group also removes the entries nested in it
+    this.entries = this.entries.filter((entry) => entry.element.isConnected);
+  }
+
+  /**
+   * @method _renderValue - Renders a value descriptor, making objects expandable.
+   * @param {Object} descriptor - The value descriptor.
+   * @param {boolean} nested - Whether the value is nested inside another value.
+   * @param {boolean} [expanded=false] - Whether an object should start expanded.
+   * @returns {HTMLElement} - The rendered element.
+   */
+  _renderValue(descriptor, nested, expanded = false) {
+    if (descriptor.type === 'object' && descriptor.objectId) {
+      return this._renderObject(descriptor, expanded);
+    }
+    if (descriptor.type === 'string' && !nested) {
+      return createText(descriptor.value);
+    }
+    return createText(
+      formatValue(descriptor, nested),
+      VALUE_CLASSES[descriptor.type] || '',
+    );
+  }
+
+  /**
+   * @method _renderObject - Renders an expandable object whose properties load on first expansion.
+   * @param {Object} descriptor - The object descriptor.
+   * @param {boolean} expanded - Whether the object should start expanded.
+   * @returns {HTMLElement} - The rendered element.
+   */
+  _renderObject(descriptor, expanded) {
+    const details = document.createElement('details');
+    details.className = 'inline-block align-top';
+
+    const summary = document.createElement('summary');
+    summary.className = 'cursor-pointer';
+    summary.appendChild(
+      createText(formatValue(descriptor, false), VALUE_CLASSES.object),
+    );
+
+    const children = document.createElement('div');
+    children.className = 'pl-4';
+
+    details.appendChild(summary);
+    details.appendChild(children);
+
+    let loaded = false;
+    details.addEventListener('toggle', () => {
+      if (!details.open || loaded) return;
+      loaded = true;
+      this._loadProperties(descriptor.objectId, children);
+    });
+    details.open = expanded;
+
+    return details;
+  }
+
+  /**
+   * @method _loadProperties - Fetches and renders the properties of an object.
+   * @param {string} objectId - The object handle.
+   * @param {HTMLElement} container - The element to render the properties into.
+   */
+  async _loadProperties(objectId, container) {
+    container.replaceChildren(createText('Loading…', 'text-gray-500'));
+
+    let result = null;
+    if (typeof this.inspect === 'function') {
+      try {
+        result = await this.inspect(objectId);
+      } catch (error) {
+        console.error('Failed to inspect console object:', error);
+      }
+    }
+
+    container.replaceChildren();
+    if (!result) {
+      container.appendChild(
+        createText(
+          'Object is no longer available. Run the code again to inspect it.',
+          'text-gray-500 italic',
+        ),
+      );
+      return;
+    }
+
+    result.entries.forEach((entry) => {
+      const row = document.createElement('div');
+      if (entry.key) {
+        row.appendChild(this._renderValue(entry.key, true));
+        row.appendChild(createText(' => '));
+      }
+      row.appendChild(this._renderValue(entry.value, true));
+      container.appendChild(row);
+    });
+
+    result.properties.forEach((property) => {
+      const row = document.createElement('div');
+      row.appendChild(createText(property.name, 'text-purple-300'));
+      row.appendChild(createText(': '));
+      row.appendChild(this._renderValue(property.value, true));
+      container.appendChild(row);
+    });
+
+    if (result.overflow) {
+      container.appendChild(createText('…', 'text-gray-500'));
+    }
+    if (result.entries.length === 0 && result.properties.length === 0) {
+      container.appendChild(createText('No properties', 'text-gray-500'));
+    }
+  }
+
+  /**
+   * @method _log - Adds an entry built from argument descriptors.
+   * @param {string} level - The log level.
+   * @param {Array<Object>} args - The argument descriptors.
+   * @param {Object} [options] - Rendering options.
+   * @param {boolean} [options.expand] - Whether objects should start expanded.
+   * @param {string} [options.stack] - A stack trace to show below the message.
+   */
+  _log(level, args, options = {}) {
+    const parts = applyFormatSpecifiers(args);
+    const content = document.createElement('div');
+
+    parts.forEach((part, index) => {
+      if (index > 0) content.appendChild(document.createTextNode(' '));
+      content.appendChild(this._renderValue(part, false, options.expand));
+    });
+
+    let text = parts.map((part) => formatValue(part, false)).join(' ');
+    if (options.stack) {
+      content.appendChild(createText(`\n${options.stack}`, 'text-gray-500'));
+      text += `\n${options.stack}`;
+    }
+
+    this._appendEntry({ level, text, content });
+  }
+
+  /**
+   * @method _logTable - Adds a table entry.
+   * @param {Object} table - The table description ({ columns, rows, hasValueColumn }).
+   */
+  _logTable(table) {
+    const headers = ['(index)', ...table.columns];
+    if (table.hasValueColumn) headers.push('Value');
+
+    const element = document.createElement('table');
+    element.className = 'my-1 border-collapse';
+
+    const headRow = document.createElement('tr');
+    headers.forEach((header) => {
+      const th = document.createElement('th');
+      th.className =
+        'px-2 py-0.5 border border-gray-600 bg-gray-700 text-left font-semibold';
+      th.textContent = header;
+      headRow.appendChild(th);
+    });
+    element.appendChild(headRow);
+
+    const lines = [headers.join('\t')];
+    table.rows.forEach((row) => {
+      const cells = [{ type: 'string', value: row.index }];
+      table.columns.forEach((column) => {
+        cells.push(row.cells[column] || null);
+      });
+      if (table.hasValueColumn) cells.push(row.value || null);
+
+      const tr = document.createElement('tr');
+      cells.forEach((cell, index) => {
+        const td = document.createElement('td');
+        td.className = 'px-2 py-0.5 border border-gray-600';
+        if (cell) {
+          td.appendChild(this._renderValue(cell, index > 0));
+        }
+        tr.appendChild(td);
+      });
+      element.appendChild(tr);
+      lines.push(
+        cells
+          .map((cell, index) => (cell ? formatValue(cell, index > 0) : ''))
+          .join('\t'),
+      );
+    });
+
+    this._appendEntry({
+      level: 'log',
+      text: lines.join('\n'),
+      content: element,
+    });
+  }
+
+  /**
+   * @method _startGroup - Opens a console group; later entries nest inside it until groupEnd.
+   * @param {Array<Object>} args - The label descriptors.
+   * @param {boolean} collapsed - Whether the group starts collapsed.
+   */
+  _startGroup(args, collapsed) {
+    const labelArgs =
+      args.length > 0 ? args : [{ type: 'string', value: 'console.group' }];
+    const parts = applyFormatSpecifiers(labelArgs);
+
+    const details = document.createElement('details');
+    details.open = !collapsed;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cursor-pointer font-semibold';
+    parts.forEach((part, index) => {
+      if (index > 0) summary.appendChild(document.createTextNode(' '));
+      summary.appendChild(this._renderValue(part, false));
+    });
+
+    const children = document.createElement('div');
+    children.className = 'ml-1 pl-3 border-l border-gray-700';
+
+    details.appendChild(summary);
+    details.appendChild(children);
+
+    const entry = this._appendEntry({
+      level: 'log',
+      text: parts.map((part) => formatValue(part, false)).join(' '),
+      content: details,
+      isGroup: true,
+    });
+    if (entry) this.groupStack.push(children);
+  }
+
+  /**
+   * @method _labelMessage - Adds a "label: text" entry, followed by any extra arguments.
+   * @param {string} level - The log level.
+   * @param {string} text - The message text.
+   * @param {Array<Object>} [extraArgs] - Extra argument descriptors.
+   */
+  _labelMessage(level, text, extraArgs = []) {
+    this._log(level, [{ type: 'string', value: text }, ...extraArgs]);
+  }
+
+  /**
+   * @method handleMessage - Handles a console call forwarded from the sandbox.
+   * @param {Object} message - The console message ({ method, args, label, timestamp, table, stack }).
+   */
+  handleMessage(message) {
+    const args = message.args || [];
+    const { method, label, timestamp } = message;
+
+    switch (method) {
+      case 'clear':
+        this.clear();
+        this.print('debug', 'Console was cleared');
+        break;
+      case 'group':
+      case 'groupCollapsed':
+        this._startGroup(args, method === 'groupCollapsed');
+        break;
+      case 'groupEnd':
+        this.groupStack.pop();
+        break;
+      case 'count': {
+        const count = (this.counters.get(label) || 0) + 1;
+        this.counters.set(label, count);
+        this._labelMessage('log', `${label}: ${count}`);
+        break;
+      }
+      case 'countReset':
+        if (this.counters.has(label)) {
+          this.counters.set(label, 0);
+        } else {
+          this._labelMessage('warn', `Count for '${label}' does not exist`);
+        }
+        break;
+      case 'time':
+        if (this.timers.has(label)) {
+          this._labelMessage('warn', `Timer '${label}' already exists`);
+        } else {
+          this.timers.set(label, timestamp);
+        }
+        break;
+      case 'timeLog':
+      case 'timeEnd': {
+        if (!this.timers.has(label)) {
+          this._labelMessage('warn', `Timer '${label}' does not exist`);
+          break;
+        }
+        const elapsed = timestamp - this.timers.get(label);
+        if (method === 'timeEnd') this.timers.delete(label);
+        this._labelMessage(
+          'log',
+          `${label}: ${elapsed.toFixed(TIMER_PRECISION)} ms`,
+          args,
+        );
+        break;
+      }
+      case 'assert':
+        this._log('error', [
+          {
+            type: 'string',
+            value: args.length > 0 ? 'Assertion failed:' : 'Assertion failed',
+          },
+          ...args,
+        ]);
+        break;
+      case 'table':
+        if (message.table) {
+          this._logTable(message.table);
+        } else {
+          this._log('log', args);
+        }
+        break;
+      case 'dir':
+        this._log('log', args.slice(0, 1), { expand: true });
+        break;
+      case 'trace':
+        this._log(
+          'log',
+          [{ type: 'string', value: 'console.trace' }, ...args],
+          {
+            stack: message.stack,
+          },
+        );
+        break;
+      default:
+        this._log(METHOD_LEVELS[method] || 'log', args);
+    }
+  }
+
+  /**
+   * @method reportError - Adds an entry for an uncaught error.
+   * @param {Object} error - The error details.
+   * @param {string} error.message - The error message or stack.
+   * @param {string} [error.file] - The project file the error was thrown from.
+   * @param {number} [error.line] - The line the error was thrown from.
+   * @param {number} [error.column] - The column the error was thrown from.
+   */
+  reportError({ message, file, line, column }) {
+    const position = line ? `line ${line}:${column}` : '';
+    const location =
+      file || position
+        ? ` (${[file, position].filter(Boolean).join(' ')})`
+        : '';
+    this.print('error', `Uncaught ${message}${location}`, false);
+  }
+
+  /**
+   * @method print - Adds a plain text entry originating from the IDE itself.
+   * @param {string} level - The log level ("error", "warn", "info", "log", "debug").
+   * @param {string} text - The text to print.
+   * @param {boolean} [fromIde=true] - Whether to style the entry as an IDE message.
+   */
+  print(level, text, fromIde = true) {
+    this._appendEntry({
+      level,
+      text,
+      content: createText(text, fromIde ? 'italic' : ''),
+    });
+  }
+
+  /**
+   * @method showTab - Shows one tab of the panel (e.g. "console" or "tests") and the controls that belong to it.
+   * @param {string} name - The tab name, as in [data-console-tab] and [data-console-tab-panel].
+   */
+  showTab(name) {
+    this.tabButtons.forEach((button) => {
+      const active = button.dataset.consoleTab === name;
+      TAB_BUTTON_ACTIVE_CLASSES.forEach((cls) =>
+        button.classList.toggle(cls, active),
+      );
+      TAB_BUTTON_INACTIVE_CLASSES.forEach((cls) =>
+        button.classList.toggle(cls, !active),
+      );
+      button.setAttribute('aria-selected', String(active));
+    });
+    this.tabPanels.forEach((panel) => {
+      panel.classList.toggle('hidden', panel.dataset.consoleTabPanel !== name);
+    });
+  }
+
+  /**
+   * @method setFilter - Shows only entries containing the given text.
+   * @param {string} text - The filter text (case-insensitive). Empty shows everything.
+   */
+  setFilter(text) {
+    this.filterText = (text || '').trim().toLowerCase();
+    this.entries.forEach((entry) => this._applyFilter(entry));
+  }
+
+  /**
+   * @method setLevelEnabled - Shows or hides entries of a log level.
+   * @param {string} level - The log level.
+   * @param {boolean} enabled - Whether the level is shown.
+   */
+  setLevelEnabled(level, enabled) {
+    if (!CONSOLE_LEVELS.includes(level)) {
+      console.error(`Unknown console level "${level}".`);
+      return;
+    }
+    if (enabled) {
+      this.enabledLevels.add(level);
+    } else {
+      this.enabledLevels.delete(level);
+    }
+    this._updateLevelButtons();
+    this.entries.forEach((entry) => this._applyFilter(entry));
+  }
+
+  /**
+   * @method copyToClipboard - Copies the visible entries as plain text.
+   * @returns {Promise<number>} - Resolves with the number of copied entries.
+   * @throws {Error} - If the Clipboard API is unavailable.
+   */
+  async copyToClipboard() {
+    if (!navigator.clipboard || !window.isSecureContext) {
+      throw new Error('Clipboard API not available.');
+    }
+
+    const visible = this.entries.filter(
+      (entry) => entry.element.isConnected && this._matches(entry),
+    );
+    const text = visible
+      .map((entry) => {
+        const repeat = entry.repeatCount > 1 ? ` (x${entry.repeatCount})` : '';
+        return `${GROUP_INDENT.repeat(entry.depth)}${entry.text}${repeat}`;
+      })
+      .join('\n');
+
+    await navigator.clipboard.writeText(text);
+    return visible.length;
+  }
+
+  /**
+   * @method clear - Removes all entries from the output.
+   */
+  clear() {
+    if (this.outputElement) this.outputElement.innerHTML = '';
+    this.entries = [];
+    this.lastEntry = null;
+    this.groupStack = [];
+  }
+
+  /**
+   * @method reset - Clears the output along with counters and timers, ready for a new run.
    */
-  constructor() {}
+  reset() {
+    this.clear();
+    this.counters.clear();
+    this.timers.clear();
+  }
 }
 
 module.exports = Console;
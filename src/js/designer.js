@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Designer Module
+ * @description This module implements Design mode: it edits the pieces of a board by clicking cells on the canvas,
+ * and keeps them as generated code in a marked region of the editor ("// #region Board design: <board>").
+ */
+
+const REGION_START_PATTERN =
+  /^([ \t]*)\/\/ #region Board design: ([A-Za-z_$][\w$]*)[ \t]*$/;
+const REGION_END_PATTERN = /^[ \t]*\/\/ #endregion Board design\b/;
+const REGION_END = '// #endregion Board design';
+const REGION_COMMENT =
+  '// Generated by Design mode. Edit these lines freely; Design mode reads them back.';
+const PLACE_PATTERN =
+  /^([A-Za-z_$][\w$]*)\.place\(\s*(\d+)\s*,\s*new\s+Tridecco\.Piece\(\s*\[\s*(?:'([^'\\]*)'|"([^"\\]*)")\s*,\s*(?:'([^'\\]*)'|"([^"\\]*)")\s*\]\s*\)\s*\);?$/;
+const BOARD_DECLARATION_PATTERN =
+  /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*new\s+Tridecco\.Board\s*\(/;
+const COLOR_NAME_PATTERN = /^[^'"\\\n]+$/;
+
+const DEFAULT_COLORS = ['red', 'blue', 'green', 'yellow', 'purple', 'orange'];
+const TOOL_BUTTON_ACTIVE_CLASSES = ['bg-blue-600', 'text-white'];
+const TOOL_BUTTON_INACTIVE_CLASSES = ['bg-gray-700', 'text-gray-300'];
+const TOOL_HINTS = {
+  place:
+    'Click a cell to place the selected piece (or recolour the piece on it).',
+  move: 'Click a piece, then the cell to move it to.',
+  remove: 'Click a piece to remove it.',
+};
+
+/**
+ * @function parseRegion - Reads the design region of a file.
+ * @param {string} code - The file content.
+ * @returns {Object | null} - The region ({ variable, indent, startLine, endLine, pieces, unrecognized }), or null if the file has none.
+ * The pieces map cell indexes to [color, color]; unrecognized keeps the lines that are not piece placements.
+ */
+function parseRegion(code) {
+  const lines = code.split('\n');
+  const startLine = lines.findIndex((line) => REGION_START_PATTERN.test(line));
+  if (startLine < 0) return null;
+
+  const endOffset = lines
+    .slice(startLine + 1)
+    .findIndex((line) => REGION_END_PATTERN.test(line));
+  if (endOffset < 0) {
+    throw new Error(
+      `The "Board design" region on line ${startLine + 1} has no "${REGION_END}" line.`,
+    );
+  }
+  const endLine = startLine + 1 + endOffset;
+  const [, indent, variable] = lines[startLine].match(REGION_START_PATTERN);
+
+  const pieces = new Map();
+  const unrecognized = [];
+  lines.slice(startLine + 1, endLine).forEach((line) => {
+    const text = line.trim();
+    if (!text || text === REGION_COMMENT) return;
+    const match = text.match(PLACE_PATTERN);
+    if (match && match[1] === variable) {
+      const [, , index, first, firstQuoted, second, secondQuoted] = match;
+      pieces.set(Number(index), [first ?? firstQuoted, second ?? secondQuoted]);
+    } else {
+      unrecognized.push(line); // Kept as written, after the generated lines
+    }
+  });
+
+  return { variable, indent, startLine, endLine, pieces, unrecognized };
+}
+
+/**
+ * @function formatRegionBody - Generates the lines inside a design region.
+ * @param {Object} region - The parsed region.
+ * @param {Map<number, Array<string>>} pieces - The pieces to write.
+ * @returns {Array<string>} - The lines, sorted by cell index.
+ */
+function formatRegionBody(region, pieces) {
+  const placements = Array.from(pieces)
+    .sort(([a], [b]) => a - b)
+    .map(
+      ([index, [first, second]]) =>
+        `${region.indent}${region.variable}.place(${index}, new Tridecco.Piece(['${first}', '${second}']));`,
+    );
+  return [
+    `${region.indent}${REGION_COMMENT}`,
+    ...placements,
+    ...region.unrecognized,
+  ];
+}
+
+/**
+ * @function findStatementEnd - Finds the end of the line on which a call closes.
+ * @param {string} code - The code.
+ * @param {number} openIndex - The index of the opening parenthesis of the call.
+ * @returns {number} - The index of the line break after the call (or the code length).
+ */
+function findStatementEnd(code, openIndex) {
+  let depth = 0;
+  let index = openIndex;
+  for (; index < code.length; index++) {
+    if (code[index] === '(') depth++;
+    if (code[index] === ')' && --depth === 0) break;
+  }
+  const lineBreak = code.indexOf('\n', index);
+  return lineBreak < 0 ? code.length : lineBreak;
+}
+
+/**
+ * @class BoardDesigner - The Design mode bar: tools, piece colours, and the edits they make to the design region.
+ */
+class BoardDesigner {
+  /**
+   * @constructor
+   * @param {HTMLElement} barElement - The bar, containing [data-design-tool] buttons, [data-design-color] inputs,
+   * [data-design-pieces], [data-design-swatch], and [data-design-status].
+   * @param {Object} [handlers] - Callbacks for user interaction.
+   * @param {Function} [handlers.onExit] - Called when the "Done" button ([data-design-action="exit"]) is clicked.
+   */
+  constructor(barElement, handlers = {}) {
+    if (!barElement) {
+      throw new Error('Design bar element is required.');
+    }
+    this.barElement = barElement;
+    this.handlers = handlers;
+    this.colorInputs = Array.from(
+      barElement.querySelectorAll('[data-design-color]'),
+    );
+    this.toolButtons = Array.from(
+      barElement.querySelectorAll('[data-design-tool]'),
+    );
+    this.piecesElement = barElement.querySelector('[data-design-pieces]');
+    this.swatchElement = barElement.querySelector('[data-design-swatch]');
+    this.statusElement = barElement.querySelector('[data-design-status]');
+    this.colorListElement = barElement.querySelector('datalist');
+    this.tool = 'place';
+    this.colors = [DEFAULT_COLORS[0], DEFAULT_COLORS[1]];
+    this.selectedIndex = null; // Piece picked up by the move tool
+
+    this._bindControls();
+    this.setTool(this.tool);
+    this._setColors(this.colors);
+  }
+
+  /**
+   * @static
+   * @method prepare - Adds an empty design region to a file that has none.
+   * The region goes right after the first "const <name> = new Tridecco.Board(...)", so the pieces exist before a renderer draws the board.
+   * A board and a renderer are added as well when the file creates no board.
+   * @param {string} code - The file content.
+   * @returns {string} - The file content with a design region.
+   * @throws {Error} - If the region is malformed, or the board is not assigned to a variable.
+   */
+  static prepare(code) {
+    if (parseRegion(code)) return code;
+
+    const declaration = code.match(BOARD_DECLARATION_PATTERN);
+    if (declaration) {
+      const lineStart = code.lastIndexOf('\n', declaration.index) + 1;
+      const indent = code.slice(lineStart).match(/^[ \t]*/)[0];
+      const end = findStatementEnd(
+        code,
+        declaration.index + declaration[0].length - 1,
+      );
+      const region = [
+        `${indent}// #region Board design: ${declaration[1]}`,
+        `${indent}${REGION_COMMENT}`,
+        `${indent}${REGION_END}`,
+      ].join('\n');
+      return `${code.slice(0, end)}\n${region}${code.slice(end)}`;
+    }
+
+    if (/new\s+Tridecco\.Board\b/.test(code)) {
+      throw new Error(
+        'Assign the board to a variable (e.g. "const board = new Tridecco.Board();") to design it.',
+      );
+    }
+    const scaffold = [
+      'const board = new Tridecco.Board();',
+      '// #region Board design: board',
+      REGION_COMMENT,
+      REGION_END,
+      'const renderer = new Tridecco.Renderer({ board, container: CanvasContainer });',
+    ].join('\n');
+    return `${code.replace(/\s*$/, '')}\n\n${scaffold}\n`;
+  }
+
+  /**
+   * @method _bindControls - Wires the tool buttons, colour inputs, piece types, and the exit button.
+   */
+  _bindControls() {
+    this.toolButtons.forEach((button) => {
+      button.addEventListener('click', () =>
+        this.setTool(button.dataset.designTool),
+      );
+    });
+    this.colorInputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        const colors = this.colorInputs.map((item) => item.value.trim());
+        if (colors.every((color) => COLOR_NAME_PATTERN.test(color))) {
+          this._setColors(colors);
+        } else {
+          this._setColors(this.colors); // Quotes and backslashes cannot be written back
+        }
+      });
+    });
+    if (this.piecesElement) {
+      this.piecesElement.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-colors]');
+        if (button) this._setColors(JSON.parse(button.dataset.colors));
+      });
+    }
+    this.barElement.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-design-action="exit"]');
+      if (button && typeof this.handlers.onExit === 'function') {
+        this.handlers.onExit();
+      }
+    });
+  }
+
+  /**
+   * @method _createSwatch - Creates a preview of a two-coloured piece.
+   * @param {Array<string>} colors - The colours of the two triangles.
+   * @returns {HTMLElement} - The swatch element.
+   */
+  _createSwatch([first, second]) {
+    const swatch = document.createElement('span');
+    swatch.className =
+      'inline-block w-4 h-4 rounded-sm border border-gray-500 align-middle';
+    swatch.style.background = `linear-gradient(135deg, ${first} 50%, ${second} 50%)`;
+    return swatch;
+  }
+
+  /**
+   * @method _setColors - Selects the colours of the pieces to place.
+   * @param {Array<string>} colors - The colours of the two triangles.
+   */
+  _setColors(colors) {
+    this.colors = [...colors];
+    this.colorInputs.forEach((input, index) => {
+      input.value = this.colors[index];
+    });
+    if (this.swatchElement) {
+      this.swatchElement.replaceChildren(this._createSwatch(this.colors));
+    }
+  }
+
+  /**
+   * @method _renderPalette - Lists the colours and piece types (colour pairs) used by the design, next to the defaults.
+   * @param {Map<number, Array<string>>} pieces - The pieces of the design.
+   */
+  _renderPalette(pieces) {
+    const used = Array.from(pieces.values());
+    if (this.colorListElement) {
+      const colors = new Set([...DEFAULT_COLORS, ...used.flat()]);
+      this.colorListElement.replaceChildren(
+        ...Array.from(colors, (color) => {
+          const option = document.createElement('option');
+          option.value = color;
+          return option;
+        }),
+      );
+    }
+    if (!this.piecesElement) return;
+
+    const types = new Map(used.map((colors) => [colors.join('/'), colors]));
+    this.piecesElement.replaceChildren(
+      ...Array.from(types.values(), (colors) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'p-0.5 rounded hover:bg-gray-600';
+        button.title = colors.join(' / ');
+        button.dataset.colors = JSON.stringify(colors);
+        button.appendChild(this._createSwatch(colors));
+        return button;
+      }),
+    );
+  }
+
+  /**
+   * @method _setStatus - Shows a hint or the result of the last edit.
+   * @param {string} text - The text to show.
+   */
+  _setStatus(text) {
+    if (this.statusElement) this.statusElement.textContent = text;
+  }
+
+  /**
+   * @method setTool - Selects the tool used by clicks on cells.
+   * @param {string} tool - "place", "move", or "remove".
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.selectedIndex = null;
+    this.toolButtons.forEach((button) => {
+      const isActive = button.dataset.designTool === tool;
+      button.classList.remove(
+        ...TOOL_BUTTON_ACTIVE_CLASSES,
+        ...TOOL_BUTTON_INACTIVE_CLASSES,
+      );
+      button.classList.add(
+        ...(isActive
+          ? TOOL_BUTTON_ACTIVE_CLASSES
+          : TOOL_BUTTON_INACTIVE_CLASSES),
+      );
+    });
+    this._setStatus(TOOL_HINTS[tool] || '');
+  }
+
+  /**
+   * @method load - Reads the design region of a file into the palette.
+   * @param {string} code - The file content.
+   * @returns {Object | null} - The parsed region, or null if the file has none.
+   * @throws {Error} - If the region is malformed.
+   */
+  load(code) {
+    const region = parseRegion(code);
+    this.selectedIndex = null;
+    this._renderPalette(region ? region.pieces : new Map());
+    this._setStatus(
+      region && region.unrecognized.length > 0
+        ? `${region.unrecognized.length} line(s) of the design region are not piece placements and are kept as written.`
+        : TOOL_HINTS[this.tool],
+    );
+    return region;
+  }
+
+  /**
+   * @method handleCellClick - Applies the selected tool to a cell. The design region of the code is read first, so manual edits are kept.
+   * @param {number} index - The clicked cell index.
+   * @param {string} code - The current file content.
+   * @returns {Object | null} - The edit ({ code, changes }), where changes lists the cells to update on the canvas
+   * ({ index, colors }, null colors for an empty cell), or null if nothing changed.
+   * @throws {Error} - If the file has no design region or it is malformed.
+   */
+  handleCellClick(index, code) {
+    const region = parseRegion(code);
+    if (!region) {
+      throw new Error('The design region was removed from the code.');
+    }
+    const pieces = new Map(region.pieces);
+    const changes = [];
+
+    if (this.tool === 'place') {
+      pieces.set(index, [...this.colors]);
+      changes.push({ index, colors: [...this.colors] });
+      this._setStatus(`Placed ${this.colors.join(' / ')} on cell ${index}.`);
+    } else if (this.tool === 'remove') {
+      if (!pieces.has(index)) {
+        this._setStatus(`Cell ${index} has no piece from the design region.`);
+        return null;
+      }
+      pieces.delete(index);
+      changes.push({ index, colors: null });
+      this._setStatus(`Removed the piece on cell ${index}.`);
+    } else if (this.tool === 'move') {
+      if (this.selectedIndex === null || pieces.has(index)) {
+        // Picking up a piece (or another one)
+        if (!pieces.has(index)) {
+          this._setStatus(`Cell ${index} has no piece from the design region.`);
+          return null;
+        }
+        this.selectedIndex = index;
+        this._setStatus(
+          `Moving the piece on cell ${index}: click an empty cell.`,
+        );
+        return null;
+      }
+      if (!pieces.has(this.selectedIndex)) {
+        this.selectedIndex = null; // Removed in the code meanwhile
+        this._setStatus(TOOL_HINTS.move);
+        return null;
+      }
+      const colors = pieces.get(this.selectedIndex);
+      pieces.delete(this.selectedIndex);
+      pieces.set(index, colors);
+      changes.push(
+        { index: this.selectedIndex, colors: null },
+        { index, colors },
+      );
+      this._setStatus(
+        `Moved the piece on cell ${this.selectedIndex} to ${index}.`,
+      );
+      this.selectedIndex = null;
+    }
+
+    const lines = code.split('\n');
+    lines.splice(
+      region.startLine + 1,
+      region.endLine - region.startLine - 1,
+      ...formatRegionBody(region, pieces),
+    );
+    this._renderPalette(pieces);
+    return { code: lines.join('\n'), changes };
+  }
+
+  /**
+   * @method show - Shows or hides the bar.
+   * @param {boolean} visible - Whether the bar should be visible.
+   */
+  show(visible) {
+    this.barElement.classList.toggle('hidden', !visible);
+    this.barElement.classList.toggle('flex', visible);
+  }
+
+  /**
+   * @method isVisible - Checks whether Design mode is on.
+   * @returns {boolean} - True if the bar is visible.
+   */
+  isVisible() {
+    return !this.barElement.classList.contains('hidden');
+  }
+}
+
+module.exports = BoardDesigner;
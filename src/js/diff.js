@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Diff Module
+ * @description This module shows a read-only, side-by-side Monaco diff of two versions of a file.
+ */
+
+const monaco = require('monaco-editor');
+
+// No theme: Monaco themes are global, so the diff follows the code editor
+const DEFAULT_DIFF_OPTIONS = {
+  automaticLayout: true,
+  readOnly: true,
+  originalEditable: false,
+  renderSideBySide: true,
+  minimap: {
+    enabled: false,
+  },
+};
+
+/**
+ * @class DiffView - Compares two texts in a Monaco diff editor.
+ */
+class DiffView {
+  /**
+   * @constructor
+   * @param {HTMLElement} diffElement - The HTML element for the diff editor.
+   * @param {Object} [options] - Optional parameters for the diff editor.
+   */
+  constructor(diffElement, options = {}) {
+    this.diffElement = diffElement;
+    this.options = { ...DEFAULT_DIFF_OPTIONS, ...options };
+    this.language = options.language || 'javascript';
+    this.diffEditor = null;
+    this.models = [];
+  }
+
+  /**
+   * @method _disposeModels - Disposes the models of the previous comparison.
+   */
+  _disposeModels() {
+    this.models.forEach((model) => model.dispose());
+    this.models = [];
+  }
+
+  /**
+   * @method show - Shows the differences between two texts.
+   * @param {string} original - The older text (left side).
+   * @param {string} modified - The newer text (right side).
+   */
+  show(original, modified) {
+    if (!this.diffEditor) {
+      this.diffEditor = monaco.editor.createDiffEditor(
+        this.diffElement,
+        this.options,
+      );
+    }
+
+    const originalModel = monaco.editor.createModel(original, this.language);
+    const modifiedModel = monaco.editor.createModel(modified, this.language);
+    this.diffEditor.setModel({
+      original: originalModel,
+      modified: modifiedModel,
+    });
+    this._disposeModels();
+    this.models = [originalModel, modifiedModel];
+  }
+
+  /**
+   * @method dispose - Removes the diff editor and its models.
+   */
+  dispose() {
+    if (this.diffEditor) {
+      this.diffEditor.dispose();
+      this.diffEditor = null;
+    }
+    this._disposeModels();
+  }
+}
+
+module.exports = DiffView;
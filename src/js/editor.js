@@ -14,6 +14,21 @@ const DEFAULT_EDITOR_OPTIONS = {
   },
 };
 
+// Completions and hover info come from the registered declarations; plain JavaScript is not type-checked
+const JAVASCRIPT_COMPILER_OPTIONS = {
+  target: monaco.languages.typescript.ScriptTarget.ESNext,
+  allowNonTsExtensions: true,
+  allowJs: true,
+};
+
+// KeyboardEvent codes whose Monaco key code has a different name
+const MONACO_KEY_NAMES = {
+  ArrowUp: 'UpArrow',
+  ArrowDown: 'DownArrow',
+  ArrowLeft: 'LeftArrow',
+  ArrowRight: 'RightArrow',
+};
+
 /**
  * @class Editor - Handles the editor functionalities of the application.
  */
@@ -28,9 +43,31 @@ class Editor {
     this.options = { ...DEFAULT_EDITOR_OPTIONS, ...options };
     this.editorInstance = null;
     this.contentChangeCallbacks = [];
+    this.modelChangeCallbacks = [];
+    this.defaultModel = null;
+    this.fileModels = new Map(); // Project file path -> model
+    this.documents = new Map(); // Document ID -> { defaultModel, fileModels, activeModel, viewState }
+    this.activeDocumentId = null;
+    this._configureLanguage();
     this._createEditor();
   }
 
+  /**
+   * @method _configureLanguage - Enables type-aware completions for JavaScript.
+   */
+  _configureLanguage() {
+    const defaults = monaco.languages.typescript.javascriptDefaults;
+    defaults.setCompilerOptions({
+      ...defaults.getCompilerOptions(),
+      ...JAVASCRIPT_COMPILER_OPTIONS,
+    });
+    defaults.setDiagnosticsOptions({
+      noSemanticValidation: false,
+      noSyntaxValidation: false,
+    });
+    defaults.setEagerModelSync(true); // Lets project files resolve each other's imports
+  }
+
   /**
    * @method _createEditor - Creates the Monaco Editor instance.
    */
@@ -39,6 +76,7 @@ class Editor {
       this.editorElement,
       this.options,
     );
+    this.defaultModel = this.editorInstance.getModel();
 
     this.editorInstance.onDidChangeModelContent((event) => {
       const currentContent = this.getContent();
@@ -48,6 +86,18 @@ class Editor {
         }
       });
     });
+    this.editorInstance.onDidChangeModel(() => {
+      this.modelChangeCallbacks.forEach((callback) => callback());
+    });
+  }
+
+  /**
+   * @method setOptions - Changes options of the editor (e.g. theme, fontSize, or minimap) while it is open.
+   * @param {Object} options - The Monaco editor options to change. The theme applies to every Monaco editor of the page.
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    this.editorInstance.updateOptions(options);
   }
 
   /**
@@ -60,6 +110,320 @@ class Editor {
     }
   }
 
+  /**
+   * @method onModelChange - Registers a callback to be called when another file is shown in the editor.
+   * @param {Function} callback - The callback function.
+   */
+  onModelChange(callback) {
+    if (typeof callback === 'function') {
+      this.modelChangeCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * @method addAction - Adds an action to the editor, listed in its command palette and run by its shortcut while the editor has focus.
+   * @param {Object} action - The action.
+   * @param {string} action.id - The unique action ID.
+   * @param {string} action.label - The label shown in the command palette.
+   * @param {Object|null} action.keybinding - The shortcut ({ ctrl, alt, shift, code }), where ctrl is Cmd on macOS and code is a KeyboardEvent code.
+   * @param {Function} action.run - Runs the action.
+   * @returns {Object} - A disposable that removes the action.
+   */
+  addAction({ id, label, keybinding, run }) {
+    const keybindings = [];
+    const keyCode = keybinding
+      ? monaco.KeyCode[MONACO_KEY_NAMES[keybinding.code] || keybinding.code]
+      : undefined;
+    if (keyCode !== undefined) {
+      keybindings.push(
+        (keybinding.ctrl ? monaco.KeyMod.CtrlCmd : 0) |
+          (keybinding.alt ? monaco.KeyMod.Alt : 0) |
+          (keybinding.shift ? monaco.KeyMod.Shift : 0) |
+          keyCode,
+      );
+    }
+    return this.editorInstance.addAction({
+      id,
+      label,
+      keybindings,
+      run: () => run(),
+    });
+  }
+
+  /**
+   * @method openCommandPalette - Focuses the editor and opens its command palette.
+   */
+  openCommandPalette() {
+    this.editorInstance.focus();
+    this.editorInstance.trigger('keyboard', 'editor.action.quickCommand', null);
+  }
+
+  /**
+   * @method hasFocus - Checks whether the editor (or one of its widgets) has the keyboard focus.
+   * @returns {boolean} - True if key presses go to the editor.
+   */
+  hasFocus() {
+    return this.editorElement.contains(document.activeElement);
+  }
+
+  /**
+   * @method setExtraLibs - Replaces the type declarations available to the editor.
+   * @param {Array<{content: string, filePath: string}>} libs - The declaration files to register.
+   */
+  setExtraLibs(libs) {
+    monaco.languages.typescript.javascriptDefaults.setExtraLibs(libs);
+  }
+
+  /**
+   * @method openDocument - Shows a document (e.g. the file of an editor tab), creating it if needed.
+   * Every document has its own models, undo history, and scroll position; the file methods below act on the one shown.
+   * @param {string|number} id - The document ID.
+   * @param {string} [content=''] - The content of a new document.
+   */
+  openDocument(id, content = '') {
+    if (id === this.activeDocumentId) return;
+    const previous = this.documents.get(this.activeDocumentId);
+    if (previous) {
+      previous.activeModel = this.editorInstance.getModel();
+      previous.viewState = this.editorInstance.saveViewState();
+    }
+
+    let state = this.documents.get(id);
+    if (!state) {
+      const defaultModel = monaco.editor.createModel(
+        content,
+        this.options.language,
+      );
+      state = {
+        defaultModel,
+        fileModels: new Map(),
+        activeModel: defaultModel,
+        viewState: null,
+      };
+      this.documents.set(id, state);
+    }
+
+    this.activeDocumentId = id;
+    this.defaultModel = state.defaultModel;
+    this.fileModels = state.fileModels;
+    this.editorInstance.setModel(state.activeModel);
+    if (state.viewState) this.editorInstance.restoreViewState(state.viewState);
+  }
+
+  /**
+   * @method closeDocument - Disposes of the models of a document. Another document should be shown first.
+   * @param {string|number} id - The document ID.
+   */
+  closeDocument(id) {
+    const state = this.documents.get(id);
+    if (!state) return;
+    if (id === this.activeDocumentId) {
+      this.editorInstance.setModel(null);
+      this.activeDocumentId = null;
+    }
+    state.fileModels.forEach((model) => model.dispose());
+    state.defaultModel.dispose();
+    this.documents.delete(id);
+  }
+
+  /**
+   * @method getDocumentContent - Gets the content of a document that is not a project, even while it is not shown.
+   * @param {string|number} id - The document ID.
+   * @returns {string} - The content, or an empty string if the document does not exist.
+   */
+  getDocumentContent(id) {
+    const state = this.documents.get(id);
+    return state ? state.defaultModel.getValue() : '';
+  }
+
+  /**
+   * @method getDocumentFiles - Gets the contents of the project files of a document, even while it is not shown.
+   * @param {string|number} id - The document ID.
+   * @returns {Object<string, string>} - The file contents, keyed by path.
+   */
+  getDocumentFiles(id) {
+    const files = {};
+    const state = this.documents.get(id);
+    if (state) {
+      state.fileModels.forEach((model, path) => {
+        files[path] = model.getValue();
+      });
+    }
+    return files;
+  }
+
+  /**
+   * @method _createFileModel - Creates the model of a project file.
+   * Its URI is prefixed with the document ID, so several open projects can have files of the same name.
+   * @param {string} path - The project file path.
+   * @param {string} content - The file content.
+   * @returns {Object} - The Monaco model.
+   */
+  _createFileModel(path, content) {
+    const model = monaco.editor.createModel(
+      content,
+      this.options.language,
+      monaco.Uri.file(`/${this.activeDocumentId ?? 'default'}/${path}`),
+    );
+    this.fileModels.set(path, model);
+    return model;
+  }
+
+  /**
+   * @method setFiles - Replaces the open project files with one model per file.
+   * @param {Object<string, string>} files - The file contents, keyed by path.
+   */
+  setFiles(files) {
+    this.clearFiles();
+    Object.entries(files).forEach(([path, content]) => {
+      this._createFileModel(path, content);
+    });
+  }
+
+  /**
+   * @method addFile - Adds a project file.
+   * @param {string} path - The file path.
+   * @param {string} [content=''] - The file content.
+   */
+  addFile(path, content = '') {
+    if (!this.fileModels.has(path)) {
+      this._createFileModel(path, content);
+    }
+  }
+
+  /**
+   * @method renameFile - Moves a project file to a new path, keeping it open if it was active.
+   * @param {string} from - The current path.
+   * @param {string} to - The new path.
+   */
+  renameFile(from, to) {
+    const model = this.fileModels.get(from);
+    if (!model) return;
+    const wasActive = this.editorInstance.getModel() === model;
+    this._createFileModel(to, model.getValue());
+    if (wasActive) this.openFile(to);
+    this.removeFile(from);
+  }
+
+  /**
+   * @method removeFile - Removes a project file. The default model is shown if it was active.
+   * @param {string} path - The file path.
+   */
+  removeFile(path) {
+    const model = this.fileModels.get(path);
+    if (!model) return;
+    if (this.editorInstance.getModel() === model) {
+      this.editorInstance.setModel(this.defaultModel);
+    }
+    this.fileModels.delete(path);
+    model.dispose();
+  }
+
+  /**
+   * @method openFile - Shows a project file in the editor.
+   * @param {string} path - The file path.
+   * @returns {boolean} - True if the file exists.
+   */
+  openFile(path) {
+    const model = this.fileModels.get(path);
+    if (!model) return false;
+    this.editorInstance.setModel(model);
+    return true;
+  }
+
+  /**
+   * @method getActiveFile - Gets the path of the project file shown in the editor.
+   * @returns {string | null} - The path, or null when no project file is shown.
+   */
+  getActiveFile() {
+    const activeModel = this.editorInstance.getModel();
+    const entry = Array.from(this.fileModels.entries()).find(
+      ([, model]) => model === activeModel,
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * @method getFiles - Gets the contents of all project files.
+   * @returns {Object<string, string>} - The file contents, keyed by path.
+   */
+  getFiles() {
+    const files = {};
+    this.fileModels.forEach((model, path) => {
+      files[path] = model.getValue();
+    });
+    return files;
+  }
+
+  /**
+   * @method clearFiles - Closes all project files and shows the default model again.
+   */
+  clearFiles() {
+    this.editorInstance.setModel(this.defaultModel);
+    this.fileModels.forEach((model) => model.dispose());
+    this.fileModels.clear();
+  }
+
+  /**
+   * @method revealPosition - Moves the cursor to a position, scrolls it into view, and focuses the editor.
+   * @param {number} line - The line number (1-based).
+   * @param {number} [column] - The column number (1-based).
+   */
+  revealPosition(line, column = 1) {
+    if (!this.editorInstance) return;
+    const position = { lineNumber: line, column };
+    this.editorInstance.setPosition(position);
+    this.editorInstance.revealPositionInCenter(position);
+    this.editorInstance.focus();
+  }
+
+  /**
+   * @method getCursorOffset - Gets the cursor position as a character offset.
+   * @returns {number} - The offset in the content.
+   */
+  getCursorOffset() {
+    const model = this.editorInstance.getModel();
+    const position = this.editorInstance.getPosition();
+    return model && position ? model.getOffsetAt(position) : 0;
+  }
+
+  /**
+   * @method setCursorOffset - Moves the cursor to a character offset.
+   * @param {number} offset - The offset in the content.
+   */
+  setCursorOffset(offset) {
+    const model = this.editorInstance.getModel();
+    if (model) this.editorInstance.setPosition(model.getPositionAt(offset));
+  }
+
+  /**
+   * @method setMarkers - Replaces the markers (squiggles) of one source on the open file.
+   * @param {string} owner - The source of the markers (e.g. "eslint").
+   * @param {Array<Object>} problems - The problems ({ severity, message, line, column, endLine, endColumn, ruleId }),
+   * where severity is "error" or "warning".
+   */
+  setMarkers(owner, problems) {
+    const model = this.editorInstance.getModel();
+    if (!model) return;
+    monaco.editor.setModelMarkers(
+      model,
+      owner,
+      problems.map((problem) => ({
+        severity:
+          problem.severity === 'error'
+            ? monaco.MarkerSeverity.Error
+            : monaco.MarkerSeverity.Warning,
+        message: problem.message,
+        source: owner,
+        code: problem.ruleId || undefined,
+        startLineNumber: problem.line,
+        startColumn: problem.column,
+        endLineNumber: problem.endLine,
+        endColumn: problem.endColumn,
+      })),
+    );
+  }
+
   /**
    * @method setContent - Sets the content of the editor.
    * @param {string} content - The content to set in the editor.
@@ -76,6 +440,45 @@ class Editor {
     }
   }
 
+  /**
+   * @method replaceContent - Replaces the content as one undoable edit that only touches the changed part.
+   * Unlike setContent, the undo history and the cursor outside of the change are kept.
+   * @param {string} code - The new content.
+   */
+  replaceContent(code) {
+    const model = this.editorInstance && this.editorInstance.getModel();
+    if (!model) return;
+    const current = model.getValue();
+    if (current === code) return;
+
+    let prefix = 0;
+    const maxLength = Math.min(current.length, code.length);
+    while (prefix < maxLength && current[prefix] === code[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < maxLength - prefix &&
+      current[current.length - 1 - suffix] === code[code.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const start = model.getPositionAt(prefix);
+    const end = model.getPositionAt(current.length - suffix);
+    this.editorInstance.pushUndoStop();
+    this.editorInstance.executeEdits('replace-content', [
+      {
+        range: new monaco.Range(
+          start.lineNumber,
+          start.column,
+          end.lineNumber,
+          end.column,
+        ),
+        text: code.slice(prefix, code.length - suffix),
+      },
+    ]);
+    this.editorInstance.pushUndoStop();
+  }
+
   /**
    * @method getContent - Gets the current content of the editor.
    * @returns {string} - The current content of the editor.
@@ -87,6 +490,31 @@ class Editor {
     }
     return '';
   }
+
+  /**
+   * @method getSyntaxErrors - Parses the open file with the JavaScript language service (types are not checked).
+   * @returns {Promise<Array<Object>>} - The syntax errors ({ message, line, column }), empty if the code parses.
+   */
+  async getSyntaxErrors() {
+    const model = this.editorInstance.getModel();
+    if (!model) return [];
+    const getWorker = await monaco.languages.typescript.getJavaScriptWorker();
+    const worker = await getWorker(model.uri);
+    const diagnostics = await worker.getSyntacticDiagnostics(
+      model.uri.toString(),
+    );
+    return diagnostics.map(({ messageText, start = 0 }) => {
+      const position = model.getPositionAt(start);
+      return {
+        message:
+          typeof messageText === 'string'
+            ? messageText
+            : messageText.messageText,
+        line: position.lineNumber,
+        column: position.column,
+      };
+    });
+  }
 }
 
 module.exports = Editor;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Format Module
+ * @description This module formats the code written in the IDE with Prettier.
+ */
+
+const prettier = require('prettier/standalone');
+const babelPlugin = require('prettier/plugins/babel');
+const estreePlugin = require('prettier/plugins/estree');
+
+// Same style as the IDE's own sources
+const FORMAT_OPTIONS = {
+  parser: 'babel',
+  plugins: [babelPlugin, estreePlugin],
+  semi: true,
+  singleQuote: true,
+  tabWidth: 2,
+};
+
+/**
+ * @function formatCode - Formats code and tracks where the cursor ends up.
+ * @param {string} code - The code.
+ * @param {number} [cursorOffset=0] - The cursor position in the code.
+ * @returns {Promise<Object>} - { code, cursorOffset } with the formatted code and the new cursor position.
+ * @throws {Error} - If the code does not parse. The message is the first line of Prettier's error, without the code frame.
+ */
+async function formatCode(code, cursorOffset = 0) {
+  try {
+    const result = await prettier.formatWithCursor(code, {
+      ...FORMAT_OPTIONS,
+      cursorOffset,
+    });
+    return { code: result.formatted, cursorOffset: result.cursorOffset };
+  } catch (error) {
+    throw new Error(error.message.split('\n')[0]);
+  }
+}
+
+module.exports = { formatCode };
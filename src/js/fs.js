@@ -1,25 +1,254 @@
 /**
  * @fileoverview File System Module
- * @description This module provides file system utilities for the application using localStorage.
+ * @description This module provides file system utilities for the application on top of a pluggable storage backend.
  */
 
+const {
+  LocalStorageBackend,
+  IndexedDBBackend,
+  MemoryBackend,
+} = require('./storage');
+const SyncChannel = require('./sync');
+
 const UNIQUE_ID_BASE = 36;
 const UNIQUE_ID_START_INDEX = 2;
 const UNIQUE_ID_LENGTH = 9;
 
+const FILE_TYPE = 'file';
+const PROJECT_TYPE = 'project';
+const EXPORT_TYPE = 'export'; // Images and videos exported from the canvas, kept next to their file
+const DRAFT_TYPE = 'draft'; // Journaled editor buffers, recovered after a reload or a crash
+
+const REVISIONS_STORE_NAME = 'revisions'; // Where the revision histories are kept, one record per file
+const EXPORTS_STORE_NAME = 'exports'; // Where the data of the exports is kept, apart from their summary
+const MAX_REVISIONS = 50; // Oldest revisions are dropped beyond this
+const AUTOSAVE_CHECKPOINT_INTERVAL = 300000; // 5 minutes between autosave revisions
+const SESSION_PING_TIMEOUT = 250; // Milliseconds the other open tabs have to answer a ping
+const KEPT_REVISIONS = 1; // Revisions left by trimRevisions unless told otherwise
+
 /**
- * @class FileSystem - Supports file system operations such as reading and writing files using localStorage.
+ * @function measureSize - Estimates the space a record takes, as the UTF-8 length of its JSON.
+ * @param {*} value - The record.
+ * @returns {number} - The size in bytes.
+ */
+function measureSize(value) {
+  return new Blob([JSON.stringify(value ?? null)]).size;
+}
+
+/**
+ * @class FileSystem - Supports file system operations such as reading and writing files through a storage backend.
  */
 class FileSystem {
   /**
    * @constructor
-   * @param {string} [storageName='IDEStorage'] - The namespace prefix for localStorage keys.
+   * @param {string} [storageName='IDEStorage'] - The storage namespace (localStorage key prefix, IndexedDB database name).
+   * @param {Object} [options] - Optional parameters for the file system.
+   * @param {Object} [options.backend] - The storage backend (see storage.js). Defaults to IndexedDB, falling back to localStorage and then memory.
+   * @param {Object} [options.revisionBackend] - The storage backend of the revision histories. Defaults to one next to the default backend, or to memory when options.backend is given.
+   * @param {Object} [options.exportBackend] - The storage backend of the export data, defaulting like options.revisionBackend.
+   * @param {SyncChannel | null} [options.channel] - The channel telling the other tabs about changes. Defaults to one named after the storage; null disables it.
    */
-  constructor(storageName = 'IDEStorage') {
+  constructor(storageName = 'IDEStorage', options = {}) {
     if (!storageName) {
       throw new Error('Storage name cannot be empty.');
     }
-    this.storageKeyPrefix = storageName + '_'; // Ensure separator
+    this.storageName = storageName;
+    this.backend = options.backend || null;
+    // Histories are kept apart from the files, so saving a file does not rewrite its revisions
+    this.revisionBackend =
+      options.revisionBackend || (options.backend ? new MemoryBackend() : null);
+    // Export data is large, so listing the files never reads it
+    this.exportBackend =
+      options.exportBackend || (options.backend ? new MemoryBackend() : null);
+    this.channel =
+      options.channel !== undefined
+        ? options.channel
+        : new SyncChannel(`${storageName}Changes`);
+    this.changeListeners = [];
+    this.sessionId = this._generateUniqueId(); // Identifies this page load, whose drafts are not recovered while it is open
+    this.sessionQueries = new Set(); // Sets collecting the sessions that answer a ping
+    if (this.channel) {
+      this.channel.onMessage((message) => this._handleMessage(message));
+    }
+    this.readyPromise = this._initialize(!options.backend);
+  }
+
+  /**
+   * @method _initialize - Opens the default backend and moves entries left in localStorage by older versions into it.
+   * @param {boolean} useDefaultBackend - Whether to pick the backend (true) or keep the one passed in.
+   */
+  async _initialize(useDefaultBackend) {
+    if (!useDefaultBackend) return;
+
+    if (IndexedDBBackend.isAvailable()) {
+      const indexedDBBackend = new IndexedDBBackend(this.storageName);
+      const revisionBackend = new IndexedDBBackend(
+        this.storageName,
+        REVISIONS_STORE_NAME,
+      );
+      const exportBackend = new IndexedDBBackend(
+        this.storageName,
+        EXPORTS_STORE_NAME,
+      );
+      try {
+        await indexedDBBackend.open();
+        await revisionBackend.open();
+        await exportBackend.open();
+        this.backend = indexedDBBackend;
+        this.revisionBackend = revisionBackend;
+        this.exportBackend = exportBackend;
+        await this._migrateFromLocalStorage();
+        return;
+      } catch (e) {
+        console.warn('IndexedDB is unavailable, using localStorage:', e);
+      }
+    }
+
+    if (LocalStorageBackend.isAvailable()) {
+      this.backend = new LocalStorageBackend(this.storageName);
+      this.revisionBackend = new LocalStorageBackend(
+        this._getNamespace(REVISIONS_STORE_NAME),
+      );
+      this.exportBackend = new LocalStorageBackend(
+        this._getNamespace(EXPORTS_STORE_NAME),
+      );
+    } else {
+      console.warn(
+        'No persistent storage available. Files are kept in memory.',
+      );
+      this.backend = new MemoryBackend();
+      this.revisionBackend = new MemoryBackend();
+      this.exportBackend = new MemoryBackend();
+    }
+  }
+
+  /**
+   * @method _getNamespace - Gets the localStorage namespace of a store next to the files.
+   * @param {string} storeName - The store name (e.g. 'revisions').
+   * @returns {string} - The namespace, which does not overlap the one of the files.
+   */
+  _getNamespace(storeName) {
+    return `${this.storageName}-${storeName}`;
+  }
+
+  /**
+   * @method _migrateFromLocalStorage - Copies the localStorage entries of this namespace (files, revisions, and export data) into the current backends, then removes them.
+   */
+  async _migrateFromLocalStorage() {
+    if (!LocalStorageBackend.isAvailable()) return;
+
+    await this._migrateBackend(
+      new LocalStorageBackend(this.storageName),
+      this.backend,
+    );
+    await this._migrateBackend(
+      new LocalStorageBackend(this._getNamespace(REVISIONS_STORE_NAME)),
+      this.revisionBackend,
+    );
+    await this._migrateBackend(
+      new LocalStorageBackend(this._getNamespace(EXPORTS_STORE_NAME)),
+      this.exportBackend,
+    );
+  }
+
+  /**
+   * @method _migrateBackend - Copies the records of a localStorage backend into another backend, then removes them.
+   * Records that already exist in the target are not overwritten, so an interrupted migration can safely run again.
+   * @param {LocalStorageBackend} legacyBackend - The backend to empty.
+   * @param {Object} backend - The backend to copy into.
+   */
+  async _migrateBackend(legacyBackend, backend) {
+    const legacyEntries = await legacyBackend.entries();
+    if (legacyEntries.length === 0) return;
+
+    let migratedCount = 0;
+    for (const [fileId, fileData] of legacyEntries) {
+      try {
+        if ((await backend.get(fileId)) === null) {
+          await backend.set(fileId, fileData);
+        }
+        await legacyBackend.delete(fileId);
+        migratedCount++;
+      } catch (e) {
+        console.error(`Failed to migrate record "${fileId}": ${e.message}`);
+      }
+    }
+    console.info(
+      `Migrated ${migratedCount} of ${legacyEntries.length} record(s) from localStorage.`,
+    );
+  }
+
+  /**
+   * @method ready - Waits until the backend is open and any migration has finished.
+   * @returns {Promise<void>} - Resolves when the file system can be used.
+   */
+  ready() {
+    return this.readyPromise;
+  }
+
+  /**
+   * @method onChange - Registers a callback called after the stored files change, in this tab or another one.
+   * @param {Function} callback - Called with ({ type, fileId, updatedAt, isRemote }), where type is 'update', 'delete', or 'clear', fileId is null when several exports were deleted at once, and isRemote is true for changes made by another tab.
+   */
+  onChange(callback) {
+    if (typeof callback === 'function') {
+      this.changeListeners.push(callback);
+    }
+  }
+
+  /**
+   * @method _handleMessage - Handles a message from another tab: answers pings, and reports changes to the listeners.
+   * @param {Object} message - The message.
+   */
+  _handleMessage(message) {
+    if (message.type === 'ping') {
+      this.channel.post({ type: 'pong', sessionId: this.sessionId });
+    } else if (message.type === 'pong') {
+      this.sessionQueries.forEach((sessions) =>
+        sessions.add(message.sessionId),
+      );
+    } else {
+      this._dispatchChange({ ...message, isRemote: true });
+    }
+  }
+
+  /**
+   * @method _findOpenSessions - Finds the sessions of the tabs that are open, by pinging them.
+   * @returns {Promise<Set<string>>} - The session IDs, including this one.
+   */
+  async _findOpenSessions() {
+    const sessions = new Set([this.sessionId]);
+    if (!this.channel) return sessions;
+    this.sessionQueries.add(sessions);
+    this.channel.post({ type: 'ping' });
+    await new Promise((resolve) => setTimeout(resolve, SESSION_PING_TIMEOUT));
+    this.sessionQueries.delete(sessions);
+    return sessions;
+  }
+
+  /**
+   * @method _dispatchChange - Calls the change listeners.
+   * @param {Object} change - The change ({ type, fileId, updatedAt, isRemote }).
+   */
+  _dispatchChange(change) {
+    this.changeListeners.forEach((listener) => {
+      try {
+        listener(change);
+      } catch (e) {
+        console.error('File change listener failed:', e);
+      }
+    });
+  }
+
+  /**
+   * @method _notify - Reports a change made by this tab to the listeners here and in the other tabs.
+   * @param {Object} change - The change ({ type, fileId, updatedAt }).
+   */
+  _notify(change) {
+    if (this.channel) {
+      this.channel.post(change);
+    }
+    this._dispatchChange({ ...change, isRemote: false });
   }
 
   /**
@@ -37,65 +266,194 @@ class FileSystem {
   }
 
   /**
-   * @method _getStorageKey - Constructs the localStorage key for a given file ID.
+   * @method _validateId - Ensures a file ID is not empty.
    * @param {string} fileId - The unique identifier for the file.
-   * @returns {string} - The storage key for the file.
+   * @throws {Error} - If the ID is empty.
    */
-  _getStorageKey(fileId) {
+  _validateId(fileId) {
     if (!fileId) {
       throw new Error('File ID cannot be empty.');
     }
-    return `${this.storageKeyPrefix}${fileId}`;
   }
 
   /**
-   * @method _safeSetItem - Safely sets an item in localStorage, handling potential quota errors.
-   * @param {string} key - The key to set.
-   * @param {string} value - The value to set.
-   * @throws {Error} - If localStorage quota is exceeded or another storage error occurs.
+   * @method _guardWrite - Runs a backend write, turning its errors into ones the UI can tell apart.
+   * @param {Function} write - Performs the write and returns its promise.
+   * @returns {Promise<*>} - What the write resolves to.
+   * @throws {Error} - A QuotaExceededError if the storage is full, or an Error if another storage error occurs.
    */
-  _safeSetItem(key, value) {
+  async _guardWrite(write) {
     try {
-      localStorage.setItem(key, value);
+      return await write();
     } catch (e) {
-      if (e.name === 'QuotaExceededError') {
-        throw new Error(
+      if (
+        e.name === 'QuotaExceededError' ||
+        e.name === 'NS_ERROR_DOM_QUOTA_REACHED' // Older Firefox
+      ) {
+        const error = new Error(
           'Storage quota exceeded. Unable to save file. Please free up space.',
         );
+        error.name = 'QuotaExceededError';
+        throw error;
       } else {
-        throw new Error(`Failed to save file to localStorage: ${e.message}`);
+        throw new Error(`Failed to save file to storage: ${e.message}`);
       }
     }
   }
 
   /**
-   * @method _safeParseJson - Safely parses a JSON string, handling potential syntax errors.
-   * @param {string | null} jsonString - The JSON string to parse.
-   * @param {string} contextId - An identifier (like fileId) for error context.
-   * @returns {Object | null} - The parsed object, or null if input is null/undefined or parsing fails.
-   * @throws {Error} - If JSON parsing fails for non-null input.
+   * @method _safeSetItem - Safely writes a record to the backend, handling potential quota errors.
+   * @param {string} fileId - The unique identifier for the file.
+   * @param {Object} fileData - The record to write.
+   * @param {Object} [options] - Optional parameters for the write.
+   * @param {boolean} [options.silent] - Does not report the change to the listeners and the other tabs.
+   * @throws {Error} - A QuotaExceededError if the storage is full, or an Error if another storage error occurs.
    */
-  _safeParseJson(jsonString, contextId) {
-    if (jsonString === null) {
-      // Checks for both null and undefined
-      return null;
+  async _safeSetItem(fileId, fileData, options = {}) {
+    await this.readyPromise;
+    await this._guardWrite(() => this.backend.set(fileId, fileData));
+    if (options.silent) return;
+    this._notify({
+      type: 'update',
+      fileId,
+      updatedAt: fileData.metadata ? fileData.metadata.updatedAt : null,
+    });
+  }
+
+  /**
+   * @method _getSnapshot - Gets the part of a file or revision that revisions keep.
+   * @param {Object} data - The file data or revision.
+   * @param {string} type - The file type ('file' or 'project').
+   * @returns {Object} - { content } for files, { project: { entry, files, folders } } for projects.
+   */
+  _getSnapshot(data, type) {
+    if (type === PROJECT_TYPE) {
+      const source = data.project || data;
+      return {
+        project: {
+          entry: source.entry,
+          files: source.files,
+          folders: source.folders || [],
+        },
+      };
     }
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error(`Failed to parse JSON for ID "${contextId}": ${e.message}`);
-      throw new Error(`Corrupted data found for ID "${contextId}".`);
+    return { content: data.content };
+  }
+
+  /**
+   * @method _loadRevisions - Loads the revision history of a file, oldest first.
+   * @param {string} fileId - The unique identifier of the file.
+   * @returns {Promise<Array<Object>>} - The revisions.
+   */
+  async _loadRevisions(fileId) {
+    await this.readyPromise;
+    return (await this.revisionBackend.get(fileId)) || [];
+  }
+
+  /**
+   * @method _addRevision - Appends the current state of a file to its revision history, and sets the revisedAt of the file data (which is not saved).
+   * Nothing is added when the state equals the latest revision, or for autosaves within the checkpoint interval.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {Object} fileData - The file data.
+   * @param {string} source - What created the revision ('save', 'autosave', 'before-restore', or 'restore').
+   * @param {number} timestamp - The revision time.
+   * @returns {Promise<boolean>} - True if a revision was added.
+   * @throws {Error} - A QuotaExceededError if the storage is full.
+   */
+  async _addRevision(fileId, fileData, source, timestamp) {
+    // Most autosaves stop here, without reading the history
+    if (
+      source === 'autosave' &&
+      timestamp - (fileData.revisedAt || 0) < AUTOSAVE_CHECKPOINT_INTERVAL
+    ) {
+      return false;
     }
+
+    await this.readyPromise;
+    const type = fileData.type || FILE_TYPE;
+    const snapshot = this._getSnapshot(fileData, type);
+    let added = false;
+    await this._guardWrite(() =>
+      this.revisionBackend.update(fileId, (storedRevisions) => {
+        const revisions = storedRevisions || [];
+        const latest = revisions[revisions.length - 1];
+        if (latest) {
+          const unchanged =
+            latest.boardVersion === fileData.boardVersion &&
+            JSON.stringify(this._getSnapshot(latest, type)) ===
+              JSON.stringify(snapshot);
+          if (unchanged) return undefined;
+          if (
+            source === 'autosave' &&
+            timestamp - latest.timestamp < AUTOSAVE_CHECKPOINT_INTERVAL
+          ) {
+            return undefined;
+          }
+        }
+
+        added = true;
+        return [
+          ...revisions,
+          {
+            id: this._generateUniqueId(),
+            timestamp,
+            source,
+            boardVersion: fileData.boardVersion,
+            ...snapshot,
+          },
+        ].slice(-MAX_REVISIONS);
+      }),
+    );
+    if (added) {
+      fileData.revisedAt = timestamp;
+    }
+    return added;
   }
 
   /**
-   * @method createFile - Creates a new file entry in localStorage.
+   * @method _storeLegacyRevisions - Stores the revisions taken out of a file record of an older version, unless the file has a history already.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {Array<Object>} revisions - The revisions.
+   */
+  async _storeLegacyRevisions(fileId, revisions) {
+    await this._guardWrite(() =>
+      this.revisionBackend.update(fileId, (storedRevisions) =>
+        storedRevisions ? undefined : revisions,
+      ),
+    );
+  }
+
+  /**
+   * @method _moveRevisions - Moves the revisions that older versions kept inside a file record to the revision backend.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {Object} fileData - The stored file data, with its revisions.
+   * @returns {Promise<Object | null>} - The file data without revisions, or null if the file was deleted meanwhile.
+   */
+  async _moveRevisions(fileId, fileData) {
+    const { revisions } = fileData;
+    const latest = revisions[revisions.length - 1];
+    await this._storeLegacyRevisions(fileId, revisions);
+    // Only the revisions are removed, so a save landing meanwhile is kept
+    return this._guardWrite(() =>
+      this.backend.update(fileId, (storedData) => {
+        if (!storedData || !Array.isArray(storedData.revisions)) {
+          return undefined;
+        }
+        const movedData = { ...storedData, revisedAt: latest?.timestamp };
+        delete movedData.revisions;
+        return movedData;
+      }),
+    );
+  }
+
+  /**
+   * @method createFile - Creates a new file entry.
    * @param {string} name - The name of the file.
    * @param {string} content - The content of the file.
    * @param {number} boardVersion - The version of the board associated with the file.
-   * @returns {string} - The unique identifier of the created file.
+   * @returns {Promise<string>} - The unique identifier of the created file.
    */
-  createFile(name, content = '', boardVersion) {
+  async createFile(name, content = '', boardVersion) {
     if (!name) {
       throw new Error('File name cannot be empty.');
     }
@@ -111,34 +469,143 @@ class FileSystem {
         updatedAt: timestamp,
       },
     };
-    const key = this._getStorageKey(fileId);
-    this._safeSetItem(key, JSON.stringify(fileData));
+    await this._addRevision(fileId, fileData, 'save', timestamp);
+    await this._safeSetItem(fileId, fileData);
     return fileId;
   }
 
   /**
-   * @method updateFile - Updates an existing file in localStorage.
+   * @method createProject - Creates a new multi-file project entry.
+   * @param {string} name - The name of the project.
+   * @param {Object} project - The serialized project ({ entry, files, folders }).
+   * @param {number} boardVersion - The version of the board associated with the project.
+   * @returns {Promise<string>} - The unique identifier of the created project.
+   */
+  async createProject(name, project, boardVersion) {
+    if (!name) {
+      throw new Error('Project name cannot be empty.');
+    }
+    if (!project || typeof project.files !== 'object') {
+      throw new Error('Project files are required.');
+    }
+    const projectId = this._generateUniqueId();
+    const timestamp = Date.now();
+    const projectData = {
+      id: projectId,
+      type: PROJECT_TYPE,
+      name: name,
+      entry: project.entry,
+      files: project.files,
+      folders: project.folders || [],
+      boardVersion: boardVersion,
+      metadata: {
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      },
+    };
+    await this._addRevision(projectId, projectData, 'save', timestamp);
+    await this._safeSetItem(projectId, projectData);
+    return projectId;
+  }
+
+  /**
+   * @method updateFile - Updates an existing file or project.
    * @param {string} fileId - The unique identifier of the file to update.
    * @param {object} updates - An object containing updates.
    * @param {string} [updates.content] - The new content for the file.
    * @param {number} [updates.boardVersion] - The new board version for the file.
    * @param {string} [updates.name] - The new name for the file.
    * @param {Object} [updates.metadata] - Additional metadata keys/values to merge into existing metadata.
-   * @throws {Error} - If the file with the given ID does not exist or if data is corrupted.
+   * @param {Object} [updates.project] - The new serialized project ({ entry, files, folders }). Projects only.
+   * @param {Object} [options] - Optional parameters for the update.
+   * @param {string} [options.checkpoint] - Records a revision of the updated file: 'save' always (unless unchanged), 'autosave' at most every few minutes.
+   * @param {number} [options.expectedUpdatedAt] - The update time of the stored file the changes are based on. If the file was updated since (e.g. in another tab), nothing is written.
+   * @returns {Promise<Object>} - The updated file data.
+   * @throws {Error} - If the file with the given ID does not exist or if data is corrupted. A ConflictError if the file was updated after options.expectedUpdatedAt.
    */
-  updateFile(fileId, updates) {
-    const key = this._getStorageKey(fileId);
-    const stored = localStorage.getItem(key);
-    if (stored === null) {
-      // Explicitly check for null, as empty string is a valid value
-      throw new Error(`File with ID ${fileId} does not exist.`);
+  async updateFile(fileId, updates, options = {}) {
+    this._validateId(fileId);
+    if (updates.hasOwnProperty('name') && !updates.name) {
+      throw new Error('File name cannot be empty.');
     }
+    await this.readyPromise;
 
-    const fileData = this._safeParseJson(stored, fileId);
-    if (!fileData) {
-      throw new Error(`Could not parse data for file ID ${fileId}.`);
+    const timestamp = Date.now();
+    let failure = null; // Thrown after the update, as the backend would wrap it
+    let isWritten = false;
+    let legacyRevisions = null; // Kept inside the file by older versions
+    // The check and the write happen in one update, so two tabs saving at once cannot both pass the check
+    const fileData = await this._guardWrite(() =>
+      this.backend.update(fileId, (storedData) => {
+        if (storedData === null) {
+          failure = new Error(`File with ID ${fileId} does not exist.`);
+          return undefined;
+        }
+        if (
+          options.expectedUpdatedAt !== undefined &&
+          storedData.metadata.updatedAt !== options.expectedUpdatedAt
+        ) {
+          failure = new Error(
+            `File "${storedData.name}" was changed somewhere else.`,
+          );
+          failure.name = 'ConflictError';
+          return undefined;
+        }
+        if (
+          updates.hasOwnProperty('project') &&
+          storedData.type !== PROJECT_TYPE
+        ) {
+          failure = new Error(`File with ID ${fileId} is not a project.`);
+          return undefined;
+        }
+        const updatedData = this._applyUpdates(
+          storedData,
+          updates,
+          options,
+          timestamp,
+        );
+        if (updatedData && Array.isArray(updatedData.revisions)) {
+          legacyRevisions = updatedData.revisions;
+          delete updatedData.revisions;
+          updatedData.revisedAt =
+            legacyRevisions[legacyRevisions.length - 1]?.timestamp;
+        }
+        isWritten = Boolean(updatedData);
+        return updatedData;
+      }),
+    );
+    if (failure) throw failure;
+
+    if (isWritten) {
+      this._notify({ type: 'update', fileId, updatedAt: timestamp });
     }
+    if (legacyRevisions) {
+      await this._storeLegacyRevisions(fileId, legacyRevisions);
+    }
+    // Recorded once the file is written, so a rejected save leaves no revision behind
+    if (
+      options.checkpoint &&
+      (await this._addRevision(fileId, fileData, options.checkpoint, timestamp))
+    ) {
+      await this._guardWrite(() =>
+        this.backend.update(fileId, (storedData) =>
+          storedData ? { ...storedData, revisedAt: timestamp } : undefined,
+        ),
+      );
+    }
+    return fileData;
+  }
 
+  /**
+   * @method _applyUpdates - Applies the changes of updateFile to a copy of the stored file data.
+   * @param {Object} storedData - The stored file data.
+   * @param {Object} updates - The updates (see updateFile).
+   * @param {Object} options - The options (see updateFile).
+   * @param {number} timestamp - The update time.
+   * @returns {Object | undefined} - The new file data, or undefined if nothing changes.
+   */
+  _applyUpdates(storedData, updates, options, timestamp) {
+    const fileData = { ...storedData, metadata: { ...storedData.metadata } };
     let updated = false;
 
     if (updates.hasOwnProperty('content')) {
@@ -150,12 +617,15 @@ class FileSystem {
       updated = true;
     }
     if (updates.hasOwnProperty('name')) {
-      if (!updates.name) {
-        throw new Error('File name cannot be empty.');
-      }
       fileData.name = updates.name;
       updated = true;
     }
+    if (updates.hasOwnProperty('project')) {
+      fileData.entry = updates.project.entry;
+      fileData.files = updates.project.files;
+      fileData.folders = updates.project.folders || [];
+      updated = true;
+    }
     if (updates.metadata && typeof updates.metadata === 'object') {
       fileData.metadata = {
         ...fileData.metadata,
@@ -164,36 +634,381 @@ class FileSystem {
       updated = true; // Metadata itself was updated
     }
 
-    if (updated) {
-      fileData.metadata.updatedAt = Date.now();
-      this._safeSetItem(key, JSON.stringify(fileData));
+    if (!updated && !options.checkpoint) return undefined;
+    fileData.metadata.updatedAt = timestamp;
+    return fileData;
+  }
+
+  /**
+   * @method listRevisions - Lists the revisions of a file, newest first.
+   * @param {string} fileId - The unique identifier of the file.
+   * @returns {Promise<Array<Object>>} - Revision summaries ({ id, timestamp, source, boardVersion }).
+   * @throws {Error} - If the file does not exist.
+   */
+  async listRevisions(fileId) {
+    const fileData = await this.loadFile(fileId);
+    if (fileData === null) {
+      throw new Error(`File with ID ${fileId} does not exist.`);
+    }
+    return (await this._loadRevisions(fileId))
+      .map(({ id, timestamp, source, boardVersion }) => ({
+        id,
+        timestamp,
+        source,
+        boardVersion,
+      }))
+      .reverse();
+  }
+
+  /**
+   * @method loadRevision - Loads one revision of a file.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {string} revisionId - The identifier of the revision.
+   * @returns {Promise<Object | null>} - The revision (with content, or project for projects), or null if not found.
+   * @throws {Error} - If the file does not exist.
+   */
+  async loadRevision(fileId, revisionId) {
+    const fileData = await this.loadFile(fileId);
+    if (fileData === null) {
+      throw new Error(`File with ID ${fileId} does not exist.`);
     }
+    const revisions = await this._loadRevisions(fileId);
+    return revisions.find((revision) => revision.id === revisionId) || null;
   }
 
   /**
-   * @method loadFile - Loads a file from localStorage.
+   * @method restoreRevision - Restores a file to one of its revisions.
+   * The state being replaced is kept as a revision first, so a restore can be undone.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {string} revisionId - The identifier of the revision to restore.
+   * @returns {Promise<Object>} - The restored file data.
+   * @throws {Error} - If the file or revision does not exist.
+   */
+  async restoreRevision(fileId, revisionId) {
+    const fileData = await this.loadFile(fileId);
+    if (fileData === null) {
+      throw new Error(`File with ID ${fileId} does not exist.`);
+    }
+    const revision = (await this._loadRevisions(fileId)).find(
+      (candidate) => candidate.id === revisionId,
+    );
+    if (!revision) {
+      throw new Error(`Revision ${revisionId} does not exist.`);
+    }
+
+    const timestamp = Date.now();
+    await this._addRevision(fileId, fileData, 'before-restore', timestamp);
+
+    if ((fileData.type || FILE_TYPE) === PROJECT_TYPE) {
+      fileData.entry = revision.project.entry;
+      fileData.files = revision.project.files;
+      fileData.folders = revision.project.folders || [];
+    } else {
+      fileData.content = revision.content;
+    }
+    fileData.boardVersion = revision.boardVersion;
+    fileData.metadata.updatedAt = timestamp;
+    await this._addRevision(fileId, fileData, 'restore', timestamp);
+
+    await this._safeSetItem(fileId, fileData);
+    return fileData;
+  }
+
+  /**
+   * @method trimRevisions - Drops the oldest revisions of a file to free up space.
+   * @param {string} fileId - The unique identifier of the file.
+   * @param {number} [keep=1] - The number of newest revisions to keep.
+   * @returns {Promise<number>} - The number of revisions dropped.
+   * @throws {Error} - If the file does not exist.
+   */
+  async trimRevisions(fileId, keep = KEPT_REVISIONS) {
+    const fileData = await this.loadFile(fileId);
+    if (fileData === null) {
+      throw new Error(`File with ID ${fileId} does not exist.`);
+    }
+    let droppedCount = 0;
+    // Replaced in the same write as the read, so a revision added meanwhile is kept
+    await this._guardWrite(() =>
+      this.revisionBackend.update(fileId, (revisions) => {
+        if (!revisions || revisions.length <= keep) return undefined;
+        droppedCount = revisions.length - keep;
+        return keep > 0 ? revisions.slice(-keep) : [];
+      }),
+    );
+    if (droppedCount > 0) {
+      this._notify({
+        type: 'update',
+        fileId,
+        updatedAt: fileData.metadata.updatedAt,
+      });
+    }
+    return droppedCount;
+  }
+
+  /**
+   * @method trimAllRevisions - Drops the oldest revisions of every file.
+   * @param {number} [keep=1] - The number of newest revisions to keep per file.
+   * @returns {Promise<number>} - The number of revisions dropped.
+   */
+  async trimAllRevisions(keep = KEPT_REVISIONS) {
+    let droppedCount = 0;
+    for (const { id } of await this.listFiles()) {
+      droppedCount += await this.trimRevisions(id, keep);
+    }
+    return droppedCount;
+  }
+
+  /**
+   * @method loadFile - Loads a file or project.
    * @param {string} fileId - The unique identifier of the file to load.
-   * @returns {Object | null} - The file data object, or null if not found.
+   * @returns {Promise<Object | null>} - The file data object, or null if not found.
    * @throws {Error} - If the data associated with the ID is corrupted.
    */
-  loadFile(fileId) {
-    const key = this._getStorageKey(fileId);
-    const stored = localStorage.getItem(key);
-    if (stored === null) {
-      return null; // Return null if file doesn't exist
+  async loadFile(fileId) {
+    this._validateId(fileId);
+    await this.readyPromise;
+    const fileData = await this.backend.get(fileId); // Null if the file doesn't exist
+    if (fileData && Array.isArray(fileData.revisions)) {
+      return this._moveRevisions(fileId, fileData);
     }
-    // Will throw if JSON is invalid
-    const fileData = this._safeParseJson(stored, fileId);
     return fileData;
   }
 
   /**
-   * @method deleteFile - Deletes a file from localStorage.
+   * @method deleteFile - Deletes a file or project, together with its exports.
    * @param {string} fileId - The unique identifier of the file to delete.
    */
-  deleteFile(fileId) {
-    const key = this._getStorageKey(fileId);
-    localStorage.removeItem(key);
+  async deleteFile(fileId) {
+    this._validateId(fileId);
+    await this.readyPromise;
+    const exports = await this.listExports(fileId);
+    for (const { id } of exports) {
+      await this.exportBackend.delete(id);
+      await this.backend.delete(id);
+    }
+    await this.revisionBackend.delete(fileId);
+    await this.backend.delete(fileId);
+    this._notify({ type: 'delete', fileId, updatedAt: null });
+  }
+
+  /**
+   * @method createExport - Stores an image or video exported from the canvas next to a file.
+   * Its summary is stored with the files and its data in the export backend: as a Blob, or as a data URL where Blobs cannot be stored (localStorage).
+   * @param {string} sourceId - The unique identifier of the file the export was made from.
+   * @param {string} name - The file name of the export (e.g. "board.png").
+   * @param {Blob} blob - The exported data.
+   * @returns {Promise<string>} - The unique identifier of the stored export.
+   * @throws {Error} - If the file does not exist, or the storage quota is exceeded.
+   */
+  async createExport(sourceId, name, blob) {
+    if (!name) {
+      throw new Error('Export name cannot be empty.');
+    }
+    if ((await this.loadFile(sourceId)) === null) {
+      throw new Error(`File with ID ${sourceId} does not exist.`);
+    }
+    const data = this.exportBackend.storesBlobs
+      ? blob
+      : await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+
+    const exportId = this._generateUniqueId();
+    const timestamp = Date.now();
+    await this._guardWrite(() => this.exportBackend.set(exportId, data));
+    try {
+      await this._safeSetItem(exportId, {
+        id: exportId,
+        type: EXPORT_TYPE,
+        sourceId,
+        name,
+        mimeType: blob.type,
+        size: blob.size,
+        dataSize: typeof data === 'string' ? measureSize(data) : data.size,
+        metadata: {
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        },
+      });
+    } catch (e) {
+      await this.exportBackend.delete(exportId); // Data without a summary is never listed
+      throw e;
+    }
+    return exportId;
+  }
+
+  /**
+   * @method listExports - Lists the stored exports, newest first.
+   * @param {string} [sourceId] - Only lists the exports of this file.
+   * @returns {Promise<Array<Object>>} - Summary objects ({ id, sourceId, name, mimeType, size, metadata }).
+   */
+  async listExports(sourceId) {
+    await this.readyPromise;
+    const entries = await this.backend.entries();
+    return this._summarizeExports(entries, sourceId);
+  }
+
+  /**
+   * @method _summarizeExports - Gets the summaries of the exports among stored records, newest first.
+   * @param {Array<Array>} entries - The [id, record] pairs of the backend.
+   * @param {string} [sourceId] - Only keeps the exports of this file.
+   * @returns {Array<Object>} - Summary objects ({ id, sourceId, name, mimeType, size, metadata }).
+   */
+  _summarizeExports(entries, sourceId) {
+    return entries
+      .map(([, fileData]) => fileData)
+      .filter(
+        (fileData) =>
+          fileData &&
+          fileData.type === EXPORT_TYPE &&
+          (!sourceId || fileData.sourceId === sourceId),
+      )
+      .map((fileData) => ({
+        id: fileData.id,
+        sourceId: fileData.sourceId,
+        name: fileData.name,
+        mimeType: fileData.mimeType,
+        size: fileData.size,
+        metadata: fileData.metadata,
+      }))
+      .sort((a, b) => b.metadata.createdAt - a.metadata.createdAt);
+  }
+
+  /**
+   * @method loadExport - Loads a stored export.
+   * @param {string} exportId - The unique identifier of the export.
+   * @returns {Promise<Object | null>} - The export ({ id, sourceId, name, mimeType, size, metadata, blob }), or null if not found.
+   */
+  async loadExport(exportId) {
+    const exportData = await this.loadFile(exportId);
+    if (!exportData || exportData.type !== EXPORT_TYPE) return null;
+    // Exports stored by older versions hold their data URL themselves
+    const data = exportData.data ?? (await this.exportBackend.get(exportId));
+    if (data === null) {
+      console.warn(`The data of export "${exportId}" is missing.`);
+      return null;
+    }
+    const blob =
+      typeof data === 'string'
+        ? await (await fetch(data)).blob() // Decodes the data URL
+        : data;
+    const [summary] = this._summarizeExports([[exportId, exportData]]);
+    return { ...summary, blob };
+  }
+
+  /**
+   * @method deleteExport - Deletes a stored export.
+   * @param {string} exportId - The unique identifier of the export.
+   */
+  async deleteExport(exportId) {
+    this._validateId(exportId);
+    await this.readyPromise;
+    await this.exportBackend.delete(exportId);
+    await this.backend.delete(exportId);
+    this._notify({ type: 'delete', fileId: exportId, updatedAt: null });
+  }
+
+  /**
+   * @method deleteExports - Deletes all stored exports, to free up space.
+   * @returns {Promise<number>} - The number of exports deleted.
+   */
+  async deleteExports() {
+    const exports = await this.listExports();
+    for (const { id } of exports) {
+      await this.exportBackend.delete(id);
+      await this.backend.delete(id);
+    }
+    if (exports.length > 0) {
+      this._notify({ type: 'delete', fileId: null, updatedAt: null });
+    }
+    return exports.length;
+  }
+
+  /**
+   * @method saveDraft - Journals an editor buffer, replacing its previous draft. Drafts are not reported as changes.
+   * @param {string} draftId - The unique identifier of the draft (e.g. one per editor tab).
+   * @param {Object} draft - The buffer.
+   * @param {string} draft.name - The name of the file or project.
+   * @param {string} draft.boardVersion - The board version of the buffer.
+   * @param {string | null} [draft.fileId] - The stored file the buffer was loaded from, if any.
+   * @param {string} [draft.content] - The content, for files.
+   * @param {Object} [draft.project] - The serialized project ({ entry, files, folders }), for projects.
+   * @throws {Error} - If the storage quota is exceeded.
+   */
+  async saveDraft(draftId, draft) {
+    this._validateId(draftId);
+    await this._safeSetItem(
+      draftId,
+      {
+        id: draftId,
+        type: DRAFT_TYPE,
+        sessionId: this.sessionId,
+        name: draft.name,
+        boardVersion: draft.boardVersion,
+        fileId: draft.fileId || null,
+        content: draft.content ?? null,
+        project: draft.project || null,
+        metadata: {
+          updatedAt: Date.now(),
+        },
+      },
+      { silent: true },
+    );
+  }
+
+  /**
+   * @method listDrafts - Lists the drafts left by earlier page loads, newest first.
+   * Drafts of this page and of the other open tabs (which answer a ping) are left out.
+   * @returns {Promise<Array<Object>>} - Summary objects ({ id, name, boardVersion, fileId, isProject, metadata }).
+   */
+  async listDrafts() {
+    await this.readyPromise;
+    const entries = await this.backend.entries();
+    const drafts = entries
+      .map(([, fileData]) => fileData)
+      .filter(
+        (fileData) =>
+          fileData &&
+          fileData.type === DRAFT_TYPE &&
+          fileData.sessionId !== this.sessionId,
+      );
+    if (drafts.length === 0) return [];
+
+    const openSessions = await this._findOpenSessions();
+    return drafts
+      .filter(({ sessionId }) => !openSessions.has(sessionId))
+      .map(({ id, name, boardVersion, fileId, project, metadata }) => ({
+        id,
+        name,
+        boardVersion,
+        fileId,
+        isProject: Boolean(project),
+        metadata,
+      }))
+      .sort((a, b) => b.metadata.updatedAt - a.metadata.updatedAt);
+  }
+
+  /**
+   * @method loadDraft - Loads a draft.
+   * @param {string} draftId - The unique identifier of the draft.
+   * @returns {Promise<Object | null>} - The draft ({ id, name, boardVersion, fileId, content, project, metadata }), or null if not found.
+   */
+  async loadDraft(draftId) {
+    const draft = await this.loadFile(draftId);
+    return draft && draft.type === DRAFT_TYPE ? draft : null;
+  }
+
+  /**
+   * @method deleteDraft - Deletes a draft, if it exists.
+   * @param {string} draftId - The unique identifier of the draft.
+   */
+  async deleteDraft(draftId) {
+    this._validateId(draftId);
+    await this.readyPromise;
+    await this.backend.delete(draftId);
   }
 
   /**
@@ -201,8 +1016,8 @@ class FileSystem {
    * @param {string} fileId - The unique identifier of the file to export.
    * @throws {Error} - If the file cannot be loaded or data is corrupted.
    */
-  exportFile(fileId) {
-    const fileData = this.loadFile(fileId);
+  async exportFile(fileId) {
+    const fileData = await this.loadFile(fileId);
     if (!fileData) {
       throw new Error(`Cannot export: File with ID ${fileId} not found.`);
     }
@@ -242,58 +1057,137 @@ class FileSystem {
   }
 
   /**
-   * @method listFiles - Lists all files managed by this instance in localStorage.
-   * @returns {Array<Object>} - An array of file summary objects, each containing id, name, boardVersion, and metadata. Corrupted entries are skipped.
+   * @method listFiles - Lists all files and projects managed by this instance (exports and drafts are listed by listExports and listDrafts).
+   * @returns {Promise<Array<Object>>} - An array of summary objects, each containing id, type ('file' or 'project'), name, boardVersion, and metadata. Corrupted entries are skipped.
    */
-  listFiles() {
+  async listFiles() {
+    await this.readyPromise;
     const files = [];
-    const prefix = this.storageKeyPrefix;
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(prefix)) {
-        const stored = localStorage.getItem(key);
-        try {
-          const fileData = this._safeParseJson(
-            stored,
-            key.substring(prefix.length),
-          );
-          if (fileData && fileData.id && fileData.name && fileData.metadata) {
-            // Ensure essential fields exist after parsing
-            const { id, name, boardVersion, metadata } = fileData;
-            files.push({ id, name, boardVersion, metadata });
-          } else if (fileData) {
-            console.warn(
-              `Skipping file entry with key "${key}" due to missing essential fields (id, name, metadata).`,
-            );
-          }
-        } catch (e) {
-          console.error(
-            `Error processing storage key "${key}": ${e.message}. Skipping entry.`,
-          );
-        }
+    const entries = await this.backend.entries();
+    entries.forEach(([fileId, fileData]) => {
+      if (
+        fileData &&
+        (fileData.type === EXPORT_TYPE || fileData.type === DRAFT_TYPE)
+      ) {
+        return;
       }
-    }
+      if (fileData && fileData.id && fileData.name && fileData.metadata) {
+        // Ensure essential fields exist
+        const { id, name, boardVersion, metadata } = fileData;
+        const type = fileData.type || FILE_TYPE;
+        files.push({ id, type, name, boardVersion, metadata });
+      } else if (fileData) {
+        console.warn(
+          `Skipping file entry "${fileId}" due to missing essential fields (id, name, metadata).`,
+        );
+      }
+    });
     // Sort files by createdAt timestamp in descending order
     files.sort((a, b) => b.metadata.createdAt - a.metadata.createdAt);
     return files;
   }
 
   /**
-   * @method clearAll - Removes ALL files managed by this instance from localStorage. Use with caution.
-   * @returns {number} - The number of items removed.
+   * @method getStorageUsage - Measures the space taken by the stored files, their revisions and exports, and the drafts.
+   * The files are read once, so a page showing them with their exports and sizes can call this alone.
+   * @returns {Promise<Object>} - { files, exports, totals, estimate }: files lists { id, type, name, boardVersion, metadata, size, revisionsSize, revisionCount, exportsSize } like listFiles (size includes the revisions, not the exports);
+   * exports lists the export summaries like listExports; totals holds the bytes of { files, revisions, exports, drafts, all }; estimate is { usage, quota } of the whole site from navigator.storage.estimate(), or null where that is unavailable.
    */
-  clearAll() {
-    let removedCount = 0;
-    const prefix = this.storageKeyPrefix;
-    // Iterate backwards when removing items to avoid index issues
-    for (let i = localStorage.length - 1; i >= 0; i--) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(prefix)) {
-        localStorage.removeItem(key);
-        removedCount++;
+  async getStorageUsage() {
+    await this.readyPromise;
+    const entries = await this.backend.entries();
+    const totals = { files: 0, revisions: 0, exports: 0, drafts: 0, all: 0 };
+    const files = new Map();
+    const exportSizes = new Map(); // File ID -> bytes of its exports
+    const histories = new Map(); // File ID -> { size, count } of its revisions
+
+    (await this.revisionBackend.entries()).forEach(([fileId, revisions]) => {
+      const size = measureSize(revisions);
+      totals.revisions += size;
+      totals.all += size;
+      histories.set(fileId, { size, count: revisions.length });
+    });
+
+    entries.forEach(([, fileData]) => {
+      if (!fileData) return;
+      const size = measureSize(fileData);
+      totals.all += size;
+      if (fileData.type === EXPORT_TYPE) {
+        // The data itself is not read, its size was noted when it was stored
+        const exportSize = size + (fileData.dataSize || 0);
+        totals.all += exportSize - size;
+        totals.exports += exportSize;
+        exportSizes.set(
+          fileData.sourceId,
+          (exportSizes.get(fileData.sourceId) || 0) + exportSize,
+        );
+      } else if (fileData.type === DRAFT_TYPE) {
+        totals.drafts += size;
+      } else if (fileData.id && fileData.name && fileData.metadata) {
+        // Files not loaded since an older version still hold their revisions
+        const embeddedRevisions = Array.isArray(fileData.revisions)
+          ? fileData.revisions
+          : [];
+        const embeddedSize = embeddedRevisions.length
+          ? measureSize(embeddedRevisions)
+          : 0;
+        const history = histories.get(fileData.id) || { size: 0, count: 0 };
+        totals.files += size - embeddedSize;
+        totals.revisions += embeddedSize;
+        files.set(fileData.id, {
+          id: fileData.id,
+          type: fileData.type || FILE_TYPE,
+          name: fileData.name,
+          boardVersion: fileData.boardVersion,
+          metadata: fileData.metadata,
+          size: size + history.size,
+          revisionsSize: embeddedSize + history.size,
+          revisionCount: embeddedRevisions.length + history.count,
+          exportsSize: 0,
+        });
+      }
+    });
+    exportSizes.forEach((size, sourceId) => {
+      if (files.has(sourceId)) files.get(sourceId).exportsSize = size;
+    });
+
+    let estimate = null;
+    if (
+      typeof navigator !== 'undefined' &&
+      navigator.storage &&
+      typeof navigator.storage.estimate === 'function'
+    ) {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        estimate = { usage, quota };
+      } catch (e) {
+        console.warn('Failed to estimate the storage usage:', e);
       }
     }
-    console.warn(`Cleared ${removedCount} items with prefix "${prefix}".`);
+
+    return {
+      files: Array.from(files.values()).sort(
+        (a, b) => b.metadata.createdAt - a.metadata.createdAt,
+      ),
+      exports: this._summarizeExports(entries),
+      totals,
+      estimate,
+    };
+  }
+
+  /**
+   * @method clearAll - Removes ALL files managed by this instance. Use with caution.
+   * @returns {Promise<number>} - The number of items removed.
+   */
+  async clearAll() {
+    await this.readyPromise;
+    const removedCount = await this.backend.clear();
+    await this.revisionBackend.clear();
+    await this.exportBackend.clear();
+    this._notify({ type: 'clear', fileId: null, updatedAt: null });
+    console.warn(
+      `Cleared ${removedCount} items from storage "${this.storageName}".`,
+    );
     return removedCount;
   }
 }
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview GIF Module
+ * @description This module encodes canvas frames into an animated GIF (GIF89a) with a fixed palette and LZW compression.
+ */
+
+const SIGNATURE = 'GIF89a';
+const LOOP_APPLICATION = 'NETSCAPE2.0';
+const BLOCK = {
+  extension: 0x21,
+  graphicControl: 0xf9,
+  application: 0xff,
+  image: 0x2c,
+  trailer: 0x3b,
+};
+const SCREEN_FLAGS = 0xf7; // Global color table of 256 entries, 8 bits per primary color
+const GRAPHIC_CONTROL_SIZE = 4;
+const LOOP_SUB_BLOCK = { size: 3, id: 1, forever: 0 };
+const DISPOSAL_SHIFT = 2;
+const DISPOSE_TO_BACKGROUND = 2; // Every frame replaces the previous one, including its transparent pixels
+
+const LEVELS = { red: 6, green: 7, blue: 6 }; // 252 colors, the eye is most sensitive to green
+const CHANNEL = { red: 0, green: 1, blue: 2, alpha: 3 };
+const RGBA_CHANNELS = 4;
+const RGB_CHANNELS = 3;
+const COLOR_COUNT = 256;
+const MAX_CHANNEL_VALUE = 255;
+const TRANSPARENT_INDEX = LEVELS.red * LEVELS.green * LEVELS.blue; // First entry after the color cube
+const ALPHA_THRESHOLD = 128;
+
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096; // LZW codes have at most 12 bits
+const MAX_SUB_BLOCK_SIZE = 255;
+const BYTE_BITS = 8;
+const BYTE_MASK = 0xff;
+const MS_PER_CENTISECOND = 10;
+const MIN_DELAY = 2; // Centiseconds; browsers slow down shorter delays
+const DEFAULT_FRAME_DELAY = 100; // Milliseconds
+
+/**
+ * @function toWord - Encodes a number as a little-endian 16-bit word.
+ * @param {number} value - The number.
+ * @returns {Array<number>} - The two bytes.
+ */
+function toWord(value) {
+  return [value & BYTE_MASK, (value >> BYTE_BITS) & BYTE_MASK];
+}
+
+/**
+ * @function toBytes - Encodes an ASCII string.
+ * @param {string} text - The string.
+ * @returns {Array<number>} - The character codes.
+ */
+function toBytes(text) {
+  return Array.from(text, (character) => character.charCodeAt(0));
+}
+
+/**
+ * @function createPalette - Builds the global color table: a red/green/blue cube padded with black.
+ * @returns {Uint8Array} - The color table (RGB triplets).
+ */
+function createPalette() {
+  const palette = new Uint8Array(COLOR_COUNT * RGB_CHANNELS);
+  let offset = 0;
+  for (let red = 0; red < LEVELS.red; red++) {
+    for (let green = 0; green < LEVELS.green; green++) {
+      for (let blue = 0; blue < LEVELS.blue; blue++) {
+        palette[offset + CHANNEL.red] = Math.round(
+          (red * MAX_CHANNEL_VALUE) / (LEVELS.red - 1),
+        );
+        palette[offset + CHANNEL.green] = Math.round(
+          (green * MAX_CHANNEL_VALUE) / (LEVELS.green - 1),
+        );
+        palette[offset + CHANNEL.blue] = Math.round(
+          (blue * MAX_CHANNEL_VALUE) / (LEVELS.blue - 1),
+        );
+        offset += RGB_CHANNELS;
+      }
+    }
+  }
+  return palette;
+}
+
+/**
+ * @function quantize - Maps RGBA pixels to the nearest palette entries.
+ * @param {Uint8ClampedArray} rgba - The pixels.
+ * @returns {Object} - { indexes, hasTransparency }.
+ */
+function quantize(rgba) {
+  const indexes = new Uint8Array(rgba.length / RGBA_CHANNELS);
+  const level = (value, levels) =>
+    Math.round((value * (levels - 1)) / MAX_CHANNEL_VALUE);
+  let hasTransparency = false;
+
+  for (let pixel = 0; pixel < indexes.length; pixel++) {
+    const offset = pixel * RGBA_CHANNELS;
+    if (rgba[offset + CHANNEL.alpha] < ALPHA_THRESHOLD) {
+      indexes[pixel] = TRANSPARENT_INDEX;
+      hasTransparency = true;
+      continue;
+    }
+    const red = level(rgba[offset + CHANNEL.red], LEVELS.red);
+    const green = level(rgba[offset + CHANNEL.green], LEVELS.green);
+    const blue = level(rgba[offset + CHANNEL.blue], LEVELS.blue);
+    indexes[pixel] = (red * LEVELS.green + green) * LEVELS.blue + blue;
+  }
+  return { indexes, hasTransparency };
+}
+
+/**
+ * @function compress - Compresses palette indexes with the variable-length LZW coding of GIF.
+ * @param {Uint8Array} indexes - The palette index of every pixel.
+ * @returns {Array<number>} - The code stream, packed least significant bit first.
+ */
+function compress(indexes) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let buffer = 0;
+  let bufferedBits = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map(); // (prefix code << 8 | index) -> code
+
+  const write = (code) => {
+    buffer |= code << bufferedBits;
+    bufferedBits += codeSize;
+    while (bufferedBits >= BYTE_BITS) {
+      bytes.push(buffer & BYTE_MASK);
+      buffer >>>= BYTE_BITS;
+      bufferedBits -= BYTE_BITS;
+    }
+  };
+
+  write(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i++) {
+    const index = indexes[i];
+    const key = (prefix << BYTE_BITS) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode === MAX_CODE) {
+      // The table is full: start over so the codes stay within 12 bits
+      write(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  write(prefix);
+  write(endCode);
+  if (bufferedBits > 0) bytes.push(buffer & BYTE_MASK);
+  return bytes;
+}
+
+/**
+ * @function toSubBlocks - Splits data into the length-prefixed sub-blocks of GIF, followed by the terminator.
+ * @param {Array<number>} bytes - The data.
+ * @returns {Uint8Array} - The sub-blocks.
+ */
+function toSubBlocks(bytes) {
+  const blockCount = Math.ceil(bytes.length / MAX_SUB_BLOCK_SIZE);
+  const output = new Uint8Array(bytes.length + blockCount + 1);
+  let offset = 0;
+  for (let start = 0; start < bytes.length; start += MAX_SUB_BLOCK_SIZE) {
+    const block = bytes.slice(start, start + MAX_SUB_BLOCK_SIZE);
+    output[offset++] = block.length;
+    output.set(block, offset);
+    offset += block.length;
+  }
+  output[offset] = 0; // Block terminator
+  return output;
+}
+
+/**
+ * @class GifEncoder - Builds a looping animated GIF one frame at a time, so only compressed frames are kept in memory.
+ */
+class GifEncoder {
+  /**
+   * @constructor
+   * @param {Object} [options] - Optional parameters for the encoder.
+   * @param {number} [options.delay=100] - The time each frame is shown, in milliseconds.
+   */
+  constructor(options = {}) {
+    const { delay = DEFAULT_FRAME_DELAY } = options;
+    this.delay = Math.max(MIN_DELAY, Math.round(delay / MS_PER_CENTISECOND));
+    this.width = 0;
+    this.height = 0;
+    this.parts = [];
+    this.frameCount = 0;
+  }
+
+  /**
+   * @method _writeHeader - Writes the signature, the screen descriptor, the palette, and the loop extension.
+   */
+  _writeHeader() {
+    this.parts.push(
+      Uint8Array.from([
+        ...toBytes(SIGNATURE),
+        ...toWord(this.width),
+        ...toWord(this.height),
+        SCREEN_FLAGS,
+        0, // Background color index
+        0, // Pixel aspect ratio (square)
+      ]),
+      createPalette(),
+      Uint8Array.from([
+        BLOCK.extension,
+        BLOCK.application,
+        LOOP_APPLICATION.length,
+        ...toBytes(LOOP_APPLICATION),
+        LOOP_SUB_BLOCK.size,
+        LOOP_SUB_BLOCK.id,
+        ...toWord(LOOP_SUB_BLOCK.forever),
+        0, // Block terminator
+      ]),
+    );
+  }
+
+  /**
+   * @method addFrame - Adds a frame. Every frame must have the size of the first one.
+   * @param {number} width - The frame width in pixels.
+   * @param {number} height - The frame height in pixels.
+   * @param {Uint8ClampedArray} rgba - The pixels, as returned by getImageData.
+   * @throws {Error} - If the frame size does not match the animation.
+   */
+  addFrame(width, height, rgba) {
+    if (this.frameCount === 0) {
+      this.width = width;
+      this.height = height;
+      this._writeHeader();
+    } else if (width !== this.width || height !== this.height) {
+      throw new Error(
+        `Frame size ${width}×${height} does not match the animation size ${this.width}×${this.height}.`,
+      );
+    }
+
+    const { indexes, hasTransparency } = quantize(rgba);
+    this.parts.push(
+      Uint8Array.from([
+        BLOCK.extension,
+        BLOCK.graphicControl,
+        GRAPHIC_CONTROL_SIZE,
+        (DISPOSE_TO_BACKGROUND << DISPOSAL_SHIFT) | (hasTransparency ? 1 : 0),
+        ...toWord(this.delay),
+        TRANSPARENT_INDEX,
+        0, // Block terminator
+        BLOCK.image,
+        ...toWord(0), // Left
+        ...toWord(0), // Top
+        ...toWord(width),
+        ...toWord(height),
+        0, // No local color table, not interlaced
+        MIN_CODE_SIZE,
+      ]),
+      toSubBlocks(compress(indexes)),
+    );
+    this.frameCount++;
+  }
+
+  /**
+   * @method finish - Ends the animation.
+   * @returns {Blob} - The GIF file.
+   * @throws {Error} - If no frame was added.
+   */
+  finish() {
+    if (this.frameCount === 0) {
+      throw new Error('The animation has no frames.');
+    }
+    return new Blob([...this.parts, Uint8Array.from([BLOCK.trailer])], {
+      type: 'image/gif',
+    });
+  }
+}
+
+module.exports = GifEncoder;
@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Importer Module
+ * @description This module turns ZIP archives and loose .js files from the user's computer into IDE files and projects.
+ * It reads them into import entries, checks the entries against the files already stored, and writes them to the file system.
+ */
+
+const Project = require('./project');
+const { SUPPORTED_TRIDECCO_VERSIONS } = require('./versions');
+
+const PROJECT_MANIFEST_FILE_NAME = 'tridecco-project.json';
+const WORKSPACE_MANIFEST_FILE_NAME = 'tridecco-files.json'; // Board versions of the single files in a "Download All" archive
+const ZIP_EXTENSION = '.zip';
+const SCRIPT_EXTENSION = '.js';
+const IGNORED_ARCHIVE_PATHS = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)/; // macOS metadata and hidden files
+
+/**
+ * @function basename - Gets the last segment of a path.
+ * @param {string} path - The path (a trailing slash is ignored).
+ * @returns {string} - The last segment.
+ */
+function basename(path) {
+  return path.replace(/\/$/, '').split('/').pop();
+}
+
+/**
+ * @function withoutExtension - Removes an extension from a name, ignoring case.
+ * @param {string} name - The name.
+ * @param {string} extension - The extension, including the dot.
+ * @returns {string} - The name without the extension.
+ */
+function withoutExtension(name, extension) {
+  return name.toLowerCase().endsWith(extension)
+    ? name.slice(0, -extension.length)
+    : name;
+}
+
+/**
+ * @class Importer - Imports files and projects from ZIP archives and loose .js files.
+ */
+class Importer {
+  /**
+   * @constructor
+   * @param {FileSystem} fs - The file system to import into.
+   */
+  constructor(fs) {
+    if (!fs) {
+      throw new Error('File system is required.');
+    }
+    this.fs = fs;
+  }
+
+  /**
+   * @method uniqueName - Finds a name that is not taken yet ("main.js" -> "main (1).js").
+   * @param {string} name - The wanted name.
+   * @param {Set<string>} takenNames - The names in use.
+   * @returns {string} - The name, or the first numbered variant that is free.
+   */
+  static uniqueName(name, takenNames) {
+    if (!takenNames.has(name)) return name;
+    const extensionIndex = name.lastIndexOf('.');
+    const hasExtension = extensionIndex > 0;
+    const stem = hasExtension ? name.slice(0, extensionIndex) : name;
+    const extension = hasExtension ? name.slice(extensionIndex) : '';
+    let counter = 1;
+    while (takenNames.has(`${stem} (${counter})${extension}`)) {
+      counter++;
+    }
+    return `${stem} (${counter})${extension}`;
+  }
+
+  /**
+   * @method _checkBoardVersion - Keeps a board version from a manifest only if the IDE supports it.
+   * @param {*} boardVersion - The version found in the manifest.
+   * @param {string} source - Where the version was found, for the warning.
+   * @param {Array<string>} warnings - Collects a warning when the version is dropped.
+   * @returns {string | undefined} - The supported version, or undefined.
+   */
+  _checkBoardVersion(boardVersion, source, warnings) {
+    if (boardVersion === undefined || boardVersion === null) return undefined;
+    if (SUPPORTED_TRIDECCO_VERSIONS.includes(boardVersion)) {
+      return boardVersion;
+    }
+    warnings.push(
+      `${source}: board version "${boardVersion}" is not supported; the latest version will be used.`,
+    );
+    return undefined;
+  }
+
+  /**
+   * @method _readArchive - Reads the files and projects in a ZIP archive.
+   * A manifest at the root makes the whole archive one project; folders with a manifest are projects;
+   * other .js files become single files, with board versions from the workspace manifest if there is one.
+   * @param {File} archive - The ZIP file.
+   * @param {Array<string>} warnings - Collects problems that did not stop the import.
+   * @returns {Promise<Array<Object>>} - The import entries.
+   * @throws {Error} - If JSZip is not loaded or the archive cannot be read.
+   */
+  async _readArchive(archive, warnings) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('ZIP import is unavailable. JSZip library not loaded.');
+    }
+    const zip = await JSZip.loadAsync(archive);
+    const paths = Object.keys(zip.files).filter(
+      (path) => !IGNORED_ARCHIVE_PATHS.test(path),
+    );
+    const projectFolders = paths
+      .filter((path) => basename(path) === PROJECT_MANIFEST_FILE_NAME)
+      .map((path) => path.slice(0, -PROJECT_MANIFEST_FILE_NAME.length))
+      .sort((a, b) => a.length - b.length)
+      .filter(
+        (folder, index, folders) =>
+          !folders
+            .slice(0, index)
+            .some((outerFolder) => folder.startsWith(outerFolder)),
+      ); // Manifests inside another project are just project files
+    const entries = [];
+
+    for (const folder of projectFolders) {
+      const source = `${archive.name}/${folder}`;
+      try {
+        const fallbackName = folder
+          ? basename(folder)
+          : withoutExtension(archive.name, ZIP_EXTENSION);
+        const { project, boardVersion } = await Project.fromZip(
+          folder ? zip.folder(folder) : zip,
+          fallbackName,
+        );
+        entries.push({
+          type: 'project',
+          name: project.name,
+          project: project.toJSON(),
+          boardVersion: this._checkBoardVersion(boardVersion, source, warnings),
+          source,
+        });
+      } catch (error) {
+        warnings.push(`${source}: ${error.message}`);
+      }
+    }
+
+    let workspaceManifest = {};
+    const workspaceManifestFile = zip.file(WORKSPACE_MANIFEST_FILE_NAME);
+    if (workspaceManifestFile) {
+      try {
+        workspaceManifest = JSON.parse(
+          await workspaceManifestFile.async('string'),
+        );
+      } catch {
+        warnings.push(
+          `${archive.name}: ${WORKSPACE_MANIFEST_FILE_NAME} is not valid JSON; board versions were not restored.`,
+        );
+      }
+    }
+    const fileVersions = workspaceManifest.files || {};
+
+    const loosePaths = paths.filter(
+      (path) =>
+        !zip.files[path].dir &&
+        path.toLowerCase().endsWith(SCRIPT_EXTENSION) &&
+        !projectFolders.some((folder) => path.startsWith(folder)),
+    );
+    for (const path of loosePaths) {
+      const name = basename(path);
+      const source = `${archive.name}/${path}`;
+      entries.push({
+        type: 'file',
+        name,
+        content: await zip.files[path].async('string'),
+        boardVersion: this._checkBoardVersion(
+          fileVersions[path] && fileVersions[path].boardVersion,
+          source,
+          warnings,
+        ),
+        source,
+      });
+    }
+
+    if (entries.length === 0) {
+      warnings.push(`${archive.name}: no .js files or projects found.`);
+    }
+    return entries;
+  }
+
+  /**
+   * @method read - Reads ZIP archives and .js files into import entries. Other files are skipped with a warning.
+   * @param {Array<File>} files - The files picked or dropped by the user.
+   * @returns {Promise<Object>} - The entries ({ type, name, content | project, boardVersion, source }) and warnings ({ entries, warnings }).
+   */
+  async read(files) {
+    const entries = [];
+    const warnings = [];
+
+    for (const file of files) {
+      const lowerCaseName = file.name.toLowerCase();
+      try {
+        if (lowerCaseName.endsWith(ZIP_EXTENSION)) {
+          entries.push(...(await this._readArchive(file, warnings)));
+        } else if (lowerCaseName.endsWith(SCRIPT_EXTENSION)) {
+          entries.push({
+            type: 'file',
+            name: file.name,
+            content: await file.text(),
+            boardVersion: undefined,
+            source: file.name,
+          });
+        } else {
+          warnings.push(
+            `${file.name}: only .zip and .js files can be imported.`,
+          );
+        }
+      } catch (error) {
+        console.error(`Failed to read "${file.name}" for import:`, error);
+        warnings.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    return { entries, warnings };
+  }
+
+  /**
+   * @method plan - Checks import entries for name collisions and sets their default actions.
+   * Entries named like a stored file get the stored file's ID ("existingId"); entries named like an earlier entry are duplicates.
+   * Every colliding entry gets a free "renamedName", and its action defaults to "skip" ("import" otherwise).
+   * @param {Array<Object>} entries - The entries returned by read.
+   * @returns {Promise<Array<Object>>} - The entries, with conflict information and an action.
+   */
+  async plan(entries) {
+    const existingFiles = await this.fs.listFiles();
+    const existingIds = new Map();
+    existingFiles.forEach((file) => {
+      if (!existingIds.has(file.name)) existingIds.set(file.name, file.id);
+    });
+
+    const takenNames = new Set(existingIds.keys());
+    entries.forEach((entry) => takenNames.add(entry.name));
+
+    const seenNames = new Set();
+    return entries.map((entry) => {
+      const existingId = existingIds.get(entry.name) || null;
+      const isDuplicate = !existingId && seenNames.has(entry.name);
+      seenNames.add(entry.name);
+
+      const planned = {
+        ...entry,
+        existingId,
+        isDuplicate,
+        renamedName: null,
+        action: 'import',
+      };
+      if (existingId || isDuplicate) {
+        planned.renamedName = Importer.uniqueName(entry.name, takenNames);
+        takenNames.add(planned.renamedName);
+        planned.action = 'skip';
+      }
+      return planned;
+    });
+  }
+
+  /**
+   * @method _overwrite - Replaces a stored file or project with an import entry. The replaced version stays in its revision history when the types match.
+   * @param {Object} entry - The planned entry.
+   */
+  async _overwrite(entry) {
+    const existing = await this.fs.loadFile(entry.existingId);
+    const existingType =
+      existing && existing.type === 'project' ? 'project' : 'file';
+
+    if (!existing || existingType !== entry.type) {
+      if (existing) await this.fs.deleteFile(entry.existingId);
+      await this._create(entry, entry.name);
+      return;
+    }
+
+    const updates =
+      entry.type === 'project'
+        ? { project: entry.project }
+        : { content: entry.content };
+    if (entry.boardVersion) {
+      updates.boardVersion = entry.boardVersion;
+    }
+    await this.fs.updateFile(entry.existingId, updates, {
+      checkpoint: 'save',
+    });
+  }
+
+  /**
+   * @method _create - Stores an import entry as a new file or project.
+   * @param {Object} entry - The entry.
+   * @param {string} name - The name to store it under.
+   * @returns {Promise<string>} - The new ID.
+   */
+  _create(entry, name) {
+    return entry.type === 'project'
+      ? this.fs.createProject(name, entry.project, entry.boardVersion)
+      : this.fs.createFile(name, entry.content, entry.boardVersion);
+  }
+
+  /**
+   * @method apply - Writes planned entries according to their actions: "import", "skip", "overwrite", or "rename".
+   * Duplicates within the import cannot overwrite, so "overwrite" renames them instead.
+   * @param {Array<Object>} plannedEntries - The entries returned by plan, with the actions the user chose.
+   * @returns {Promise<Object>} - Counts and failures ({ created, overwritten, skipped, failed: [{ name, message }] }).
+   */
+  async apply(plannedEntries) {
+    const result = { created: 0, overwritten: 0, skipped: 0, failed: [] };
+
+    for (const entry of plannedEntries) {
+      try {
+        if (entry.action === 'skip') {
+          result.skipped++;
+        } else if (entry.action === 'overwrite' && entry.existingId) {
+          await this._overwrite(entry);
+          result.overwritten++;
+        } else {
+          const useRenamed =
+            entry.renamedName &&
+            (entry.action === 'rename' || entry.action === 'overwrite');
+          await this._create(
+            entry,
+            useRenamed ? entry.renamedName : entry.name,
+          );
+          result.created++;
+        }
+      } catch (error) {
+        console.error(`Failed to import "${entry.name}":`, error);
+        result.failed.push({ name: entry.name, message: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = { Importer, WORKSPACE_MANIFEST_FILE_NAME };
@@ -7,6 +7,9 @@
 const Pages = require('./pages');
 const UI = require('./ui');
 const FileSystem = require('./fs');
+const LibraryResolver = require('./library');
+const Settings = require('./settings');
+const { TRIDECCO_CDN_URL_TEMPLATE } = require('./versions');
 
 // Import utilities
 const isMobileDevice = require('./utils/isMobileDevice');
@@ -19,33 +22,75 @@ const pages = new Pages([
   'home-container',
   'editor-container',
   'files-container',
+  'settings-container',
+  'viewer-container',
   'not-supported-container',
 ]);
 
+// Load the user's settings
+const settings = new Settings();
+
 // Initialize the UI
-const ui = new UI();
+const ui = new UI({ alertDuration: settings.get('alertDuration') });
 
 // Initialize the FileSystem
 const fs = new FileSystem('EditorStorage');
 
+// Initialize the library resolver (bundled builds first, CDN as fallback; null disables the fallback)
+const libraryResolver = new LibraryResolver({
+  cdnUrlTemplate: settings.get('cdnFallback')
+    ? TRIDECCO_CDN_URL_TEMPLATE
+    : null,
+});
+
+// Apply changed settings to the shared modules (the page scripts apply their own)
+settings.onChange((key, value) => {
+  if (key === 'alertDuration') {
+    ui.setAlertDuration(value);
+  } else if (key === 'cdnFallback') {
+    libraryResolver.setCdnUrlTemplate(value ? TRIDECCO_CDN_URL_TEMPLATE : null);
+  }
+});
+
+// Map the URL hash routes to the pages
+pages.route('/', 'home-container');
+pages.route('/files', 'files-container');
+pages.route('/files/:panel', 'files-container');
+pages.route('/settings', 'settings-container');
+pages.route('/editor/new', 'editor-container');
+pages.route('/editor/draft/:draftId', 'editor-container');
+pages.route('/editor/:fileId', 'editor-container');
+
+// Run the scripts
+pageScripts({ pages, ui, fs, libraryResolver, settings });
+
 // Initialize the pages
+const SHARE_PARAM_NAME = 'data';
+const LOAD_DELAY = 500;
+const urlParams = new URLSearchParams(window.location.search);
+const sharedDataEncoded = urlParams.get(SHARE_PARAM_NAME);
 if (isMobileDevice()) {
-  // If it's a mobile device, show the not-supported page
-  pages.switchTo('not-supported-container');
+  // The editor is desktop-only, but shared links open in the read-only viewer
+  pages.switchTo(
+    sharedDataEncoded ? 'viewer-container' : 'not-supported-container',
+  );
+} else if (sharedDataEncoded) {
+  // Shared data in the URL always opens in the editor
+  setTimeout(() => {
+    history.replaceState(null, '', '#/editor/new');
+    pages.start('/');
+  }, LOAD_DELAY);
 } else {
-  // Check if there is shared data in the URL
-  const SHARE_PARAM_NAME = 'data';
-  const LOAD_DELAY = 500;
-  const urlParams = new URLSearchParams(window.location.search);
-  const sharedDataEncoded = urlParams.get(SHARE_PARAM_NAME);
-  if (sharedDataEncoded) {
-    setTimeout(() => {
-      pages.switchTo('editor-container');
-    }, LOAD_DELAY);
-  } else {
-    pages.switchTo('home-container');
-  }
+  // Restores the page (and open file) from the URL hash on reload, unless unsaved work was left behind: the home page offers it first
+  fs.listDrafts()
+    .catch((error) => {
+      console.warn('Failed to look for recovered drafts:', error);
+      return [];
+    })
+    .then((drafts) => {
+      if (drafts.length > 0) {
+        history.replaceState(null, '', '#/');
+      }
+      pages.start('/');
+    });
 }
-
-// Run the scripts
-pageScripts({ pages, ui, fs });
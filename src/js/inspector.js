@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Inspector Module
+ * @description This module renders the boards and renderers created by the running code as a live tree.
+ */
+
+const INDENT_WIDTH_REM = 0.75;
+const COORDINATE_PRECISION = 2;
+const NODE_CLASSES =
+  'flex items-center pr-1 py-0.5 cursor-default rounded hover:bg-gray-700 whitespace-nowrap';
+const EMPTY_TEXT =
+  'Run code that creates a Tridecco.Board or Tridecco.Renderer to inspect it here.';
+
+/**
+ * @function formatCoordinate - Formats a map coordinate for display.
+ * @param {number} value - The coordinate.
+ * @returns {string} - The rounded coordinate.
+ */
+function formatCoordinate(value) {
+  return typeof value === 'number'
+    ? String(Number(value.toFixed(COORDINATE_PRECISION)))
+    : '?';
+}
+
+/**
+ * @function describeCell - Describes a cell of a board snapshot.
+ * @param {Object} cell - The cell ({ index, x, y, colors }).
+ * @returns {string} - The label, e.g. "#12 (3, 4.5) red, blue".
+ */
+function describeCell({ index, x, y, colors }) {
+  const piece = colors ? colors.join(', ') || 'piece' : 'empty';
+  return `#${index} (${formatCoordinate(x)}, ${formatCoordinate(y)}) ${piece}`;
+}
+
+/**
+ * @class BoardInspector - Shows the tracked boards with their cells and pieces, and the renderers with their options.
+ */
+class BoardInspector {
+  /**
+   * @constructor
+   * @param {HTMLElement} panelElement - The side panel, containing [data-inspector-list].
+   * @param {Object} [handlers] - Callbacks for user interaction.
+   * @param {Function} [handlers.onHighlight] - Called with ({ boardId, rendererId, index }) when a node is hovered, and with null when the pointer leaves the tree.
+   */
+  constructor(panelElement, handlers = {}) {
+    if (!panelElement) {
+      throw new Error('Inspector panel element is required.');
+    }
+    this.panelElement = panelElement;
+    this.listElement = panelElement.querySelector('[data-inspector-list]');
+    this.handlers = handlers;
+    this.snapshot = null;
+    this.expandedNodes = new Map(); // Node key -> expanded, for nodes the user toggled
+    this.hoveredKey = null;
+    this._render();
+
+    this.listElement.addEventListener('click', (event) => {
+      const node = event.target.closest('[data-inspector-node]');
+      if (!node || node.dataset.expandable === undefined) return;
+      const { key } = node.dataset;
+      this.expandedNodes.set(key, node.dataset.expanded !== 'true');
+      this._render();
+    });
+    this.listElement.addEventListener('mouseover', (event) => {
+      const node = event.target.closest('[data-inspector-node]');
+      if (!node || node.dataset.key === this.hoveredKey) return;
+      this.hoveredKey = node.dataset.key;
+      this._highlight(JSON.parse(node.dataset.target));
+    });
+    this.listElement.addEventListener('mouseleave', () => {
+      this.hoveredKey = null;
+      this._highlight(null);
+    });
+  }
+
+  /**
+   * @method _highlight - Reports the hovered node.
+   * @param {Object | null} target - The node target, or null.
+   */
+  _highlight(target) {
+    if (typeof this.handlers.onHighlight === 'function') {
+      this.handlers.onHighlight(target);
+    }
+  }
+
+  /**
+   * @method _isExpanded - Checks whether a node shows its children.
+   * @param {string} key - The node key.
+   * @param {boolean} expandedByDefault - The state before the user toggles it.
+   * @returns {boolean} - True if the node is expanded.
+   */
+  _isExpanded(key, expandedByDefault) {
+    return this.expandedNodes.has(key)
+      ? this.expandedNodes.get(key)
+      : expandedByDefault;
+  }
+
+  /**
+   * @method _appendNode - Appends a row, and its children if it is expanded.
+   * @param {Object} node - The node ({ key, label, detail, target, children, expandedByDefault, className }).
+   * @param {number} depth - The nesting depth.
+   */
+  _appendNode(node, depth) {
+    const children = node.children || [];
+    const isExpandable = children.length > 0;
+    const isExpanded =
+      isExpandable && this._isExpanded(node.key, node.expandedByDefault);
+
+    const row = document.createElement('div');
+    row.className = NODE_CLASSES;
+    row.dataset.inspectorNode = '';
+    row.dataset.key = node.key;
+    row.dataset.target = JSON.stringify(node.target);
+    if (isExpandable) {
+      row.dataset.expandable = '';
+      row.dataset.expanded = String(isExpanded);
+      row.classList.replace('cursor-default', 'cursor-pointer');
+    }
+    row.style.paddingLeft = `${depth * INDENT_WIDTH_REM + INDENT_WIDTH_REM}rem`;
+
+    const label = document.createElement('span');
+    label.className = node.className || '';
+    label.textContent = `${isExpandable ? (isExpanded ? '▾ ' : '▸ ') : ''}${node.label}`;
+    row.appendChild(label);
+    if (node.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'ml-2 text-gray-500';
+      detail.textContent = node.detail;
+      row.appendChild(detail);
+    }
+    this.listElement.appendChild(row);
+
+    if (isExpanded) {
+      children.forEach((child) => this._appendNode(child, depth + 1));
+    }
+  }
+
+  /**
+   * @method _buildBoardNode - Builds the node of a board, with its pieces and all of its cells.
+   * @param {Object} board - The board snapshot ({ id, className, cells }).
+   * @returns {Object} - The tree node.
+   */
+  _buildBoardNode({ id, className, cells }) {
+    const key = `board-${id}`;
+    const toCellNode = (group) => (cell) => ({
+      key: `${key}-${group}-${cell.index}`,
+      label: describeCell(cell),
+      className: cell.colors ? 'text-gray-200' : 'text-gray-500',
+      target: { boardId: id, index: cell.index },
+    });
+    const pieces = cells.filter((cell) => cell.colors);
+
+    return {
+      key,
+      label: `Board #${id}`,
+      detail: `${className} · ${pieces.length}/${cells.length} occupied`,
+      className: 'text-blue-300',
+      target: { boardId: id },
+      expandedByDefault: true,
+      children: [
+        {
+          key: `${key}-pieces`,
+          label: `Pieces (${pieces.length})`,
+          target: { boardId: id },
+          expandedByDefault: true,
+          children: pieces.map(toCellNode('pieces')),
+        },
+        {
+          key: `${key}-cells`,
+          label: `Cells (${cells.length})`,
+          target: { boardId: id },
+          expandedByDefault: false,
+          children: cells.map(toCellNode('cells')),
+        },
+      ],
+    };
+  }
+
+  /**
+   * @method _buildRendererNode - Builds the node of a renderer, with its canvas and options.
+   * @param {Object} renderer - The renderer snapshot ({ id, className, boardId, options, canvas }).
+   * @returns {Object} - The tree node.
+   */
+  _buildRendererNode({ id, className, boardId, options, canvas }) {
+    const key = `renderer-${id}`;
+    const target = { rendererId: id, boardId };
+    let canvasText = 'no canvas';
+    if (canvas) {
+      canvasText = `${canvas.width}×${canvas.height}${canvas.attached ? '' : ' (removed)'}`;
+    }
+
+    return {
+      key,
+      label: `Renderer #${id}`,
+      detail: `${className} · ${boardId ? `Board #${boardId}` : 'no board'} · ${canvasText}`,
+      className: 'text-purple-300',
+      target,
+      expandedByDefault: false,
+      children: options.map(({ name, value }) => ({
+        key: `${key}-option-${name}`,
+        label: `${name}: ${value}`,
+        className: 'text-gray-300',
+        target,
+      })),
+    };
+  }
+
+  /**
+   * @method _render - Renders the current snapshot.
+   */
+  _render() {
+    this.listElement.innerHTML = '';
+    const { boards = [], renderers = [] } = this.snapshot || {};
+
+    if (boards.length === 0 && renderers.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'p-2 text-gray-500 whitespace-normal';
+      empty.textContent = this.snapshot ? EMPTY_TEXT : 'Not running.';
+      this.listElement.appendChild(empty);
+      return;
+    }
+
+    boards.forEach((board) => this._appendNode(this._buildBoardNode(board), 0));
+    renderers.forEach((renderer) =>
+      this._appendNode(this._buildRendererNode(renderer), 0),
+    );
+  }
+
+  /**
+   * @method update - Shows a new snapshot of the running code.
+   * @param {Object} snapshot - The snapshot sent by the sandbox ({ boards, renderers }).
+   */
+  update(snapshot) {
+    this.snapshot = snapshot;
+    this._render();
+  }
+
+  /**
+   * @method clear - Empties the tree (e.g. when a new run starts), keeping which nodes are expanded.
+   */
+  clear() {
+    this.snapshot = null;
+    this.hoveredKey = null;
+    this._render();
+  }
+
+  /**
+   * @method show - Shows or hides the panel.
+   * @param {boolean} visible - Whether the panel should be visible.
+   */
+  show(visible) {
+    this.panelElement.classList.toggle('hidden', !visible);
+    this.panelElement.classList.toggle('flex', visible);
+  }
+
+  /**
+   * @method isVisible - Checks whether the panel is shown.
+   * @returns {boolean} - True if the panel is visible.
+   */
+  isVisible() {
+    return !this.panelElement.classList.contains('hidden');
+  }
+}
+
+module.exports = BoardInspector;
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Library Module
+ * @description This module resolves where tridecco-board builds are loaded from: the bundled copy first, the CDN as a fallback.
+ */
+
+const {
+  TRIDECCO_CDN_URL_TEMPLATE,
+  TRIDECCO_BUNDLE_FILE_NAME,
+  TRIDECCO_VENDOR_PATH,
+  TRIDECCO_MANIFEST_FILE_NAME,
+  formatVersionUrl,
+} = require('./versions');
+
+/**
+ * @class LibraryResolver - Resolves the candidate URLs of a tridecco-board build.
+ */
+class LibraryResolver {
+  /**
+   * @constructor
+   * @param {Object} [options] - Optional parameters for the resolver.
+   * @param {string} [options.localBaseUrl] - The base URL of the bundled builds.
+   * @param {string|null} [options.cdnUrlTemplate] - The CDN URL template with a "{version}" placeholder, or null to disable the CDN fallback.
+   */
+  constructor(options = {}) {
+    this.localBaseUrl = options.localBaseUrl || `/${TRIDECCO_VENDOR_PATH}`;
+    this.cdnUrlTemplate =
+      options.cdnUrlTemplate === undefined
+        ? TRIDECCO_CDN_URL_TEMPLATE
+        : options.cdnUrlTemplate;
+    this.manifestPromise = null;
+  }
+
+  /**
+   * @method _toAbsoluteUrl - Resolves a URL against the current page, so it also works inside the sandbox frame.
+   * @param {string} url - The URL to resolve.
+   * @returns {string} - The absolute URL.
+   */
+  _toAbsoluteUrl(url) {
+    return new URL(url, window.location.href).href;
+  }
+
+  /**
+   * @method getBundledVersions - Gets the versions bundled with the IDE build.
+   * @returns {Promise<Set<string>>} - The bundled versions. Empty if the build has no bundled copies.
+   */
+  getBundledVersions() {
+    if (!this.manifestPromise) {
+      const manifestUrl = `${this.localBaseUrl}/${TRIDECCO_MANIFEST_FILE_NAME}`;
+      this.manifestPromise = fetch(manifestUrl)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Manifest request failed (${response.status}).`);
+          }
+          return response.json();
+        })
+        .then((manifest) => new Set(manifest.versions || []))
+        .catch((error) => {
+          console.warn('No bundled tridecco-board builds found:', error);
+          return new Set();
+        });
+    }
+    return this.manifestPromise;
+  }
+
+  /**
+   * @method isCdnEnabled - Checks whether the CDN fallback is enabled.
+   * @returns {boolean} - True if builds may be loaded from the CDN.
+   */
+  isCdnEnabled() {
+    return Boolean(this.cdnUrlTemplate);
+  }
+
+  /**
+   * @method setCdnUrlTemplate - Changes the CDN fallback.
+   * @param {string|null} template - The CDN URL template with a "{version}" placeholder, or null to disable the fallback.
+   */
+  setCdnUrlTemplate(template) {
+    this.cdnUrlTemplate = template || null;
+  }
+
+  /**
+   * @method resolve - Gets the URLs to try, in order, when loading a version.
+   * @param {string} version - The tridecco-board version.
+   * @returns {Promise<{urls: Array<string>, bundled: boolean}>} - The candidate URLs and whether a bundled copy exists.
+   */
+  async resolve(version) {
+    const bundledVersions = await this.getBundledVersions();
+    const bundled = bundledVersions.has(version);
+    const urls = [];
+
+    if (bundled) {
+      urls.push(
+        this._toAbsoluteUrl(
+          `${this.localBaseUrl}/${version}/${TRIDECCO_BUNDLE_FILE_NAME}`,
+        ),
+      );
+    }
+    if (this.cdnUrlTemplate) {
+      urls.push(formatVersionUrl(this.cdnUrlTemplate, version));
+    }
+
+    return { urls, bundled };
+  }
+}
+
+module.exports = LibraryResolver;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Lint Module
+ * @description This module checks the code written in the IDE with ESLint, using the recommended rules and the globals of the sandbox.
+ */
+
+const { Linter } = require('eslint-linter-browserify');
+const js = require('@eslint/js');
+const globals = require('globals');
+
+const ERROR_SEVERITY = 2;
+
+// Defined by the sandbox before the code runs
+const SANDBOX_GLOBALS = {
+  Tridecco: 'readonly',
+  CanvasContainer: 'readonly',
+  describe: 'readonly',
+  it: 'readonly',
+  beforeEach: 'readonly',
+  afterEach: 'readonly',
+  expect: 'readonly',
+};
+
+// Style issues are warnings, so errors stand for likely bugs
+const LINT_RULES = {
+  ...js.configs.recommended.rules,
+  'no-unused-vars': 'warn',
+  'no-empty': 'warn',
+  eqeqeq: ['warn', 'always'],
+  'no-var': 'warn',
+  'prefer-const': 'warn',
+};
+
+const linter = new Linter({ configType: 'flat' });
+
+/**
+ * @function lintCode - Lints a script or a project module.
+ * @param {string} code - The code.
+ * @param {Object} [options] - Optional parameters for the check.
+ * @param {boolean} [options.module] - Parses the code as an ES module (project files) instead of a script.
+ * @returns {Array<Object>} - The problems ({ ruleId, severity, message, line, column, endLine, endColumn }) in source order,
+ * where severity is "error" or "warning" and ruleId is null for parsing errors.
+ */
+function lintCode(code, options = {}) {
+  const messages = linter.verify(code, [
+    {
+      languageOptions: {
+        ecmaVersion: 'latest',
+        sourceType: options.module ? 'module' : 'script',
+        globals: { ...globals.browser, ...SANDBOX_GLOBALS },
+      },
+      rules: LINT_RULES,
+    },
+  ]);
+  return messages.map((message) => ({
+    ruleId: message.ruleId,
+    severity: message.severity === ERROR_SEVERITY ? 'error' : 'warning',
+    message: message.message,
+    line: message.line,
+    column: message.column,
+    endLine: message.endLine || message.line,
+    endColumn: message.endColumn || message.column + 1,
+  }));
+}
+
+module.exports = { lintCode };
@@ -1,10 +1,19 @@
 /**
  * @fileoverview Pages Module
- * @description This module to manage pages.
+ * @description This module to manage pages, and to route URL hashes (like "#/editor/<fileId>") to them.
  */
 
 /**
- * @class Pages - Handles the pages switching.
+ * @function splitPath - Splits a route path into its segments ("/editor/42" -> ["editor", "42"]).
+ * @param {string} path - The path.
+ * @returns {Array<string>} - The non-empty segments.
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * @class Pages - Handles the pages switching and the hash routes that lead to them.
  */
 class Pages {
   /**
@@ -14,14 +23,19 @@ class Pages {
   constructor(pages) {
     this.pages = new Set(pages);
     this.currentPage = null;
+    this.currentParams = {};
+    this.currentPath = null;
     this.listeners = new Array();
+    this.routes = new Array();
+    this.defaultPath = null;
   }
 
   /**
    * @method switchTo - Switches to a specified page.
    * @param {string} pageId - The ID of the page to switch to.
+   * @param {Object} [params] - The route parameters, passed to the listeners of the page.
    */
-  switchTo(pageId) {
+  switchTo(pageId, params = {}) {
     if (!this.pages.has(pageId)) {
       console.error(`Page with ID "${pageId}" does not exist.`);
       return;
@@ -32,6 +46,7 @@ class Pages {
     }
 
     this.currentPage = pageId;
+    this.currentParams = params;
     document.getElementById(this.currentPage).style.display = 'block';
 
     // Call the listeners
@@ -40,7 +55,7 @@ class Pages {
         listener.pageId === pageId &&
         typeof listener.callback === 'function'
       ) {
-        listener.callback();
+        listener.callback(params);
       }
     });
   }
@@ -48,7 +63,7 @@ class Pages {
   /**
    * @method onShow - Sets a callback to be called when a page is shown.
    * @param {string} pageId - The ID of the page to attach the callback to.
-   * @param {Function} callback - The function to call when the page is shown.
+   * @param {Function} callback - The function to call when the page is shown. Receives the route parameters.
    */
   onShow(pageId, callback) {
     if (!this.pages.has(pageId)) {
@@ -66,6 +81,119 @@ class Pages {
       callback: callback,
     });
   }
+
+  /**
+   * @method route - Maps a route to a page. Routes are matched in the order they are added.
+   * @param {string} pattern - The route, where ":name" segments are parameters (e.g. "/editor/:fileId").
+   * @param {string} pageId - The ID of the page to show.
+   */
+  route(pattern, pageId) {
+    if (!this.pages.has(pageId)) {
+      console.error(`Page with ID "${pageId}" does not exist.`);
+      return;
+    }
+
+    this.routes.push({ segments: splitPath(pattern), pageId });
+  }
+
+  /**
+   * @method _match - Finds the route of a path.
+   * @param {string} path - The path (e.g. "/editor/42").
+   * @returns {Object | null} - The page ID and the decoded parameters ({ pageId, params }), or null if no route matches.
+   */
+  _match(path) {
+    const pathSegments = splitPath(path);
+
+    for (const { segments, pageId } of this.routes) {
+      if (segments.length !== pathSegments.length) continue;
+
+      const params = {};
+      const matches = segments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          try {
+            params[segment.slice(1)] = decodeURIComponent(pathSegments[index]);
+          } catch {
+            return false; // Malformed escape sequence
+          }
+          return true;
+        }
+        return segment === pathSegments[index];
+      });
+      if (matches) return { pageId, params };
+    }
+    return null;
+  }
+
+  /**
+   * @method _getHashPath - Reads the route path from the URL hash ("#/files" -> "/files").
+   * @returns {string} - The path, or "" if the hash holds none.
+   */
+  _getHashPath() {
+    const hash = window.location.hash;
+    return hash.startsWith('#/') ? hash.slice(1) : '';
+  }
+
+  /**
+   * @method _handleHashChange - Shows the page of the current URL hash, or the default route if none matches.
+   */
+  _handleHashChange() {
+    const path = this._getHashPath();
+    if (path === this.currentPath) return; // Already shown (e.g. after a silent navigation)
+
+    const match = this._match(path);
+    if (!match) {
+      if (path) console.warn(`No route matches "${path}".`);
+      this.navigate(this.defaultPath, { replace: true });
+      return;
+    }
+
+    this.currentPath = path;
+    this.switchTo(match.pageId, match.params);
+  }
+
+  /**
+   * @method start - Starts routing: shows the page of the current URL hash and follows browser back and forward.
+   * Call it after all onShow callbacks are registered, so a reload restores the page with its parameters.
+   * @param {string} defaultPath - The path to use when the hash matches no route.
+   */
+  start(defaultPath) {
+    this.defaultPath = defaultPath;
+    window.addEventListener('hashchange', () => this._handleHashChange());
+    this._handleHashChange();
+  }
+
+  /**
+   * @method navigate - Goes to a route and records it in the browser history.
+   * @param {string} path - The path (e.g. "/editor/42"). Parameter values must already be URI-encoded.
+   * @param {Object} [options] - Optional parameters for the navigation.
+   * @param {boolean} [options.replace] - Replaces the current history entry instead of adding one.
+   * @param {boolean} [options.silent] - Only updates the URL, without showing the page again (e.g. after a new file gets its ID).
+   */
+  navigate(path, options = {}) {
+    const match = this._match(path);
+    if (!match) {
+      console.error(`No route matches "${path}".`);
+      return;
+    }
+
+    const url = `${window.location.pathname}${window.location.search}#${path}`;
+    if (options.silent) {
+      history[options.replace ? 'replaceState' : 'pushState'](null, '', url);
+      this.currentPath = path;
+      this.currentParams = match.params;
+      return;
+    }
+
+    if (options.replace) {
+      history.replaceState(null, '', url); // Does not fire "hashchange"
+      this._handleHashChange();
+    } else if (path === this._getHashPath()) {
+      this.currentPath = null; // Same URL: show the page again
+      this._handleHashChange();
+    } else {
+      window.location.hash = path; // Fires "hashchange"
+    }
+  }
 }
 
 module.exports = Pages;
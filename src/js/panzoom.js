@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Pan and Zoom Module
+ * @description This module lets touch, pen, and mouse users drag and pinch an element inside its viewport, using CSS transforms.
+ */
+
+const DEFAULT_MIN_SCALE = 0.5;
+const DEFAULT_MAX_SCALE = 5;
+const WHEEL_ZOOM_SPEED = 0.002; // Scale change per pixel of wheel movement
+const DOUBLE_TAP_DELAY = 300; // Milliseconds
+const PINCH_POINTERS = 2;
+const HALF = 0.5;
+
+/**
+ * @class PanZoom - Pans the content element with one pointer and zooms it with two (or the mouse wheel).
+ */
+class PanZoom {
+  /**
+   * @constructor
+   * @param {HTMLElement} viewportElement - The element receiving the gestures. Its overflow should be hidden.
+   * @param {HTMLElement} contentElement - The element that is moved and scaled.
+   * @param {Object} [options] - Optional parameters for the gestures.
+   * @param {number} [options.minScale=0.5] - The smallest scale.
+   * @param {number} [options.maxScale=5] - The largest scale.
+   */
+  constructor(viewportElement, contentElement, options = {}) {
+    if (!viewportElement || !contentElement) {
+      throw new Error('Viewport and content elements are required.');
+    }
+    this.viewportElement = viewportElement;
+    this.contentElement = contentElement;
+    this.minScale = options.minScale || DEFAULT_MIN_SCALE;
+    this.maxScale = options.maxScale || DEFAULT_MAX_SCALE;
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map(); // Pointer ID -> { x, y } relative to the viewport
+    this.gesture = null; // The transform and pointers when the current gesture (or its last pointer change) started
+    this.lastTapTime = 0;
+
+    this.viewportElement.style.touchAction = 'none'; // The browser must not scroll or zoom the page instead
+    this.contentElement.style.transformOrigin = '0 0';
+
+    this.viewportElement.addEventListener('pointerdown', (event) =>
+      this._handlePointerDown(event),
+    );
+    this.viewportElement.addEventListener('pointermove', (event) =>
+      this._handlePointerMove(event),
+    );
+    ['pointerup', 'pointercancel'].forEach((type) =>
+      this.viewportElement.addEventListener(type, (event) =>
+        this._handlePointerUp(event),
+      ),
+    );
+    this.viewportElement.addEventListener(
+      'wheel',
+      (event) => this._handleWheel(event),
+      { passive: false },
+    );
+  }
+
+  /**
+   * @method _getPoint - Gets the position of a pointer event relative to the viewport.
+   * @param {PointerEvent|WheelEvent} event - The event.
+   * @returns {{x: number, y: number}} - The position.
+   */
+  _getPoint(event) {
+    const rect = this.viewportElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * @method _startGesture - Records the current transform and pointers as the start of a gesture.
+   */
+  _startGesture() {
+    const points = Array.from(this.pointers.values());
+    this.gesture =
+      points.length === 0
+        ? null
+        : {
+            scale: this.scale,
+            x: this.x,
+            y: this.y,
+            center: this._getCenter(points),
+            distance: this._getDistance(points),
+          };
+  }
+
+  /**
+   * @method _getCenter - Gets the midpoint of the first two pointers (or the only one).
+   * @param {Array<Object>} points - The pointer positions.
+   * @returns {{x: number, y: number}} - The midpoint.
+   */
+  _getCenter(points) {
+    if (points.length < PINCH_POINTERS) return points[0];
+    const [a, b] = points;
+    return { x: (a.x + b.x) * HALF, y: (a.y + b.y) * HALF };
+  }
+
+  /**
+   * @method _getDistance - Gets the distance between the first two pointers.
+   * @param {Array<Object>} points - The pointer positions.
+   * @returns {number} - The distance, or 0 for a single pointer.
+   */
+  _getDistance(points) {
+    if (points.length < PINCH_POINTERS) return 0;
+    const [a, b] = points;
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * @method _handlePointerDown - Starts tracking a pointer. A quick second tap resets the view.
+   * @param {PointerEvent} event - The event.
+   */
+  _handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    this.viewportElement.setPointerCapture(event.pointerId);
+    this.pointers.set(event.pointerId, this._getPoint(event));
+
+    if (this.pointers.size === 1) {
+      const now = Date.now();
+      if (now - this.lastTapTime < DOUBLE_TAP_DELAY) {
+        this.reset();
+        this.lastTapTime = 0;
+      } else {
+        this.lastTapTime = now;
+      }
+    }
+    this._startGesture();
+  }
+
+  /**
+   * @method _handlePointerMove - Pans (one pointer) or pans and zooms (two pointers) the content.
+   * @param {PointerEvent} event - The event.
+   */
+  _handlePointerMove(event) {
+    if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+    this.pointers.set(event.pointerId, this._getPoint(event));
+
+    const points = Array.from(this.pointers.values());
+    const center = this._getCenter(points);
+    const distance = this._getDistance(points);
+    const scale =
+      distance > 0 && this.gesture.distance > 0
+        ? this._clampScale(
+            (this.gesture.scale * distance) / this.gesture.distance,
+          )
+        : this.gesture.scale;
+
+    // Keep the content point that was under the gesture's start center under the current center
+    const contentX =
+      (this.gesture.center.x - this.gesture.x) / this.gesture.scale;
+    const contentY =
+      (this.gesture.center.y - this.gesture.y) / this.gesture.scale;
+    this._setTransform(
+      scale,
+      center.x - contentX * scale,
+      center.y - contentY * scale,
+    );
+  }
+
+  /**
+   * @method _handlePointerUp - Stops tracking a pointer.
+   * @param {PointerEvent} event - The event.
+   */
+  _handlePointerUp(event) {
+    if (!this.pointers.delete(event.pointerId)) return;
+    this._startGesture(); // The remaining pointer continues as a pan
+  }
+
+  /**
+   * @method _handleWheel - Zooms around the mouse position.
+   * @param {WheelEvent} event - The event.
+   */
+  _handleWheel(event) {
+    event.preventDefault();
+    this.zoomAt(
+      this._getPoint(event),
+      this.scale * Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED),
+    );
+  }
+
+  /**
+   * @method _clampScale - Limits a scale to the allowed range.
+   * @param {number} scale - The scale.
+   * @returns {number} - The limited scale.
+   */
+  _clampScale(scale) {
+    return Math.min(this.maxScale, Math.max(this.minScale, scale));
+  }
+
+  /**
+   * @method _setTransform - Applies a transform to the content element.
+   * @param {number} scale - The scale.
+   * @param {number} x - The horizontal offset in pixels.
+   * @param {number} y - The vertical offset in pixels.
+   */
+  _setTransform(scale, x, y) {
+    this.scale = scale;
+    this.x = x;
+    this.y = y;
+    this.contentElement.style.transform =
+      scale === 1 && x === 0 && y === 0
+        ? ''
+        : `translate(${x}px, ${y}px) scale(${scale})`;
+  }
+
+  /**
+   * @method zoomAt - Zooms while keeping a point of the viewport in place.
+   * @param {{x: number, y: number}} point - The point, relative to the viewport.
+   * @param {number} scale - The new scale. It is limited to the allowed range.
+   */
+  zoomAt(point, scale) {
+    const newScale = this._clampScale(scale);
+    const contentX = (point.x - this.x) / this.scale;
+    const contentY = (point.y - this.y) / this.scale;
+    this._setTransform(
+      newScale,
+      point.x - contentX * newScale,
+      point.y - contentY * newScale,
+    );
+  }
+
+  /**
+   * @method reset - Shows the content at its original position and size.
+   */
+  reset() {
+    this._setTransform(1, 0, 0);
+    this._startGesture();
+  }
+}
+
+module.exports = PanZoom;
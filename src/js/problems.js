@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Problems Module
+ * @description This module lists the lint problems of the open file in the Problems tab of the console panel.
+ */
+
+const SEVERITY_CLASSES = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400',
+};
+const SEVERITY_ICONS = {
+  error: '✗',
+  warning: '⚠',
+};
+const BADGE_CLASSES = {
+  error: ['bg-red-700', 'text-white'],
+  warning: ['bg-yellow-600', 'text-black'],
+};
+
+/**
+ * @class ProblemsView - Shows the lint problems of the open file, each linking to its location.
+ */
+class ProblemsView {
+  /**
+   * @constructor
+   * @param {HTMLElement} panelElement - The console panel containing [data-problems-output], [data-problems-summary], and [data-problems-badge].
+   * @param {Object} [options] - Optional parameters for the view.
+   * @param {Function} [options.onNavigate] - Called with ({ file, line, column }) when a problem is clicked. The file is null for single-file code.
+   */
+  constructor(panelElement, options = {}) {
+    if (!panelElement) {
+      throw new Error('Problems panel element is required.');
+    }
+    this.outputElement = panelElement.querySelector('[data-problems-output]');
+    this.summaryElement = panelElement.querySelector('[data-problems-summary]');
+    this.badgeElement = panelElement.querySelector('[data-problems-badge]');
+    this.onNavigate = options.onNavigate;
+  }
+
+  /**
+   * @method _setBadge - Shows the problem count on the Problems tab.
+   * @param {string | null} severity - "error", "warning", or null to hide the badge.
+   * @param {number} [count] - The number of problems.
+   */
+  _setBadge(severity, count = 0) {
+    if (!this.badgeElement) return;
+    Object.values(BADGE_CLASSES)
+      .flat()
+      .forEach((cls) => this.badgeElement.classList.remove(cls));
+    this.badgeElement.classList.toggle('hidden', !severity);
+    if (severity) {
+      this.badgeElement.classList.add(...BADGE_CLASSES[severity]);
+    }
+    this.badgeElement.textContent = severity ? String(count) : '';
+  }
+
+  /**
+   * @method _createEntry - Creates the row of one problem.
+   * @param {Object} problem - The problem ({ severity, message, ruleId, line, column }).
+   * @param {string | null} file - The project file the problem is in.
+   * @returns {HTMLElement} - The row element.
+   */
+  _createEntry({ severity, message, ruleId, line, column }, file) {
+    const entry = document.createElement('button');
+    entry.type = 'button';
+    entry.className =
+      'block w-full text-left px-2 py-0.5 border-b border-gray-700 hover:bg-gray-700';
+    entry.title = 'Show in editor';
+    entry.addEventListener('click', () => {
+      if (typeof this.onNavigate === 'function') {
+        this.onNavigate({ file, line, column });
+      }
+    });
+
+    const icon = document.createElement('span');
+    icon.className = `mr-2 ${SEVERITY_CLASSES[severity]}`;
+    icon.textContent = SEVERITY_ICONS[severity];
+    entry.appendChild(icon);
+    entry.appendChild(document.createTextNode(message));
+
+    const details = document.createElement('span');
+    details.className = 'ml-2 text-gray-500';
+    details.textContent = `${ruleId ? `${ruleId} ` : ''}[${file ? `${file}:` : 'Ln '}${line}:${column}]`;
+    entry.appendChild(details);
+    return entry;
+  }
+
+  /**
+   * @method update - Replaces the listed problems.
+   * @param {Array<Object>} problems - The problems of the file, as returned by lintCode().
+   * @param {string | null} [file] - The project file that was checked, or null for single-file code.
+   */
+  update(problems, file = null) {
+    const errors = problems.filter(({ severity }) => severity === 'error');
+    const warnings = problems.length - errors.length;
+
+    if (this.outputElement) {
+      this.outputElement.innerHTML = '';
+      problems.forEach((problem) =>
+        this.outputElement.appendChild(this._createEntry(problem, file)),
+      );
+    }
+    if (this.summaryElement) {
+      const where = file ? ` in ${file}` : '';
+      this.summaryElement.textContent =
+        problems.length === 0
+          ? `No problems found${where}.`
+          : `${errors.length} error(s), ${warnings} warning(s)${where}`;
+    }
+    if (errors.length > 0) {
+      this._setBadge('error', problems.length);
+    } else {
+      this._setBadge(warnings > 0 ? 'warning' : null, warnings);
+    }
+  }
+}
+
+module.exports = ProblemsView;
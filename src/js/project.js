@@ -0,0 +1,461 @@
+/**
+ * @fileoverview Project Module
+ * @description This module models multi-file projects: files in folders, an entry point, and the module graph used to run them.
+ */
+
+const DEFAULT_PROJECT_NAME = 'Untitled Project';
+const DEFAULT_ENTRY_PATH = 'main.js';
+const MODULE_EXTENSION = '.js';
+const MODULE_MARKER_PREFIX = 'ide-module:'; // Replaced by real module URLs inside the sandbox
+const MANIFEST_FILE_NAME = 'tridecco-project.json';
+const MANIFEST_INDENT = 2;
+
+// Specifiers of static imports, re-exports, and dynamic imports with a literal argument
+const IMPORT_PATTERNS = [
+  /(\bimport\s+(?:[\w$*{}\s,]+?\s+from\s+)?)(['"])([^'"\n]+)\2/g,
+  /(\bexport\s+(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s+)(['"])([^'"\n]+)\2/g,
+  /(\bimport\s*\(\s*)(['"])([^'"\n]+)\2/g,
+];
+
+/**
+ * @function normalizePath - Normalizes a project path ("./a//b/../c.js" -> "a/c.js").
+ * @param {string} path - The path to normalize.
+ * @returns {string} - The normalized path, without leading or trailing slashes.
+ * @throws {Error} - If the path is empty or points outside the project.
+ */
+function normalizePath(path) {
+  const segments = [];
+  String(path || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .forEach((segment) => {
+      if (!segment || segment === '.') return;
+      if (segment === '..') {
+        if (segments.length === 0) {
+          throw new Error(`Path "${path}" points outside the project.`);
+        }
+        segments.pop();
+        return;
+      }
+      segments.push(segment);
+    });
+
+  if (segments.length === 0) {
+    throw new Error('Path cannot be empty.');
+  }
+  return segments.join('/');
+}
+
+/**
+ * @function dirname - Gets the folder of a path ("" for the project root).
+ * @param {string} path - The normalized path.
+ * @returns {string} - The folder path.
+ */
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index < 0 ? '' : path.slice(0, index);
+}
+
+/**
+ * @function isRelativeSpecifier - Checks whether an import specifier points into the project.
+ * @param {string} specifier - The import specifier.
+ * @returns {boolean} - True for "./" and "../" specifiers.
+ */
+function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * @class Project - A set of files in folders with one entry point.
+ */
+class Project {
+  /**
+   * @constructor
+   * @param {Object} [data] - The project data.
+   * @param {string} [data.name] - The project name.
+   * @param {string} [data.entry] - The path of the entry point.
+   * @param {Object<string, string>} [data.files] - The file contents, keyed by path.
+   * @param {Array<string>} [data.folders] - Folders to keep even when empty.
+   */
+  constructor({
+    name = DEFAULT_PROJECT_NAME,
+    entry = DEFAULT_ENTRY_PATH,
+    files = {},
+    folders = [],
+  } = {}) {
+    this.name = name;
+    this.files = new Map();
+    this.folders = new Set();
+
+    Object.entries(files).forEach(([path, content]) => {
+      this.files.set(normalizePath(path), String(content));
+    });
+    folders.forEach((folder) => this.folders.add(normalizePath(folder)));
+
+    if (this.files.size === 0) {
+      this.files.set(DEFAULT_ENTRY_PATH, '');
+    }
+    const normalizedEntry = normalizePath(entry);
+    this.entry = this.files.has(normalizedEntry)
+      ? normalizedEntry
+      : this.listFiles()[0];
+  }
+
+  /**
+   * @method fromJSON - Creates a project from stored or shared data.
+   * @param {Object} data - The serialized project.
+   * @returns {Project} - The project.
+   */
+  static fromJSON(data) {
+    if (!data || typeof data.files !== 'object' || data.files === null) {
+      throw new Error('Invalid project data.');
+    }
+    return new Project(data);
+  }
+
+  /**
+   * @method toJSON - Serializes the project for storage, sharing, or export.
+   * @returns {Object} - The serialized project ({ name, entry, files, folders }).
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      entry: this.entry,
+      files: Object.fromEntries(this.files),
+      folders: Array.from(this.folders),
+    };
+  }
+
+  /**
+   * @method addToZip - Adds the files, empty folders, and a manifest to a JSZip archive (or folder).
+   * @param {Object} zip - The JSZip instance or folder to write into.
+   * @param {Object} [options] - Optional parameters for the export.
+   * @param {string} [options.boardVersion] - The board version recorded in the manifest.
+   */
+  addToZip(zip, options = {}) {
+    this.folders.forEach((folder) => zip.folder(folder));
+    this.files.forEach((content, path) => zip.file(path, content));
+    const manifest = {
+      name: this.name,
+      entry: this.entry,
+      boardVersion: options.boardVersion,
+    };
+    zip.file(
+      MANIFEST_FILE_NAME,
+      JSON.stringify(manifest, null, MANIFEST_INDENT),
+    );
+  }
+
+  /**
+   * @method fromZip - Reads a project written by addToZip (or any folder of files) from a JSZip archive or folder.
+   * @param {Object} zip - The JSZip instance or folder to read from.
+   * @param {string} [fallbackName] - The project name when the manifest has none.
+   * @returns {Promise<Object>} - The project and the board version from the manifest ({ project, boardVersion }).
+   * @throws {Error} - If the manifest is not valid JSON or a path points outside the project.
+   */
+  static async fromZip(zip, fallbackName = DEFAULT_PROJECT_NAME) {
+    const manifestFile = zip.file(MANIFEST_FILE_NAME);
+    const manifest = manifestFile
+      ? JSON.parse(await manifestFile.async('string'))
+      : {};
+
+    const files = {};
+    const folderPaths = [];
+    const reads = [];
+    zip.forEach((relativePath, entry) => {
+      if (entry.dir) {
+        folderPaths.push(normalizePath(relativePath));
+      } else if (relativePath !== MANIFEST_FILE_NAME) {
+        reads.push(
+          entry.async('string').then((content) => {
+            files[normalizePath(relativePath)] = content;
+          }),
+        );
+      }
+    });
+    await Promise.all(reads);
+
+    // Archives list the parent folder of every file; only empty ones need keeping
+    const filePaths = Object.keys(files);
+    const folders = folderPaths.filter(
+      (folder) => !filePaths.some((path) => path.startsWith(`${folder}/`)),
+    );
+
+    const project = new Project({
+      name: manifest.name || fallbackName,
+      entry: manifest.entry,
+      files,
+      folders,
+    });
+    return { project, boardVersion: manifest.boardVersion };
+  }
+
+  /**
+   * @method listFiles - Lists all file paths, sorted.
+   * @returns {Array<string>} - The file paths.
+   */
+  listFiles() {
+    return Array.from(this.files.keys()).sort();
+  }
+
+  /**
+   * @method listFolders - Lists all folder paths, including those implied by file paths, sorted.
+   * @returns {Array<string>} - The folder paths.
+   */
+  listFolders() {
+    const folders = new Set(this.folders);
+    this.files.forEach((content, path) => {
+      let folder = dirname(path);
+      while (folder) {
+        folders.add(folder);
+        folder = dirname(folder);
+      }
+    });
+    return Array.from(folders).sort();
+  }
+
+  /**
+   * @method hasFile - Checks whether a file exists.
+   * @param {string} path - The file path.
+   * @returns {boolean} - True if the file exists.
+   */
+  hasFile(path) {
+    return this.files.has(normalizePath(path));
+  }
+
+  /**
+   * @method hasFolder - Checks whether a folder exists.
+   * @param {string} path - The folder path.
+   * @returns {boolean} - True if the folder exists.
+   */
+  hasFolder(path) {
+    return this.listFolders().includes(normalizePath(path));
+  }
+
+  /**
+   * @method getFile - Gets the content of a file.
+   * @param {string} path - The file path.
+   * @returns {string | null} - The content, or null if the file does not exist.
+   */
+  getFile(path) {
+    const normalized = normalizePath(path);
+    return this.files.has(normalized) ? this.files.get(normalized) : null;
+  }
+
+  /**
+   * @method writeFile - Sets the content of an existing file.
+   * @param {string} path - The file path.
+   * @param {string} content - The new content.
+   * @throws {Error} - If the file does not exist.
+   */
+  writeFile(path, content) {
+    const normalized = normalizePath(path);
+    if (!this.files.has(normalized)) {
+      throw new Error(`File "${normalized}" does not exist.`);
+    }
+    this.files.set(normalized, String(content));
+  }
+
+  /**
+   * @method createFile - Creates a new file.
+   * @param {string} path - The file path. ".js" is appended when there is no extension.
+   * @param {string} [content=''] - The file content.
+   * @returns {string} - The normalized path of the new file.
+   * @throws {Error} - If a file or folder already exists at the path.
+   */
+  createFile(path, content = '') {
+    let normalized = normalizePath(path);
+    if (!normalized.split('/').pop().includes('.')) {
+      normalized += MODULE_EXTENSION;
+    }
+    if (this.files.has(normalized) || this.hasFolder(normalized)) {
+      throw new Error(`"${normalized}" already exists.`);
+    }
+    this.files.set(normalized, String(content));
+    return normalized;
+  }
+
+  /**
+   * @method createFolder - Creates a new, empty folder.
+   * @param {string} path - The folder path.
+   * @returns {string} - The normalized path of the new folder.
+   * @throws {Error} - If a file or folder already exists at the path.
+   */
+  createFolder(path) {
+    const normalized = normalizePath(path);
+    if (this.files.has(normalized) || this.hasFolder(normalized)) {
+      throw new Error(`"${normalized}" already exists.`);
+    }
+    this.folders.add(normalized);
+    return normalized;
+  }
+
+  /**
+   * @method rename - Renames or moves a file or folder (with everything in it).
+   * @param {string} from - The current path.
+   * @param {string} to - The new path.
+   * @returns {Array<Array<string>>} - The [oldPath, newPath] pairs of the moved files.
+   * @throws {Error} - If the source does not exist or the target already exists.
+   */
+  rename(from, to) {
+    const source = normalizePath(from);
+    const target = normalizePath(to);
+    if (source === target) return [];
+    if (this.files.has(target) || this.hasFolder(target)) {
+      throw new Error(`"${target}" already exists.`);
+    }
+
+    if (this.files.has(source)) {
+      this.files.set(target, this.files.get(source));
+      this.files.delete(source);
+      if (this.entry === source) this.entry = target;
+      return [[source, target]];
+    }
+
+    if (!this.hasFolder(source)) {
+      throw new Error(`"${source}" does not exist.`);
+    }
+    if (target.startsWith(`${source}/`)) {
+      throw new Error('A folder cannot be moved into itself.');
+    }
+
+    const moved = [];
+    const prefix = `${source}/`;
+    this.listFiles()
+      .filter((path) => path.startsWith(prefix))
+      .forEach((path) => {
+        const newPath = `${target}/${path.slice(prefix.length)}`;
+        this.files.set(newPath, this.files.get(path));
+        this.files.delete(path);
+        if (this.entry === path) this.entry = newPath;
+        moved.push([path, newPath]);
+      });
+    Array.from(this.folders).forEach((folder) => {
+      if (folder === source || folder.startsWith(prefix)) {
+        this.folders.delete(folder);
+        this.folders.add(`${target}${folder.slice(source.length)}`);
+      }
+    });
+    return moved;
+  }
+
+  /**
+   * @method remove - Deletes a file or folder (with everything in it).
+   * @param {string} path - The path to delete.
+   * @returns {Array<string>} - The paths of the deleted files.
+   * @throws {Error} - If the path does not exist, or if it is or contains the entry point.
+   */
+  remove(path) {
+    const normalized = normalizePath(path);
+    const prefix = `${normalized}/`;
+
+    if (this.files.has(normalized)) {
+      if (this.entry === normalized) {
+        throw new Error(
+          'Cannot delete the entry point. Choose another entry point first.',
+        );
+      }
+      this.files.delete(normalized);
+      return [normalized];
+    }
+
+    if (!this.hasFolder(normalized)) {
+      throw new Error(`"${normalized}" does not exist.`);
+    }
+    if (this.entry.startsWith(prefix)) {
+      throw new Error(
+        'Cannot delete a folder containing the entry point. Choose another entry point first.',
+      );
+    }
+
+    const removed = this.listFiles().filter((file) => file.startsWith(prefix));
+    removed.forEach((file) => this.files.delete(file));
+    Array.from(this.folders).forEach((folder) => {
+      if (folder === normalized || folder.startsWith(prefix)) {
+        this.folders.delete(folder);
+      }
+    });
+    return removed;
+  }
+
+  /**
+   * @method setEntry - Marks a file as the entry point.
+   * @param {string} path - The file path.
+   * @throws {Error} - If the file does not exist.
+   */
+  setEntry(path) {
+    const normalized = normalizePath(path);
+    if (!this.files.has(normalized)) {
+      throw new Error(`File "${normalized}" does not exist.`);
+    }
+    this.entry = normalized;
+  }
+
+  /**
+   * @method resolveImport - Resolves a relative import specifier to a project file.
+   * @param {string} fromPath - The path of the importing file.
+   * @param {string} specifier - The import specifier (e.g. "./layout.js" or "../rules").
+   * @returns {string} - The path of the imported file.
+   * @throws {Error} - If no file matches.
+   */
+  resolveImport(fromPath, specifier) {
+    const base = dirname(fromPath);
+    const target = normalizePath(base ? `${base}/${specifier}` : specifier);
+    const candidates = [
+      target,
+      `${target}${MODULE_EXTENSION}`,
+      `${target}/index${MODULE_EXTENSION}`,
+    ];
+    const resolved = candidates.find((candidate) => this.files.has(candidate));
+    if (!resolved) {
+      throw new Error(
+        `Cannot resolve "${specifier}" imported from "${fromPath}".`,
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * @method bundle - Builds the module graph reachable from the entry point.
+   * Relative specifiers are rewritten to markers that the sandbox swaps for module URLs.
+   * @returns {{modules: Array<Object>, markerPrefix: string}} - The modules in dependency order (entry last), each { path, code, dependencies }.
+   * @throws {Error} - If an import cannot be resolved or the imports are circular.
+   */
+  bundle() {
+    const modules = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (path) => {
+      if (visited.has(path)) return;
+      if (visiting.includes(path)) {
+        const cycle = [...visiting.slice(visiting.indexOf(path)), path];
+        throw new Error(
+          `Circular imports are not supported: ${cycle.join(' -> ')}`,
+        );
+      }
+      visiting.push(path);
+
+      const dependencies = [];
+      let code = this.files.get(path);
+      IMPORT_PATTERNS.forEach((pattern) => {
+        code = code.replace(pattern, (match, prefix, quote, specifier) => {
+          if (!isRelativeSpecifier(specifier)) return match; // URLs and bare specifiers are left alone
+          const dependency = this.resolveImport(path, specifier);
+          if (!dependencies.includes(dependency)) dependencies.push(dependency);
+          return `${prefix}${JSON.stringify(MODULE_MARKER_PREFIX + dependency)}`;
+        });
+      });
+
+      dependencies.forEach(visit);
+      visiting.pop();
+      visited.add(path);
+      modules.push({ path, code, dependencies });
+    };
+
+    visit(this.entry);
+    return { modules, markerPrefix: MODULE_MARKER_PREFIX };
+  }
+}
+
+module.exports = Project;
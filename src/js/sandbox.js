@@ -0,0 +1,1741 @@
+/**
+ * @fileoverview Sandbox Module
+ * @description This module runs user code inside a fresh, sandboxed iframe so it cannot reach the IDE window.
+ */
+
+const GifEncoder = require('./gif');
+
+const SANDBOX_PERMISSIONS = 'allow-scripts'; // No allow-same-origin: the frame gets an opaque origin
+const SANDBOX_FRAME_CLASSES = 'absolute inset-0 w-full h-full border-0';
+const MILLISECONDS_PER_SECOND = 1000;
+const DEFAULT_RECORDING_FPS = 30;
+
+/**
+ * @function sandboxBootstrap - Runs inside the sandboxed iframe (serialized with toString).
+ * It waits for the message port from the IDE, forwards console and error traffic through it,
+ * loads the requested library build and executes the user code (a script or a module graph).
+ * It also provides the describe/it/expect test API; collected tests only run when the IDE asks for it,
+ * tracks the boards and renderers the code creates for the board inspector and Design mode,
+ * and captures their canvas for image and video exports.
+ * It must not reference anything outside of its own body; the constants it shares with this module are passed in.
+ * @param {number} millisecondsPerSecond - MILLISECONDS_PER_SECOND.
+ */
+function sandboxBootstrap(millisecondsPerSecond) {
+  const CONSOLE_METHODS = [
+    'log',
+    'info',
+    'warn',
+    'error',
+    'debug',
+    'dir',
+    'table',
+    'group',
+    'groupCollapsed',
+    'groupEnd',
+    'count',
+    'countReset',
+    'time',
+    'timeLog',
+    'timeEnd',
+    'assert',
+    'trace',
+    'clear',
+  ];
+  const LABELLED_METHODS = [
+    'count',
+    'countReset',
+    'time',
+    'timeLog',
+    'timeEnd',
+  ];
+  const SOURCE_URL = 'main.js';
+  const BOOTSTRAP_LOCATION = 'about:srcdoc'; // Where this bootstrap's own stack frames point
+  const PREVIEW_LIMIT = 5; // Properties shown in a collapsed object preview
+  const INSPECT_LIMIT = 500; // Properties returned when expanding an object
+  const TABLE_ROW_LIMIT = 1000;
+  const ID_RADIX = 36;
+  const ID_TOKEN_START = 2;
+  const TEST_TIMEOUT = 5000;
+  const STRINGIFY_DEPTH_LIMIT = 8;
+  const VALUE_PREVIEW_LENGTH = 60;
+  const CLOSE_TO_DEFAULT_DIGITS = 2;
+  const DECIMAL_BASE = 10;
+  const HALF = 0.5;
+  const STACK_LOCATION_PATTERN = /([^\s()@]+):(\d+):(\d+)\)?$/;
+  const INSPECTOR_POLL_INTERVAL = 500; // Boards of older versions have no change events
+  const HIGHLIGHT_STYLE =
+    'position: fixed; pointer-events: none; z-index: 2147483647; box-sizing: border-box; border: 2px solid #facc15; background: rgba(250, 204, 21, 0.25);';
+  const VIDEO_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm',
+  ];
+
+  // Object handles are unique per frame, so a stale handle never resolves in a newer run
+  const objectIdPrefix = Math.random().toString(ID_RADIX).slice(ID_TOKEN_START);
+  const objects = new Map();
+  const modulePaths = new Map(); // Module blob URL -> project file path
+  let nextObjectId = 1;
+  let port = null;
+
+  const tests = []; // Collected by it(), run by runTests()
+  const rootSuite = { names: [], beforeEach: [], afterEach: [], parent: null };
+  let currentSuite = rootSuite;
+
+  const trackedBoards = []; // Instances of Tridecco.Board, in creation order
+  const trackedRenderers = []; // { instance, options } for Tridecco.Renderer
+  let inspectorTimer = null;
+  let lastSnapshot = null;
+  let highlightElements = [];
+  let isDesignEnabled = false; // Clicks on the first board go to the IDE instead of the code
+  let recording = null; // { requestId, frameTimer, stopTimer, finish } while the canvas is recorded
+
+  window.CanvasContainer = document.getElementById('canvas-container');
+
+  function send(type, payload = {}) {
+    port.postMessage({ type, ...payload });
+  }
+
+  function register(value) {
+    const objectId = `${objectIdPrefix}:${nextObjectId++}`;
+    objects.set(objectId, value);
+    return objectId;
+  }
+
+  function getSubtype(value) {
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return 'array';
+    if (value instanceof Map) return 'map';
+    if (value instanceof Set) return 'set';
+    if (value instanceof Error) return 'error';
+    if (value instanceof Date) return 'date';
+    if (value instanceof RegExp) return 'regexp';
+    if (value instanceof Node) return 'node';
+    if (value instanceof Promise) return 'promise';
+    return null;
+  }
+
+  function getClassName(value) {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) return 'Object';
+    return (proto.constructor && proto.constructor.name) || 'Object';
+  }
+
+  function describeNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeName;
+    const id = node.id ? `#${node.id}` : '';
+    const classes = node.classList.length
+      ? `.${Array.from(node.classList).join('.')}`
+      : '';
+    return `<${node.tagName.toLowerCase()}${id}${classes}>`;
+  }
+
+  function describeObject(value, subtype, className) {
+    switch (subtype) {
+      case 'array':
+        return `${className}(${value.length})`;
+      case 'map':
+      case 'set':
+        return `${className}(${value.size})`;
+      case 'error':
+        return formatError(value);
+      case 'date':
+        return Number.isNaN(value.getTime())
+          ? 'Invalid Date'
+          : value.toISOString();
+      case 'regexp':
+        return String(value);
+      case 'node':
+        return describeNode(value);
+      default:
+        return className;
+    }
+  }
+
+  function replaceModuleUrls(text) {
+    let result = text;
+    modulePaths.forEach((path, url) => {
+      result = result.split(url).join(path);
+    });
+    return result;
+  }
+
+  function formatError(value) {
+    if (value instanceof Error) {
+      return replaceModuleUrls(
+        value.stack || `${value.name}: ${value.message}`,
+      );
+    }
+    return String(value);
+  }
+
+  function readProperty(value, name) {
+    try {
+      return value[name];
+    } catch (error) {
+      return error; // Throwing getters show the error instead
+    }
+  }
+
+  /**
+   * Describes a value as a cloneable descriptor. Objects get a handle the IDE can expand later,
+   * plus a shallow preview when requested.
+   */
+  function describe(value, withPreview = true) {
+    if (value === null) return { type: 'null' };
+
+    const type = typeof value;
+    switch (type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+      case 'undefined':
+        return { type, value };
+      case 'bigint':
+        return { type, description: `${value}n` };
+      case 'symbol':
+        return { type, description: value.toString() };
+      case 'function':
+        return {
+          type,
+          description: `ƒ ${value.name || 'anonymous'}()`,
+          objectId: withPreview ? register(value) : undefined,
+        };
+      default:
+        break;
+    }
+
+    const subtype = getSubtype(value);
+    const className = getClassName(value);
+    const descriptor = {
+      type: 'object',
+      subtype,
+      className,
+      description: describeObject(value, subtype, className),
+    };
+    if (withPreview) {
+      descriptor.objectId = register(value);
+      descriptor.preview = buildPreview(value, subtype);
+    }
+    return descriptor;
+  }
+
+  function buildPreview(value, subtype) {
+    const entries = [];
+    let total = 0;
+
+    if (subtype === 'map') {
+      total = value.size;
+      for (const [key, entryValue] of value) {
+        if (entries.length >= PREVIEW_LIMIT) break;
+        entries.push({
+          key: describe(key, false),
+          value: describe(entryValue, false),
+        });
+      }
+    } else if (subtype === 'set') {
+      total = value.size;
+      for (const entryValue of value) {
+        if (entries.length >= PREVIEW_LIMIT) break;
+        entries.push({ value: describe(entryValue, false) });
+      }
+    } else if (subtype === 'array') {
+      total = value.length;
+      for (let i = 0; i < Math.min(total, PREVIEW_LIMIT); i++) {
+        entries.push({ name: String(i), value: describe(value[i], false) });
+      }
+    } else if (subtype === null) {
+      const keys = Object.keys(value);
+      total = keys.length;
+      keys.slice(0, PREVIEW_LIMIT).forEach((name) => {
+        entries.push({
+          name,
+          value: describe(readProperty(value, name), false),
+        });
+      });
+    }
+
+    return { entries, overflow: total > entries.length };
+  }
+
+  function inspect(objectId) {
+    if (!objects.has(objectId)) return null;
+    const value = objects.get(objectId);
+    const subtype = getSubtype(value);
+    const result = { properties: [], entries: [], overflow: false };
+
+    if (subtype === 'map' || subtype === 'set') {
+      for (const [key, entryValue] of value.entries()) {
+        if (result.entries.length >= INSPECT_LIMIT) {
+          result.overflow = true;
+          break;
+        }
+        result.entries.push(
+          subtype === 'map'
+            ? { key: describe(key), value: describe(entryValue) }
+            : { value: describe(entryValue) },
+        );
+      }
+    }
+
+    const names = Object.getOwnPropertyNames(value);
+    if (names.length > INSPECT_LIMIT) result.overflow = true;
+    names.slice(0, INSPECT_LIMIT).forEach((name) => {
+      result.properties.push({
+        name,
+        value: describe(readProperty(value, name)),
+      });
+    });
+
+    return result;
+  }
+
+  function describeTable(data, columnFilter) {
+    if (data === null || typeof data !== 'object') return null;
+
+    const columns = [];
+    const rows = [];
+    let hasValueColumn = false;
+
+    Object.keys(data)
+      .slice(0, TABLE_ROW_LIMIT)
+      .forEach((index) => {
+        const rowValue = readProperty(data, index);
+        const row = { index, cells: {} };
+        if (rowValue !== null && typeof rowValue === 'object') {
+          Object.keys(rowValue).forEach((column) => {
+            if (Array.isArray(columnFilter) && !columnFilter.includes(column)) {
+              return;
+            }
+            if (!columns.includes(column)) columns.push(column);
+            row.cells[column] = describe(readProperty(rowValue, column), false);
+          });
+        } else {
+          hasValueColumn = true;
+          row.value = describe(rowValue, false);
+        }
+        rows.push(row);
+      });
+
+    return { columns, rows, hasValueColumn };
+  }
+
+  function buildConsoleMessage(method, args) {
+    const message = { method, timestamp: performance.now() };
+
+    if (method === 'assert') {
+      if (args[0]) return null; // Passing assertions print nothing
+      message.args = args.slice(1).map((arg) => describe(arg));
+    } else if (LABELLED_METHODS.includes(method)) {
+      message.label = args.length > 0 ? String(args[0]) : 'default';
+      message.args = args.slice(1).map((arg) => describe(arg));
+    } else {
+      message.args = args.map((arg) => describe(arg));
+    }
+
+    if (method === 'table') {
+      message.table = describeTable(args[0], args[1]);
+    }
+    if (method === 'trace') {
+      message.stack = (new Error().stack || '')
+        .split('\n')
+        .filter((line) => line.trim() && !/^Error\b/.test(line))
+        .filter((line) => !line.includes(BOOTSTRAP_LOCATION)) // Drop the console wrapper's frames
+        .join('\n');
+    }
+    return message;
+  }
+
+  function forwardConsole() {
+    CONSOLE_METHODS.forEach((method) => {
+      const original = console[method];
+      console[method] = function forward(...args) {
+        if (typeof original === 'function') {
+          original.apply(console, args); // Keep the frame's own devtools output
+        }
+        const message = buildConsoleMessage(method, args);
+        if (message) send('console', message);
+      };
+    });
+  }
+
+  function forwardErrors() {
+    window.addEventListener('error', (event) => {
+      send('error', {
+        message: event.error ? formatError(event.error) : event.message,
+        file: modulePaths.get(event.filename),
+        line: event.lineno,
+        column: event.colno,
+      });
+    });
+    window.addEventListener('unhandledrejection', (event) => {
+      send('error', {
+        message: `(in promise) ${formatError(event.reason)}`,
+      });
+    });
+  }
+
+  function handleRequest(event) {
+    const request = event.data || {};
+    if (request.type === 'inspect') {
+      send('inspect-result', {
+        requestId: request.requestId,
+        result: inspect(request.objectId),
+      });
+    } else if (request.type === 'inspector') {
+      setInspectorEnabled(request.enabled);
+    } else if (request.type === 'highlight') {
+      highlight(request.target);
+    } else if (request.type === 'design') {
+      isDesignEnabled = Boolean(request.enabled);
+      document.body.style.cursor = '';
+    } else if (request.type === 'design-apply') {
+      applyDesignChanges(request.changes || []);
+    } else if (request.type === 'capture') {
+      capture(request);
+    } else if (request.type === 'record-start') {
+      startRecording(request);
+    } else if (request.type === 'record-stop') {
+      stopRecording();
+    }
+  }
+
+  function loadScript(url) {
+    return new Promise((resolve) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = () => resolve(typeof window.Tridecco !== 'undefined');
+      script.onerror = () => {
+        script.remove();
+        resolve(false);
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  async function loadLibrary(urls) {
+    // Candidates are tried in order (bundled copy first, then the CDN)
+    for (const url of urls || []) {
+      if (await loadScript(url)) return url;
+    }
+    return null;
+  }
+
+  function execute(code) {
+    // Inline scripts report errors with line numbers relative to the user code
+    const script = document.createElement('script');
+    script.textContent = `${code}\n//# sourceURL=${SOURCE_URL}`;
+    document.body.appendChild(script);
+    return Promise.resolve();
+  }
+
+  function executeModules({ modules, markerPrefix }) {
+    // Modules arrive in dependency order, so every import can point at an existing blob URL
+    const urls = new Map();
+    modules.forEach((module) => {
+      let code = module.code;
+      module.dependencies.forEach((dependency) => {
+        code = code
+          .split(JSON.stringify(markerPrefix + dependency))
+          .join(JSON.stringify(urls.get(dependency)));
+      });
+      const blob = new Blob([`${code}\n//# sourceURL=${module.path}`], {
+        type: 'text/javascript',
+      });
+      const url = URL.createObjectURL(blob);
+      urls.set(module.path, url);
+      modulePaths.set(url, module.path);
+    });
+
+    const entry = modules[modules.length - 1];
+    return new Promise((resolve) => {
+      // A module script fires "load" once the whole graph has been evaluated
+      const script = document.createElement('script');
+      script.type = 'module';
+      script.src = urls.get(entry.path);
+      script.onload = () => resolve();
+      script.onerror = () => {
+        send('error', {
+          message: `Failed to load the modules of "${entry.path}". Check that every import points to an existing file or URL.`,
+        });
+        resolve();
+      };
+      document.body.appendChild(script);
+    });
+  }
+
+  // Board Inspector
+
+  function trackInstances() {
+    const library = window.Tridecco;
+    [
+      ['Board', (instance) => trackedBoards.push(instance)],
+      [
+        'Renderer',
+        (instance, args) =>
+          trackedRenderers.push({ instance, options: args[0] || {} }),
+      ],
+    ].forEach(([name, track]) => {
+      const OriginalClass = library[name];
+      if (typeof OriginalClass !== 'function') return;
+      // A proxy keeps the class name, its statics, and instanceof working (subclasses are tracked too)
+      const TrackedClass = new Proxy(OriginalClass, {
+        construct(target, args, newTarget) {
+          const instance = Reflect.construct(target, args, newTarget);
+          track(instance, args);
+          return instance;
+        },
+      });
+      try {
+        library[name] = TrackedClass;
+      } catch {
+        // A frozen namespace cannot be tracked; the inspector stays empty
+      }
+    });
+  }
+
+  function getPositions(board) {
+    const map = readProperty(board, 'map');
+    const positions = map && readProperty(map, 'positions');
+    return Array.isArray(positions) ? positions : [];
+  }
+
+  function getPieceColors(board, index) {
+    try {
+      const piece = board.get(index);
+      if (!piece) return null;
+      return Array.isArray(piece.colors) ? piece.colors.map(String) : [];
+    } catch {
+      return null;
+    }
+  }
+
+  function getBoardId(board) {
+    return trackedBoards.indexOf(board) + 1 || null; // IDs start at 1
+  }
+
+  function describeOption(value) {
+    const boardId = getBoardId(value);
+    if (boardId) return `Board #${boardId}`;
+    if (value === null || typeof value !== 'object') {
+      return typeof value === 'function'
+        ? `ƒ ${value.name || 'anonymous'}()`
+        : String(value);
+    }
+    return describeObject(value, getSubtype(value), getClassName(value));
+  }
+
+  function takeSnapshot() {
+    const boards = trackedBoards.map((board, index) => ({
+      id: index + 1,
+      className: getClassName(board),
+      cells: getPositions(board).map((position) => ({
+        index: position.index,
+        x: position.x,
+        y: position.y,
+        colors: getPieceColors(board, position.index),
+      })),
+    }));
+    const renderers = trackedRenderers.map(({ instance, options }, index) => {
+      const canvas = readProperty(instance, 'canvas');
+      const isCanvas = canvas instanceof HTMLCanvasElement;
+      return {
+        id: index + 1,
+        className: getClassName(instance),
+        boardId: getBoardId(readProperty(instance, 'board')),
+        options: Object.keys(options).map((name) => ({
+          name,
+          value: describeOption(readProperty(options, name)),
+        })),
+        canvas: isCanvas
+          ? {
+              width: canvas.width,
+              height: canvas.height,
+              attached: canvas.isConnected,
+            }
+          : null,
+      };
+    });
+    return { boards, renderers };
+  }
+
+  function sendSnapshot() {
+    const snapshot = takeSnapshot();
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === lastSnapshot) return; // Only changes are sent
+    lastSnapshot = serialized;
+    send('inspector', snapshot);
+  }
+
+  function setInspectorEnabled(enabled) {
+    clearInterval(inspectorTimer);
+    inspectorTimer = null;
+    lastSnapshot = null;
+    if (!enabled) {
+      highlight(null);
+      return;
+    }
+    sendSnapshot();
+    inspectorTimer = setInterval(sendSnapshot, INSPECTOR_POLL_INTERVAL);
+  }
+
+  function getMapGeometry(renderer, board) {
+    // The renderer fits the map into its canvas, so cell boxes are derived from the map coordinates
+    const positions = getPositions(board);
+    const canvas = readProperty(renderer, 'canvas');
+    if (positions.length === 0 || !(canvas instanceof HTMLCanvasElement)) {
+      return null;
+    }
+
+    let cellSize = Infinity; // Distance between the two closest positions
+    positions.forEach((a, i) => {
+      positions.slice(i + 1).forEach((b) => {
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        if (distance > 0 && distance < cellSize) cellSize = distance;
+      });
+    });
+    if (!Number.isFinite(cellSize)) cellSize = 1;
+
+    const xs = positions.map((item) => item.x);
+    const ys = positions.map((item) => item.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX + cellSize;
+    const spanY = Math.max(...ys) - minY + cellSize;
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.min(rect.width / spanX, rect.height / spanY);
+    return {
+      positions,
+      rect,
+      scale,
+      cellSize,
+      originX: rect.left + (rect.width - spanX * scale) * HALF - minX * scale,
+      originY: rect.top + (rect.height - spanY * scale) * HALF - minY * scale,
+    };
+  }
+
+  function getCellRect(renderer, board, index) {
+    const geometry = getMapGeometry(renderer, board);
+    const position =
+      geometry && geometry.positions.find((item) => item.index === index);
+    if (!position) return null;
+    const { scale, cellSize, originX, originY } = geometry;
+    return {
+      left: originX + position.x * scale,
+      top: originY + position.y * scale,
+      width: cellSize * scale,
+      height: cellSize * scale,
+    };
+  }
+
+  function findCellAt(board, clientX, clientY) {
+    // The closest position to the pointer, within half a cell of its centre
+    for (const renderer of getRenderersOf(board)) {
+      const geometry = getMapGeometry(renderer, board);
+      if (!geometry) continue;
+      const { positions, rect, scale, cellSize, originX, originY } = geometry;
+      if (
+        clientX < rect.left ||
+        clientX > rect.right ||
+        clientY < rect.top ||
+        clientY > rect.bottom
+      ) {
+        continue;
+      }
+
+      const x = (clientX - originX) / scale - cellSize * HALF;
+      const y = (clientY - originY) / scale - cellSize * HALF;
+      let closest = null;
+      positions.forEach((position) => {
+        const distance = Math.hypot(position.x - x, position.y - y);
+        if (
+          distance <= cellSize * HALF &&
+          (!closest || distance < closest.distance)
+        ) {
+          closest = { index: position.index, distance };
+        }
+      });
+      return closest ? closest.index : null;
+    }
+    return null;
+  }
+
+  function getRenderersOf(board) {
+    return trackedRenderers
+      .map(({ instance }) => instance)
+      .filter((instance) => readProperty(instance, 'board') === board);
+  }
+
+  function getHighlightRects(target) {
+    const board = trackedBoards[target.boardId - 1];
+    let renderers = board ? getRenderersOf(board) : [];
+    if (target.rendererId) {
+      const tracked = trackedRenderers[target.rendererId - 1];
+      renderers = tracked ? [tracked.instance] : [];
+    }
+
+    return renderers
+      .map((renderer) => {
+        if (target.index !== undefined && board) {
+          return getCellRect(renderer, board, target.index);
+        }
+        const canvas = readProperty(renderer, 'canvas');
+        return canvas instanceof HTMLCanvasElement
+          ? canvas.getBoundingClientRect()
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  function highlight(target) {
+    highlightElements.forEach((element) => element.remove());
+    highlightElements = [];
+    if (!target) return;
+
+    highlightElements = getHighlightRects(target).map((rect) => {
+      const element = document.createElement('div');
+      element.style.cssText = HIGHLIGHT_STYLE;
+      element.style.left = `${rect.left}px`;
+      element.style.top = `${rect.top}px`;
+      element.style.width = `${rect.width}px`;
+      element.style.height = `${rect.height}px`;
+      document.body.appendChild(element);
+      return element;
+    });
+  }
+
+  // Design Mode
+
+  function handleDesignPointer(event) {
+    if (!isDesignEnabled || !trackedBoards[0]) return;
+    const index = findCellAt(trackedBoards[0], event.clientX, event.clientY);
+    if (event.type === 'mousemove') {
+      document.body.style.cursor = index === null ? '' : 'pointer';
+      return;
+    }
+    if (index === null) return;
+    // The code's own click handlers do not see clicks on cells while designing
+    event.preventDefault();
+    event.stopPropagation();
+    send('design-click', { index });
+  }
+
+  function applyDesignChanges(changes) {
+    const board = trackedBoards[0];
+    if (!board) return;
+    changes.forEach(({ index, colors }) => {
+      try {
+        if (board.get(index)) board.remove(index);
+        if (colors) board.place(index, new window.Tridecco.Piece(colors));
+      } catch (error) {
+        send('error', { message: formatError(error) });
+      }
+    });
+    getRenderersOf(board).forEach((renderer) => {
+      if (typeof renderer.updateBoard === 'function') renderer.updateBoard();
+    });
+  }
+
+  // Export
+
+  function getExportCanvas() {
+    // The canvas of the first renderer still on the page, or any canvas the code added
+    const rendererCanvas = trackedRenderers
+      .map(({ instance }) => readProperty(instance, 'canvas'))
+      .find(
+        (canvas) => canvas instanceof HTMLCanvasElement && canvas.isConnected,
+      );
+    return rendererCanvas || document.querySelector('canvas');
+  }
+
+  function createScaledCanvas(source, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+    const context = canvas.getContext('2d');
+    const draw = () => {
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    };
+    draw();
+    return { canvas, context, draw };
+  }
+
+  function describeCaptureError(error) {
+    if (error && error.name === 'SecurityError') {
+      // The frame has an opaque origin, so images without CORS headers taint the canvas
+      return 'The canvas cannot be exported because it shows images loaded without CORS. Use data: URLs or CORS-enabled images.';
+    }
+    return formatError(error);
+  }
+
+  function capture({ requestId, scale }) {
+    const source = getExportCanvas();
+    if (!source) {
+      send('capture-result', {
+        requestId,
+        error: 'The code has not created a canvas yet.',
+      });
+      return;
+    }
+    try {
+      createScaledCanvas(source, scale).canvas.toBlob((blob) => {
+        send(
+          'capture-result',
+          blob
+            ? { requestId, blob }
+            : { requestId, error: 'The canvas is empty.' },
+        );
+      }, 'image/png');
+    } catch (error) {
+      send('capture-result', { requestId, error: describeCaptureError(error) });
+    }
+  }
+
+  function startRecording({ requestId, format, scale, fps, duration }) {
+    const source = getExportCanvas();
+    if (recording || !source) {
+      send('capture-result', {
+        requestId,
+        error: recording
+          ? 'A recording is already running.'
+          : 'The code has not created a canvas yet.',
+      });
+      return;
+    }
+
+    const frameInterval = millisecondsPerSecond / fps;
+    const { canvas, context, draw } = createScaledCanvas(source, scale);
+    let frameTimer = null;
+    let finish = null;
+    try {
+      if (format === 'gif') {
+        // Frames are encoded by the IDE as they arrive
+        const sendFrame = () => {
+          draw();
+          const { data } = context.getImageData(
+            0,
+            0,
+            canvas.width,
+            canvas.height,
+          );
+          port.postMessage(
+            {
+              type: 'capture-frame',
+              requestId,
+              width: canvas.width,
+              height: canvas.height,
+              data: data.buffer,
+            },
+            [data.buffer],
+          );
+        };
+        sendFrame();
+        frameTimer = setInterval(sendFrame, frameInterval);
+        finish = () => send('capture-result', { requestId });
+      } else {
+        const mimeType = VIDEO_TYPES.find((type) =>
+          MediaRecorder.isTypeSupported(type),
+        );
+        const recorder = new MediaRecorder(
+          canvas.captureStream(fps),
+          mimeType ? { mimeType } : {},
+        );
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+          if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+          const blob = new Blob(chunks, {
+            type: recorder.mimeType || 'video/webm',
+          });
+          send('capture-result', { requestId, blob });
+        };
+        recorder.start();
+        frameTimer = setInterval(draw, frameInterval);
+        finish = () => recorder.stop();
+      }
+    } catch (error) {
+      clearInterval(frameTimer);
+      send('capture-result', { requestId, error: describeCaptureError(error) });
+      return;
+    }
+
+    recording = {
+      requestId,
+      frameTimer,
+      finish,
+      stopTimer: duration ? setTimeout(stopRecording, duration) : null,
+    };
+  }
+
+  function stopRecording() {
+    if (!recording) return;
+    clearInterval(recording.frameTimer);
+    clearTimeout(recording.stopTimer);
+    const { finish } = recording;
+    recording = null;
+    finish();
+  }
+
+  // Test API
+
+  function findLocation(stack) {
+    // The first stack frame outside this bootstrap is the user code
+    const frame = replaceModuleUrls(stack || '')
+      .split('\n')
+      .map((text) => text.trim())
+      .filter((text) => text.startsWith('at ') || text.includes('@')) // Skip the "Error: message" header
+      .filter((text) => !text.includes(BOOTSTRAP_LOCATION))
+      .map((text) => text.match(STACK_LOCATION_PATTERN))
+      .find(Boolean);
+    if (!frame) return null;
+
+    const [, file, line, column] = frame;
+    const isModule = Array.from(modulePaths.values()).includes(file);
+    if (!isModule && file !== SOURCE_URL) return null;
+    return {
+      file: isModule ? file : undefined, // Plain scripts have a single file
+      line: Number(line),
+      column: Number(column),
+    };
+  }
+
+  function stringify(value, depth = 0, seen = []) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+    if (value === null || typeof value !== 'object') {
+      return Object.is(value, -0) ? '-0' : String(value);
+    }
+    if (seen.includes(value)) return '[Circular]';
+
+    const subtype = getSubtype(value);
+    const className = getClassName(value);
+    if (['error', 'date', 'regexp', 'node'].includes(subtype)) {
+      return describeObject(value, subtype, className);
+    }
+    if (depth >= STRINGIFY_DEPTH_LIMIT) return `[${className}]`;
+
+    const nextSeen = [...seen, value];
+    const format = (item) => stringify(item, depth + 1, nextSeen);
+    let items;
+    let open = className === 'Object' ? '{' : `${className} {`;
+    let close = '}';
+    if (subtype === 'array') {
+      items = Array.from(value, format);
+      open = className === 'Array' ? '[' : `${className} [`;
+      close = ']';
+    } else if (subtype === 'map') {
+      items = Array.from(
+        value,
+        ([key, item]) => `${format(key)} => ${format(item)}`,
+      );
+    } else if (subtype === 'set') {
+      items = Array.from(value, format);
+    } else {
+      // Sorted keys keep the diff of two objects aligned
+      items = Object.keys(value)
+        .sort()
+        .map((key) => `${key}: ${format(readProperty(value, key))}`);
+    }
+
+    if (items.length === 0) return `${open}${close}`;
+    const indent = '  '.repeat(depth + 1);
+    return `${open}\n${items.map((item) => `${indent}${item},`).join('\n')}\n${'  '.repeat(depth)}${close}`;
+  }
+
+  function previewValue(value) {
+    const text = stringify(value)
+      .replace(/,\n\s*(?=[\]}])/g, ' ') // Drop the trailing commas of the multi-line format
+      .replace(/\n\s*/g, ' ');
+    return text.length > VALUE_PREVIEW_LENGTH
+      ? `${text.slice(0, VALUE_PREVIEW_LENGTH)}…`
+      : text;
+  }
+
+  function definedKeys(value) {
+    return Object.keys(value).filter((key) => value[key] !== undefined);
+  }
+
+  function equals(a, b, seen = []) {
+    if (Object.is(a, b)) return true;
+    if (
+      a === null ||
+      b === null ||
+      typeof a !== 'object' ||
+      typeof b !== 'object' ||
+      Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)
+    ) {
+      return false;
+    }
+    if (seen.some(([left, right]) => left === a && right === b)) return true;
+
+    const nextSeen = [...seen, [a, b]];
+    if (a instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof RegExp) return String(a) === String(b);
+    if (a instanceof Map) {
+      return (
+        a.size === b.size &&
+        Array.from(a).every(
+          ([key, item]) => b.has(key) && equals(item, b.get(key), nextSeen),
+        )
+      );
+    }
+    if (a instanceof Set) {
+      return (
+        a.size === b.size &&
+        Array.from(a).every(
+          (item) =>
+            b.has(item) ||
+            Array.from(b).some((other) => equals(item, other, nextSeen)),
+        )
+      );
+    }
+    if (Array.isArray(a) && a.length !== b.length) return false;
+
+    const keysA = definedKeys(a);
+    const keysB = definedKeys(b);
+    return (
+      keysA.length === keysB.length &&
+      keysA.every(
+        (key) =>
+          Object.prototype.hasOwnProperty.call(b, key) &&
+          equals(a[key], b[key], nextSeen),
+      )
+    );
+  }
+
+  function createMatchers(actual, negated) {
+    const not = negated ? 'not ' : '';
+
+    // Throws when the outcome is not the expected one; the diff is only useful for positive matchers
+    function check(pass, message, expected) {
+      if (pass !== negated) return;
+      const error = new Error(message);
+      error.name = 'AssertionError';
+      if (!negated && expected !== undefined) {
+        error.diff = {
+          expected: stringify(expected.value),
+          actual: stringify(actual),
+        };
+      }
+      throw error;
+    }
+
+    return {
+      toBe(expected) {
+        check(
+          Object.is(actual, expected),
+          `Expected ${previewValue(actual)} ${not}to be ${previewValue(expected)}.`,
+          { value: expected },
+        );
+      },
+      toEqual(expected) {
+        check(
+          equals(actual, expected),
+          `Expected ${previewValue(actual)} ${not}to equal ${previewValue(expected)}.`,
+          { value: expected },
+        );
+      },
+      toBeTruthy() {
+        check(
+          Boolean(actual),
+          `Expected ${previewValue(actual)} ${not}to be truthy.`,
+        );
+      },
+      toBeFalsy() {
+        check(!actual, `Expected ${previewValue(actual)} ${not}to be falsy.`);
+      },
+      toBeNull() {
+        check(
+          actual === null,
+          `Expected ${previewValue(actual)} ${not}to be null.`,
+        );
+      },
+      toBeUndefined() {
+        check(
+          actual === undefined,
+          `Expected ${previewValue(actual)} ${not}to be undefined.`,
+        );
+      },
+      toBeDefined() {
+        check(
+          actual !== undefined,
+          `Expected ${previewValue(actual)} ${not}to be defined.`,
+        );
+      },
+      toContain(item) {
+        const pass =
+          actual instanceof Set
+            ? actual.has(item)
+            : actual !== null &&
+              actual !== undefined &&
+              typeof actual.includes === 'function' &&
+              actual.includes(item);
+        check(
+          pass,
+          `Expected ${previewValue(actual)} ${not}to contain ${previewValue(item)}.`,
+        );
+      },
+      toHaveLength(length) {
+        const actualLength =
+          actual !== null && actual !== undefined ? actual.length : undefined;
+        check(
+          actualLength === length,
+          `Expected ${previewValue(actual)} ${not}to have length ${length}, but its length is ${actualLength}.`,
+        );
+      },
+      toBeGreaterThan(value) {
+        check(
+          actual > value,
+          `Expected ${previewValue(actual)} ${not}to be greater than ${previewValue(value)}.`,
+        );
+      },
+      toBeLessThan(value) {
+        check(
+          actual < value,
+          `Expected ${previewValue(actual)} ${not}to be less than ${previewValue(value)}.`,
+        );
+      },
+      toBeCloseTo(expected, digits = CLOSE_TO_DEFAULT_DIGITS) {
+        const tolerance = Math.pow(DECIMAL_BASE, -digits) * HALF;
+        check(
+          Math.abs(actual - expected) < tolerance,
+          `Expected ${previewValue(actual)} ${not}to be close to ${previewValue(expected)} (±${tolerance}).`,
+        );
+      },
+      toMatch(pattern) {
+        const pass =
+          typeof actual === 'string' &&
+          (pattern instanceof RegExp
+            ? pattern.test(actual)
+            : actual.includes(pattern));
+        check(
+          pass,
+          `Expected ${previewValue(actual)} ${not}to match ${previewValue(pattern)}.`,
+        );
+      },
+      toThrow(expected) {
+        if (typeof actual !== 'function') {
+          throw new TypeError('expect(...).toThrow() needs a function.');
+        }
+        let thrown = null;
+        try {
+          actual();
+        } catch (error) {
+          thrown = { error };
+        }
+        const message = thrown
+          ? String(thrown.error && thrown.error.message)
+          : '';
+        let pass = thrown !== null;
+        if (pass && typeof expected === 'string') {
+          pass = message.includes(expected);
+        } else if (pass && expected instanceof RegExp) {
+          pass = expected.test(message);
+        } else if (pass && typeof expected === 'function') {
+          pass = thrown.error instanceof expected;
+        }
+        const what = expected === undefined ? '' : ` ${previewValue(expected)}`;
+        check(
+          pass,
+          thrown
+            ? `Expected the function ${not}to throw${what}, but it threw ${previewValue(thrown.error)}.`
+            : `Expected the function ${not}to throw${what}, but it did not throw.`,
+        );
+      },
+    };
+  }
+
+  function expect(actual) {
+    const matchers = createMatchers(actual, false);
+    matchers.not = createMatchers(actual, true);
+    return matchers;
+  }
+
+  function describeBlock(name, body) {
+    const suite = {
+      names: [...currentSuite.names, String(name)],
+      beforeEach: [],
+      afterEach: [],
+      parent: currentSuite,
+    };
+    currentSuite = suite;
+    try {
+      body();
+    } catch (error) {
+      // Report the broken block as a failing test instead of stopping the run
+      tests.push({
+        names: suite.names,
+        suite: suite.parent,
+        body: () => {
+          throw error;
+        },
+        stack: error && error.stack,
+      });
+    } finally {
+      currentSuite = suite.parent;
+    }
+  }
+
+  function defineTest(name, body) {
+    tests.push({
+      names: [...currentSuite.names, String(name)],
+      suite: currentSuite,
+      body,
+      stack: new Error().stack, // Where it() was called, for timeouts
+    });
+  }
+
+  function withTimeout(callback) {
+    let timeoutId = null;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error(`Timed out after ${TEST_TIMEOUT} ms.`)),
+        TEST_TIMEOUT,
+      );
+    });
+    return Promise.race([Promise.resolve().then(callback), timeout]).finally(
+      () => clearTimeout(timeoutId),
+    );
+  }
+
+  async function runTest(test) {
+    const suites = [];
+    for (let suite = test.suite; suite; suite = suite.parent) {
+      suites.unshift(suite);
+    }
+    const hooksBefore = suites.flatMap((suite) => suite.beforeEach);
+    const hooksAfter = suites.flatMap((suite) => suite.afterEach).reverse();
+
+    let failure = null;
+    try {
+      for (const hook of hooksBefore) await withTimeout(hook);
+      await withTimeout(test.body);
+    } catch (error) {
+      failure = error;
+    }
+    for (const hook of hooksAfter) {
+      try {
+        await withTimeout(hook);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+    return failure;
+  }
+
+  async function runTests() {
+    const startedAt = performance.now();
+    let passed = 0;
+    let failed = 0;
+
+    for (const test of tests) {
+      const testStartedAt = performance.now();
+      const failure = await runTest(test);
+      const result = {
+        names: test.names,
+        status: failure ? 'failed' : 'passed',
+        duration: performance.now() - testStartedAt,
+      };
+      if (failure) {
+        failed++;
+        const isError = failure instanceof Error;
+        result.error = {
+          message: isError
+            ? failure.message
+            : `Thrown: ${previewValue(failure)}`,
+          name: isError ? failure.name : undefined,
+          diff: isError ? failure.diff : undefined,
+          stack:
+            isError && failure.name !== 'AssertionError'
+              ? formatError(failure)
+              : undefined,
+          location:
+            (isError && findLocation(failure.stack)) ||
+            findLocation(test.stack),
+        };
+      } else {
+        passed++;
+      }
+      send('test-result', result);
+    }
+
+    send('test-summary', {
+      passed,
+      failed,
+      total: tests.length,
+      duration: performance.now() - startedAt,
+    });
+  }
+
+  function defineTestApi() {
+    window.describe = describeBlock;
+    window.it = defineTest;
+    window.beforeEach = (hook) => currentSuite.beforeEach.push(hook);
+    window.afterEach = (hook) => currentSuite.afterEach.push(hook);
+    window.expect = expect;
+  }
+
+  function handleInit(event) {
+    if (port || !event.ports || !event.ports[0]) return; // Only the first port is accepted
+    port = event.ports[0];
+    port.onmessage = handleRequest;
+    window.removeEventListener('message', handleInit);
+
+    forwardConsole();
+    forwardErrors();
+    defineTestApi();
+    document.addEventListener('click', handleDesignPointer, true);
+    document.addEventListener('mousemove', handleDesignPointer, true);
+
+    const { code, libraryUrls, runTests: shouldRunTests } = event.data || {};
+    loadLibrary(libraryUrls)
+      .then((libraryUrl) => {
+        send('ready', { libraryUrl });
+        if (!libraryUrl) return null;
+        trackInstances();
+        const execution =
+          typeof code === 'string' ? execute(code) : executeModules(code);
+        return shouldRunTests ? execution.then(runTests) : execution;
+      })
+      .then(() => send('done'));
+  }
+
+  window.addEventListener('message', handleInit);
+}
+
+/**
+ * @class Sandbox - Runs code in a disposable, sandboxed iframe and relays its output.
+ */
+class Sandbox {
+  /**
+   * @constructor
+   * @param {HTMLElement} containerElement - The element the sandbox frame is mounted into.
+   * @param {Object} [handlers] - Callbacks for traffic coming out of the sandbox.
+   * @param {Function} [handlers.onConsole] - Called with the console message ({ method, args, ... }) for every console call.
+   * @param {Function} [handlers.onError] - Called with ({ message, file, line, column }) for uncaught errors. The file is set for project modules.
+   * @param {Function} [handlers.onTestResult] - Called with ({ names, status, duration, error }) for every test of a test run.
+   * @param {Function} [handlers.onTestSummary] - Called with ({ passed, failed, total, duration }) when a test run is complete.
+   * @param {Function} [handlers.onInspector] - Called with ({ boards, renderers }) whenever the tracked instances change, while the inspector is enabled.
+   * @param {Function} [handlers.onDesignClick] - Called with ({ index }) when a cell of the first board is clicked, while Design mode is enabled.
+   */
+  constructor(containerElement, handlers = {}) {
+    if (!containerElement) {
+      throw new Error('Sandbox container element is required.');
+    }
+    this.containerElement = containerElement;
+    this.handlers = handlers;
+    this.frame = null;
+    this.port = null;
+    this.pendingRun = null;
+    this.lastGood = null; // { frame, port } kept on screen while a keepLastGood run is pending
+    this.pendingInspections = new Map();
+    this.pendingCaptures = new Map(); // Request ID -> { resolve, reject, encoder }
+    this.nextRequestId = 1;
+    this.inspectorEnabled = false;
+    this.designEnabled = false;
+  }
+
+  /**
+   * @method _buildDocument - Builds the HTML document loaded into the sandbox frame.
+   * @returns {string} - The srcdoc HTML.
+   */
+  _buildDocument() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+html, body { margin: 0; width: 100%; height: 100%; overflow: hidden; }
+#canvas-container { position: relative; width: 100%; height: 100%; }
+</style>
+</head>
+<body>
+<div id="canvas-container"></div>
+<script>(${sandboxBootstrap.toString()})(${MILLISECONDS_PER_SECOND});</script>
+</body>
+</html>`;
+  }
+
+  /**
+   * @method _handleMessage - Dispatches a message received from the sandbox frame.
+   * @param {Object} data - The message payload.
+   */
+  _handleMessage(data) {
+    if (!data) return;
+
+    switch (data.type) {
+      case 'console':
+        if (typeof this.handlers.onConsole === 'function') {
+          this.handlers.onConsole(data);
+        }
+        break;
+      case 'error':
+        if (this.pendingRun && this.pendingRun.error === null) {
+          this.pendingRun.error = data.message;
+        }
+        if (typeof this.handlers.onError === 'function') {
+          this.handlers.onError({
+            message: data.message,
+            file: data.file,
+            line: data.line,
+            column: data.column,
+          });
+        }
+        break;
+      case 'test-result':
+        if (typeof this.handlers.onTestResult === 'function') {
+          this.handlers.onTestResult(data);
+        }
+        break;
+      case 'test-summary':
+        if (typeof this.handlers.onTestSummary === 'function') {
+          this.handlers.onTestSummary(data);
+        }
+        break;
+      case 'inspector':
+        if (typeof this.handlers.onInspector === 'function') {
+          this.handlers.onInspector({
+            boards: data.boards,
+            renderers: data.renderers,
+          });
+        }
+        break;
+      case 'design-click':
+        if (typeof this.handlers.onDesignClick === 'function') {
+          this.handlers.onDesignClick({ index: data.index });
+        }
+        break;
+      case 'inspect-result': {
+        const resolve = this.pendingInspections.get(data.requestId);
+        if (resolve) {
+          this.pendingInspections.delete(data.requestId);
+          resolve(data.result);
+        }
+        break;
+      }
+      case 'capture-frame': {
+        const pending = this.pendingCaptures.get(data.requestId);
+        if (pending && pending.encoder) {
+          pending.encoder.addFrame(
+            data.width,
+            data.height,
+            new Uint8ClampedArray(data.data),
+          );
+        }
+        break;
+      }
+      case 'capture-result': {
+        const pending = this.pendingCaptures.get(data.requestId);
+        if (!pending) break;
+        this.pendingCaptures.delete(data.requestId);
+        if (data.error) {
+          pending.reject(new Error(data.error));
+        } else {
+          try {
+            pending.resolve(
+              pending.encoder ? pending.encoder.finish() : data.blob,
+            );
+          } catch (error) {
+            pending.reject(error);
+          }
+        }
+        break;
+      }
+      case 'ready':
+        if (this.pendingRun) {
+          this.pendingRun.libraryUrl = data.libraryUrl || null;
+        }
+        break;
+      case 'done':
+        // Async code keeps logging after this, so only the run promise settles here
+        if (this.pendingRun) {
+          const { resolve, libraryUrl, error } = this.pendingRun;
+          const failed = libraryUrl === null || error !== null;
+          const keptLastGood = this.lastGood !== null && failed;
+          this.pendingRun = null;
+          if (keptLastGood) {
+            this._restoreLastGood();
+          } else if (this.lastGood) {
+            this._dropFrame(this.lastGood);
+            this.lastGood = null;
+            this.frame.classList.remove('invisible');
+          }
+          resolve({
+            libraryLoaded: libraryUrl !== null,
+            libraryUrl,
+            error,
+            keptLastGood,
+          });
+        }
+        break;
+      default:
+        console.warn('Unknown sandbox message:', data.type);
+    }
+  }
+
+  /**
+   * @method run - Tears down any previous frame and runs the code in a fresh one.
+   * With keepLastGood, the previous frame stays on screen until the new one has run, and is kept if the new code throws.
+   * @param {string|Object} code - The script to execute, or a project module graph ({ modules, markerPrefix }) from Project#bundle.
+   * @param {Array<string>} libraryUrls - The URLs of the tridecco-board build to inject before the code, tried in order.
+   * @param {Object} [options] - Optional parameters for the run.
+   * @param {boolean} [options.runTests] - Runs the tests defined by the code once it has executed.
+   * @param {boolean} [options.keepLastGood] - Swaps the new frame in only if the code runs without uncaught errors.
+   * @returns {Promise<Object|null>} - Resolves with { libraryLoaded, libraryUrl, error, keptLastGood } once the code (and its tests) have run, or null if the run was superseded.
+   * The error is the message of the first uncaught error of the run, and keptLastGood tells whether the previous frame is still shown instead.
+   */
+  run(code, libraryUrls, options = {}) {
+    if (options.keepLastGood && (this.lastGood || this.frame)) {
+      if (this.lastGood) {
+        this._dropFrame({ frame: this.frame, port: this.port }); // Replaces a pending attempt
+      } else {
+        this.lastGood = { frame: this.frame, port: this.port };
+      }
+      this.frame = null;
+      this.port = null;
+      this._settlePending();
+    } else {
+      this.destroy();
+    }
+
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const frame = document.createElement('iframe');
+      frame.setAttribute('sandbox', SANDBOX_PERMISSIONS);
+      frame.className = SANDBOX_FRAME_CLASSES;
+      frame.title = 'Board Preview';
+
+      channel.port1.onmessage = (event) => {
+        // The last good frame stays muted while it waits to be replaced
+        if (this.port === channel.port1) this._handleMessage(event.data);
+      };
+
+      frame.addEventListener(
+        'load',
+        () => {
+          // The frame has an opaque origin, so '*' is the only usable target
+          frame.contentWindow.postMessage(
+            { code, libraryUrls, runTests: Boolean(options.runTests) },
+            '*',
+            [channel.port2],
+          );
+          if (this.port === channel.port1) this._sendModes();
+        },
+        { once: true },
+      );
+
+      if (this.lastGood) frame.classList.add('invisible'); // Laid out, but hidden until it has run
+      this.pendingRun = { resolve, libraryUrl: null, error: null };
+      this.frame = frame;
+      this.port = channel.port1;
+
+      frame.srcdoc = this._buildDocument();
+      this.containerElement.appendChild(frame);
+    });
+  }
+
+  /**
+   * @method _sendModes - Tells the current frame whether the inspector and Design mode are on.
+   */
+  _sendModes() {
+    this.port.postMessage({
+      type: 'inspector',
+      enabled: this.inspectorEnabled,
+    });
+    this.port.postMessage({ type: 'design', enabled: this.designEnabled });
+  }
+
+  /**
+   * @method _restoreLastGood - Drops the frame of a failed keepLastGood run and brings back the previous one.
+   */
+  _restoreLastGood() {
+    this._dropFrame({ frame: this.frame, port: this.port });
+    this.frame = this.lastGood.frame;
+    this.port = this.lastGood.port;
+    this.lastGood = null;
+    this._sendModes(); // Also resends the inspector tree, which the failed run replaced
+  }
+
+  /**
+   * @method _dropFrame - Closes the port of a frame and removes it.
+   * @param {Object} target - The frame and its port ({ frame, port }), either of which may be null.
+   */
+  _dropFrame({ frame, port }) {
+    if (port) port.close();
+    if (frame) frame.remove();
+  }
+
+  /**
+   * @method inspect - Requests the properties of an object logged by the running code.
+   * @param {string} objectId - The object handle from a console descriptor.
+   * @returns {Promise<Object|null>} - Resolves with { properties, entries, overflow }, or null if the object is gone.
+   */
+  inspect(objectId) {
+    if (!this.port) {
+      return Promise.resolve(null);
+    }
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve) => {
+      this.pendingInspections.set(requestId, resolve);
+      this.port.postMessage({ type: 'inspect', requestId, objectId });
+    });
+  }
+
+  /**
+   * @method _requestCapture - Sends a capture request and waits for its result.
+   * @param {Object} request - The request ({ type, ... }).
+   * @param {GifEncoder} [encoder] - Encodes the frames sent while recording a GIF.
+   * @returns {Promise<Blob|null>} - The file, or null if the frame was removed meanwhile.
+   */
+  _requestCapture(request, encoder = null) {
+    if (!this.port) {
+      return Promise.reject(new Error('Run the code before exporting.'));
+    }
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingCaptures.set(requestId, { resolve, reject, encoder });
+      this.port.postMessage({ ...request, requestId });
+    });
+  }
+
+  /**
+   * @method capture - Takes a PNG snapshot of the canvas of the running code.
+   * @param {number} [scale=1] - The size of the image relative to the canvas.
+   * @returns {Promise<Blob|null>} - The PNG image, or null if the run was stopped meanwhile.
+   * @throws {Error} - If there is no canvas, or it cannot be read (e.g. it shows images without CORS).
+   */
+  capture(scale = 1) {
+    return this._requestCapture({ type: 'capture', scale });
+  }
+
+  /**
+   * @method startRecording - Records the canvas of the running code until the duration is over or stopRecording() is called.
+   * @param {Object} options - Parameters for the recording.
+   * @param {string} options.format - "webm" or "gif".
+   * @param {number} [options.scale=1] - The size of the video relative to the canvas.
+   * @param {number} [options.fps=30] - The frame rate.
+   * @param {number} [options.duration] - The length in milliseconds. Records until stopped if omitted.
+   * @returns {Promise<Blob|null>} - The video or GIF once the recording ends, or null if the run was stopped meanwhile.
+   * @throws {Error} - If there is no canvas, the browser cannot record it, or a recording is already running.
+   */
+  startRecording({
+    format,
+    scale = 1,
+    fps = DEFAULT_RECORDING_FPS,
+    duration = null,
+  }) {
+    const encoder =
+      format === 'gif'
+        ? new GifEncoder({ delay: MILLISECONDS_PER_SECOND / fps })
+        : null;
+    return this._requestCapture(
+      { type: 'record-start', format, scale, fps, duration },
+      encoder,
+    );
+  }
+
+  /**
+   * @method stopRecording - Ends the current recording; its startRecording() promise then resolves with the file.
+   */
+  stopRecording() {
+    if (this.port) {
+      this.port.postMessage({ type: 'record-stop' });
+    }
+  }
+
+  /**
+   * @method setInspectorEnabled - Starts or stops reporting the boards and renderers of the running code (kept for later runs).
+   * @param {boolean} enabled - Whether the inspector is open.
+   */
+  setInspectorEnabled(enabled) {
+    this.inspectorEnabled = Boolean(enabled);
+    if (this.port) {
+      this.port.postMessage({
+        type: 'inspector',
+        enabled: this.inspectorEnabled,
+      });
+    }
+  }
+
+  /**
+   * @method setDesignEnabled - Sends clicks on the cells of the first board to the IDE instead of the code (kept for later runs).
+   * @param {boolean} enabled - Whether Design mode is on.
+   */
+  setDesignEnabled(enabled) {
+    this.designEnabled = Boolean(enabled);
+    if (this.port) {
+      this.port.postMessage({ type: 'design', enabled: this.designEnabled });
+    }
+  }
+
+  /**
+   * @method applyDesign - Places and removes pieces on the first board of the running code, then redraws it.
+   * @param {Array<Object>} changes - The changed cells ({ index, colors }), where null colors empty the cell.
+   */
+  applyDesign(changes) {
+    if (this.port) {
+      this.port.postMessage({ type: 'design-apply', changes });
+    }
+  }
+
+  /**
+   * @method highlight - Outlines a board, renderer, or cell on the canvas of the running code.
+   * @param {Object | null} target - The inspector node ({ boardId, rendererId, index }), or null to clear the outline.
+   */
+  highlight(target) {
+    if (this.port) {
+      this.port.postMessage({ type: 'highlight', target });
+    }
+  }
+
+  /**
+   * @method isRunning - Checks whether a run has not finished yet.
+   * @returns {boolean} - True while the code of the current run is loading or executing.
+   */
+  isRunning() {
+    return this.pendingRun !== null;
+  }
+
+  /**
+   * @method isActive - Checks whether a sandbox frame is currently mounted.
+   * @returns {boolean} - True if a frame exists.
+   */
+  isActive() {
+    return this.frame !== null;
+  }
+
+  /**
+   * @method destroy - Removes the current frame (and a last good frame kept on screen), dropping everything the code created.
+   */
+  destroy() {
+    this._dropFrame({ frame: this.frame, port: this.port });
+    this.frame = null;
+    this.port = null;
+    if (this.lastGood) {
+      this._dropFrame(this.lastGood);
+      this.lastGood = null;
+    }
+    this._settlePending();
+  }
+
+  /**
+   * @method _settlePending - Resolves the requests sent to the current frame with null, since it is going away.
+   */
+  _settlePending() {
+    if (this.pendingRun) {
+      this.pendingRun.resolve(null); // Superseded run
+      this.pendingRun = null;
+    }
+    this.pendingInspections.forEach((resolve) => resolve(null));
+    this.pendingInspections.clear();
+    this.pendingCaptures.forEach(({ resolve }) => resolve(null));
+    this.pendingCaptures.clear();
+  }
+}
+
+module.exports = Sandbox;
@@ -3,43 +3,119 @@
  * @description Handles editor UI, file ops, autosave, library version management, and code execution.
  */
 
-const SUPPORTED_TRIDECCO_VERSIONS = [
-  '0.6.2',
-  '0.6.1',
-  '0.6.0',
-  '0.5.1',
-  '0.5.0',
-  '0.4.2',
-  '0.4.1',
-  '0.4.0',
-  '0.3.1',
-  '0.3.0',
-  '0.2.3',
-  '0.2.2',
-  '0.2.1',
-  '0.2.0',
-  '0.1.1',
-]; // Newest first
-
+const { SUPPORTED_TRIDECCO_VERSIONS } = require('../versions');
+const Console = require('../console');
+const DiffView = require('../diff');
 const Editor = require('../editor');
+const FileTree = require('../tree');
+const BoardInspector = require('../inspector');
+const BoardDesigner = require('../designer');
+const CompatibilityView = require('../compatibility');
+const { CommandRegistry, formatKeybinding } = require('../commands');
+const ProblemsView = require('../problems');
+const Project = require('../project');
+const Sandbox = require('../sandbox');
+const ShortcutsView = require('../shortcuts');
+const TabBar = require('../tabs');
+const TestReport = require('../tests');
+const {
+  STARTER_TEMPLATES,
+  isTemplateCompatible,
+  formatVersionRange,
+} = require('../templates');
+const { getTrideccoTypings } = require('../typings');
 const URLDataTranscoder = require('../url');
+const formatSize = require('../utils/formatSize');
 
 const MIN_PANEL_WIDTH = 100;
 const MIN_PANEL_HEIGHT = 50;
-const AUTOSAVE_DELAY = 2000;
+const AUTO_RUN_DELAY = 750; // Pause in typing before an auto-run
+const LINT_DELAY = 400;
+const DRAFT_DELAY = 1000; // Pause in typing before a buffer is journaled for crash recovery
 const TRIDECCO_BOARD_LODING_DELAY = 2000;
 const TRIDECCO_BOARD_READY_DELAY = 1500;
 const TRIDECCO_BOARD_FAILED_DELAY = 5000;
+const TRIDECCO_BOARD_OFFLINE_DELAY = 6000;
 const SAVE_UNSUPPORTED_DELAY = 4000;
 const DROPDOWN_HIDE_DELAY = 200;
 const SHARE_GENERATE_INFO_DELAY = 1500;
 const SHARE_GENERATE_CLIPBOARD_DELAY = 3000;
 const SHARE_GENERATE_MANUAL_DELAY = 4000;
+const SHARE_LENGTH_WARNING_DELAY = 8000;
+const MILLISECONDS_PER_SECOND = 1000;
+const SECONDS_PER_MINUTE = 60;
+const CLOCK_DIGITS = 2;
+const GIF_FPS = 10; // Keeps GIFs small; the canvas rarely animates faster
+const VIDEO_FPS = 30;
 
-const SELECTED_FILE_KEY = 'editorOpenFileId'; // Key for localStorage communication
-const LATEST_TRIDECCO_VERSION = SUPPORTED_TRIDECCO_VERSIONS[0];
-const TRIDECCO_SCRIPT_ID = 'tridecco-board-script'; // ID for the script tag
 const SHARE_PARAM_NAME = 'data';
+const CANVAS_PLACEHOLDER_TEXT = 'Canvas Area';
+const DEFAULT_PROJECT_NAME = 'Untitled Project';
+const LINT_MARKER_OWNER = 'eslint';
+const OPEN_TABS_STORAGE_KEY = 'IDEOpenTabs';
+const DESIGNED_BOARD_ID = 1; // Design mode edits the first board the code creates
+const EDITOR_COMMANDS = [
+  {
+    id: 'command-palette',
+    label: 'View: Command Palette',
+    keybinding: 'Ctrl+Shift+KeyP',
+  },
+  { id: 'keyboard-shortcuts', label: 'Preferences: Keyboard Shortcuts' },
+  { id: 'open-settings', label: 'Preferences: Open Settings' },
+  { id: 'run-code', label: 'Run: Run Code', keybinding: 'Ctrl+Enter' },
+  { id: 'run-tests', label: 'Run: Run Tests', keybinding: 'Ctrl+Shift+Enter' },
+  { id: 'auto-run', label: 'Run: Toggle Auto-Run' },
+  { id: 'compatibility', label: 'Run: Compatibility Check' },
+  {
+    id: 'new-empty',
+    label: 'File: New Empty File',
+    keybinding: 'Ctrl+Alt+KeyN',
+  },
+  { id: 'new-template', label: 'File: New from Template' },
+  { id: 'new-project', label: 'File: New Project' },
+  { id: 'load-ide', label: 'File: Open from IDE', keybinding: 'Ctrl+KeyO' },
+  {
+    id: 'load-computer',
+    label: 'File: Open from Computer',
+    keybinding: 'Ctrl+Shift+KeyO',
+  },
+  { id: 'save', label: 'File: Save', keybinding: 'Ctrl+KeyS' },
+  { id: 'save-ide', label: 'File: Save to IDE' },
+  {
+    id: 'save-computer',
+    label: 'File: Save to Computer',
+    keybinding: 'Ctrl+Shift+KeyS',
+  },
+  { id: 'history', label: 'File: Revision History' },
+  {
+    id: 'format-document',
+    label: 'Edit: Format Document',
+    keybinding: 'Alt+Shift+KeyF',
+  },
+  { id: 'format-on-save', label: 'Preferences: Toggle Format on Save' },
+  { id: 'close-tab', label: 'File: Close Tab' },
+  { id: 'share', label: 'File: Share Link' },
+  { id: 'exit', label: 'File: Exit to Home' },
+  { id: 'design', label: 'View: Toggle Design Mode' },
+  { id: 'inspector', label: 'View: Toggle Inspector' },
+  { id: 'export', label: 'View: Export Canvas' },
+  {
+    id: 'next-tab',
+    label: 'View: Next Tab',
+    keybinding: 'Ctrl+Alt+PageDown',
+  },
+  {
+    id: 'previous-tab',
+    label: 'View: Previous Tab',
+    keybinding: 'Ctrl+Alt+PageUp',
+  },
+];
+const REVISION_SOURCE_LABELS = {
+  save: 'Saved',
+  autosave: 'Autosave checkpoint',
+  'before-restore': 'Before restore',
+  restore: 'Restored',
+};
 
 const DEFAULT_EDITOR_CONTENT = `/*
  *******************************************************************************************
@@ -50,9 +126,30 @@ const DEFAULT_EDITOR_CONTENT = `/*
  *******************************************************************************************
 */`;
 
-module.exports = function script({ pages, ui, fs }) {
-  const CanvasContainer = document.getElementById('editor-canvas-container'); // For editor usage
+/**
+ * @function createModuleLoader - Wraps a dynamic import so the module is fetched once, on first use.
+ * A failed fetch (e.g. while offline) is retried on the next call.
+ * @param {Function} load - Calls import() and returns its promise.
+ * @returns {Function} - Returns a promise of the module.
+ */
+function createModuleLoader(load) {
+  let modulePromise = null;
+  return () => {
+    if (!modulePromise) {
+      modulePromise = load().catch((error) => {
+        modulePromise = null;
+        throw error;
+      });
+    }
+    return modulePromise;
+  };
+}
+
+// Prettier and ESLint are large, so they are split off the bundle and fetched when the code is first formatted or linted
+const loadFormatter = createModuleLoader(() => import('../format'));
+const loadLinter = createModuleLoader(() => import('../lint'));
 
+module.exports = function script({ pages, ui, fs, libraryResolver, settings }) {
   const verticalResizer = document.getElementById('editor-vertical-resizer');
   const horizontalResizer = document.getElementById(
     'editor-horizontal-resizer',
@@ -69,138 +166,510 @@ module.exports = function script({ pages, ui, fs }) {
     'tridecco-board-version-selector',
   );
   const canvasContainer = document.getElementById('editor-canvas-container');
-  const consoleOutput = document.getElementById('editor-console-output');
-
-  let currentFileId = null;
-  let currentFileName = 'Untitled';
-  let isDirty = false;
-  let autosaveTimeoutId = null;
+  const consolePanelElement = document.getElementById('editor-console-panel');
+  const inspectorPanel = document.getElementById('editor-inspector');
+  const designBar = document.getElementById('editor-design-bar');
+  const fileTreeTitle = document.getElementById('editor-file-tree-title');
+  const historyModal = document.getElementById('history-modal');
+  const historyModalTitle = document.getElementById('history-modal-title');
+  const historyRevisionList = document.getElementById('history-revision-list');
+  const historyFileSelector = document.getElementById('history-file-selector');
+  const historyRestoreButton = document.getElementById(
+    'history-restore-button',
+  );
+  const historyModalClose = document.getElementById('history-modal-close');
+  const conflictModal = document.getElementById('conflict-modal');
+  const conflictModalTitle = document.getElementById('conflict-modal-title');
+  const conflictFileSelector = document.getElementById(
+    'conflict-file-selector',
+  );
+  const conflictDiffPanel = document.getElementById('conflict-diff-panel');
+  const storageFullModal = document.getElementById('storage-full-modal');
+  const storageFullMessage = document.getElementById('storage-full-message');
+  const storageFullUsage = document.getElementById('storage-full-usage');
+  const compatModal = document.getElementById('compat-modal');
+  const compatModalRun = document.getElementById('compat-modal-run');
+  const compatModalClose = document.getElementById('compat-modal-close');
+  const templateModal = document.getElementById('template-modal');
+  const templateModalNote = document.getElementById('template-modal-note');
+  const templateList = document.getElementById('template-list');
+  const templatePreview = document.getElementById('template-preview');
+  const templateModalUse = document.getElementById('template-modal-use');
+  const templateModalSaved = document.getElementById('template-modal-saved');
+  const templateModalCancel = document.getElementById('template-modal-cancel');
+  const exportModal = document.getElementById('export-modal');
+  const exportFormat = document.getElementById('export-format');
+  const exportScale = document.getElementById('export-scale');
+  const exportDurationRow = document.getElementById('export-duration-row');
+  const exportDuration = document.getElementById('export-duration');
+  const exportDestination = document.getElementById('export-destination');
+  const exportModalNote = document.getElementById('export-modal-note');
+  const exportModalStart = document.getElementById('export-modal-start');
+  const exportModalCancel = document.getElementById('export-modal-cancel');
+  const shortcutsModal = document.getElementById('shortcuts-modal');
+  const shortcutsModalClose = document.getElementById('shortcuts-modal-close');
+  const runErrorOverlay = document.getElementById('editor-run-error');
+
+  // Every open file or project is a tab: { id, fileId, fileName, project, isDirty, autosaveTimeoutId, draftTimeoutId, boardVersion, savedAt, conflict, isSaving }
+  // savedAt is the update time of the stored file the tab is based on; conflict is the stored file when it was changed elsewhere
+  const tabs = [];
+  let activeTab = null;
+  let nextTabId = 1;
+  let hasRestoredTabs = false;
+  let isTabRunPending = false; // The active tab changed while a version was loading
+  let selectedRevision = null; // Revision shown in the history panel
+  let conflictTab = null; // Tab shown in the conflict dialog
+  let storageFullTab = null; // Tab whose save failed for lack of space
+  let isStorageFull = false; // Autosaves and drafts wait for a cleanup meanwhile
+  let selectedTemplate = null; // Starter template shown in the gallery
   let currentBoardVersion = null;
   let isBoardLoading = false;
-  let originalConsoleLog = null; // To store original console.log
-  let originalConsoleError = null; // To store original console.error
+  let designFilePath = null; // Project file holding the design region
+  let activeRecording = null; // { startedAt, clockId } while the canvas is being recorded
+  let isAutoRunEnabled = false;
+  let autoRunTimeoutId = null;
+  let lintTimeoutId = null;
 
   // Initialize the editor
-  const editor = new Editor(document.getElementById('editor-editor'));
+  const editor = new Editor(
+    document.getElementById('editor-editor'),
+    getEditorOptions(),
+  );
+
+  // The console panel renders output of the sandboxed run and expands its objects on demand
+  const consoleView = new Console(consolePanelElement, {
+    inspect: (objectId) => sandbox.inspect(objectId),
+    notify: (message, status) => ui.alert(message, status),
+  });
+
+  // Results of "Run Tests" go to the Tests tab of the console panel
+  const testReport = new TestReport(consolePanelElement, {
+    onNavigate: revealLocation,
+  });
+
+  // Lint problems of the open file go to the Problems tab
+  const problemsView = new ProblemsView(consolePanelElement, {
+    onNavigate: revealLocation,
+  });
+
+  // Live tree of the boards and renderers of the run; hovering a node outlines it on the canvas
+  const boardInspector = new BoardInspector(inspectorPanel, {
+    onHighlight: (target) => sandbox.highlight(target),
+  });
+
+  // Design mode: clicks on the canvas edit the "Board design" region of the code
+  const boardDesigner = new BoardDesigner(designBar, {
+    onExit: () => setDesignMode(false),
+  });
+
+  // Runs the current code against several versions, each in its own sandbox
+  const compatibilityView = new CompatibilityView(compatModal, {
+    versions: SUPPORTED_TRIDECCO_VERSIONS,
+    resolveLibrary: (version) => libraryResolver.resolve(version),
+  });
+
+  // User code runs in a sandboxed frame; its console and errors come back here
+  const sandbox = new Sandbox(canvasContainer, {
+    onConsole: (message) => consoleView.handleMessage(message),
+    onError: (error) => consoleView.reportError(error),
+    onTestResult: (result) => testReport.addResult(result),
+    onTestSummary: (summary) => testReport.finish(summary),
+    onInspector: (snapshot) => boardInspector.update(snapshot),
+    onDesignClick: ({ index }) => handleDesignClick(index),
+  });
+
+  // Every toolbar action is a named command with a rebindable shortcut, also listed in the editor's command palette
+  const commandRegistry = new CommandRegistry({ editor });
+  const shortcutsView = new ShortcutsView(shortcutsModal, {
+    registry: commandRegistry,
+    notify: (message, status) => ui.alert(message, status),
+  });
+
+  // Side-by-side comparison of a revision with the editor content
+  const diffView = new DiffView(document.getElementById('history-diff'));
+  // Comparison of a file changed elsewhere with the unsaved changes of its tab
+  const conflictDiffView = new DiffView(
+    document.getElementById('conflict-diff'),
+  );
+
+  // Sidebar listing the files of the open project
+  const fileTree = new FileTree(document.getElementById('editor-file-tree'), {
+    onOpen: openProjectFile,
+    onAction: handleTreeAction,
+  });
 
-  // Console output functions
+  // Tabs of the open files and projects
+  const tabBar = new TabBar(document.getElementById('editor-tabs'), {
+    onSelect: (tabId) => {
+      const tab = tabs.find(({ id }) => id === tabId);
+      if (tab && tab !== activeTab) activateTab(tab);
+    },
+    onClose: (tabId) => {
+      const tab = tabs.find(({ id }) => id === tabId);
+      if (tab) closeTab(tab);
+    },
+    onAction: (action) => {
+      if (action === 'new') runAction('new-empty');
+    },
+  });
 
-  function clearConsoleOutput() {
-    if (consoleOutput) consoleOutput.innerHTML = '';
+  // Tabs
+
+  function renderTabs() {
+    tabBar.render(
+      tabs.map((tab) => ({
+        id: tab.id,
+        title: tab.fileName,
+        tooltip: `${describeFile(tab)} [Board: v${tab.boardVersion}]${
+          tab.fileId ? '' : ' (Not saved to IDE)'
+        }${tab.conflict ? ' (Changed elsewhere)' : ''}`,
+        isDirty: tab.isDirty,
+        isProject: Boolean(tab.project),
+      })),
+      activeTab ? activeTab.id : null,
+    );
   }
 
-  function appendToConsole(message, type = 'log') {
-    if (!consoleOutput) return;
+  // Remembers the saved files that are open, so the tabs come back after a reload
+  function saveOpenTabs() {
+    try {
+      localStorage.setItem(
+        OPEN_TABS_STORAGE_KEY,
+        JSON.stringify(
+          tabs.filter(({ fileId }) => fileId).map(({ fileId }) => fileId),
+        ),
+      );
+    } catch (e) {
+      console.warn('Failed to remember the open tabs:', e);
+    }
+  }
 
-    const entry = document.createElement('div');
-    // Basic escaping, consider a more robust library for complex HTML injection prevention if needed
-    const escapedMessage = String(message) // Ensure it's a string
-      .replace(/&/g, '&')
-      .replace(/</g, '<')
-      .replace(/>/g, '>')
-      .replace(/"/g, '"')
-      .replace(/'/g, '\'')
-      .replace(/\n/g, '<br>'); // Keep line breaks visible
+  function readOpenTabs() {
+    try {
+      const fileIds = JSON.parse(localStorage.getItem(OPEN_TABS_STORAGE_KEY));
+      return Array.isArray(fileIds) ? fileIds : [];
+    } catch (e) {
+      console.warn('Failed to read the open tabs:', e);
+      return [];
+    }
+  }
 
-    entry.innerHTML = escapedMessage;
+  function getSupportedVersion(version) {
+    return SUPPORTED_TRIDECCO_VERSIONS.includes(version)
+      ? version
+      : settings.get('defaultBoardVersion');
+  }
 
-    switch (type) {
-      case 'error':
-        entry.className = 'text-red-400';
-        break;
-      case 'warn':
-        entry.className = 'text-yellow-400';
-        break;
-      case 'info':
-        entry.className = 'text-blue-400';
-        break;
-      default:
-        entry.className = 'text-gray-300'; // Default log color
+  // Adds a tab with its own editor models; it is shown by activateTab
+  function createTab({
+    fileId = null,
+    fileName = 'Untitled',
+    content = DEFAULT_EDITOR_CONTENT,
+    boardVersion = settings.get('defaultBoardVersion'),
+    project = null,
+    savedAt = null,
+  } = {}) {
+    const tab = {
+      id: nextTabId++,
+      fileId,
+      fileName,
+      project,
+      isDirty: false,
+      autosaveTimeoutId: null,
+      draftTimeoutId: null,
+      boardVersion: getSupportedVersion(boardVersion),
+      savedAt,
+      conflict: null,
+      isSaving: false,
+    };
+    tabs.push(tab);
+    editor.openDocument(tab.id, project ? '' : content);
+    if (project) {
+      editor.setFiles(project.toJSON().files);
+      editor.openFile(project.entry);
     }
+    return tab;
+  }
 
-    consoleOutput.appendChild(entry);
-    // Auto-scroll to the bottom
-    consoleOutput.scrollTop = consoleOutput.scrollHeight;
+  function openTab(options) {
+    const tab = createTab(options);
+    activateTab(tab);
+    saveOpenTabs();
+    scheduleDraft(tab); // Files loaded from the computer, templates, and shared links are journaled too
+    return tab;
   }
 
-  function overrideConsole() {
-    if (originalConsoleLog) return; // Already overridden
+  // Shows a tab and runs its code with its own board version
+  function activateTab(tab) {
+    setDesignMode(false);
+    activeTab = tab;
+    editor.openDocument(tab.id);
+    fileTree.show(Boolean(tab.project));
+    if (tab.project) renderFileTree();
+    renderTabs();
+    syncRoute();
+    updateSaveStatus();
+    scheduleLint();
+    if (tab.isDirty) triggerAutosave(tab); // Catches up with edits made while a board version was loading
+    runActiveTab();
+    resolveConflict(tab);
+  }
 
-    originalConsoleLog = console.log;
-    originalConsoleError = console.error;
+  function runActiveTab() {
+    trideccoVersionSelector.value = activeTab.boardVersion;
+    if (isBoardLoading) {
+      isTabRunPending = true; // Runs once the current load has finished
+      return;
+    }
+    loadTrideccoVersion(activeTab.boardVersion)
+      .catch((err) => {
+        console.error('Version load failed after switching tabs:', err);
+        // UI already alerted, selector should be reset by error handler in loadTrideccoVersion
+      })
+      .finally(() => {
+        if (isTabRunPending) {
+          isTabRunPending = false;
+          runActiveTab();
+        }
+      });
+  }
 
-    console.log = function log(...args) {
-      originalConsoleLog.apply(console, args); // Keep original behavior
-      appendToConsole(args.map(String).join(' '), 'log'); // Basic joining
-    };
+  function closeTab(tab) {
+    if (
+      tab.isDirty &&
+      !confirm(
+        `"${tab.fileName}" has unsaved changes. Are you sure you want to close it?`,
+      )
+    ) {
+      return;
+    }
+    clearTimeout(tab.autosaveTimeoutId);
+    discardDraft(tab);
+    const index = tabs.indexOf(tab);
+    tabs.splice(index, 1);
+
+    if (tab === activeTab) {
+      // The neighbour on the right takes its place, or a new file if it was the last tab
+      const nextTab = tabs[Math.min(index, tabs.length - 1)];
+      if (nextTab) {
+        activateTab(nextTab);
+      } else {
+        openTab();
+      }
+    } else {
+      renderTabs();
+    }
+    editor.closeDocument(tab.id);
+    saveOpenTabs();
+  }
 
-    console.error = function error(...args) {
-      originalConsoleError.apply(console, args); // Keep original behavior
-      // Format error message slightly better
-      const errorMessage = args
-        .map((arg) =>
-          arg instanceof Error ? arg.stack || arg.message : String(arg),
-        )
-        .join(' ');
-      appendToConsole(errorMessage, 'error');
-    };
+  function switchTab(forward) {
+    if (tabs.length <= 1) return;
+    const offset = forward ? 1 : tabs.length - 1; // Wraps around at both ends
+    activateTab(tabs[(tabs.indexOf(activeTab) + offset) % tabs.length]);
+  }
 
-    console.warn = function warn(...args) {
-      appendToConsole(args.map(String).join(' '), 'warn');
-    };
+  // Opens the saved files of the last session in the background (missing files are skipped)
+  async function restoreOpenTabs() {
+    hasRestoredTabs = true;
+    const fileIds = readOpenTabs();
+    for (const fileId of fileIds) {
+      if (tabs.some((tab) => tab.fileId === fileId)) continue;
+      try {
+        const fileData = await fs.loadFile(fileId);
+        if (!fileData) throw new Error('File not found.');
+        createTab({
+          fileId: fileData.id,
+          fileName: fileData.name,
+          content: fileData.content,
+          boardVersion: fileData.boardVersion,
+          project:
+            fileData.type === 'project' ? Project.fromJSON(fileData) : null,
+          savedAt: fileData.metadata.updatedAt,
+        });
+      } catch (error) {
+        console.warn(`Could not reopen file ${fileId}:`, error);
+      }
+    }
+  }
 
-    console.info = function info(...args) {
-      appendToConsole(args.map(String).join(' '), 'info');
-    };
+  // Multi-file Projects
+
+  function renderFileTree() {
+    fileTreeTitle.textContent = activeTab.fileName;
+    fileTreeTitle.title = activeTab.fileName;
+    fileTree.render(activeTab.project, editor.getActiveFile());
+  }
+
+  function showProject(project) {
+    activeTab.project = project;
+    editor.setFiles(project.toJSON().files);
+    editor.openFile(project.entry);
+    fileTree.show(true);
+  }
+
+  function closeProject() {
+    if (!activeTab.project) return;
+    activeTab.project = null;
+    editor.clearFiles();
+    fileTree.show(false);
+  }
+
+  function syncProjectFiles(tab = activeTab) {
+    // The editor models hold the latest contents; the project holds the structure
+    Object.entries(editor.getDocumentFiles(tab.id)).forEach(
+      ([path, content]) => {
+        tab.project.writeFile(path, content);
+      },
+    );
+  }
+
+  function openProjectFile(path) {
+    if (editor.openFile(path)) {
+      renderFileTree();
+    }
+  }
+
+  function revealLocation({ file, line, column }) {
+    if (file && activeTab.project) {
+      openProjectFile(file);
+    }
+    editor.revealPosition(line, column);
+  }
+
+  function handleTreeAction(action, path) {
+    if (!activeTab.project) return;
+    syncProjectFiles();
+
+    try {
+      switch (action) {
+        case 'new-file': {
+          const name = prompt('Enter new file name:', path ? `${path}/` : '');
+          if (!name) return;
+          const newPath = activeTab.project.createFile(name);
+          editor.addFile(newPath);
+          editor.openFile(newPath);
+          break;
+        }
+        case 'new-folder': {
+          const name = prompt('Enter new folder name:', path ? `${path}/` : '');
+          if (!name) return;
+          activeTab.project.createFolder(name);
+          break;
+        }
+        case 'rename': {
+          const newPath = prompt('Enter new name or path:', path);
+          if (!newPath || newPath === path) return;
+          activeTab.project
+            .rename(path, newPath)
+            .forEach(([from, to]) => editor.renameFile(from, to));
+          break;
+        }
+        case 'delete': {
+          if (!confirm(`Are you sure you want to delete "${path}"?`)) return;
+          activeTab.project
+            .remove(path)
+            .forEach((file) => editor.removeFile(file));
+          if (!editor.getActiveFile()) {
+            editor.openFile(activeTab.project.entry);
+          }
+          break;
+        }
+        case 'set-entry':
+          activeTab.project.setEntry(path);
+          ui.alert(`"${path}" is now the entry point.`, 'success');
+          break;
+        default:
+          console.warn('Unknown file tree action:', action);
+          return;
+      }
+    } catch (error) {
+      ui.alert(error.message, 'warning');
+      return;
+    }
+
+    markDirty();
+    renderFileTree();
   }
 
-  // Call overrideConsole to start capturing logs
+  function getProgramToRun() {
+    if (!activeTab.project) {
+      return editor.getContent();
+    }
+    syncProjectFiles();
+    try {
+      return activeTab.project.bundle();
+    } catch (error) {
+      // Still run (with nothing) so the selected library version loads
+      consoleView.print('error', error.message);
+      return '';
+    }
+  }
 
   function cleanupBoardResources() {
     if (!canvasContainer) return;
-    const existingCanvas = canvasContainer.querySelector('canvas');
-    if (existingCanvas) {
-      existingCanvas.remove();
-      console.info('Previous canvas removed.');
+    if (sandbox.isActive()) {
+      sandbox.destroy(); // Dropping the frame discards everything the run created
+      console.info('Previous sandbox removed.');
     }
+    boardInspector.clear();
+    hideRunError();
 
     // Reset placeholder text visibility (if you added one)
     const placeholder = canvasContainer.querySelector('.absolute');
     if (placeholder) placeholder.style.display = ''; // Show placeholder again
   }
 
-  function runCurrentCode() {
-    if (typeof window.Tridecco === 'undefined' || !window.Tridecco) {
-      console.error(
-        'Tridecco Board library is not available. Cannot run code.',
-      );
-      ui.alert(
-        'Tridecco Board library not loaded. Try selecting a version or reloading.',
-        'error',
-      );
-      return;
-    }
+  function setCanvasPlaceholderText(text = CANVAS_PLACEHOLDER_TEXT) {
+    const placeholder = canvasContainer?.querySelector('.absolute');
+    if (placeholder) placeholder.textContent = text;
+  }
+
+  async function runCurrentCode(version = currentBoardVersion, options = {}) {
     if (!canvasContainer) {
       console.error('Canvas container element not found. Cannot run code.');
       ui.alert('Required UI element (canvas container) missing.', 'error');
-      return;
+      return null;
+    }
+    if (activeTab && activeTab.draftTimeoutId) {
+      await writeDraft(activeTab); // A runaway script could force a reload before the draft is written
     }
 
-    clearConsoleOutput();
-    cleanupBoardResources(); // Clean up before running new code
-    console.log('--- Running Code ---');
+    consoleView.reset();
+    hideRunError();
+    if (!options.keepLastGood) {
+      cleanupBoardResources(); // Clean up before running new code
+    }
+    setCanvasPlaceholderText();
+    consoleView.print(
+      'log',
+      options.runTests ? '--- Running Tests ---' : '--- Running Code ---',
+    );
     const placeholder = canvasContainer.querySelector('.absolute');
     if (placeholder) placeholder.style.display = 'none'; // Hide placeholder
 
-    const codeToRun = editor.getContent();
+    const codeToRun = getProgramToRun();
+    const source = await libraryResolver.resolve(version);
+    const result = await sandbox.run(codeToRun, source.urls, options);
 
-    try {
-      eval(codeToRun);
-    } catch (error) {
-      console.error(error); // Log the error object to our custom console
-    } finally {
-      console.log('--- Code Execution Finished ---');
+    if (!result) {
+      return null; // Superseded by a newer run
     }
+    if (!result.libraryLoaded) {
+      consoleView.print(
+        'error',
+        source.bundled
+          ? `Tridecco Board v${version} is not available. Cannot run code.`
+          : `Tridecco Board v${version} is not bundled with the IDE and could not be loaded from the CDN. Cannot run code.`,
+      );
+      return { ...result, bundled: source.bundled };
+    }
+    consoleView.print(
+      'info',
+      `Tridecco Board v${version} loaded from ${result.libraryUrl}`,
+    );
+    consoleView.print('log', '--- Code Execution Finished ---');
+    return { ...result, bundled: source.bundled };
   }
 
   async function initializeAndRunBoard() {
@@ -208,150 +677,530 @@ module.exports = function script({ pages, ui, fs }) {
       console.warn('Board not ready or still loading, skipping run.');
       return;
     }
-    runCurrentCode();
+    const result = await runCurrentCode();
+    if (result && !result.libraryLoaded) {
+      ui.alert(
+        'Tridecco Board library not loaded. Try selecting a version or reloading.',
+        'error',
+      );
+    }
   }
 
-  // Tridecco Board Version Management
+  async function handleRunTests() {
+    if (isBoardLoading || !currentBoardVersion) {
+      ui.alert('Board library is still loading, please wait.', 'info');
+      return;
+    }
+    consoleView.showTab('tests');
+    testReport.start();
+    const result = await runCurrentCode(currentBoardVersion, {
+      runTests: true,
+    });
+    if (!result) {
+      testReport.abort('The test run was stopped by a newer run.');
+    } else if (!result.libraryLoaded) {
+      testReport.abort(
+        'Tests could not run: the board library did not load. See the console.',
+      );
+    }
+  }
 
-  function populateVersionSelector() {
-    if (!trideccoVersionSelector) return;
-    trideccoVersionSelector.innerHTML = ''; // Clear existing options
-    SUPPORTED_TRIDECCO_VERSIONS.forEach((version) => {
-      const option = document.createElement('option');
-      option.value = version;
-      option.textContent = version;
-      trideccoVersionSelector.appendChild(option);
+  function toggleInspector(visible = !boardInspector.isVisible()) {
+    boardInspector.show(visible);
+    sandbox.setInspectorEnabled(visible); // Snapshots are only sent while the panel is open
+  }
+
+  // Auto-run
+
+  function showRunError(message) {
+    runErrorOverlay.querySelector('[data-run-error-message]').textContent =
+      message;
+    runErrorOverlay.classList.remove('hidden');
+    runErrorOverlay.classList.add('flex');
+  }
+
+  function hideRunError() {
+    runErrorOverlay.classList.add('hidden');
+    runErrorOverlay.classList.remove('flex');
+  }
+
+  function setAutoRun(enabled) {
+    isAutoRunEnabled = enabled;
+    clearTimeout(autoRunTimeoutId);
+    const button = toolbar.querySelector('[data-action="auto-run"]');
+    button.setAttribute('aria-pressed', String(enabled));
+    button.classList.toggle('bg-gray-600', !enabled);
+    button.classList.toggle('hover:bg-gray-700', !enabled);
+    button.classList.toggle('bg-yellow-600', enabled);
+    button.classList.toggle('hover:bg-yellow-700', enabled);
+    if (enabled) scheduleAutoRun(); // Catch up with edits made while it was off
+  }
+
+  function scheduleAutoRun() {
+    if (!isAutoRunEnabled) return;
+    clearTimeout(autoRunTimeoutId);
+    autoRunTimeoutId = setTimeout(autoRun, AUTO_RUN_DELAY);
+  }
+
+  async function autoRun() {
+    autoRunTimeoutId = null;
+    // Design mode updates the canvas itself, and a new frame would end a recording
+    if (boardDesigner.isVisible() || activeRecording) return;
+    if (isBoardLoading || !currentBoardVersion || sandbox.isRunning()) {
+      scheduleAutoRun(); // Try again once the previous run has rendered
+      return;
+    }
+
+    let syntaxErrors = [];
+    try {
+      syntaxErrors = await editor.getSyntaxErrors();
+    } catch (error) {
+      console.warn('Could not parse the code before auto-running:', error);
+    }
+    if (syntaxErrors.length > 0 || !isAutoRunEnabled) return; // Wait for an edit that parses
+
+    const result = await runCurrentCode(currentBoardVersion, {
+      keepLastGood: true,
     });
+    if (result && result.keptLastGood) {
+      showRunError(
+        result.error ||
+          `Tridecco Board v${currentBoardVersion} could not be loaded.`,
+      );
+    }
   }
 
-  function loadTrideccoVersion(version) {
-    return new Promise((resolve, reject) => {
-      if (isBoardLoading) {
-        reject(new Error('Loading already in progress.'));
+  runErrorOverlay
+    .querySelector('[data-run-error-dismiss]')
+    .addEventListener('click', hideRunError);
+
+  // Design Mode
+
+  function setDesignMode(enabled) {
+    if (enabled) {
+      if (isBoardLoading || !currentBoardVersion) {
+        ui.alert('Board library is still loading, please wait.', 'info');
         return;
       }
-      if (!SUPPORTED_TRIDECCO_VERSIONS.includes(version)) {
-        reject(new Error(`Unsupported version: ${version}`));
+      try {
+        const code = BoardDesigner.prepare(editor.getContent());
+        editor.replaceContent(code);
+        boardDesigner.load(code); // Picks up manual edits of the region
+      } catch (error) {
+        ui.alert(error.message, 'error');
         return;
       }
+      designFilePath = activeTab.project ? editor.getActiveFile() : null;
+    }
 
-      console.log(`Attempting to load Tridecco Board version: ${version}`);
-      isBoardLoading = true;
-      trideccoVersionSelector.disabled = true;
-      ui.alert(
-        `Loading Tridecco Board v${version}...`,
-        'info',
-        TRIDECCO_BOARD_LODING_DELAY,
-      );
-      cleanupBoardResources(); // Clean up before loading new version
-
-      const existingScript = document.getElementById(TRIDECCO_SCRIPT_ID);
-      if (existingScript) existingScript.remove();
-
-      const scriptTag = document.createElement('script');
-      scriptTag.id = TRIDECCO_SCRIPT_ID;
-      scriptTag.src = `https://cdn.jsdelivr.net/npm/tridecco-board@${version}/dist/tridecco-board.min.js`;
-      scriptTag.async = true;
-
-      scriptTag.onload = async () => {
-        console.log(`Tridecco Board v${version} loaded successfully.`);
-        currentBoardVersion = version;
-        trideccoVersionSelector.value = version;
-        isBoardLoading = false;
-        trideccoVersionSelector.disabled = false;
-        ui.alert(
-          `Tridecco Board v${version} ready.`,
-          'success',
-          TRIDECCO_BOARD_READY_DELAY,
-        );
+    const wasEnabled = boardDesigner.isVisible();
+    boardDesigner.show(enabled);
+    sandbox.setDesignEnabled(enabled);
+    if (enabled) {
+      initializeAndRunBoard(); // The canvas starts from the current code
+    } else if (wasEnabled) {
+      sandbox.highlight(null);
+    }
+  }
 
-        await initializeAndRunBoard();
+  function handleDesignClick(index) {
+    if (designFilePath && editor.getActiveFile() !== designFilePath) {
+      openProjectFile(designFilePath);
+    }
 
-        resolve();
-      };
+    let edit = null;
+    try {
+      edit = boardDesigner.handleCellClick(index, editor.getContent());
+    } catch (error) {
+      ui.alert(error.message, 'error');
+      return;
+    }
+    sandbox.highlight(
+      boardDesigner.selectedIndex === null
+        ? null
+        : { boardId: DESIGNED_BOARD_ID, index: boardDesigner.selectedIndex },
+    );
+    if (!edit) return;
 
-      scriptTag.onerror = (error) => {
-        console.error(`Failed to load Tridecco Board v${version}:`, error);
-        isBoardLoading = false;
-        trideccoVersionSelector.disabled = false;
-        if (currentBoardVersion) {
-          trideccoVersionSelector.value = currentBoardVersion; // Revert selection
-        }
+    editor.replaceContent(edit.code);
+    sandbox.applyDesign(edit.changes); // Updates the canvas without running the code again
+  }
 
-        ui.alert(
-          `Failed to load Tridecco Board v${version}.`,
-          'error',
-          TRIDECCO_BOARD_FAILED_DELAY,
-        );
-        reject(new Error(`Failed to load script for version ${version}`));
-      };
+  // Compatibility Check
 
-      document.head.appendChild(scriptTag);
-    });
+  function showCompatModal() {
+    compatibilityView.select('lines', getSelectedBoardVersion());
+    compatModal.classList.remove('hidden');
   }
 
-  async function handleVersionChange() {
-    if (!trideccoVersionSelector || isBoardLoading) return;
+  function hideCompatModal() {
+    compatModal.classList.add('hidden');
+    compatibilityView.stop(); // Drops the preview frames
+  }
 
-    const selectedVersion = trideccoVersionSelector.value;
-    if (selectedVersion === currentBoardVersion) {
-      return; // No change needed
+  async function handleCompatRun() {
+    const versions = compatibilityView.getSelectedVersions();
+    if (versions.length === 0) {
+      ui.alert('Select at least one version to check.', 'info');
+      return;
     }
 
+    compatModalRun.disabled = true;
     try {
-      await loadTrideccoVersion(selectedVersion);
-      // Mark file as dirty since the associated library version changed
-      if (currentFileId) {
-        // Only mark dirty if it's a saved file
-        isDirty = true;
-        updateSaveStatus();
-        triggerAutosave(); // Trigger autosave for the version change
+      const results = await compatibilityView.run(getProgramToRun());
+      const failing = results.filter(({ status }) => status !== 'passed');
+      if (failing.length === 0) {
+        ui.alert(
+          `The code ran without errors or warnings on ${results.length} version(s).`,
+          'success',
+        );
       } else {
-        // For unsaved files, just update the potential version to save
-        // No need to mark dirty as it wasn't saved yet anyway
-        updateSaveStatus();
+        ui.alert(
+          `${failing.length} of ${results.length} version(s) had errors or warnings: ${failing
+            .map(({ version }) => `v${version}`)
+            .join(', ')}.`,
+          'warning',
+        );
       }
     } catch (error) {
-      // Error already handled and alerted in loadTrideccoVersion
-      console.warn('Version change failed, UI selection potentially reverted.');
-      // loadTrideccoVersion's onerror attempts to reset the selector
+      console.error('Error checking compatibility:', error);
+      ui.alert(`Failed to check compatibility: ${error.message}`, 'error');
+    } finally {
+      compatModalRun.disabled = false;
     }
   }
 
-  // Dropdown Menu Setup
-  function setupDropdowns() {
-    const dropdownGroups = toolbar.querySelectorAll('[data-dropdown-group]');
+  compatModalRun.addEventListener('click', handleCompatRun);
+  compatModalClose.addEventListener('click', hideCompatModal);
 
-    dropdownGroups.forEach((group) => {
-      const menu = group.querySelector('[data-dropdown-menu]');
-      let hideTimeoutId = null; // Use a specific timeout ID per group
+  // Canvas Export
 
-      if (!menu) return;
+  function isRecordingFormat(format) {
+    return format === 'webm' || format === 'gif';
+  }
 
-      const showMenu = () => {
-        clearTimeout(hideTimeoutId); // Clear any pending hide
-        dropdownGroups.forEach((otherGroup) => {
-          if (otherGroup !== group) {
-            otherGroup
-              .querySelector('[data-dropdown-menu]')
-              ?.classList.add('hidden');
-          }
-        });
-        menu.classList.remove('hidden');
-      };
+  function updateExportModal() {
+    const isRecording = isRecordingFormat(exportFormat.value);
+    exportDurationRow.classList.toggle('hidden', !isRecording);
+    exportDurationRow.classList.toggle('flex', isRecording);
+    exportModalStart.textContent = isRecording ? 'Start Recording' : 'Export';
 
-      const startHideTimer = () => {
-        clearTimeout(hideTimeoutId); // Clear previous timer if mouse moves quickly
-        hideTimeoutId = setTimeout(() => {
-          menu.classList.add('hidden');
-        }, DROPDOWN_HIDE_DELAY);
-      };
+    const notes = [];
+    if (exportFormat.value === 'gif') {
+      notes.push(
+        'GIFs have a limited color palette and get large quickly; a lower scale keeps them small.',
+      );
+    }
+    if (!activeTab.fileId) {
+      notes.push('Save the file to the IDE to keep exports next to it.');
+    }
+    exportModalNote.textContent = notes.join(' ');
+  }
 
-      group.addEventListener('mouseenter', showMenu);
-      group.addEventListener('mouseleave', startHideTimer);
+  function showExportModal() {
+    if (activeRecording) {
+      sandbox.stopRecording(); // The toolbar button stops a running recording
+      return;
+    }
+    if (!sandbox.isActive()) {
+      ui.alert('Run the code before exporting the canvas.', 'info');
+      return;
+    }
 
-      // Keep menu open when hovering over the menu itself
-      menu.addEventListener('mouseenter', () => clearTimeout(hideTimeoutId));
+    exportFormat.querySelector('option[value="webm"]').disabled =
+      typeof MediaRecorder === 'undefined';
+    if (exportFormat.selectedOptions[0].disabled) exportFormat.value = 'png';
+    exportDestination.querySelector('option[value="ide"]').disabled =
+      !activeTab.fileId;
+    if (!activeTab.fileId) exportDestination.value = 'download';
+    updateExportModal();
+    exportModal.classList.remove('hidden');
+  }
+
+  function hideExportModal() {
+    exportModal.classList.add('hidden');
+  }
+
+  function getExportFileName(extension, scale) {
+    const baseName = activeTab.fileName
+      .replace(/\.js$/i, '')
+      .replace(/[\\/:*?"<>|]/g, '_');
+    return `${baseName}${scale === 1 ? '' : `@${scale}x`}.${extension}`;
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  async function deliverExport(blob, fileName, sourceId) {
+    if (!sourceId) {
+      downloadBlob(blob, fileName);
+      ui.alert(`Exported "${fileName}".`, 'success');
+      return;
+    }
+    try {
+      await fs.createExport(sourceId, fileName, blob);
+      ui.alert(
+        `Saved "${fileName}" next to the file in the IDE storage (see the Files page).`,
+        'success',
+      );
+    } catch (error) {
+      console.error('Error storing export:', error);
+      ui.alert(
+        `Failed to save "${fileName}" in the IDE storage: ${error.message} Downloading it instead.`,
+        'error',
+      );
+      downloadBlob(blob, fileName);
+    }
+  }
+
+  function updateRecordingButton() {
+    const label = toolbar.querySelector('[data-export-label]');
+    const button = label.closest('button');
+    button.classList.toggle('bg-gray-600', !activeRecording);
+    button.classList.toggle('hover:bg-gray-700', !activeRecording);
+    button.classList.toggle('bg-red-600', Boolean(activeRecording));
+    button.classList.toggle('hover:bg-red-700', Boolean(activeRecording));
+    if (!activeRecording) {
+      label.textContent = 'Export';
+      return;
+    }
+
+    const elapsed = Math.floor(
+      (Date.now() - activeRecording.startedAt) / MILLISECONDS_PER_SECOND,
+    );
+    const seconds = String(elapsed % SECONDS_PER_MINUTE).padStart(
+      CLOCK_DIGITS,
+      '0',
+    );
+    label.textContent = `Stop Recording ${Math.floor(elapsed / SECONDS_PER_MINUTE)}:${seconds}`;
+  }
+
+  async function handleExport() {
+    const format = exportFormat.value;
+    const scale = Number(exportScale.value);
+    const sourceId =
+      exportDestination.value === 'ide' ? activeTab.fileId : null;
+    const fileName = getExportFileName(format, scale);
+    hideExportModal();
+
+    if (!isRecordingFormat(format)) {
+      try {
+        const blob = await sandbox.capture(scale);
+        if (blob) await deliverExport(blob, fileName, sourceId);
+      } catch (error) {
+        ui.alert(`Failed to export the canvas: ${error.message}`, 'error');
+      }
+      return;
+    }
+
+    const seconds = Number(exportDuration.value); // 0 records until stopped
+    const recording = sandbox.startRecording({
+      format,
+      scale,
+      fps: format === 'gif' ? GIF_FPS : VIDEO_FPS,
+      duration: seconds ? seconds * MILLISECONDS_PER_SECOND : null,
+    });
+    activeRecording = {
+      startedAt: Date.now(),
+      clockId: setInterval(updateRecordingButton, MILLISECONDS_PER_SECOND),
+    };
+    updateRecordingButton();
+    ui.alert(
+      seconds
+        ? `Recording the canvas for ${seconds} seconds…`
+        : 'Recording the canvas. Click "Stop Recording" in the toolbar to finish.',
+      'info',
+    );
+
+    try {
+      const blob = await recording;
+      if (blob) {
+        await deliverExport(blob, fileName, sourceId);
+      } else {
+        ui.alert(
+          'The recording was discarded because the preview was reset.',
+          'warning',
+        );
+      }
+    } catch (error) {
+      ui.alert(`Failed to record the canvas: ${error.message}`, 'error');
+    } finally {
+      clearInterval(activeRecording.clockId);
+      activeRecording = null;
+      updateRecordingButton();
+    }
+  }
+
+  exportFormat.addEventListener('change', updateExportModal);
+  exportModalStart.addEventListener('click', handleExport);
+  exportModalCancel.addEventListener('click', hideExportModal);
+
+  // Tridecco Board Version Management
+
+  function populateVersionSelector() {
+    if (!trideccoVersionSelector) return;
+    trideccoVersionSelector.innerHTML = ''; // Clear existing options
+    SUPPORTED_TRIDECCO_VERSIONS.forEach((version) => {
+      const option = document.createElement('option');
+      option.value = version;
+      option.textContent = version;
+      trideccoVersionSelector.appendChild(option);
+    });
+
+    // Flag versions that are not bundled and therefore need a connection
+    libraryResolver.getBundledVersions().then((bundledVersions) => {
+      Array.from(trideccoVersionSelector.options).forEach((option) => {
+        if (!bundledVersions.has(option.value)) {
+          option.textContent = `${option.value} (online only)`;
+        }
+      });
+    });
+  }
+
+  async function loadTrideccoVersion(version) {
+    if (isBoardLoading) {
+      throw new Error('Loading already in progress.');
+    }
+    if (!SUPPORTED_TRIDECCO_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported version: ${version}`);
+    }
+
+    console.log(`Attempting to load Tridecco Board version: ${version}`);
+    isBoardLoading = true;
+    trideccoVersionSelector.disabled = true;
+    ui.alert(
+      `Loading Tridecco Board v${version}...`,
+      'info',
+      TRIDECCO_BOARD_LODING_DELAY,
+    );
+
+    // The library is injected into the sandbox frame, so loading a version means running with it
+    let result = null;
+    try {
+      result = await runCurrentCode(version);
+    } finally {
+      isBoardLoading = false;
+      trideccoVersionSelector.disabled = false;
+    }
+
+    if (!result) return; // Superseded by a newer run
+
+    if (result.libraryLoaded) {
+      console.log(`Tridecco Board v${version} loaded successfully.`);
+      currentBoardVersion = version;
+      trideccoVersionSelector.value = version;
+      editor.setExtraLibs(getTrideccoTypings(version)); // IntelliSense follows the loaded version
+      ui.alert(
+        `Tridecco Board v${version} ready.`,
+        'success',
+        TRIDECCO_BOARD_READY_DELAY,
+      );
+      return;
+    }
+
+    console.error(`Failed to load Tridecco Board v${version}.`);
+    if (currentBoardVersion) {
+      trideccoVersionSelector.value = currentBoardVersion; // Revert selection
+    }
+
+    if (!result.bundled) {
+      // No local copy and the CDN did not deliver: the version needs a connection
+      cleanupBoardResources();
+      setCanvasPlaceholderText(
+        `Tridecco Board v${version} is unavailable offline.`,
+      );
+      ui.alert(
+        `Tridecco Board v${version} is unavailable offline. Connect to the internet or choose a bundled version.`,
+        'warning',
+        TRIDECCO_BOARD_OFFLINE_DELAY,
+      );
+      throw new Error(`Version ${version} is unavailable offline`);
+    }
+
+    ui.alert(
+      `Failed to load Tridecco Board v${version}.`,
+      'error',
+      TRIDECCO_BOARD_FAILED_DELAY,
+    );
+    throw new Error(`Failed to load script for version ${version}`);
+  }
+
+  async function handleVersionChange() {
+    if (!trideccoVersionSelector || isBoardLoading) return;
+
+    const selectedVersion = trideccoVersionSelector.value;
+    if (selectedVersion === currentBoardVersion) {
+      return; // No change needed
+    }
+
+    const tab = activeTab;
+    try {
+      await loadTrideccoVersion(selectedVersion);
+      tab.boardVersion = selectedVersion; // Pinned to the tab, and saved with it
+      // Mark file as dirty since the associated library version changed
+      if (tab.fileId) {
+        // Only mark dirty if it's a saved file
+        tab.isDirty = true;
+        updateSaveStatus();
+        renderTabs();
+        triggerAutosave(tab); // Trigger autosave for the version change
+      } else {
+        // For unsaved files, just update the potential version to save
+        // No need to mark dirty as it wasn't saved yet anyway
+        updateSaveStatus();
+      }
+      scheduleDraft(tab); // The draft keeps the version too
+    } catch (error) {
+      // Error already handled and alerted in loadTrideccoVersion
+      console.warn('Version change failed, UI selection potentially reverted.');
+      // loadTrideccoVersion's onerror attempts to reset the selector
+    }
+  }
+
+  // Dropdown Menu Setup
+  function setupDropdowns() {
+    const dropdownGroups = toolbar.querySelectorAll('[data-dropdown-group]');
+
+    dropdownGroups.forEach((group) => {
+      const menu = group.querySelector('[data-dropdown-menu]');
+      let hideTimeoutId = null; // Use a specific timeout ID per group
+
+      if (!menu) return;
+
+      const showMenu = () => {
+        clearTimeout(hideTimeoutId); // Clear any pending hide
+        dropdownGroups.forEach((otherGroup) => {
+          if (otherGroup !== group) {
+            otherGroup
+              .querySelector('[data-dropdown-menu]')
+              ?.classList.add('hidden');
+          }
+        });
+        menu.classList.remove('hidden');
+      };
+
+      const startHideTimer = () => {
+        clearTimeout(hideTimeoutId); // Clear previous timer if mouse moves quickly
+        hideTimeoutId = setTimeout(() => {
+          menu.classList.add('hidden');
+        }, DROPDOWN_HIDE_DELAY);
+      };
+
+      group.addEventListener('mouseenter', showMenu);
+      group.addEventListener('mouseleave', startHideTimer);
+
+      // Keep menu open when hovering over the menu itself
+      menu.addEventListener('mouseenter', () => clearTimeout(hideTimeoutId));
       menu.addEventListener('mouseleave', startHideTimer); // Also start timer when leaving menu
     });
 
@@ -422,30 +1271,44 @@ module.exports = function script({ pages, ui, fs }) {
 
   // State Management & Status Updates
 
-  function updateSaveStatus(status = null) {
-    clearTimeout(autosaveTimeoutId);
-    autosaveTimeoutId = null;
+  function describeFile(tab = activeTab) {
+    return `${tab.project ? 'Project' : 'File'}: ${tab.fileName}`;
+  }
+
+  function markDirty() {
+    if (!activeTab.isDirty) {
+      activeTab.isDirty = true;
+      updateSaveStatus(); // Update status immediately to "Unsaved"
+      renderTabs();
+    }
+    scheduleDraft();
+    // Trigger autosave if file is from IDE AND board isn't currently loading
+    if (activeTab.fileId && !isBoardLoading) {
+      triggerAutosave();
+    }
+  }
 
-    let text = `File: ${currentFileName}`;
+  function updateSaveStatus(status = null) {
+    let text = describeFile();
     if (status) {
       text = status;
-    } else if (currentFileId) {
-      text += isDirty ? ' (Unsaved)' : ' (Saved)';
+    } else if (activeTab.fileId) {
+      text += activeTab.isDirty ? ' (Unsaved)' : ' (Saved)';
     } else {
       text += ' (Not saved to IDE)';
     }
-    // Add board version info if available
-    if (currentBoardVersion && !status) {
+    // Add the board version of the tab (even while it is still loading)
+    if (!status) {
       // Don't overwrite explicit status messages
-      text += ` [Board: v${currentBoardVersion}]`;
-    } else if (!currentBoardVersion && !status && trideccoVersionSelector) {
-      text += ` [Board: v${trideccoVersionSelector.value || '?'}]`; // Show selected even if not loaded
+      text += ` [Board: v${activeTab.boardVersion}]`;
     }
 
     saveStatusText.textContent = text;
     saveStatusText.className = 'text-gray-400'; // Default
-    if (currentFileId) {
-      saveStatusText.className = isDirty ? 'text-yellow-400' : 'text-green-400';
+    if (activeTab.fileId) {
+      saveStatusText.className = activeTab.isDirty
+        ? 'text-yellow-400'
+        : 'text-green-400';
     }
     if (status && status.includes('Saving')) {
       saveStatusText.className = 'text-blue-400';
@@ -458,159 +1321,158 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
-  // Modified resetEditorState to handle board version
-  function resetEditorState(
-    fileName = 'Untitled',
-    content = DEFAULT_EDITOR_CONTENT,
-    boardVersion = LATEST_TRIDECCO_VERSION,
-  ) {
-    // Clear the open file request key immediately
-    try {
-      localStorage.removeItem(SELECTED_FILE_KEY);
-    } catch (e) {
-      console.warn('Could not remove item from localStorage:', e);
-    }
-    editor.setContent(content);
-    currentFileId = null;
-    currentFileName = fileName;
-    isDirty = false; // Reset dirty state
-
-    // Determine the version to load (default to latest for new files)
-    const versionToLoad = SUPPORTED_TRIDECCO_VERSIONS.includes(boardVersion)
-      ? boardVersion
-      : LATEST_TRIDECCO_VERSION;
-
-    // Set UI immediately, loadTrideccoVersion will handle the async load and run
-    trideccoVersionSelector.value = versionToLoad;
-    loadTrideccoVersion(versionToLoad).catch((err) => {
-      console.error('Initial version load failed during reset:', err);
-      // UI already alerted, selector should be reset by error handler in loadTrideccoVersion
-    });
+  // Keeps the URL hash pointing at the open file, so a reload reopens it
+  function syncRoute() {
+    const path = activeTab.fileId
+      ? `/editor/${encodeURIComponent(activeTab.fileId)}`
+      : '/editor/new';
+    pages.navigate(path, { replace: true, silent: true });
+  }
+
+  // File Operations
 
-    updateSaveStatus(); // Update status after setting everything
-    if (fileInputComputer) {
-      fileInputComputer.value = '';
+  function readBoardVersion(fileData) {
+    const defaultVersion = settings.get('defaultBoardVersion');
+    if (
+      fileData.boardVersion &&
+      SUPPORTED_TRIDECCO_VERSIONS.includes(fileData.boardVersion)
+    ) {
+      console.log(
+        `File specifies supported board version: ${fileData.boardVersion}`,
+      );
+      return fileData.boardVersion;
     }
-    console.log(
-      `Editor reset. State: ${fileName}, Board Version Target: ${versionToLoad}`,
-    );
+    if (fileData.boardVersion) {
+      console.warn(
+        `File ${fileData.id} saved with unsupported version "${fileData.boardVersion}". Loading the default version (${defaultVersion}).`,
+      );
+      ui.alert(
+        `File saved with unsupported version (${fileData.boardVersion}). Loading v${defaultVersion}.`,
+        'warning',
+        SAVE_UNSUPPORTED_DELAY,
+      );
+    } else {
+      console.log(
+        `File ${fileData.id} does not specify a board version. Loading the default version (${defaultVersion}).`,
+      );
+    }
+    return defaultVersion;
   }
 
-  // File Operations
+  // Replaces the content of the active tab with the stored file, dropping its unsaved changes
+  function reloadActiveTab(fileData) {
+    const boardVersion = readBoardVersion(fileData);
+    setDesignMode(false);
+    closeProject();
+    if (fileData.type === 'project') {
+      showProject(Project.fromJSON(fileData));
+    } else {
+      editor.setContent(fileData.content);
+    }
+    clearTimeout(activeTab.autosaveTimeoutId);
+    activeTab.fileName = fileData.name;
+    activeTab.boardVersion = boardVersion;
+    activeTab.savedAt = fileData.metadata.updatedAt;
+    activeTab.conflict = null;
+    activeTab.isDirty = false; // Loaded fresh from storage
+    discardDraft(activeTab);
+    activateTab(activeTab);
+  }
 
-  // Modify loadSpecificIdeFile
-  function loadSpecificIdeFile(fileId) {
+  // Opens a stored file in a new tab, or reloads its tab if it is the active one (e.g. after restoring a revision)
+  async function loadSpecificIdeFile(fileId) {
     console.log(`Attempting to load specified IDE file: ${fileId}`);
-    let versionToLoad = LATEST_TRIDECCO_VERSION;
     try {
-      const fileData = fs.loadFile(fileId);
+      const fileData = await fs.loadFile(fileId);
       if (!fileData) throw new Error(`File ID ${fileId} not found.`);
 
-      editor.setContent(fileData.content); // Set content *before* running
-      currentFileId = fileData.id;
-      currentFileName = fileData.name;
-      isDirty = false; // Loaded fresh from storage
-
-      // Determine version from file data
-      if (
-        fileData.boardVersion &&
-        SUPPORTED_TRIDECCO_VERSIONS.includes(fileData.boardVersion)
-      ) {
-        versionToLoad = fileData.boardVersion;
-        console.log(`File specifies supported board version: ${versionToLoad}`);
-      } else if (fileData.boardVersion) {
-        console.warn(
-          `File ${fileId} saved with unsupported version "${fileData.boardVersion}". Loading latest (${LATEST_TRIDECCO_VERSION}).`,
-        );
-        ui.alert(
-          `File saved with unsupported version (${fileData.boardVersion}). Loading latest.`,
-          'warning',
-          SAVE_UNSUPPORTED_DELAY,
-        );
-        // versionToLoad remains LATEST_TRIDECCO_VERSION
-      } else {
-        console.log(
-          `File ${fileId} does not specify a board version. Loading latest (${LATEST_TRIDECCO_VERSION}).`,
-        );
+      const openFileTab = tabs.find((tab) => tab.fileId === fileData.id);
+      if (openFileTab && openFileTab !== activeTab) {
+        activateTab(openFileTab);
+        return;
       }
-      // Set UI immediately, loadTrideccoVersion handles async load and run
-      trideccoVersionSelector.value = versionToLoad;
-      loadTrideccoVersion(versionToLoad).catch((err) =>
-        console.error('Version load failed after loading file:', err),
-      );
 
-      updateSaveStatus();
+      if (openFileTab) {
+        reloadActiveTab(fileData);
+        return;
+      }
+      openTab({
+        fileId: fileData.id,
+        fileName: fileData.name,
+        content: fileData.content,
+        boardVersion: readBoardVersion(fileData),
+        project:
+          fileData.type === 'project' ? Project.fromJSON(fileData) : null,
+        savedAt: fileData.metadata.updatedAt,
+      });
     } catch (error) {
       console.error('Error loading specific file from IDE:', error);
       ui.alert(`Failed to load requested file: ${error.message}`, 'error');
-      resetEditorState();
-    } finally {
-      try {
-        localStorage.removeItem(SELECTED_FILE_KEY);
-      } catch (e) {
-        console.warn('Could not remove item from localStorage:', e);
+      if (activeTab) {
+        activateTab(activeTab); // Back to the tab that is still open
+      } else {
+        openTab();
       }
     }
   }
 
-  // This is the correct version of loadSelectedIdeFile (handling the duplicate from original)
   function loadSelectedIdeFile(fileId) {
     hideIdeFileModal();
-    // Add dirty check (was missing in the second definition in original)
-    if (isDirty) {
-      if (
-        !confirm(
-          'You have unsaved changes. Are you sure you want to load this file?',
-        )
-      ) {
-        return;
-      }
-    }
-    // Call the dedicated function which now handles versioning
-    loadSpecificIdeFile(fileId);
+    // The editor route opens the file in a tab, or shows its tab if it is already open (and records it in the browser history)
+    pages.navigate(`/editor/${encodeURIComponent(fileId)}`);
   }
 
   function handleNewFile() {
-    // Dirty check moved to central toolbar handler
-    resetEditorState(); // Resets to untitled, empty content, and LATEST board version
+    openTab(); // Untitled, with the default content and board version
     ui.alert('New empty file created.', 'success');
   }
 
+  function handleNewProject() {
+    const project = new Project({
+      name: DEFAULT_PROJECT_NAME,
+      files: { 'main.js': DEFAULT_EDITOR_CONTENT },
+    });
+    openTab({ fileName: DEFAULT_PROJECT_NAME, project });
+    ui.alert(
+      'New project created. Use the file tree to add files and folders.',
+      'success',
+    );
+  }
+
   function handleLoadFromComputer() {
-    // Dirty check moved to central toolbar handler
     fileInputComputer.click();
   }
 
   fileInputComputer.addEventListener('change', (event) => {
     const file = event.target.files[0];
+    fileInputComputer.value = ''; // Allow opening the same file again
     if (!file) return;
 
     const reader = new FileReader();
     reader.onload = (e) => {
       const content = e.target.result;
-      // Reset state with new file info, default to LATEST board version for local files
-      resetEditorState(file.name, content, LATEST_TRIDECCO_VERSION);
+      // A new tab with the file, using the default board version for local files
+      openTab({ fileName: file.name, content });
       ui.alert(
-        `File "${file.name}" loaded from computer. Using Board v${LATEST_TRIDECCO_VERSION}.`,
+        `File "${file.name}" loaded from computer. Using Board v${settings.get('defaultBoardVersion')}.`,
         'success',
       );
     };
     reader.onerror = (e) => {
       console.error('File reading error:', e);
       ui.alert('Error reading file from computer.', 'error');
-      resetEditorState(); // Reset to clean state on error
     };
     reader.readAsText(file);
   });
 
-  function showIdeFileModal(mode = 'load') {
+  async function showIdeFileModal(mode = 'load') {
     ideFileList.innerHTML = ''; // Clear previous list
 
     ideFileModalTitle.textContent =
       mode === 'template' ? 'Select Template from IDE' : 'Select File from IDE';
 
     try {
-      const files = fs.listFiles();
+      const files = await fs.listFiles();
       if (files.length === 0) {
         const noFilesMsg = document.createElement('p');
         noFilesMsg.textContent = 'No files saved in the IDE yet.';
@@ -625,7 +1487,8 @@ module.exports = function script({ pages, ui, fs }) {
           const versionText = file.boardVersion
             ? ` (v${file.boardVersion})`
             : '';
-          button.textContent = `${file.name}${versionText} (Saved: ${new Date(file.metadata?.updatedAt || Date.now()).toLocaleString()})`;
+          const typeText = file.type === 'project' ? ' [Project]' : '';
+          button.textContent = `${file.name}${typeText}${versionText} (Saved: ${new Date(file.metadata?.updatedAt || Date.now()).toLocaleString()})`;
           button.dataset.fileId = file.id;
 
           if (mode === 'template') {
@@ -658,28 +1521,31 @@ module.exports = function script({ pages, ui, fs }) {
   }
 
   // Modified loadSelectedFileAsTemplate to always use LATEST version
-  function loadSelectedFileAsTemplate(templateFileId) {
+  async function loadSelectedFileAsTemplate(templateFileId) {
     hideIdeFileModal();
     // Dirty check moved to central toolbar handler
 
     try {
-      const templateData = fs.loadFile(templateFileId);
+      const templateData = await fs.loadFile(templateFileId);
       if (!templateData) {
         throw new Error(`Template file with ID ${templateFileId} not found.`);
       }
 
       // Reset state using template content but as a NEW unsaved file
       const newFileName = `Untitled from ${templateData.name}`;
-      // New files from template always start with the LATEST board version
-      resetEditorState(
-        newFileName,
-        templateData.content,
-        LATEST_TRIDECCO_VERSION,
-      );
-      // resetEditorState handles loading the version and updating the selector
+      const project =
+        templateData.type === 'project'
+          ? Project.fromJSON({ ...templateData, name: newFileName })
+          : null;
+      // New files from template always start with the default board version
+      openTab({
+        fileName: newFileName,
+        content: templateData.content,
+        project,
+      });
 
       ui.alert(
-        `Created new file based on template "${templateData.name}". Using board v${LATEST_TRIDECCO_VERSION}.`,
+        `Created new file based on template "${templateData.name}". Using board v${settings.get('defaultBoardVersion')}.`,
         'success',
       );
     } catch (error) {
@@ -690,25 +1556,173 @@ module.exports = function script({ pages, ui, fs }) {
 
   ideFileModalCancel.addEventListener('click', hideIdeFileModal);
 
-  function handleSaveToComputer() {
-    const content = editor.getContent();
-    let suggestedName =
-      currentFileName &&
-      currentFileName !== 'Untitled' &&
-      !currentFileName.startsWith('Untitled from')
-        ? currentFileName
-        : 'untitled.js';
-    if (!suggestedName.endsWith('.js')) suggestedName += '.js';
+  // Starter Templates
 
-    const fileName = prompt('Enter filename to save (.js):', suggestedName);
-    if (!fileName) return; // User cancelled
+  function getSelectedBoardVersion() {
+    return (
+      trideccoVersionSelector.value ||
+      currentBoardVersion ||
+      settings.get('defaultBoardVersion')
+    );
+  }
 
-    const finalFileName = fileName.endsWith('.js')
-      ? fileName
-      : fileName + '.js';
+  function selectTemplate(template, button) {
+    selectedTemplate = template;
+    templateList
+      .querySelectorAll('[data-template-id]')
+      .forEach((item) => item.classList.toggle('bg-blue-100', item === button));
+    templatePreview.textContent = template.code;
+    templatePreview.scrollTop = 0;
+    templateModalUse.disabled = false;
+  }
 
-    const blob = new Blob([content], {
-      type: 'application/javascript;charset=utf-8',
+  function showTemplateModal() {
+    const version = getSelectedBoardVersion();
+    const templates = STARTER_TEMPLATES.filter((template) =>
+      isTemplateCompatible(template, version),
+    );
+    const hiddenCount = STARTER_TEMPLATES.length - templates.length;
+
+    selectedTemplate = null;
+    templateModalUse.disabled = true;
+    templateList.innerHTML = '';
+    templatePreview.textContent = '';
+    templateModalNote.textContent = `Templates for tridecco-board v${version}.${
+      hiddenCount > 0
+        ? ` ${hiddenCount} more need a newer or older version.`
+        : ''
+    }`;
+
+    if (templates.length === 0) {
+      const noTemplatesMsg = document.createElement('p');
+      noTemplatesMsg.textContent = 'No starter templates support this version.';
+      noTemplatesMsg.className = 'text-gray-500 text-center text-sm p-4';
+      templateList.appendChild(noTemplatesMsg);
+    }
+    templates.forEach((template) => {
+      const button = document.createElement('button');
+      button.className =
+        'block w-full text-left px-3 py-2 text-sm hover:bg-gray-100 rounded';
+      button.dataset.templateId = template.id;
+
+      const nameLine = document.createElement('span');
+      nameLine.className = 'block text-gray-900 font-medium';
+      nameLine.textContent = template.name;
+      const descriptionLine = document.createElement('span');
+      descriptionLine.className = 'block text-xs text-gray-600';
+      descriptionLine.textContent = template.description;
+      const versionLine = document.createElement('span');
+      versionLine.className = 'block text-xs text-gray-400';
+      versionLine.textContent = `Board ${formatVersionRange(template)}`;
+
+      button.appendChild(nameLine);
+      button.appendChild(descriptionLine);
+      button.appendChild(versionLine);
+      button.addEventListener('click', () => selectTemplate(template, button));
+      templateList.appendChild(button);
+    });
+
+    templateList.querySelector('[data-template-id]')?.click();
+    templateModal.classList.remove('hidden');
+  }
+
+  function hideTemplateModal() {
+    templateModal.classList.add('hidden');
+    selectedTemplate = null;
+  }
+
+  function useSelectedTemplate() {
+    if (!selectedTemplate) return;
+    const { name, code } = selectedTemplate;
+    const version = getSelectedBoardVersion();
+    hideTemplateModal();
+
+    // Templates start a new unsaved file with the version they were picked for
+    openTab({
+      fileName: `Untitled from ${name}`,
+      content: code,
+      boardVersion: version,
+    });
+    ui.alert(
+      `Created new file from the "${name}" template. Using board v${version}.`,
+      'success',
+    );
+  }
+
+  templateModalUse.addEventListener('click', useSelectedTemplate);
+  templateModalCancel.addEventListener('click', hideTemplateModal);
+  templateModalSaved.addEventListener('click', () => {
+    hideTemplateModal();
+    showIdeFileModal('template');
+  });
+
+  async function handleSaveProjectToComputer() {
+    if (typeof JSZip === 'undefined') {
+      ui.alert(
+        'ZIP functionality is unavailable. JSZip library not loaded.',
+        'error',
+      );
+      return;
+    }
+
+    const fileName = prompt(
+      'Enter filename to save (.zip):',
+      `${activeTab.fileName.replace(/[\\/:*?"<>|]/g, '_')}.zip`,
+    );
+    if (!fileName) return; // User cancelled
+
+    const finalFileName = fileName.endsWith('.zip')
+      ? fileName
+      : fileName + '.zip';
+
+    try {
+      syncProjectFiles();
+      const zip = new JSZip();
+      activeTab.project.addToZip(zip, {
+        boardVersion: activeTab.boardVersion,
+      });
+      const blob = await zip.generateAsync({ type: 'blob' });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = finalFileName;
+      document.body.appendChild(link);
+      link.click();
+      setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        ui.alert(`Project "${finalFileName}" saved to computer.`, 'success');
+      }, 0);
+    } catch (error) {
+      console.error('Error saving project to computer:', error);
+      ui.alert('Failed to save project to computer.', 'error');
+    }
+  }
+
+  function handleSaveToComputer() {
+    if (activeTab.project) {
+      handleSaveProjectToComputer();
+      return;
+    }
+    const content = editor.getContent();
+    let suggestedName =
+      activeTab.fileName &&
+      activeTab.fileName !== 'Untitled' &&
+      !activeTab.fileName.startsWith('Untitled from')
+        ? activeTab.fileName
+        : 'untitled.js';
+    if (!suggestedName.endsWith('.js')) suggestedName += '.js';
+
+    const fileName = prompt('Enter filename to save (.js):', suggestedName);
+    if (!fileName) return; // User cancelled
+
+    const finalFileName = fileName.endsWith('.js')
+      ? fileName
+      : fileName + '.js';
+
+    const blob = new Blob([content], {
+      type: 'application/javascript;charset=utf-8',
     });
 
     try {
@@ -729,20 +1743,76 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  async function handleSaveProjectToIDE(versionToSave) {
+    const projectName = prompt(
+      `Enter project name to save in IDE (Board v${versionToSave}):`,
+      activeTab.fileName,
+    );
+
+    if (!projectName) return; // User cancelled
+
+    if (!projectName.trim()) {
+      ui.alert('Project name cannot be empty.', 'warning');
+      return;
+    }
+
+    const tab = activeTab;
+    try {
+      updateSaveStatus(`Saving "${projectName}" to IDE...`);
+      syncProjectFiles(tab);
+      tab.project.name = projectName.trim();
+
+      const projectId = await fs.createProject(
+        tab.project.name,
+        tab.project.toJSON(),
+        versionToSave,
+      );
+      tab.savedAt = (await fs.loadFile(projectId)).metadata.updatedAt;
+      tab.fileId = projectId;
+      tab.conflict = null;
+      tab.fileName = tab.project.name;
+      tab.isDirty = false;
+      discardDraft(tab);
+      saveOpenTabs();
+      renderTabs();
+      if (tab === activeTab) {
+        syncRoute();
+        updateSaveStatus();
+        renderFileTree();
+      }
+
+      ui.alert(
+        `Project "${tab.fileName}" (Board v${versionToSave}) saved to IDE.`,
+        'success',
+      );
+    } catch (error) {
+      if (error.name === 'QuotaExceededError') {
+        handleStorageFull(tab);
+        return;
+      }
+      console.error('Error saving project to IDE:', error);
+      ui.alert(`Failed to save to IDE: ${error.message}`, 'error');
+      if (tab === activeTab) updateSaveStatus('Save failed!');
+    }
+  }
+
   // Modified handleSaveToIDE to include current board version
-  function handleSaveToIDE() {
+  async function handleSaveToIDE() {
+    await formatBeforeSave();
     const content = editor.getContent();
-    // Use the *currently selected* version from the dropdown for saving
-    const versionToSave =
-      trideccoVersionSelector?.value ||
-      currentBoardVersion ||
-      LATEST_TRIDECCO_VERSION;
+    // Every tab is saved with its own board version
+    const versionToSave = activeTab.boardVersion;
+
+    if (activeTab.project) {
+      await handleSaveProjectToIDE(versionToSave);
+      return;
+    }
 
     const suggestedName =
-      currentFileName &&
-      currentFileName !== 'Untitled' &&
-      !currentFileName.startsWith('Untitled from')
-        ? currentFileName
+      activeTab.fileName &&
+      activeTab.fileName !== 'Untitled' &&
+      !activeTab.fileName.startsWith('Untitled from')
+        ? activeTab.fileName
         : 'new_script.js';
 
     let fileName = prompt(
@@ -758,23 +1828,28 @@ module.exports = function script({ pages, ui, fs }) {
     }
     if (!fileName.endsWith('.js')) fileName += '.js'; // Ensure .js extension
 
+    const tab = activeTab;
     try {
       updateSaveStatus(`Saving "${fileName}" to IDE...`);
 
-      const newFileId = fs.createFile(
+      const newFileId = await fs.createFile(
         fileName,
         content,
-        versionToSave, // Pass the selected board version
+        versionToSave, // Pass the board version of the tab
       );
 
       // Update state to reflect the saved file
-      currentFileId = newFileId;
-      currentFileName = fileName;
-      currentBoardVersion = versionToSave; // Reflect the saved version state
-      isDirty = false; // Now it's saved
-      updateSaveStatus(); // Update status to "Saved" (will include version)
-      if (trideccoVersionSelector) {
-        trideccoVersionSelector.value = versionToSave; // Ensure UI matches saved state
+      tab.savedAt = (await fs.loadFile(newFileId)).metadata.updatedAt;
+      tab.fileId = newFileId;
+      tab.conflict = null;
+      tab.fileName = fileName;
+      tab.isDirty = false; // Now it's saved
+      discardDraft(tab);
+      saveOpenTabs();
+      renderTabs();
+      if (tab === activeTab) {
+        syncRoute();
+        updateSaveStatus(); // Update status to "Saved" (will include version)
       }
 
       ui.alert(
@@ -782,55 +1857,77 @@ module.exports = function script({ pages, ui, fs }) {
         'success',
       );
     } catch (error) {
+      if (error.name === 'QuotaExceededError') {
+        handleStorageFull(tab);
+        return;
+      }
       console.error('Error saving file to IDE:', error);
       ui.alert(`Failed to save to IDE: ${error.message}`, 'error');
-      updateSaveStatus('Save failed!'); // Show failure status
+      if (tab === activeTab) updateSaveStatus('Save failed!'); // Show failure status
     }
   }
 
   async function handleShare() {
     ui.alert('Generating share URL...', 'info', SHARE_GENERATE_INFO_DELAY);
 
-    const content = editor.getContent();
-    const version =
-      trideccoVersionSelector.value ||
-      currentBoardVersion ||
-      LATEST_TRIDECCO_VERSION;
+    const version = activeTab.boardVersion;
 
-    const dataToEncode = { content, version };
+    let dataToEncode;
+    if (activeTab.project) {
+      syncProjectFiles();
+      dataToEncode = { project: activeTab.project.toJSON(), version };
+    } else {
+      dataToEncode = { content: editor.getContent(), version };
+    }
 
     try {
-      const encodedData = URLDataTranscoder.compile(dataToEncode);
+      const encodedData = await URLDataTranscoder.compile(dataToEncode);
 
       if (!encodedData) {
         throw new Error('Encoding resulted in null data.');
       }
 
-      // Use encodeURIComponent on the compressed string
-      const encodedParam = encodeURIComponent(encodedData);
+      // The encoded data is already URL-safe, so it is not escaped again
       const baseUrl = window.location.origin + window.location.pathname;
-      const shareUrl = `${baseUrl}?${SHARE_PARAM_NAME}=${encodedParam}`;
+      const shareUrl = `${baseUrl}?${SHARE_PARAM_NAME}=${encodedData}`;
+      const lengthWarning = URLDataTranscoder.getLengthWarning(shareUrl);
 
       // Attempt to copy to clipboard
       if (navigator.clipboard && window.isSecureContext) {
         // Check for secure context
         await navigator.clipboard.writeText(shareUrl);
-        ui.alert(
-          'Share URL copied to clipboard!',
-          'success',
-          SHARE_GENERATE_CLIPBOARD_DELAY,
-        );
+        if (lengthWarning) {
+          ui.alert(
+            `Share URL copied to clipboard. ${lengthWarning}`,
+            'warning',
+            SHARE_LENGTH_WARNING_DELAY,
+          );
+        } else {
+          ui.alert(
+            'Share URL copied to clipboard!',
+            'success',
+            SHARE_GENERATE_CLIPBOARD_DELAY,
+          );
+        }
       } else {
         // Fallback for insecure contexts or older browsers
         console.warn(
           'Clipboard API not available or context insecure. Showing prompt instead.',
         );
         prompt('Copy this shareable URL:', shareUrl);
-        ui.alert(
-          'URL generated. Please copy it manually.',
-          'info',
-          SHARE_GENERATE_MANUAL_DELAY,
-        );
+        if (lengthWarning) {
+          ui.alert(
+            `URL generated. Please copy it manually. ${lengthWarning}`,
+            'warning',
+            SHARE_LENGTH_WARNING_DELAY,
+          );
+        } else {
+          ui.alert(
+            'URL generated. Please copy it manually.',
+            'info',
+            SHARE_GENERATE_MANUAL_DELAY,
+          );
+        }
       }
 
       console.log(
@@ -846,122 +1943,775 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  // Formatting and Linting
+
+  async function lintActiveFile() {
+    lintTimeoutId = null;
+    if (!activeTab) return; // Linted once the first tab is shown
+    const tab = activeTab;
+    const code = editor.getContent();
+    let lintCode;
+    try {
+      ({ lintCode } = await loadLinter());
+    } catch (error) {
+      console.error('Failed to load the linter:', error);
+      return;
+    }
+    // Edits and tab switches made meanwhile schedule another check
+    if (tab !== activeTab || editor.getContent() !== code) return;
+    const problems = lintCode(code, {
+      module: Boolean(activeTab.project), // Project files are ES modules
+    });
+    editor.setMarkers(LINT_MARKER_OWNER, problems);
+    problemsView.update(
+      problems,
+      activeTab.project ? editor.getActiveFile() : null,
+    );
+  }
+
+  function scheduleLint() {
+    clearTimeout(lintTimeoutId);
+    lintTimeoutId = setTimeout(lintActiveFile, LINT_DELAY);
+  }
+
+  // Formats the open file in place, keeping the cursor at the same code
+  async function formatActiveFile() {
+    const { formatCode } = await loadFormatter();
+    const code = editor.getContent();
+    const result = await formatCode(code, editor.getCursorOffset());
+    if (editor.getContent() !== code) return; // Typed over while formatting
+    editor.replaceContent(result.code);
+    editor.setCursorOffset(result.cursorOffset);
+  }
+
+  async function handleFormatDocument() {
+    try {
+      await formatActiveFile();
+    } catch (error) {
+      ui.alert(`Cannot format the file: ${error.message}`, 'error');
+    }
+  }
+
+  async function formatBeforeSave() {
+    if (!settings.get('formatOnSave')) return;
+    try {
+      await formatActiveFile();
+    } catch (error) {
+      console.warn('Saving without formatting:', error.message); // Code that does not parse is still saved
+    }
+  }
+
+  function renderFormatOnSave() {
+    toolbar
+      .querySelector('[data-format-on-save-check]')
+      .classList.toggle('invisible', !settings.get('formatOnSave'));
+  }
+
   // Autosave Functionality
 
-  function triggerAutosave() {
-    // Only autosave if loaded from IDE, dirty, and board library isn't currently loading
-    if (!currentFileId || !isDirty || isBoardLoading) {
+  function triggerAutosave(tab = activeTab) {
+    // Only autosave if loaded from IDE, dirty, not changed elsewhere, with space left, and board library isn't currently loading
+    if (
+      !tab.fileId ||
+      !tab.isDirty ||
+      tab.conflict ||
+      isStorageFull ||
+      isBoardLoading
+    ) {
       return;
     }
 
-    clearTimeout(autosaveTimeoutId);
+    clearTimeout(tab.autosaveTimeoutId);
     // Show specific saving status, then schedule the save
-    updateSaveStatus(
-      `File: ${currentFileName} (Saving...) [Board: v${trideccoVersionSelector?.value || '?'}]`,
-    );
+    if (tab === activeTab) {
+      updateSaveStatus(
+        `${describeFile()} (Saving...) [Board: v${tab.boardVersion}]`,
+      );
+    }
 
-    autosaveTimeoutId = setTimeout(() => {
-      performAutosave();
-    }, AUTOSAVE_DELAY);
+    // Every tab has its own timer, so switching tabs does not cancel a pending save
+    tab.autosaveTimeoutId = setTimeout(() => {
+      performAutosave(tab);
+    }, settings.get('autosaveDelay'));
   }
 
-  // Modified performAutosave to include current board version
-  function performAutosave() {
-    if (!currentFileId || !isDirty || isBoardLoading) {
+  async function performAutosave(tab) {
+    tab.autosaveTimeoutId = null;
+    if (
+      !tabs.includes(tab) ||
+      !tab.fileId ||
+      !tab.isDirty ||
+      tab.conflict ||
+      isStorageFull ||
+      isBoardLoading
+    ) {
       // Double check conditions before saving
-      updateSaveStatus(); // Update status if state changed before save happened
+      if (tab === activeTab) updateSaveStatus(); // Update status if state changed before save happened
       return;
     }
+    await saveTab(tab, 'autosave');
+  }
 
-    const contentToSave = editor.getContent();
-    // Get version from the selector UI as the source of truth for saving
-    const versionToSave =
-      trideccoVersionSelector?.value ||
-      currentBoardVersion ||
-      LATEST_TRIDECCO_VERSION;
+  async function saveTab(tab, checkpoint = null) {
+    const fileIdToSave = tab.fileId;
+    const versionToSave = tab.boardVersion;
 
     console.log(
-      `Autosaving file: ${currentFileName} (ID: ${currentFileId}, Version: ${versionToSave})`,
+      `Saving file: ${tab.fileName} (ID: ${fileIdToSave}, Version: ${versionToSave}, Checkpoint: ${checkpoint})`,
     );
+    if (tab === activeTab) {
+      await formatBeforeSave(); // Before the dirty flag is cleared, so formatting does not count as a new edit
+    }
+    // Cleared up front so edits made while the write is pending mark the file dirty again
+    tab.isDirty = false;
     try {
       // Update content AND boardVersion
-      fs.updateFile(currentFileId, {
-        content: contentToSave,
-        boardVersion: versionToSave,
+      let updates;
+      if (tab.project) {
+        syncProjectFiles(tab);
+        updates = {
+          project: tab.project.toJSON(),
+          boardVersion: versionToSave,
+        };
+      } else {
+        updates = {
+          content: editor.getDocumentContent(tab.id),
+          boardVersion: versionToSave,
+        };
+      }
+      // Fails with a ConflictError if the file was changed elsewhere since the tab loaded or saved it
+      tab.isSaving = true;
+      const fileData = await fs.updateFile(fileIdToSave, updates, {
+        checkpoint,
+        expectedUpdatedAt: tab.savedAt ?? undefined,
       });
-      isDirty = false;
-      currentBoardVersion = versionToSave; // Update state to match saved version
+
+      if (tab.fileId !== fileIdToSave) return; // Saved under another ID meanwhile
+      tab.savedAt = fileData.metadata.updatedAt;
+      if (tab.isDirty) {
+        triggerAutosave(tab); // Save the edits made during the write
+        return;
+      }
+      discardDraft(tab); // Nothing left to recover
+      renderTabs();
+      if (tab !== activeTab) return;
       const time = new Date().toLocaleTimeString();
-      // Update status to show autosaved time and version
+      const savedText = checkpoint === 'save' ? 'Saved' : 'Autosaved';
+      // Update status to show the save time and version
       updateSaveStatus(
-        `File: ${currentFileName} (Autosaved at ${time}) [Board: v${versionToSave}]`,
+        `${describeFile()} (${savedText} at ${time}) [Board: v${versionToSave}]`,
       );
     } catch (error) {
-      console.error('Autosave failed:', error);
-      updateSaveStatus('Autosave failed!');
-      ui.alert(`Autosave failed: ${error.message}`, 'error');
+      if (tab.fileId !== fileIdToSave) return;
+      tab.isDirty = true;
+      if (error.name === 'ConflictError') {
+        console.warn('Save stopped:', error.message);
+        renderTabs();
+        checkForExternalChange(tab); // Asks which version to keep
+        return;
+      }
+      if (error.name === 'QuotaExceededError') {
+        renderTabs();
+        handleStorageFull(tab);
+        return;
+      }
+      console.error('Save failed:', error);
+      renderTabs();
+      if (tab === activeTab) updateSaveStatus('Autosave failed!');
+      ui.alert(
+        `Autosave of "${tab.fileName}" failed: ${error.message}`,
+        'error',
+      );
+    } finally {
+      tab.isSaving = false;
     }
-    autosaveTimeoutId = null;
   }
 
-  // Event Listeners
+  // Saves the file in place, as a new revision; only unsaved tabs are named and stored as a new file
+  async function handleSave() {
+    if (!activeTab.fileId) {
+      await handleSaveToIDE(); // The first save creates the first revision
+      return;
+    }
+    clearTimeout(activeTab.autosaveTimeoutId);
+    activeTab.autosaveTimeoutId = null;
+    await saveTab(activeTab, 'save');
+  }
 
-  editor.onContentChange(() => {
-    if (!isDirty) {
-      isDirty = true;
-      updateSaveStatus(); // Update status immediately to "Unsaved"
+  // Crash Recovery
+
+  function getDraftId(tab) {
+    return `${fs.sessionId}_tab${tab.id}`;
+  }
+
+  // Whether a reload would lose anything of a tab (an untouched new file has nothing to lose)
+  function hasUnsavedBuffer(tab) {
+    if (tab.isDirty) return true;
+    if (tab.fileId) return false;
+    return (
+      Boolean(tab.project) ||
+      editor.getDocumentContent(tab.id) !== DEFAULT_EDITOR_CONTENT
+    );
+  }
+
+  // Journals a tab, whether or not it was saved to the IDE, or drops its draft once there is nothing to recover
+  async function writeDraft(tab) {
+    clearTimeout(tab.draftTimeoutId);
+    tab.draftTimeoutId = null;
+    if (!tabs.includes(tab) || isStorageFull) return;
+    try {
+      if (!hasUnsavedBuffer(tab)) {
+        await fs.deleteDraft(getDraftId(tab));
+        return;
+      }
+      let buffer;
+      if (tab.project) {
+        syncProjectFiles(tab);
+        buffer = { project: tab.project.toJSON() };
+      } else {
+        buffer = { content: editor.getDocumentContent(tab.id) };
+      }
+      await fs.saveDraft(getDraftId(tab), {
+        name: tab.fileName,
+        boardVersion: tab.boardVersion,
+        fileId: tab.fileId,
+        ...buffer,
+      });
+    } catch (error) {
+      console.warn(`Failed to journal "${tab.fileName}":`, error);
+      if (error.name === 'QuotaExceededError') handleStorageFull(tab);
     }
-    // Trigger autosave if file is from IDE AND board isn't currently loading
-    if (currentFileId && !isBoardLoading) {
-      triggerAutosave();
+  }
+
+  function scheduleDraft(tab = activeTab) {
+    clearTimeout(tab.draftTimeoutId);
+    tab.draftTimeoutId = setTimeout(() => writeDraft(tab), DRAFT_DELAY);
+  }
+
+  function discardDraft(tab) {
+    clearTimeout(tab.draftTimeoutId);
+    tab.draftTimeoutId = null;
+    fs.deleteDraft(getDraftId(tab)).catch((error) =>
+      console.warn(`Failed to drop the draft of "${tab.fileName}":`, error),
+    );
+  }
+
+  // Opens a draft left by an earlier session in a new tab, which stays unsaved until it is saved to the IDE
+  async function restoreDraft(draftId) {
+    try {
+      const draft = await fs.loadDraft(draftId);
+      if (!draft) throw new Error('The draft no longer exists.');
+
+      const tab = openTab({
+        // Not linked to the stored file, which may have changed since
+        fileName: draft.fileId ? `${draft.name} (Recovered)` : draft.name,
+        content: draft.content ?? '',
+        boardVersion: draft.boardVersion,
+        project: draft.project
+          ? Project.fromJSON({ ...draft.project, name: draft.name })
+          : null,
+      });
+      tab.isDirty = true;
+      renderTabs();
+      updateSaveStatus();
+      await writeDraft(tab); // Journaled under this session before the old draft goes
+      await fs.deleteDraft(draftId);
+      ui.alert(`Recovered "${draft.name}".`, 'success');
+    } catch (error) {
+      console.error('Error restoring draft:', error);
+      ui.alert(`Failed to recover the draft: ${error.message}`, 'error');
+      if (activeTab) {
+        activateTab(activeTab);
+      } else {
+        openTab();
+      }
     }
+  }
+
+  function flushDrafts() {
+    tabs.filter((tab) => tab.draftTimeoutId).forEach((tab) => writeDraft(tab));
+  }
+
+  // The page is still alive when it is hidden (tab switched, minimized, or about to close), so pending drafts are written then;
+  // writes started on pagehide may not finish before the page is gone, so that is only a last try
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushDrafts();
   });
+  window.addEventListener('pagehide', flushDrafts);
 
-  trideccoVersionSelector.addEventListener('change', handleVersionChange);
+  // Storage Quota
 
-  // Add Run action to toolbar listener
-  toolbar.addEventListener('click', (e) => {
-    const target = e.target;
-    const actionButton = target.closest('button[data-action]');
-    if (!actionButton) return;
-    const action = actionButton.dataset.action;
+  // A write failed for lack of space: the changes stay in the tab, and the user can free up space or download them
+  async function handleStorageFull(tab) {
+    isStorageFull = true;
+    storageFullTab = tab;
+    if (tab === activeTab) updateSaveStatus('Save failed: storage is full!');
 
-    // Hide dropdown if click was inside one
-    const parentGroup = actionButton.closest('[data-dropdown-group]');
-    parentGroup?.querySelector('[data-dropdown-menu')?.classList.add('hidden');
+    storageFullMessage.textContent = `"${tab.fileName}" could not be saved because the browser storage of the IDE is full. Your changes are still open in the editor and are kept as long as this page stays open. Free up space to resume saving, or download the file.`;
+    storageFullUsage.textContent = 'Measuring the storage...';
+    storageFullModal.classList.remove('hidden');
+    try {
+      const { totals, estimate } = await fs.getStorageUsage();
+      const siteUsage = estimate
+        ? ` · This site: ${formatSize(estimate.usage)} of ${formatSize(estimate.quota)}`
+        : '';
+      storageFullUsage.textContent = `Files: ${formatSize(totals.files)} · Revision history: ${formatSize(totals.revisions)} · Exports: ${formatSize(totals.exports)}${siteUsage}`;
+    } catch (error) {
+      console.warn('Failed to measure the storage:', error);
+      storageFullUsage.textContent = '';
+    }
+  }
+
+  function hideStorageFullModal() {
+    storageFullModal.classList.add('hidden');
+  }
 
-    const isLoadAction = [
-      'load-ide',
-      'load-computer',
-      'new-empty',
-      'new-template',
-      'exit',
-    ];
-    if (isDirty && isLoadAction.includes(action)) {
-      let confirmationMessage =
-        'You have unsaved changes. Are you sure you want to continue?';
-      // Customize messages for clarity
-      if (action === 'exit') {
-        confirmationMessage =
-          'You have unsaved changes that might not be autosaved. Are you sure you want to exit?';
-      } else if (action === 'new-template') {
-        confirmationMessage =
-          'You have unsaved changes. Are you sure you want to create a new file from a template?';
-      } else if (action === 'new-empty') {
-        confirmationMessage =
-          'You have unsaved changes. Are you sure you want to create a new empty file?';
-      } else if (action.startsWith('load-')) {
-        confirmationMessage =
-          'You have unsaved changes. Are you sure you want to load a different file?';
+  // Saves what waited for space, once some was freed
+  function resumeSaving() {
+    isStorageFull = false;
+    storageFullTab = null;
+    tabs.forEach((tab) => {
+      if (tab.isDirty) triggerAutosave(tab);
+      if (hasUnsavedBuffer(tab)) scheduleDraft(tab);
+    });
+    if (activeTab && !activeTab.isDirty) updateSaveStatus();
+  }
+
+  async function handleStorageAction(action) {
+    try {
+      switch (action) {
+        case 'trim-revisions': {
+          const droppedCount = await fs.trimAllRevisions();
+          ui.alert(`Deleted ${droppedCount} old revision(s).`, 'success');
+          hideStorageFullModal();
+          resumeSaving();
+          break;
+        }
+        case 'delete-exports': {
+          if (!confirm('Permanently delete every stored export?')) return;
+          const deletedCount = await fs.deleteExports();
+          ui.alert(`Deleted ${deletedCount} export(s).`, 'success');
+          hideStorageFullModal();
+          resumeSaving();
+          break;
+        }
+        case 'download':
+          hideStorageFullModal();
+          if (tabs.includes(storageFullTab) && storageFullTab !== activeTab) {
+            activateTab(storageFullTab);
+          }
+          handleSaveToComputer();
+          break;
+        case 'manage':
+          hideStorageFullModal();
+          leaveEditor('/files/storage'); // The tabs stay open, with their changes
+          break;
+        case 'close':
+          hideStorageFullModal();
+          break;
+        default:
+          console.warn('Unknown storage action:', action);
       }
-      if (!confirm(confirmationMessage)) {
-        return; // Stop the action if user cancels
+    } catch (error) {
+      console.error('Storage cleanup failed:', error);
+      ui.alert(`Failed to free up space: ${error.message}`, 'error');
+    }
+  }
+
+  storageFullModal.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-storage-action]');
+    if (button) handleStorageAction(button.dataset.storageAction);
+  });
+
+  // While the storage is full, unsaved changes only live in the open tabs
+  window.addEventListener('beforeunload', (event) => {
+    if (isStorageFull && tabs.some((tab) => hasUnsavedBuffer(tab))) {
+      event.preventDefault();
+      event.returnValue = ''; // Older browsers only ask when this is set
+    }
+  });
+
+  // Revision History
+
+  function populateHistoryFileSelector() {
+    const paths = new Set([
+      ...Object.keys(selectedRevision.project.files),
+      ...activeTab.project.listFiles(),
+    ]);
+    const previousPath = historyFileSelector.value || editor.getActiveFile();
+
+    historyFileSelector.innerHTML = '';
+    Array.from(paths)
+      .sort()
+      .forEach((path) => {
+        const option = document.createElement('option');
+        option.value = path;
+        option.textContent = path;
+        historyFileSelector.appendChild(option);
+      });
+    historyFileSelector.value = paths.has(previousPath)
+      ? previousPath
+      : activeTab.project.entry;
+  }
+
+  function showRevisionDiff() {
+    if (!selectedRevision) return;
+
+    if (activeTab.project) {
+      const path = historyFileSelector.value;
+      diffView.show(
+        selectedRevision.project.files[path] ?? '',
+        activeTab.project.getFile(path) ?? '',
+      );
+    } else {
+      diffView.show(selectedRevision.content ?? '', editor.getContent());
+    }
+  }
+
+  async function selectRevision(revisionId, button) {
+    try {
+      selectedRevision = await fs.loadRevision(activeTab.fileId, revisionId);
+    } catch (error) {
+      console.error('Error loading revision:', error);
+      ui.alert(`Failed to load revision: ${error.message}`, 'error');
+      return;
+    }
+
+    historyRevisionList
+      .querySelectorAll('[data-revision-id]')
+      .forEach((item) => item.classList.toggle('bg-blue-100', item === button));
+    historyRestoreButton.disabled = !selectedRevision;
+
+    if (activeTab.project && selectedRevision) {
+      syncProjectFiles();
+      populateHistoryFileSelector();
+    }
+    showRevisionDiff();
+  }
+
+  async function showHistoryModal() {
+    if (!activeTab.fileId) {
+      ui.alert('Save the file to the IDE to start keeping revisions.', 'info');
+      return;
+    }
+
+    historyRevisionList.innerHTML = '';
+    selectedRevision = null;
+    historyRestoreButton.disabled = true;
+    historyFileSelector.classList.toggle('hidden', !activeTab.project);
+    historyModalTitle.textContent = `Revision History: ${activeTab.fileName}`;
+    historyModal.classList.remove('hidden');
+
+    try {
+      const revisions = await fs.listRevisions(activeTab.fileId);
+      if (revisions.length === 0) {
+        const noRevisionsMsg = document.createElement('p');
+        noRevisionsMsg.textContent =
+          'No revisions yet. Use Save As > New Revision to create one.';
+        noRevisionsMsg.className = 'text-gray-500 text-center text-sm p-4';
+        historyRevisionList.appendChild(noRevisionsMsg);
+        return;
       }
-      // If confirmed, proceed (reset dirty state if needed, handled by load/new functions)
-      isDirty = false; // Assume action will succeed or reset state
-      updateSaveStatus(); // Update status immediately
+
+      revisions.forEach((revision) => {
+        const button = document.createElement('button');
+        button.className =
+          'block w-full text-left px-3 py-2 text-sm hover:bg-gray-100 rounded';
+        button.dataset.revisionId = revision.id;
+
+        const timeLine = document.createElement('span');
+        timeLine.className = 'block text-gray-900';
+        timeLine.textContent = new Date(revision.timestamp).toLocaleString();
+        const detailLine = document.createElement('span');
+        detailLine.className = 'block text-xs text-gray-500';
+        detailLine.textContent = `${REVISION_SOURCE_LABELS[revision.source] || revision.source} · Board v${revision.boardVersion || '?'}`;
+
+        button.appendChild(timeLine);
+        button.appendChild(detailLine);
+        button.addEventListener('click', () =>
+          selectRevision(revision.id, button),
+        );
+        historyRevisionList.appendChild(button);
+      });
+
+      historyRevisionList.querySelector('[data-revision-id]').click(); // Newest first
+    } catch (error) {
+      console.error('Error listing revisions:', error);
+      ui.alert(`Could not load revision history: ${error.message}`, 'error');
+    }
+  }
+
+  function hideHistoryModal() {
+    historyModal.classList.add('hidden');
+    diffView.dispose(); // Drops the revision models from the language service
+    selectedRevision = null;
+  }
+
+  async function handleRestoreRevision() {
+    if (!selectedRevision || !activeTab.fileId) return;
+    if (
+      !confirm(
+        'Restore this revision? The current content is kept in the history.',
+      )
+    ) {
+      return;
+    }
+
+    const revisionId = selectedRevision.id;
+    const tab = activeTab;
+    try {
+      clearTimeout(tab.autosaveTimeoutId);
+      tab.autosaveTimeoutId = null;
+      if (tab.isDirty) {
+        await saveTab(tab); // Unsaved edits become part of the "before restore" revision
+        if (tab.isDirty) return; // The save failed (or the file was changed elsewhere)
+      }
+      tab.isSaving = true; // The restore is not a change made elsewhere
+      const fileData = await fs.restoreRevision(tab.fileId, revisionId);
+      tab.isSaving = false;
+      hideHistoryModal();
+      await loadSpecificIdeFile(fileData.id); // Reloads content, files, and board version
+      ui.alert('Revision restored.', 'success');
+    } catch (error) {
+      tab.isSaving = false;
+      console.error('Error restoring revision:', error);
+      ui.alert(`Failed to restore revision: ${error.message}`, 'error');
+    }
+  }
+
+  historyFileSelector.addEventListener('change', showRevisionDiff);
+  historyRestoreButton.addEventListener('click', handleRestoreRevision);
+  historyModalClose.addEventListener('click', hideHistoryModal);
+
+  // Changes Made Elsewhere (other browser tabs, or the Files page)
+
+  function isEditorShown() {
+    return pages.currentPage === 'editor-container';
+  }
+
+  // Keeps the content of a tab whose file was deleted, as a file that is not saved to the IDE
+  function detachTab(tab) {
+    clearTimeout(tab.autosaveTimeoutId);
+    tab.autosaveTimeoutId = null;
+    tab.fileId = null;
+    tab.savedAt = null;
+    tab.conflict = null;
+    tab.isDirty = true; // Closing the tab asks first
+    scheduleDraft(tab);
+    if (tab === conflictTab) hideConflictModal();
+    ui.alert(
+      `"${tab.fileName}" was deleted. Its tab keeps the content; save it again to keep it.`,
+      'warning',
+    );
+    saveOpenTabs();
+    renderTabs();
+    if (tab === activeTab && isEditorShown()) {
+      syncRoute();
+      updateSaveStatus();
     }
+  }
+
+  // Compares a tab with its stored file after a change it did not make
+  async function checkForExternalChange(tab) {
+    const fileId = tab.fileId;
+    let fileData;
+    try {
+      fileData = await fs.loadFile(fileId);
+    } catch (error) {
+      console.error('Error checking the stored file:', error);
+      return;
+    }
+    if (!tabs.includes(tab) || tab.fileId !== fileId) return; // Closed or saved under another ID meanwhile
+    if (!fileData) {
+      detachTab(tab);
+      return;
+    }
+    if (fileData.metadata.updatedAt === tab.savedAt) return;
+
+    clearTimeout(tab.autosaveTimeoutId);
+    tab.autosaveTimeoutId = null;
+    tab.conflict = fileData;
+    renderTabs();
+    if (tab === activeTab && isEditorShown()) {
+      resolveConflict(tab);
+    }
+  }
 
+  // A tab without unsaved changes takes the stored version; otherwise the user decides
+  function resolveConflict(tab) {
+    if (!tab.conflict || conflictTab) return;
+    if (!tab.isDirty) {
+      const { name } = tab.conflict;
+      reloadActiveTab(tab.conflict);
+      ui.alert(
+        `"${name}" was changed elsewhere and has been reloaded.`,
+        'info',
+      );
+      return;
+    }
+    showConflictModal(tab);
+  }
+
+  function showConflictModal(tab) {
+    conflictTab = tab;
+    conflictModalTitle.textContent = `"${tab.conflict.name}" Was Changed Elsewhere`;
+    conflictFileSelector.classList.add('hidden');
+    conflictDiffPanel.classList.add('hidden');
+    conflictDiffPanel.classList.remove('flex');
+    conflictModal.classList.remove('hidden');
+  }
+
+  function hideConflictModal() {
+    conflictModal.classList.add('hidden');
+    conflictDiffView.dispose();
+    conflictTab = null;
+  }
+
+  function showConflictDiff() {
+    const stored = conflictTab.conflict;
+    if (conflictTab.project) {
+      syncProjectFiles(conflictTab);
+      const path = conflictFileSelector.value;
+      conflictDiffView.show(
+        (stored.files || {})[path] ?? '',
+        conflictTab.project.getFile(path) ?? '',
+      );
+    } else {
+      conflictDiffView.show(
+        stored.content ?? '',
+        editor.getDocumentContent(conflictTab.id),
+      );
+    }
+  }
+
+  function handleConflictCompare() {
+    if (conflictTab.project) {
+      const paths = new Set([
+        ...Object.keys(conflictTab.conflict.files || {}),
+        ...conflictTab.project.listFiles(),
+      ]);
+      conflictFileSelector.innerHTML = '';
+      Array.from(paths)
+        .sort()
+        .forEach((path) => {
+          const option = document.createElement('option');
+          option.value = path;
+          option.textContent = path;
+          conflictFileSelector.appendChild(option);
+        });
+      conflictFileSelector.value = paths.has(editor.getActiveFile())
+        ? editor.getActiveFile()
+        : conflictTab.project.entry;
+      conflictFileSelector.classList.remove('hidden');
+    }
+    conflictDiffPanel.classList.remove('hidden');
+    conflictDiffPanel.classList.add('flex');
+    showConflictDiff();
+  }
+
+  function handleConflictReload() {
+    const tab = conflictTab;
+    const fileData = tab.conflict;
+    hideConflictModal();
+    tab.isDirty = false; // Drops the unsaved changes
+    if (tab === activeTab) {
+      reloadActiveTab(fileData);
+    } else {
+      activateTab(tab); // Reloads it, as it has no unsaved changes now
+    }
+  }
+
+  async function handleConflictKeep() {
+    const tab = conflictTab;
+    const { name, metadata } = tab.conflict;
+    hideConflictModal();
+    tab.fileName = name; // A rename made elsewhere is kept
+    tab.savedAt = metadata.updatedAt; // Overwrites the version that was offered
+    tab.conflict = null;
+    tab.isDirty = true;
+    renderTabs();
+    if (tab === activeTab) {
+      updateSaveStatus();
+      if (tab.project) renderFileTree();
+    }
+    clearTimeout(tab.autosaveTimeoutId);
+    tab.autosaveTimeoutId = null;
+    await saveTab(tab, 'save');
+  }
+
+  // Changes made by the editor's own saves are ignored; anything else is compared with the open tabs
+  function handleFileChange({ type, fileId, isRemote }) {
+    tabs
+      .filter(
+        (tab) => tab.fileId && (type === 'clear' || tab.fileId === fileId),
+      )
+      .forEach((tab) => {
+        if (type !== 'update') {
+          detachTab(tab);
+        } else if (isRemote || !tab.isSaving) {
+          checkForExternalChange(tab);
+        }
+      });
+  }
+
+  conflictFileSelector.addEventListener('change', showConflictDiff);
+  document
+    .getElementById('conflict-modal-compare')
+    .addEventListener('click', handleConflictCompare);
+  document
+    .getElementById('conflict-modal-reload')
+    .addEventListener('click', handleConflictReload);
+  document
+    .getElementById('conflict-modal-keep')
+    .addEventListener('click', handleConflictKeep);
+  fs.onChange(handleFileChange);
+
+  inspectorPanel
+    .querySelector('[data-inspector-action="close"]')
+    .addEventListener('click', () => toggleInspector(false));
+
+  // Event Listeners
+
+  editor.onContentChange(markDirty);
+  editor.onContentChange(scheduleAutoRun);
+  editor.onContentChange(scheduleLint);
+  editor.onModelChange(scheduleLint);
+
+  // Settings
+
+  function getEditorOptions() {
+    return {
+      theme: settings.get('editorTheme'),
+      fontSize: settings.get('editorFontSize'),
+      minimap: { enabled: settings.get('editorMinimap') },
+    };
+  }
+
+  // Changes made on the settings page apply to the open editor right away
+  settings.onChange((key) => {
+    if (key.startsWith('editor')) {
+      editor.setOptions(getEditorOptions());
+    } else if (key === 'formatOnSave') {
+      renderFormatOnSave();
+    } else if (key === 'autosaveDelay') {
+      // Reschedules the pending autosaves
+      tabs.filter((tab) => tab.autosaveTimeoutId).forEach(triggerAutosave);
+    }
+  });
+  renderFormatOnSave();
+
+  trideccoVersionSelector.addEventListener('change', handleVersionChange);
+
+  function leaveEditor(path) {
+    // The tabs stay open (and their pending autosaves still run) until the editor is shown again
+    clearTimeout(autoRunTimeoutId);
+    cleanupBoardResources(); // Stop the running sandbox
+    setDesignMode(false);
+    pages.navigate(path);
+  }
+
+  // Runs a toolbar action; commands and their shortcuts go through here as well
+  function runAction(action) {
     switch (action) {
       case 'load-ide':
         showIdeFileModal('load');
@@ -973,7 +2723,13 @@ module.exports = function script({ pages, ui, fs }) {
         handleNewFile();
         break;
       case 'new-template':
-        showIdeFileModal('template');
+        showTemplateModal();
+        break;
+      case 'new-project':
+        handleNewProject();
+        break;
+      case 'save':
+        handleSave();
         break;
       case 'save-ide':
         handleSaveToIDE();
@@ -984,11 +2740,48 @@ module.exports = function script({ pages, ui, fs }) {
       case 'share':
         handleShare();
         break;
+      case 'close-tab':
+        closeTab(activeTab);
+        break;
+      case 'next-tab':
+        switchTab(true);
+        break;
+      case 'previous-tab':
+        switchTab(false);
+        break;
+      case 'history':
+        showHistoryModal();
+        break;
       case 'exit':
         console.log('Exit clicked');
-        // Perform any final cleanup if needed before switching
-        clearTimeout(autosaveTimeoutId); // Cancel pending autosave
-        pages.switchTo('home-container');
+        leaveEditor('/');
+        break;
+      case 'open-settings':
+        leaveEditor('/settings');
+        break;
+      case 'run-tests':
+        handleRunTests();
+        break;
+      case 'auto-run':
+        setAutoRun(!isAutoRunEnabled);
+        break;
+      case 'format-document':
+        handleFormatDocument();
+        break;
+      case 'format-on-save':
+        settings.set('formatOnSave', !settings.get('formatOnSave'));
+        break;
+      case 'inspector':
+        toggleInspector();
+        break;
+      case 'design':
+        setDesignMode(!boardDesigner.isVisible());
+        break;
+      case 'compatibility':
+        showCompatModal();
+        break;
+      case 'export':
+        showExportModal();
         break;
       case 'run-code':
         if (isBoardLoading) {
@@ -997,17 +2790,82 @@ module.exports = function script({ pages, ui, fs }) {
           initializeAndRunBoard(); // Re-run with current code/version
         }
         break;
+      case 'command-palette':
+        editor.openCommandPalette();
+        break;
+      case 'keyboard-shortcuts':
+        showShortcutsModal();
+        break;
       default:
         console.log('Unknown action clicked:', action);
         break;
     }
+  }
+
+  toolbar.addEventListener('click', (e) => {
+    const actionButton = e.target.closest('button[data-action]');
+    if (!actionButton) return;
+
+    // Hide dropdown if click was inside one
+    const parentGroup = actionButton.closest('[data-dropdown-group]');
+    parentGroup?.querySelector('[data-dropdown-menu')?.classList.add('hidden');
+
+    runAction(actionButton.dataset.action);
+  });
+
+  // Commands and Keyboard Shortcuts
+
+  EDITOR_COMMANDS.forEach(({ id, label, keybinding }) =>
+    commandRegistry.register({
+      id,
+      label,
+      keybinding,
+      run: () => runAction(id),
+    }),
+  );
+
+  // Toolbar tooltips show the current shortcut of their action
+  function updateToolbarShortcuts() {
+    toolbar.querySelectorAll('button[data-action]').forEach((button) => {
+      if (button.dataset.baseTitle === undefined) {
+        button.dataset.baseTitle = button.title || button.textContent.trim();
+      }
+      const keybinding = commandRegistry.getKeybinding(button.dataset.action);
+      button.title = keybinding
+        ? `${button.dataset.baseTitle} (${formatKeybinding(keybinding)})`
+        : button.dataset.baseTitle;
+    });
+  }
+
+  function showShortcutsModal() {
+    shortcutsView.render();
+    shortcutsModal.classList.remove('hidden');
+    shortcutsModal.querySelector('[data-shortcuts-filter]').focus();
+  }
+
+  function hideShortcutsModal() {
+    shortcutsView.stopRecording();
+    shortcutsModal.classList.add('hidden');
+  }
+
+  commandRegistry.onKeybindingChange(updateToolbarShortcuts);
+  updateToolbarShortcuts();
+  shortcutsModalClose.addEventListener('click', hideShortcutsModal);
+
+  // Shortcuts pressed outside of the code editor (which runs its own actions)
+  document.addEventListener('keydown', (event) => {
+    if (pages.currentPage !== 'editor-container') return;
+    commandRegistry.handleKeyDown(event);
   });
 
   // Initialization and Page Lifecycle
 
-  // Function to run when the editor page is shown
-  function editorPageOnOpen() {
+  // Function to run when the editor page is shown ("#/editor/<fileId>", "#/editor/draft/<draftId>", or "#/editor/new")
+  async function editorPageOnOpen({ fileId, draftId } = {}) {
     console.log('Editor page opening...');
+    if (!hasRestoredTabs) {
+      await restoreOpenTabs(); // The tabs of the last session, before the route adds or picks one
+    }
 
     let loadedFromUrl = false;
     const urlParams = new URLSearchParams(window.location.search);
@@ -1016,25 +2874,41 @@ module.exports = function script({ pages, ui, fs }) {
     if (sharedDataEncoded) {
       console.log('Found shared data in URL parameter.');
       try {
-        // Decode the URL component first, then decompile
-        const decompressedDataString = decodeURIComponent(sharedDataEncoded);
-        const decodedData = URLDataTranscoder.decompile(decompressedDataString);
+        // URLSearchParams has already decoded the parameter once; older links are handled by the transcoder
+        const decodedData =
+          await URLDataTranscoder.decompile(sharedDataEncoded);
 
         if (
+          decodedData &&
+          decodedData.project &&
+          typeof decodedData.version === 'string'
+        ) {
+          console.log('Successfully decompiled shared project:', decodedData);
+          const project = Project.fromJSON(decodedData.project);
+          openTab({
+            fileName: project.name || 'Shared Project',
+            boardVersion: decodedData.version,
+            project,
+          });
+          ui.alert('Loaded shared project.', 'success');
+          loadedFromUrl = true;
+        } else if (
           decodedData &&
           typeof decodedData.content === 'string' &&
           typeof decodedData.version === 'string'
         ) {
           console.log('Successfully decompiled shared data:', decodedData);
-          // Reset editor state using shared data
-          resetEditorState(
-            'Shared File',
-            decodedData.content,
-            decodedData.version,
-          ); // Pass flag
+          // A new tab with the shared data
+          openTab({
+            fileName: 'Shared File',
+            content: decodedData.content,
+            boardVersion: decodedData.version,
+          });
           ui.alert('Loaded shared file content.', 'success');
           loadedFromUrl = true;
+        }
 
+        if (loadedFromUrl) {
           // Clean the URL parameter after successful load
           try {
             const cleanUrl =
@@ -1068,25 +2942,33 @@ module.exports = function script({ pages, ui, fs }) {
       }
     }
 
-    // If NOT loaded from URL, check localStorage
+    // If NOT loaded from URL, open the file of the route
     if (!loadedFromUrl) {
-      const fileIdToOpen = localStorage.getItem(SELECTED_FILE_KEY);
-      if (fileIdToOpen) {
-        console.log(`Found file ID to open from localStorage: ${fileIdToOpen}`);
-        // This function handles version loading and removes the key
-        loadSpecificIdeFile(fileIdToOpen);
+      const openFileTab = fileId && tabs.find((tab) => tab.fileId === fileId);
+      if (draftId) {
+        console.log(`Recovering draft from route: ${draftId}`);
+        restoreDraft(draftId);
+      } else if (openFileTab) {
+        console.log(`File ${fileId} is already open in a tab.`);
+        activateTab(openFileTab); // Runs its code again; the canvas was cleared when the editor was left
+      } else if (fileId) {
+        console.log(`Opening file from route: ${fileId}`);
+        // This function handles version loading
+        loadSpecificIdeFile(fileId);
+      } else if (activeTab && !activeTab.fileId && !activeTab.isDirty) {
+        // An untouched new file is reused, e.g. when coming back with the browser's back button
+        activateTab(activeTab);
       } else {
         console.log(
           'No specific file ID or shared URL data, starting new file.',
         );
         // This loads the latest version and runs code
-        resetEditorState();
+        openTab();
       }
     }
   }
 
   // Initial setup calls
-  overrideConsole(); // Setup console redirection first
   setupDropdowns();
   populateVersionSelector(); // Populate the dropdown menu with versions
 
@@ -3,12 +3,27 @@
  * @description Handles listing, searching, opening, renaming, deleting, and downloading files stored in the IDE.
  */
 
-const SELECTED_FILE_KEY = 'editorOpenFileId'; // Key for localStorage communication
+const { Importer, WORKSPACE_MANIFEST_FILE_NAME } = require('../importer');
+const Project = require('../project');
+const formatSize = require('../utils/formatSize');
+
 const ALERT_DURATION = 4000;
 const ALERT_SHORT_DURATION = 2000;
 const ALERT_LONG_DURATION = 5000;
 const ALERT_DELAY = 100;
+const STORAGE_LIST_LENGTH = 5; // Files in the largest and oldest lists
+const PERCENT = 100;
+const NEARLY_FULL_PERCENT = 90; // The usage bar turns red from here
+const REFRESH_DELAY = 300; // Batches the changes of an import or a clear made in another tab
 const TIMESTAMP_SLICE_LENGTH = 19;
+const MANIFEST_INDENT = 2;
+
+const IMPORT_ACTION_LABELS = {
+  import: 'Import',
+  skip: 'Skip',
+  overwrite: 'Overwrite',
+  rename: 'Keep both (rename)',
+};
 
 module.exports = function script({ pages, ui, fs }) {
   const container = document.getElementById('files-container');
@@ -19,7 +34,41 @@ module.exports = function script({ pages, ui, fs }) {
     'files-download-zip-button',
   );
 
+  const dropOverlay = document.getElementById('files-drop-overlay');
+  const importInput = document.getElementById('files-import-input');
+  const importModal = document.getElementById('files-import-modal');
+  const importSummary = document.getElementById('files-import-summary');
+  const importWarnings = document.getElementById('files-import-warnings');
+  const importConflictControls = document.getElementById(
+    'files-import-conflict-controls',
+  );
+  const importConflictAction = document.getElementById(
+    'files-import-conflict-action',
+  );
+  const importList = document.getElementById('files-import-list');
+  const importConfirmButton = document.getElementById('files-import-confirm');
+  const importCancelButton = document.getElementById('files-import-cancel');
+
+  const storageButton = document.getElementById('files-storage-button');
+  const storagePanel = document.getElementById('files-storage-panel');
+  const storageSummary = storagePanel.querySelector('[data-storage-summary]');
+  const storageBar = storagePanel.querySelector('[data-storage-bar]');
+  const storageBreakdown = storagePanel.querySelector(
+    '[data-storage-breakdown]',
+  );
+  const storageLargestList = storagePanel.querySelector(
+    '[data-storage-largest]',
+  );
+  const storageOldestList = storagePanel.querySelector('[data-storage-oldest]');
+
+  const importer = new Importer(fs);
+
   let allFilesCache = []; // Cache the full list for searching
+  let exportsBySource = new Map(); // File ID -> its stored canvas exports, newest first
+  let usageById = new Map(); // File ID -> its measured size (see fs.getStorageUsage)
+  let pendingImport = []; // Planned entries shown in the import preview
+  let dragDepth = 0; // dragenter/dragleave fire for every child element
+  let refreshTimeoutId = null;
 
   function formatTimestamp(timestamp) {
     if (!timestamp) return 'N/A';
@@ -31,6 +80,36 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  function renderExportRows(file) {
+    (exportsBySource.get(file.id) || []).forEach((exportSummary) => {
+      const row = document.createElement('tr');
+      row.className = 'bg-gray-50 hover:bg-gray-100';
+      row.innerHTML = `
+                  <td class="pl-10 pr-6 py-2 whitespace-nowrap text-sm text-gray-700" data-export-name></td>
+                  <td class="px-6 py-2 whitespace-nowrap text-sm text-gray-500">
+                      ${formatTimestamp(exportSummary.metadata?.createdAt)}
+                  </td>
+                  <td class="px-6 py-2 whitespace-nowrap text-right text-sm text-gray-500">
+                      ${formatSize(exportSummary.size)}
+                  </td>
+                  <td class="px-6 py-2 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                      <button data-action="download-export" data-file-id="${exportSummary.id}"
+                              class="text-green-600 hover:text-green-900" title="Download Export">
+                          Download
+                      </button>
+                      <button data-action="delete-export" data-file-id="${exportSummary.id}"
+                              class="text-red-600 hover:text-red-900" title="Delete Export">
+                          Delete
+                      </button>
+                  </td>
+              `;
+      // Names can come from imported archives, so they are never parsed as HTML
+      row.querySelector('[data-export-name]').textContent =
+        `↳ ${exportSummary.name}`;
+      tableBody.appendChild(row);
+    });
+  }
+
   function renderFileList(filesToRender) {
     if (!tableBody || !emptyMessage || !downloadZipButton) return;
 
@@ -55,23 +134,34 @@ module.exports = function script({ pages, ui, fs }) {
       row.className = 'hover:bg-gray-50';
       const lastModified = file.metadata?.updatedAt;
       const fileName = file.name || 'Unnamed File';
+      const isProject = file.type === 'project';
+      const typeBadge = isProject
+        ? '<span class="ml-2 px-1.5 py-0.5 text-xs rounded bg-indigo-100 text-indigo-700">Project</span>'
+        : '';
+      const usage = usageById.get(file.id);
+      const sizeTitle = usage
+        ? `Content: ${formatSize(usage.size - usage.revisionsSize)}, history: ${formatSize(usage.revisionsSize)} (${usage.revisionCount} revisions)`
+        : '';
 
       row.innerHTML = `
-                  <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${fileName}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900" data-file-name>${typeBadge}</td>
                   <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       ${formatTimestamp(lastModified)}
                   </td>
+                  <td class="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500" title="${sizeTitle}">
+                      ${usage ? formatSize(usage.size) : ''}
+                  </td>
                   <td class="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
                       <button data-action="open" data-file-id="${file.id}"
                               class="text-indigo-600 hover:text-indigo-900" title="Open in Editor">
                           Open
                       </button>
-                      <button data-action="rename" data-file-id="${file.id}" data-current-name="${fileName}"
+                      <button data-action="rename" data-file-id="${file.id}" data-file-type="${file.type}"
                               class="text-yellow-600 hover:text-yellow-900" title="Rename File">
                           Rename
                       </button>
                       <button data-action="download-single" data-file-id="${file.id}"
-                              class="text-green-600 hover:text-green-900" title="Download File">
+                              class="text-green-600 hover:text-green-900" title="${isProject ? 'Download Project (ZIP)' : 'Download File'}">
                           Download
                       </button>
                       <button data-action="delete" data-file-id="${file.id}"
@@ -80,31 +170,51 @@ module.exports = function script({ pages, ui, fs }) {
                       </button>
                   </td>
               `;
+      row
+        .querySelector('[data-file-name]')
+        .prepend(document.createTextNode(fileName));
+      row.querySelector('[data-action="rename"]').dataset.currentName =
+        fileName;
       tableBody.appendChild(row);
+      renderExportRows(file);
     });
   }
 
-  async function loadAndDisplayFiles() {
+  async function loadAndDisplayFiles({ quiet = false } = {}) {
     if (!tableBody || !emptyMessage || !downloadZipButton) return;
 
-    tableBody.innerHTML = `
+    if (!quiet) {
+      tableBody.innerHTML = `
               <tr>
-                  <td colspan="3" class="px-6 py-4 text-center text-gray-500">
+                  <td colspan="4" class="px-6 py-4 text-center text-gray-500">
                       Loading files...
                   </td>
               </tr>`;
-    emptyMessage.classList.add('hidden');
-    downloadZipButton.disabled = true; // Disable while loading
+      emptyMessage.classList.add('hidden');
+      downloadZipButton.disabled = true; // Disable while loading
+    }
 
     try {
-      allFilesCache = fs.listFiles(); // Fetch and cache
+      // One read of the storage gives the files, their exports and sizes
+      const storageUsage = await fs.getStorageUsage();
+      allFilesCache = storageUsage.files; // Cache for searching
+      exportsBySource = new Map();
+      storageUsage.exports.forEach((exportSummary) => {
+        const exports = exportsBySource.get(exportSummary.sourceId) || [];
+        exports.push(exportSummary);
+        exportsBySource.set(exportSummary.sourceId, exports);
+      });
+      usageById = new Map(storageUsage.files.map((usage) => [usage.id, usage]));
       filterAndRenderFiles(); // Render based on current search (if any)
+      renderStorage(storageUsage);
     } catch (error) {
       console.error('Failed to list files:', error);
       allFilesCache = []; // Clear cache on error
+      exportsBySource = new Map();
+      usageById = new Map();
       tableBody.innerHTML = `
                   <tr>
-                      <td colspan="3" class="px-6 py-4 text-center text-red-500">
+                      <td colspan="4" class="px-6 py-4 text-center text-red-500">
                           Error loading files: ${error.message}
                       </td>
                   </tr>`;
@@ -114,6 +224,144 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  // Storage Usage
+
+  function showStoragePanel(visible) {
+    storagePanel.classList.toggle('hidden', !visible);
+    storageButton.setAttribute('aria-pressed', String(visible));
+  }
+
+  function toggleStoragePanel() {
+    const visible = storagePanel.classList.contains('hidden');
+    showStoragePanel(visible);
+    // Keeps the URL in step, so a reload (or the link from the editor) shows the panel
+    pages.navigate(visible ? '/files/storage' : '/files', {
+      replace: true,
+      silent: true,
+    });
+  }
+
+  function renderStorageList(listElement, files, describe) {
+    listElement.innerHTML = '';
+    if (files.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'text-gray-500';
+      item.textContent = 'No files.';
+      listElement.appendChild(item);
+      return;
+    }
+
+    files.forEach((usage) => {
+      const item = document.createElement('li');
+      item.className = 'flex items-center justify-between gap-2';
+
+      const label = document.createElement('span');
+      label.className = 'min-w-0 truncate';
+      label.textContent = usage.name;
+      label.title = usage.name;
+
+      const detail = document.createElement('span');
+      detail.className = 'ml-auto text-xs text-gray-500 whitespace-nowrap';
+      detail.textContent = describe(usage);
+
+      item.appendChild(label);
+      item.appendChild(detail);
+      if (usage.revisionCount > 1) {
+        const trimButton = document.createElement('button');
+        trimButton.className = 'text-xs text-yellow-600 hover:text-yellow-900';
+        trimButton.dataset.action = 'trim-revisions';
+        trimButton.dataset.fileId = usage.id;
+        trimButton.title = `Keep only the newest of its ${usage.revisionCount} revisions`;
+        trimButton.textContent = 'Trim History';
+        item.appendChild(trimButton);
+      }
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'text-xs text-red-600 hover:text-red-900';
+      deleteButton.dataset.action = 'delete';
+      deleteButton.dataset.fileId = usage.id;
+      deleteButton.textContent = 'Delete';
+      item.appendChild(deleteButton);
+      listElement.appendChild(item);
+    });
+  }
+
+  function renderStorage({ files, totals, estimate }) {
+    if (estimate && estimate.quota) {
+      const percent = Math.min(
+        PERCENT,
+        (estimate.usage / estimate.quota) * PERCENT,
+      );
+      storageSummary.textContent = `Using ${formatSize(estimate.usage)} of ${formatSize(estimate.quota)} available to this site (${percent.toFixed(1)}%).`;
+      storageBar.style.width = `${percent}%`;
+      storageBar.classList.toggle('bg-red-500', percent >= NEARLY_FULL_PERCENT);
+      storageBar.classList.toggle(
+        'bg-indigo-500',
+        percent < NEARLY_FULL_PERCENT,
+      );
+    } else {
+      storageSummary.textContent = `The IDE stores ${formatSize(totals.all)}. The browser does not tell how much space is available.`;
+      storageBar.style.width = '0%';
+    }
+    storageBreakdown.textContent = `Files: ${formatSize(totals.files)} · Revision history: ${formatSize(totals.revisions)} · Exports: ${formatSize(totals.exports)} · Recovered drafts: ${formatSize(totals.drafts)}`;
+
+    // Exports count towards the file they were made from
+    const totalSize = (usage) => usage.size + usage.exportsSize;
+    renderStorageList(
+      storageLargestList,
+      [...files]
+        .sort((a, b) => totalSize(b) - totalSize(a))
+        .slice(0, STORAGE_LIST_LENGTH),
+      (usage) =>
+        usage.exportsSize
+          ? `${formatSize(totalSize(usage))} with exports`
+          : formatSize(usage.size),
+    );
+    renderStorageList(
+      storageOldestList,
+      [...files]
+        .sort((a, b) => a.metadata.updatedAt - b.metadata.updatedAt)
+        .slice(0, STORAGE_LIST_LENGTH),
+      (usage) => `Modified: ${formatTimestamp(usage.metadata.updatedAt)}`,
+    );
+  }
+
+  async function handleTrimRevisions(fileId) {
+    if (!fileId) return;
+    if (!confirm('Delete all but the newest revision of this file?')) return;
+    try {
+      const droppedCount = await fs.trimRevisions(fileId);
+      ui.alert(`Deleted ${droppedCount} old revision(s).`, 'success');
+      loadAndDisplayFiles();
+    } catch (error) {
+      console.error(`Failed to trim the revisions of ${fileId}:`, error);
+      ui.alert(`Failed to trim the history: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleTrimAllRevisions() {
+    if (!confirm('Delete all but the newest revision of every file?')) return;
+    try {
+      const droppedCount = await fs.trimAllRevisions();
+      ui.alert(`Deleted ${droppedCount} old revision(s).`, 'success');
+      loadAndDisplayFiles();
+    } catch (error) {
+      console.error('Failed to trim the revisions:', error);
+      ui.alert(`Failed to trim the histories: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleDeleteAllExports() {
+    if (!confirm('Permanently delete every stored export?')) return;
+    try {
+      const deletedCount = await fs.deleteExports();
+      ui.alert(`Deleted ${deletedCount} export(s).`, 'success');
+      loadAndDisplayFiles();
+    } catch (error) {
+      console.error('Failed to delete the exports:', error);
+      ui.alert(`Failed to delete the exports: ${error.message}`, 'error');
+    }
+  }
+
   function filterAndRenderFiles() {
     const searchTerm = searchInput.value.trim().toLowerCase();
     if (!searchTerm) {
@@ -130,19 +378,17 @@ module.exports = function script({ pages, ui, fs }) {
   function handleOpenFile(fileId) {
     if (!fileId) return;
     console.log(`Requesting to open file: ${fileId}`);
-    try {
-      localStorage.setItem(SELECTED_FILE_KEY, fileId);
-      pages.switchTo('editor-container');
-    } catch (e) {
-      console.error('Failed to set item in localStorage:', e);
-      ui.alert('Could not prepare file for opening. Storage error.', 'error');
-    }
+    pages.navigate(`/editor/${encodeURIComponent(fileId)}`);
   }
 
-  function handleRenameFile(fileId, currentName) {
+  async function handleRenameFile(fileId, currentName, fileType) {
     if (!fileId) return;
 
-    let newName = prompt('Enter new file name:', currentName);
+    const isProject = fileType === 'project';
+    let newName = prompt(
+      isProject ? 'Enter new project name:' : 'Enter new file name:',
+      currentName,
+    );
 
     if (newName === null || newName.trim() === '') {
       if (newName !== null) ui.alert('File name cannot be empty.', 'warning');
@@ -151,12 +397,12 @@ module.exports = function script({ pages, ui, fs }) {
 
     if (newName === currentName) return;
 
-    if (!newName.endsWith('.js')) {
+    if (!isProject && !newName.endsWith('.js')) {
       newName += '.js'; // Ensure it has a .js extension
     }
 
     try {
-      fs.updateFile(fileId, { name: newName.trim() });
+      await fs.updateFile(fileId, { name: newName.trim() });
       ui.alert(`File renamed to "${newName.trim()}".`, 'success');
       loadAndDisplayFiles(); // Reload and re-render the list to reflect change
     } catch (error) {
@@ -165,12 +411,20 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
-  function handleDeleteFile(fileId) {
+  async function handleDeleteFile(fileId) {
     if (!fileId) return;
 
-    if (confirm('Are you sure you want to permanently delete this file?')) {
+    const exportCount = (exportsBySource.get(fileId) || []).length;
+    const exportNote = exportCount
+      ? ` Its ${exportCount} stored export(s) will be deleted too.`
+      : '';
+    if (
+      confirm(
+        `Are you sure you want to permanently delete this file?${exportNote}`,
+      )
+    ) {
       try {
-        fs.deleteFile(fileId);
+        await fs.deleteFile(fileId);
         ui.alert('File deleted successfully.', 'success');
         loadAndDisplayFiles(); // Reload and re-render the list
       } catch (error) {
@@ -180,15 +434,93 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
-  function handleDownloadSingleFile(fileId) {
+  async function handleDownloadExport(exportId) {
+    try {
+      const exportData = await fs.loadExport(exportId);
+      if (!exportData) {
+        throw new Error(`Export with ID ${exportId} not found.`);
+      }
+
+      const url = URL.createObjectURL(exportData.blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportData.name;
+      document.body.appendChild(link);
+      link.click();
+
+      setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        ui.alert(
+          `Downloaded "${exportData.name}".`,
+          'success',
+          ALERT_SHORT_DURATION,
+        );
+      }, ALERT_DELAY);
+    } catch (error) {
+      console.error(`Failed to download export ${exportId}:`, error);
+      ui.alert(`Failed to download export: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleDeleteExport(exportId) {
+    if (!confirm('Are you sure you want to permanently delete this export?')) {
+      return;
+    }
+    try {
+      await fs.deleteExport(exportId);
+      ui.alert('Export deleted successfully.', 'success');
+      loadAndDisplayFiles();
+    } catch (error) {
+      console.error(`Failed to delete export ${exportId}:`, error);
+      ui.alert(`Failed to delete export: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleDownloadProject(projectData) {
+    if (typeof JSZip === 'undefined') {
+      ui.alert(
+        'ZIP functionality is unavailable. JSZip library not loaded.',
+        'error',
+      );
+      return;
+    }
+
+    const zip = new JSZip();
+    Project.fromJSON(projectData).addToZip(zip, {
+      boardVersion: projectData.boardVersion,
+    });
+    const blob = await zip.generateAsync({ type: 'blob' });
+    const fileName = `${(projectData.name || 'project').replace(/[\\/:*?"<>|]/g, '_')}.zip`;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      ui.alert(`Downloaded "${fileName}".`, 'success', ALERT_SHORT_DURATION);
+    }, ALERT_DELAY);
+  }
+
+  async function handleDownloadSingleFile(fileId) {
     if (!fileId) return;
 
     try {
-      const fileData = fs.loadFile(fileId);
+      const fileData = await fs.loadFile(fileId);
       if (!fileData) {
         throw new Error(`File with ID ${fileId} not found.`);
       }
 
+      if (fileData.type === 'project') {
+        await handleDownloadProject(fileData);
+        return;
+      }
+
       // Determine filename (similar to fs.exportFile)
       let fileName = fileData.name || 'untitled';
       if (!fileName.toLowerCase().includes('.')) {
@@ -235,6 +567,7 @@ module.exports = function script({ pages, ui, fs }) {
     }
 
     const zip = new JSZip();
+    const workspaceManifest = { files: {} }; // Lets an import restore the board versions of single files
     let filesAdded = 0;
     let hasErrors = false;
     const zipButtonOriginalText = downloadZipButton.innerHTML;
@@ -250,11 +583,20 @@ module.exports = function script({ pages, ui, fs }) {
 
     try {
       // Iterate and load each file's content
-      // Using Promise.all for potentially faster loading (concurrent reads from localStorage)
+      // Using Promise.all for potentially faster loading (concurrent reads from storage)
       const fileLoadPromises = allFilesCache.map(async (fileMeta) => {
         try {
           const fileData = await fs.loadFile(fileMeta.id);
-          if (fileData && fileData.content !== undefined) {
+          if (fileData && fileData.type === 'project') {
+            // Projects keep their folder structure inside a folder of their own
+            const folderName = (
+              fileData.name || `project_${fileData.id}`
+            ).replace(/[\\/:*?"<>|]/g, '_');
+            Project.fromJSON(fileData).addToZip(zip.folder(folderName), {
+              boardVersion: fileData.boardVersion,
+            });
+            filesAdded++;
+          } else if (fileData && fileData.content !== undefined) {
             let fileNameInZip = fileData.name || `unnamed_${fileData.id}.js`;
             // Basic filename sanitization for ZIP (replace problematic chars)
             fileNameInZip = fileNameInZip.replace(/[\\/:*?"<>|]/g, '_');
@@ -262,6 +604,9 @@ module.exports = function script({ pages, ui, fs }) {
               fileNameInZip += '.js'; // Add default extension
             }
             zip.file(fileNameInZip, fileData.content);
+            workspaceManifest.files[fileNameInZip] = {
+              boardVersion: fileData.boardVersion,
+            };
             filesAdded++;
           } else {
             console.warn(`Skipping file ${fileMeta.id} (no content or data)`);
@@ -280,6 +625,10 @@ module.exports = function script({ pages, ui, fs }) {
       if (filesAdded === 0) {
         throw new Error('No valid files could be added to the ZIP archive.');
       }
+      zip.file(
+        WORKSPACE_MANIFEST_FILE_NAME,
+        JSON.stringify(workspaceManifest, null, MANIFEST_INDENT),
+      );
 
       // Generate ZIP
       const blob = await zip.generateAsync({ type: 'blob' });
@@ -313,6 +662,211 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  // Import
+
+  function describeImportStatus(entry) {
+    if (entry.existingId) return 'Name already exists';
+    if (entry.isDuplicate) return 'Duplicate name in import';
+    return 'New';
+  }
+
+  function renderImportPreview() {
+    importList.innerHTML = '';
+
+    pendingImport.forEach((entry, index) => {
+      const isConflict = Boolean(entry.existingId || entry.isDuplicate);
+      const row = document.createElement('tr');
+      row.className = isConflict ? 'bg-yellow-50' : '';
+
+      const nameCell = document.createElement('td');
+      nameCell.className = 'px-4 py-2 text-sm text-gray-900';
+      nameCell.title = entry.source;
+      nameCell.textContent = entry.name;
+      if (entry.type === 'project') {
+        const badge = document.createElement('span');
+        badge.className =
+          'ml-2 px-1.5 py-0.5 text-xs rounded bg-indigo-100 text-indigo-700';
+        badge.textContent = `Project · ${Object.keys(entry.project.files).length} files`;
+        nameCell.appendChild(badge);
+      }
+      if (isConflict && entry.action === 'rename') {
+        const renamed = document.createElement('div');
+        renamed.className = 'text-xs text-gray-500';
+        renamed.textContent = `→ ${entry.renamedName}`;
+        nameCell.appendChild(renamed);
+      }
+
+      const versionCell = document.createElement('td');
+      versionCell.className = 'px-4 py-2 text-sm text-gray-500';
+      versionCell.textContent = entry.boardVersion || 'Latest';
+
+      const statusCell = document.createElement('td');
+      statusCell.className = `px-4 py-2 text-sm ${isConflict ? 'text-yellow-700' : 'text-green-700'}`;
+      statusCell.textContent = describeImportStatus(entry);
+
+      const actionCell = document.createElement('td');
+      actionCell.className = 'px-4 py-2 text-sm text-right';
+      if (isConflict) {
+        const select = document.createElement('select');
+        select.className = 'border border-gray-300 rounded px-2 py-1 text-sm';
+        select.dataset.importIndex = index;
+        const actions = entry.existingId
+          ? ['skip', 'overwrite', 'rename']
+          : ['skip', 'rename']; // Nothing stored to overwrite yet
+        actions.forEach((action) => {
+          const option = document.createElement('option');
+          option.value = action;
+          option.textContent = IMPORT_ACTION_LABELS[action];
+          option.selected = action === entry.action;
+          select.appendChild(option);
+        });
+        actionCell.appendChild(select);
+      } else {
+        actionCell.textContent = IMPORT_ACTION_LABELS.import;
+      }
+
+      row.appendChild(nameCell);
+      row.appendChild(versionCell);
+      row.appendChild(statusCell);
+      row.appendChild(actionCell);
+      importList.appendChild(row);
+    });
+
+    const toImport = pendingImport.filter(
+      (entry) => entry.action !== 'skip',
+    ).length;
+    const conflicts = pendingImport.filter(
+      (entry) => entry.existingId || entry.isDuplicate,
+    ).length;
+    importSummary.textContent = `${pendingImport.length} item(s) found, ${conflicts} with a name conflict. ${toImport} will be imported.`;
+    importConflictControls.classList.toggle('hidden', conflicts === 0);
+    importConfirmButton.disabled = toImport === 0;
+  }
+
+  function showImportModal(plannedEntries, warnings) {
+    pendingImport = plannedEntries;
+    importWarnings.innerHTML = '';
+    warnings.forEach((warning) => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      importWarnings.appendChild(item);
+    });
+    importWarnings.classList.toggle('hidden', warnings.length === 0);
+    importConflictAction.value = 'skip';
+    renderImportPreview();
+    importModal.classList.remove('hidden');
+  }
+
+  function hideImportModal() {
+    importModal.classList.add('hidden');
+    pendingImport = [];
+    importList.innerHTML = '';
+  }
+
+  async function handleImportFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    ui.alert('Reading files...', 'info', ALERT_SHORT_DURATION);
+    try {
+      const { entries, warnings } = await importer.read(files);
+      if (entries.length === 0) {
+        ui.alert(
+          warnings.length > 0
+            ? `Nothing to import. ${warnings.join(' ')}`
+            : 'Nothing to import.',
+          'warning',
+          ALERT_LONG_DURATION,
+        );
+        return;
+      }
+      showImportModal(await importer.plan(entries), warnings);
+    } catch (error) {
+      console.error('Failed to prepare import:', error);
+      ui.alert(`Failed to read files: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleConfirmImport() {
+    const entries = pendingImport;
+    importConfirmButton.disabled = true;
+    try {
+      const { created, overwritten, skipped, failed } =
+        await importer.apply(entries);
+      hideImportModal();
+
+      let message = `Imported ${created} new and overwrote ${overwritten} item(s); skipped ${skipped}.`;
+      if (failed.length > 0) {
+        message += ` Failed: ${failed.map(({ name, message: reason }) => `${name} (${reason})`).join(', ')}.`;
+      }
+      ui.alert(
+        message,
+        failed.length > 0 ? 'warning' : 'success',
+        ALERT_LONG_DURATION,
+      );
+      loadAndDisplayFiles();
+    } catch (error) {
+      console.error('Failed to import files:', error);
+      ui.alert(`Failed to import files: ${error.message}`, 'error');
+      importConfirmButton.disabled = false;
+    }
+  }
+
+  function handleImportActionChange(event) {
+    const select = event.target.closest('select[data-import-index]');
+    if (!select) return;
+    pendingImport[Number(select.dataset.importIndex)].action = select.value;
+    renderImportPreview();
+  }
+
+  function handleConflictActionChange() {
+    const action = importConflictAction.value;
+    pendingImport.forEach((entry) => {
+      if (entry.existingId) {
+        entry.action = action;
+      } else if (entry.isDuplicate) {
+        entry.action = action === 'skip' ? 'skip' : 'rename';
+      }
+    });
+    renderImportPreview();
+  }
+
+  function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
+  }
+
+  function showDropOverlay(visible) {
+    dropOverlay.classList.toggle('hidden', !visible);
+    dropOverlay.classList.toggle('flex', visible);
+  }
+
+  function handleDragEnter(event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    showDropOverlay(true);
+  }
+
+  function handleDragOver(event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault(); // Required for the drop event to fire
+    event.dataTransfer.dropEffect = 'copy';
+  }
+
+  function handleDragLeave(event) {
+    if (!isFileDrag(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) showDropOverlay(false);
+  }
+
+  function handleDrop(event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    showDropOverlay(false);
+    handleImportFiles(event.dataTransfer.files);
+  }
+
   function handleContainerClick(event) {
     const button = event.target.closest('button[data-action]');
     if (!button) return;
@@ -320,16 +874,17 @@ module.exports = function script({ pages, ui, fs }) {
     const action = button.dataset.action;
     const fileId = button.dataset.fileId;
     const currentName = button.dataset.currentName;
+    const fileType = button.dataset.fileType;
 
     switch (action) {
       case 'back-to-home':
-        pages.switchTo('home-container');
+        pages.navigate('/');
         break;
       case 'open':
         handleOpenFile(fileId);
         break;
       case 'rename':
-        handleRenameFile(fileId, currentName);
+        handleRenameFile(fileId, currentName, fileType);
         break;
       case 'download-single':
         handleDownloadSingleFile(fileId);
@@ -337,9 +892,30 @@ module.exports = function script({ pages, ui, fs }) {
       case 'download-zip':
         handleDownloadZip();
         break;
+      case 'download-export':
+        handleDownloadExport(fileId);
+        break;
+      case 'delete-export':
+        handleDeleteExport(fileId);
+        break;
+      case 'import':
+        importInput.click();
+        break;
       case 'delete':
         handleDeleteFile(fileId);
         break;
+      case 'toggle-storage':
+        toggleStoragePanel();
+        break;
+      case 'trim-revisions':
+        handleTrimRevisions(fileId);
+        break;
+      case 'trim-all-revisions':
+        handleTrimAllRevisions();
+        break;
+      case 'delete-all-exports':
+        handleDeleteAllExports();
+        break;
       default:
         console.warn('Unknown file action:', action);
     }
@@ -351,7 +927,32 @@ module.exports = function script({ pages, ui, fs }) {
   // Attach event listeners
   container.addEventListener('click', handleContainerClick);
   searchInput.addEventListener('input', filterAndRenderFiles); // Add listener for search
-
-  // Refresh file list when the page is shown
-  pages.onShow('files-container', loadAndDisplayFiles);
+  importInput.addEventListener('change', () => {
+    handleImportFiles(importInput.files);
+    importInput.value = ''; // Allow importing the same file again
+  });
+  importList.addEventListener('change', handleImportActionChange);
+  importConflictAction.addEventListener('change', handleConflictActionChange);
+  importConfirmButton.addEventListener('click', handleConfirmImport);
+  importCancelButton.addEventListener('click', hideImportModal);
+  container.addEventListener('dragenter', handleDragEnter);
+  container.addEventListener('dragover', handleDragOver);
+  container.addEventListener('dragleave', handleDragLeave);
+  container.addEventListener('drop', handleDrop);
+
+  // Refresh file list when the page is shown ("#/files", or "#/files/storage" with the storage panel open)
+  pages.onShow('files-container', ({ panel } = {}) => {
+    showStoragePanel(panel === 'storage');
+    loadAndDisplayFiles();
+  });
+
+  // Files changed in another tab are shown without leaving the page (changes made here reload the list themselves)
+  fs.onChange(({ isRemote }) => {
+    if (!isRemote || pages.currentPage !== 'files-container') return;
+    clearTimeout(refreshTimeoutId);
+    refreshTimeoutId = setTimeout(
+      () => loadAndDisplayFiles({ quiet: true }),
+      REFRESH_DELAY,
+    );
+  });
 };
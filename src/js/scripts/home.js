@@ -4,7 +4,7 @@
  */
 
 const MAX_RECENT_FILES = 5; // Max number of recent files to show
-const SELECTED_FILE_KEY = 'editorOpenFileId'; // Key for localStorage communication (same as files.js)
+const REFRESH_DELAY = 300; // Batches the changes of an import made in another tab
 
 module.exports = function script({ pages, ui, fs }) {
   const container = document.getElementById('home-container');
@@ -12,6 +12,10 @@ module.exports = function script({ pages, ui, fs }) {
   const recentFilesPlaceholder = document.getElementById(
     'home-recent-files-placeholder',
   );
+  const draftsSection = document.getElementById('home-drafts');
+  const draftsList = document.getElementById('home-drafts-list');
+
+  let recoveredDrafts = []; // Drafts shown in the recovered drafts section
 
   function formatTimestamp(timestamp) {
     if (!timestamp) return 'N/A';
@@ -23,7 +27,7 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
-  function populateRecentFiles() {
+  async function populateRecentFiles() {
     if (!recentFilesList || !recentFilesPlaceholder) {
       console.error('Homepage recent files elements not found.');
       return;
@@ -34,7 +38,7 @@ module.exports = function script({ pages, ui, fs }) {
     recentFilesPlaceholder.classList.remove('hidden');
 
     try {
-      const allFiles = fs.listFiles(); // Already sorted by date descending
+      const allFiles = await fs.listFiles(); // Already sorted by date descending
 
       // Sort again by updatedAt to be sure we get the most recently modified
       allFiles.sort(
@@ -70,6 +74,13 @@ module.exports = function script({ pages, ui, fs }) {
         const infoDiv = document.createElement('div');
         infoDiv.className = 'flex-grow min-w-0 mr-4'; // Allow truncation
         infoDiv.appendChild(fileNameSpan);
+        if (file.type === 'project') {
+          const projectBadge = document.createElement('span');
+          projectBadge.className =
+            'ml-2 px-1.5 py-0.5 text-xs rounded bg-indigo-100 text-indigo-700';
+          projectBadge.textContent = 'Project';
+          infoDiv.appendChild(projectBadge);
+        }
 
         fileElement.appendChild(infoDiv);
         fileElement.appendChild(fileDateSpan);
@@ -84,6 +95,76 @@ module.exports = function script({ pages, ui, fs }) {
     }
   }
 
+  // Lists the unsaved buffers of earlier sessions (e.g. before a reload or a crash)
+  async function populateDrafts() {
+    try {
+      recoveredDrafts = await fs.listDrafts();
+    } catch (error) {
+      console.error('Failed to list recovered drafts:', error);
+      recoveredDrafts = [];
+    }
+
+    draftsList.innerHTML = '';
+    draftsSection.classList.toggle('hidden', recoveredDrafts.length === 0);
+    recoveredDrafts.forEach((draft) => {
+      const draftElement = document.createElement('div');
+      draftElement.className =
+        'flex justify-between items-center p-3 bg-yellow-50 rounded border border-yellow-200';
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'flex-grow min-w-0 mr-4';
+
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'block text-sm font-medium text-gray-800 truncate';
+      nameSpan.textContent = draft.name || 'Untitled';
+      nameSpan.title = draft.name || 'Untitled';
+
+      const detailSpan = document.createElement('span');
+      detailSpan.className = 'block text-xs text-gray-500';
+      detailSpan.textContent = `${draft.isProject ? 'Project · ' : ''}Board v${draft.boardVersion || '?'} · Edited: ${formatTimestamp(draft.metadata?.updatedAt)}`;
+
+      infoDiv.appendChild(nameSpan);
+      infoDiv.appendChild(detailSpan);
+
+      const restoreButton = document.createElement('button');
+      restoreButton.className =
+        'px-3 py-1 text-sm bg-indigo-600 text-white rounded hover:bg-indigo-700';
+      restoreButton.dataset.action = 'restore-draft';
+      restoreButton.dataset.draftId = draft.id;
+      restoreButton.textContent = 'Restore';
+
+      const discardButton = document.createElement('button');
+      discardButton.className =
+        'ml-2 px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300';
+      discardButton.dataset.action = 'discard-draft';
+      discardButton.dataset.draftId = draft.id;
+      discardButton.textContent = 'Discard';
+
+      draftElement.appendChild(infoDiv);
+      draftElement.appendChild(restoreButton);
+      draftElement.appendChild(discardButton);
+      draftsList.appendChild(draftElement);
+    });
+  }
+
+  async function handleDiscardDrafts(draftIds) {
+    const message =
+      draftIds.length === 1
+        ? 'Discard this draft? Its unsaved work will be lost.'
+        : `Discard all ${draftIds.length} drafts? Their unsaved work will be lost.`;
+    if (!confirm(message)) return;
+
+    try {
+      for (const draftId of draftIds) {
+        await fs.deleteDraft(draftId);
+      }
+    } catch (error) {
+      console.error('Failed to discard drafts:', error);
+      ui.alert(`Failed to discard the draft: ${error.message}`, 'error');
+    }
+    populateDrafts();
+  }
+
   function handleContainerClick(event) {
     // Find the closest element with a data-action attribute
     const targetElement = event.target.closest('[data-action]');
@@ -91,37 +172,43 @@ module.exports = function script({ pages, ui, fs }) {
 
     const action = targetElement.dataset.action;
     const fileId = targetElement.dataset.fileId; // Will be undefined for non-file actions
+    const draftId = targetElement.dataset.draftId;
 
     switch (action) {
       case 'create-new':
         console.log('Action: Create New File');
-        // Clear any potential file ID from previous navigation
-        try {
-          localStorage.removeItem(SELECTED_FILE_KEY);
-        } catch (e) {
-          console.warn('Could not remove item from localStorage:', e);
-        }
-        pages.switchTo('editor-container');
+        pages.navigate('/editor/new');
         break;
 
       case 'open-recent':
         if (!fileId) return;
         console.log(`Action: Open Recent File - ${fileId}`);
-        try {
-          localStorage.setItem(SELECTED_FILE_KEY, fileId);
-          pages.switchTo('editor-container');
-        } catch (e) {
-          console.error('Failed to set item in localStorage:', e);
-          ui.alert(
-            'Could not prepare file for opening. Storage error.',
-            'error',
-          );
-        }
+        pages.navigate(`/editor/${encodeURIComponent(fileId)}`);
+        break;
+
+      case 'restore-draft':
+        if (!draftId) return;
+        console.log(`Action: Restore Draft - ${draftId}`);
+        pages.navigate(`/editor/draft/${encodeURIComponent(draftId)}`);
+        break;
+
+      case 'discard-draft':
+        if (!draftId) return;
+        handleDiscardDrafts([draftId]);
+        break;
+
+      case 'discard-all-drafts':
+        handleDiscardDrafts(recoveredDrafts.map(({ id }) => id));
         break;
 
       case 'go-to-files':
         console.log('Action: Go To File Manager');
-        pages.switchTo('files-container');
+        pages.navigate('/files');
+        break;
+
+      case 'go-to-settings':
+        console.log('Action: Go To Settings');
+        pages.navigate('/settings');
         break;
 
       default:
@@ -135,6 +222,15 @@ module.exports = function script({ pages, ui, fs }) {
   // Attach event listener
   container.addEventListener('click', handleContainerClick);
 
-  // Refresh recent files when the page is shown
+  // Refresh recent files and recovered drafts when the page is shown
   pages.onShow('home-container', populateRecentFiles);
+  pages.onShow('home-container', populateDrafts);
+
+  // Files saved in another tab show up without leaving the page
+  let refreshTimeoutId = null;
+  fs.onChange(({ isRemote }) => {
+    if (!isRemote || pages.currentPage !== 'home-container') return;
+    clearTimeout(refreshTimeoutId);
+    refreshTimeoutId = setTimeout(populateRecentFiles, REFRESH_DELAY);
+  });
 };
@@ -6,9 +6,19 @@
 const homeScript = require('./home');
 const editorScript = require('./editor');
 const filesScript = require('./files');
+const settingsScript = require('./settings');
+const viewerScript = require('./viewer');
 
-module.exports = function pageScripts({ pages, ui, fs }) {
+module.exports = function pageScripts({
+  pages,
+  ui,
+  fs,
+  libraryResolver,
+  settings,
+}) {
   homeScript({ pages, ui, fs }); // Initialize the home page functionality
-  editorScript({ pages, ui, fs }); // Initialize the editor functionality
+  editorScript({ pages, ui, fs, libraryResolver, settings }); // Initialize the editor functionality
   filesScript({ pages, ui, fs }); // Initialize the files functionality
+  settingsScript({ pages, ui, settings }); // Initialize the settings functionality
+  viewerScript({ pages, libraryResolver }); // Initialize the shared link viewer
 };
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Settings Page Script
+ * @description Shows the user's settings, applies changes as they are made, and resets, exports, and imports them.
+ */
+
+const { SUPPORTED_TRIDECCO_VERSIONS } = require('../versions');
+
+const EXPORT_FILE_NAME = 'tridecco-ide-settings.json';
+const DOWNLOAD_CLEANUP_DELAY = 100;
+
+module.exports = function script({ pages, ui, settings }) {
+  const container = document.getElementById('settings-container');
+  const form = document.getElementById('settings-form');
+  const importInput = document.getElementById('settings-import-input');
+  const inputs = Array.from(form.querySelectorAll('[data-setting]'));
+
+  // Fill the version list and the limits of the number inputs from the setting definitions
+  const versionSelect = form.querySelector(
+    '[data-setting="defaultBoardVersion"]',
+  );
+  SUPPORTED_TRIDECCO_VERSIONS.forEach((version) => {
+    const option = document.createElement('option');
+    option.value = version;
+    option.textContent = `v${version}`;
+    versionSelect.appendChild(option);
+  });
+  inputs
+    .filter((input) => input.type === 'number')
+    .forEach((input) => {
+      const { min, max } = settings.getDefinition(input.dataset.setting);
+      input.min = min;
+      input.max = max;
+    });
+
+  function render() {
+    inputs.forEach((input) => {
+      const value = settings.get(input.dataset.setting);
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  function handleInputChange(event) {
+    const input = event.target.closest('[data-setting]');
+    if (!input) return;
+
+    try {
+      settings.set(
+        input.dataset.setting,
+        input.type === 'checkbox' ? input.checked : input.value,
+      );
+    } catch (error) {
+      ui.alert(error.message, 'error');
+      render(); // Back to the saved value
+    }
+  }
+
+  function handleReset() {
+    if (!confirm('Restore the default of every setting?')) return;
+    settings.reset();
+    ui.alert('Settings restored to their defaults.', 'success');
+  }
+
+  function handleExport() {
+    const blob = new Blob([settings.export()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = EXPORT_FILE_NAME;
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, DOWNLOAD_CLEANUP_DELAY);
+  }
+
+  async function handleImport(file) {
+    try {
+      const count = settings.import(await file.text());
+      ui.alert(`Imported ${count} setting(s) from "${file.name}".`, 'success');
+    } catch (error) {
+      console.error('Error importing settings:', error);
+      ui.alert(`Failed to import settings: ${error.message}`, 'error');
+    }
+  }
+
+  function handleContainerClick(event) {
+    const targetElement = event.target.closest('[data-action]');
+    if (!targetElement) return;
+
+    switch (targetElement.dataset.action) {
+      case 'import':
+        importInput.click();
+        break;
+      case 'export':
+        handleExport();
+        break;
+      case 'reset':
+        handleReset();
+        break;
+      case 'back-to-home':
+        pages.navigate('/');
+        break;
+      default:
+        console.warn('Unknown settings action:', targetElement.dataset.action);
+    }
+  }
+
+  container.addEventListener('click', handleContainerClick);
+  form.addEventListener('change', handleInputChange);
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) handleImport(importInput.files[0]);
+    importInput.value = ''; // Allow importing the same file again
+  });
+
+  // Changes made elsewhere (e.g. format on save in the editor) show up here too
+  settings.onChange(render);
+  pages.onShow('settings-container', render);
+  render();
+};
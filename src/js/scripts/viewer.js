@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Viewer Page Script
+ * @description Shows a shared link on phones and tablets: runs the shared code on a canvas that can be panned and zoomed, next to a read-only view of the code.
+ */
+
+const Sandbox = require('../sandbox');
+const PanZoom = require('../panzoom');
+const Project = require('../project');
+const URLDataTranscoder = require('../url');
+
+const SHARE_PARAM_NAME = 'data';
+
+module.exports = function script({ pages, libraryResolver }) {
+  const container = document.getElementById('viewer-container');
+  const titleElement = document.getElementById('viewer-title');
+  const versionElement = document.getElementById('viewer-version');
+  const statusElement = document.getElementById('viewer-status');
+  const errorElement = document.getElementById('viewer-error');
+  const errorMessageElement = errorElement.querySelector(
+    '[data-viewer-error-message]',
+  );
+  const fileSelect = document.getElementById('viewer-file-select');
+  const codeElement = document.getElementById('viewer-code');
+  const tabButtons = Array.from(
+    container.querySelectorAll('[data-viewer-tab]'),
+  );
+  const panels = Array.from(container.querySelectorAll('[data-viewer-panel]'));
+
+  const panZoom = new PanZoom(
+    document.getElementById('viewer-viewport'),
+    document.getElementById('viewer-stage'),
+  );
+  const sandbox = new Sandbox(document.getElementById('viewer-stage'), {
+    onError: ({ message, file, line }) => {
+      const location = line ? ` (${file ? `${file}:` : 'line '}${line})` : '';
+      showError(`${message}${location}`);
+    },
+  });
+
+  let shared = null; // { name, version, content, project } of the decoded link
+
+  function showStatus(message) {
+    statusElement.textContent = message || '';
+    statusElement.classList.toggle('hidden', !message);
+  }
+
+  function showError(message) {
+    // Only the first error of a run is shown; the later ones are usually caused by it
+    if (!errorElement.classList.contains('hidden')) return;
+    errorMessageElement.textContent = message;
+    errorElement.classList.remove('hidden');
+    errorElement.classList.add('flex');
+  }
+
+  function hideError() {
+    errorElement.classList.add('hidden');
+    errorElement.classList.remove('flex');
+  }
+
+  function switchTab(tab) {
+    tabButtons.forEach((button) => {
+      const isActive = button.dataset.viewerTab === tab;
+      button.setAttribute('aria-pressed', String(isActive));
+      button.classList.toggle('bg-blue-600', isActive);
+      button.classList.toggle('text-white', isActive);
+      button.classList.toggle('bg-gray-700', !isActive);
+      button.classList.toggle('text-gray-200', !isActive);
+    });
+    panels.forEach((panel) => {
+      const isActive = panel.dataset.viewerPanel === tab;
+      panel.classList.toggle('hidden', !isActive);
+      panel.classList.toggle('flex', isActive && tab === 'code');
+    });
+  }
+
+  // Renders the code with line numbers (text only, so the shared code is never parsed as HTML)
+  function renderCode(code) {
+    codeElement.innerHTML = '';
+    code.split('\n').forEach((text, index) => {
+      const row = document.createElement('div');
+      const number = document.createElement('span');
+      number.className =
+        'inline-block w-10 pr-3 text-right text-gray-500 select-none';
+      number.textContent = String(index + 1);
+      row.appendChild(number);
+      row.appendChild(document.createTextNode(text));
+      codeElement.appendChild(row);
+    });
+  }
+
+  function renderFileList(project) {
+    fileSelect.innerHTML = '';
+    project.listFiles().forEach((path) => {
+      const option = document.createElement('option');
+      option.value = path;
+      option.textContent = path === project.entry ? `${path} (entry)` : path;
+      fileSelect.appendChild(option);
+    });
+    fileSelect.value = project.entry;
+    fileSelect.classList.remove('hidden');
+  }
+
+  async function runSharedCode() {
+    if (!shared) return;
+    hideError();
+    panZoom.reset();
+    showStatus('Running...');
+
+    try {
+      const code = shared.project ? shared.project.bundle() : shared.content;
+      const source = await libraryResolver.resolve(shared.version);
+      const result = await sandbox.run(code, source.urls);
+      if (result && !result.libraryLoaded) {
+        showError(
+          `Tridecco Board v${shared.version} could not be loaded. Check your connection and try again.`,
+        );
+      }
+    } catch (error) {
+      console.error('Error running shared code:', error);
+      showError(error.message);
+    } finally {
+      showStatus(null);
+    }
+  }
+
+  // Decodes the shared link of the URL, in the same formats the editor accepts
+  async function loadSharedData() {
+    const encoded = new URLSearchParams(window.location.search).get(
+      SHARE_PARAM_NAME,
+    );
+    const decodedData = encoded
+      ? await URLDataTranscoder.decompile(encoded)
+      : null;
+
+    if (
+      decodedData &&
+      decodedData.project &&
+      typeof decodedData.version === 'string'
+    ) {
+      const project = Project.fromJSON(decodedData.project);
+      shared = {
+        name: project.name || 'Shared Project',
+        version: decodedData.version,
+        content: null,
+        project,
+      };
+      renderFileList(project);
+      renderCode(project.getFile(project.entry));
+    } else if (
+      decodedData &&
+      typeof decodedData.content === 'string' &&
+      typeof decodedData.version === 'string'
+    ) {
+      shared = {
+        name: 'Shared File',
+        version: decodedData.version,
+        content: decodedData.content,
+        project: null,
+      };
+      fileSelect.classList.add('hidden');
+      renderCode(decodedData.content);
+    } else {
+      throw new Error('The link does not contain a shared board.');
+    }
+
+    titleElement.textContent = shared.name;
+    versionElement.textContent = `Tridecco Board v${shared.version}`;
+  }
+
+  async function viewerPageOnOpen() {
+    switchTab('board');
+    try {
+      await loadSharedData();
+    } catch (error) {
+      console.error('Failed to load shared data from URL:', error);
+      shared = null;
+      showStatus(null);
+      showError('This shared link could not be opened. It might be corrupted.');
+      return;
+    }
+    await runSharedCode();
+  }
+
+  function handleContainerClick(event) {
+    const tabButton = event.target.closest('[data-viewer-tab]');
+    if (tabButton) {
+      switchTab(tabButton.dataset.viewerTab);
+      return;
+    }
+
+    const targetElement = event.target.closest('[data-action]');
+    if (!targetElement) return;
+
+    switch (targetElement.dataset.action) {
+      case 'rerun':
+        switchTab('board');
+        runSharedCode();
+        break;
+      case 'reset-view':
+        panZoom.reset();
+        break;
+      case 'dismiss-error':
+        hideError();
+        break;
+      default:
+        console.warn('Unknown viewer action:', targetElement.dataset.action);
+    }
+  }
+
+  container.addEventListener('click', handleContainerClick);
+  fileSelect.addEventListener('change', () => {
+    if (shared && shared.project) {
+      renderCode(shared.project.getFile(fileSelect.value));
+    }
+  });
+
+  pages.onShow('viewer-container', viewerPageOnOpen);
+};
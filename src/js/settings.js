@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Settings Module
+ * @description This module stores the user's preferences in the browser, validates them, and tells the IDE when they change.
+ */
+
+const {
+  SUPPORTED_TRIDECCO_VERSIONS,
+  LATEST_TRIDECCO_VERSION,
+} = require('./versions');
+
+const SETTINGS_STORAGE_KEY = 'IDESettings';
+const EXPORT_FORMAT = 'tridecco-ide-settings';
+const EXPORT_VERSION = 1;
+const JSON_INDENT = 2;
+
+// Every setting with its default value and the values it accepts
+const SETTING_DEFINITIONS = {
+  editorTheme: {
+    type: 'choice',
+    default: 'vs-dark',
+    choices: ['vs-dark', 'vs', 'hc-black'],
+  },
+  editorFontSize: { type: 'number', default: 14, min: 8, max: 32 },
+  editorMinimap: { type: 'boolean', default: false },
+  formatOnSave: { type: 'boolean', default: false },
+  autosaveDelay: { type: 'number', default: 2000, min: 500, max: 60000 }, // Milliseconds
+  defaultBoardVersion: {
+    type: 'choice',
+    default: LATEST_TRIDECCO_VERSION,
+    choices: SUPPORTED_TRIDECCO_VERSIONS,
+  },
+  alertDuration: { type: 'number', default: 3000, min: 1000, max: 30000 }, // Milliseconds
+  cdnFallback: { type: 'boolean', default: true },
+};
+
+/**
+ * @class Settings - Keeps the user's preferences, saved in localStorage.
+ */
+class Settings {
+  /**
+   * @constructor
+   * @param {Object} [options] - Optional parameters for the settings.
+   * @param {string} [options.storageKey='IDESettings'] - The localStorage key of the saved settings.
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || SETTINGS_STORAGE_KEY;
+    this.values = this._load(); // Setting name -> value, for the settings that were set
+    this.changeCallbacks = [];
+  }
+
+  /**
+   * @method _load - Reads the saved settings, dropping unknown or invalid ones.
+   * @returns {Object} - The saved values, keyed by setting name.
+   */
+  _load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (e) {
+      console.warn('Failed to read settings:', e);
+    }
+    if (!saved || typeof saved !== 'object') return {};
+
+    const values = {};
+    Object.entries(saved).forEach(([key, value]) => {
+      try {
+        values[key] = this._normalize(key, value);
+      } catch (e) {
+        console.warn(`Ignoring saved setting "${key}":`, e.message);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * @method _save - Saves the changed settings.
+   */
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+    } catch (e) {
+      console.warn('Failed to save settings:', e);
+    }
+  }
+
+  /**
+   * @method _normalize - Checks a value against the definition of its setting.
+   * @param {string} key - The setting name.
+   * @param {*} value - The value. Numbers may be given as strings (e.g. from an input).
+   * @returns {*} - The value in the type of the setting.
+   * @throws {Error} - If the setting does not exist or the value is not accepted.
+   */
+  _normalize(key, value) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+      throw new Error(`Unknown setting "${key}".`);
+    }
+
+    switch (definition.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          throw new Error(`"${key}" must be true or false.`);
+        }
+        return value;
+      case 'number': {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (
+          typeof number !== 'number' ||
+          !Number.isFinite(number) ||
+          number < definition.min ||
+          number > definition.max
+        ) {
+          throw new Error(
+            `"${key}" must be a number from ${definition.min} to ${definition.max}.`,
+          );
+        }
+        return Math.round(number);
+      }
+      default:
+        if (!definition.choices.includes(value)) {
+          throw new Error(
+            `"${key}" must be one of: ${definition.choices.join(', ')}.`,
+          );
+        }
+        return value;
+    }
+  }
+
+  /**
+   * @method getDefinition - Gets how a setting is defined.
+   * @param {string} key - The setting name.
+   * @returns {Object|null} - { type, default, min, max, choices }, or null if the setting does not exist.
+   */
+  getDefinition(key) {
+    return SETTING_DEFINITIONS[key] || null;
+  }
+
+  /**
+   * @method get - Gets the value of a setting.
+   * @param {string} key - The setting name.
+   * @returns {*} - The value, or the default if it was not changed.
+   * @throws {Error} - If the setting does not exist.
+   */
+  get(key) {
+    if (!SETTING_DEFINITIONS[key]) {
+      throw new Error(`Unknown setting "${key}".`);
+    }
+    return Object.prototype.hasOwnProperty.call(this.values, key)
+      ? this.values[key]
+      : SETTING_DEFINITIONS[key].default;
+  }
+
+  /**
+   * @method getAll - Gets the values of all settings.
+   * @returns {Object} - The values, keyed by setting name.
+   */
+  getAll() {
+    const values = {};
+    Object.keys(SETTING_DEFINITIONS).forEach((key) => {
+      values[key] = this.get(key);
+    });
+    return values;
+  }
+
+  /**
+   * @method set - Changes a setting and saves it.
+   * @param {string} key - The setting name.
+   * @param {*} value - The new value.
+   * @throws {Error} - If the setting does not exist or the value is not accepted.
+   */
+  set(key, value) {
+    const normalized = this._normalize(key, value);
+    if (normalized === this.get(key)) return;
+    this.values[key] = normalized;
+    this._save();
+    this._notify([key]);
+  }
+
+  /**
+   * @method reset - Restores the default of every setting.
+   */
+  reset() {
+    const changedKeys = Object.keys(this.values).filter(
+      (key) => this.values[key] !== SETTING_DEFINITIONS[key].default,
+    );
+    this.values = {};
+    this._save();
+    this._notify(changedKeys);
+  }
+
+  /**
+   * @method onChange - Registers a callback called with (key, value) for every setting that changes.
+   * @param {Function} callback - The callback.
+   */
+  onChange(callback) {
+    if (typeof callback === 'function') {
+      this.changeCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * @method _notify - Calls the change callbacks.
+   * @param {Array<string>} keys - The names of the changed settings.
+   */
+  _notify(keys) {
+    keys.forEach((key) => {
+      const value = this.get(key);
+      this.changeCallbacks.forEach((callback) => callback(key, value));
+    });
+  }
+
+  /**
+   * @method export - Serializes all settings for a settings file.
+   * @returns {string} - The JSON text.
+   */
+  export() {
+    return JSON.stringify(
+      {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        settings: this.getAll(),
+      },
+      null,
+      JSON_INDENT,
+    );
+  }
+
+  /**
+   * @method import - Applies the settings of a settings file. Either all of them are applied, or none.
+   * Settings this version of the IDE does not know are skipped.
+   * @param {string} text - The JSON text, as returned by export().
+   * @returns {number} - The number of settings read from the file.
+   * @throws {Error} - If the text is not a settings file, or one of its values is not accepted.
+   */
+  import(text) {
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (
+      !data ||
+      data.format !== EXPORT_FORMAT ||
+      !data.settings ||
+      typeof data.settings !== 'object'
+    ) {
+      throw new Error('The file is not a settings export of this IDE.');
+    }
+
+    const imported = {};
+    Object.entries(data.settings)
+      .filter(([key]) => SETTING_DEFINITIONS[key])
+      .forEach(([key, value]) => {
+        imported[key] = this._normalize(key, value);
+      });
+
+    const changedKeys = Object.keys(imported).filter(
+      (key) => imported[key] !== this.get(key),
+    );
+    this.values = { ...this.values, ...imported };
+    this._save();
+    this._notify(changedKeys);
+    return Object.keys(imported).length;
+  }
+}
+
+module.exports = Settings;
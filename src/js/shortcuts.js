@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Shortcuts Module
+ * @description This module renders the list of commands with their keyboard shortcuts and lets the user rebind them.
+ */
+
+const { keybindingFromEvent, formatKeybinding } = require('./commands');
+
+const ROW_CLASSES = 'flex items-center justify-between px-2 py-1.5 border-b';
+const BUTTON_CLASSES = 'px-2 py-0.5 text-xs rounded hover:bg-gray-200';
+const KEY_CLASSES =
+  'min-w-[5rem] px-2 py-0.5 text-xs text-center font-mono rounded border';
+
+/**
+ * @class ShortcutsView - Lists the registered commands and records new shortcuts for them.
+ */
+class ShortcutsView {
+  /**
+   * @constructor
+   * @param {HTMLElement} element - The element containing [data-shortcuts-list], [data-shortcuts-filter], and a [data-shortcuts-reset] button.
+   * @param {Object} options - Parameters for the view.
+   * @param {CommandRegistry} options.registry - The commands to list.
+   * @param {Function} [options.notify] - Called with (message, status) to tell the user about a shortcut that was taken over.
+   */
+  constructor(element, options) {
+    if (!element) {
+      throw new Error('Shortcuts element is required.');
+    }
+    this.element = element;
+    this.registry = options.registry;
+    this.notify = options.notify || (() => {});
+    this.listElement = element.querySelector('[data-shortcuts-list]');
+    this.filterInput = element.querySelector('[data-shortcuts-filter]');
+    this.recordingId = null; // Command waiting for its new shortcut
+    this._handleRecordKey = this._handleRecordKey.bind(this);
+
+    this.filterInput.addEventListener('input', () => this.render());
+    element
+      .querySelector('[data-shortcuts-reset]')
+      .addEventListener('click', () => {
+        this.stopRecording();
+        this.registry.resetKeybindings();
+        this.render();
+      });
+    this.listElement.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-shortcut-action]');
+      if (!button) return;
+      this._handleAction(
+        button.dataset.shortcutAction,
+        button.closest('[data-command-id]').dataset.commandId,
+      );
+    });
+  }
+
+  /**
+   * @method _handleAction - Runs a button of a command row.
+   * @param {string} action - "change", "remove", or "reset".
+   * @param {string} id - The command ID.
+   */
+  _handleAction(action, id) {
+    if (action === 'change') {
+      this.recordingId = id;
+      window.addEventListener('keydown', this._handleRecordKey, true);
+    } else {
+      this.stopRecording();
+      const command = this.registry.list().find((item) => item.id === id);
+      this.registry.setKeybinding(
+        id,
+        action === 'reset' ? command.defaultKeybinding : null,
+      );
+    }
+    this.render();
+  }
+
+  /**
+   * @method _handleRecordKey - Takes the next key press as the new shortcut of the recording command. Escape cancels.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  _handleRecordKey(event) {
+    // Nothing else (the editor, the IDE shortcuts) sees the key while recording
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.code === 'Escape') {
+      this.stopRecording();
+      this.render();
+      return;
+    }
+    const keybinding = keybindingFromEvent(event);
+    if (!keybinding) return; // Wait for a key besides the modifiers
+
+    const id = this.recordingId;
+    this.stopRecording();
+    const owner = this.registry.findByKeybinding(keybinding);
+    if (owner && owner.id !== id) {
+      this.registry.setKeybinding(owner.id, null);
+      this.notify(
+        `${formatKeybinding(keybinding)} was removed from "${owner.label}".`,
+        'warning',
+      );
+    }
+    this.registry.setKeybinding(id, keybinding);
+    this.render();
+  }
+
+  /**
+   * @method stopRecording - Stops waiting for a new shortcut.
+   */
+  stopRecording() {
+    this.recordingId = null;
+    window.removeEventListener('keydown', this._handleRecordKey, true);
+  }
+
+  /**
+   * @method _createButton - Creates a button of a command row.
+   * @param {string} action - The action of the button.
+   * @param {string} text - The button text.
+   * @param {string} title - The tooltip.
+   * @returns {HTMLButtonElement} - The button.
+   */
+  _createButton(action, text, title) {
+    const button = document.createElement('button');
+    button.className = BUTTON_CLASSES;
+    button.dataset.shortcutAction = action;
+    button.textContent = text;
+    button.title = title;
+    return button;
+  }
+
+  /**
+   * @method render - Renders the commands matching the filter.
+   */
+  render() {
+    const filter = this.filterInput.value.trim().toLowerCase();
+    this.listElement.innerHTML = '';
+
+    this.registry
+      .list()
+      .filter(
+        ({ label, keybinding }) =>
+          !filter ||
+          label.toLowerCase().includes(filter) ||
+          formatKeybinding(keybinding).toLowerCase().includes(filter),
+      )
+      .forEach(({ id, label, keybinding, isCustom }) => {
+        const row = document.createElement('div');
+        row.className = ROW_CLASSES;
+        row.dataset.commandId = id;
+
+        const name = document.createElement('span');
+        name.className = 'text-sm text-gray-800';
+        name.textContent = label;
+
+        const controls = document.createElement('div');
+        controls.className = 'flex items-center space-x-1';
+        const key = document.createElement('kbd');
+        key.className = KEY_CLASSES;
+        if (this.recordingId === id) {
+          key.classList.add('bg-yellow-100', 'border-yellow-400');
+          key.textContent = 'Press keys… (Esc cancels)';
+        } else {
+          key.classList.add(isCustom ? 'bg-blue-50' : 'bg-gray-50');
+          key.textContent = formatKeybinding(keybinding) || '—';
+        }
+        controls.appendChild(key);
+        controls.appendChild(
+          this._createButton('change', 'Change', 'Record a new shortcut'),
+        );
+        if (keybinding) {
+          controls.appendChild(
+            this._createButton('remove', 'Remove', 'Remove the shortcut'),
+          );
+        }
+        if (isCustom) {
+          controls.appendChild(
+            this._createButton(
+              'reset',
+              'Reset',
+              'Restore the default shortcut',
+            ),
+          );
+        }
+
+        row.appendChild(name);
+        row.appendChild(controls);
+        this.listElement.appendChild(row);
+      });
+  }
+}
+
+module.exports = ShortcutsView;
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Storage Module
+ * @description This module provides the storage backends used by the file system: localStorage, IndexedDB, and in-memory.
+ * Every backend stores plain records by ID and exposes the same async methods: get, set, update, delete, entries, and clear.
+ * Backends whose storesBlobs is true also store Blob records as they are.
+ */
+
+const INDEXED_DB_VERSION = 3;
+const INDEXED_DB_STORE_NAMES = ['records', 'revisions', 'exports']; // Every object store of the database, created on upgrade
+
+/**
+ * @class LocalStorageBackend - Stores records as JSON strings under prefixed localStorage keys.
+ */
+class LocalStorageBackend {
+  /**
+   * @constructor
+   * @param {string} namespace - The prefix of the localStorage keys (a "_" separator is added).
+   */
+  constructor(namespace) {
+    if (!namespace) {
+      throw new Error('Storage namespace cannot be empty.');
+    }
+    this.keyPrefix = namespace + '_'; // Ensure separator
+    this.storesBlobs = false; // Records are JSON strings
+  }
+
+  /**
+   * @method isAvailable - Checks whether localStorage can be used (it throws in some privacy modes).
+   * @returns {boolean} - True if localStorage is usable.
+   */
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+      return false; // Accessing the global throws when storage is blocked
+    }
+  }
+
+  /**
+   * @method _parse - Parses a stored JSON string.
+   * @param {string} jsonString - The stored string.
+   * @param {string} id - The record ID, for error context.
+   * @returns {Object} - The parsed record.
+   * @throws {Error} - If the data is corrupted.
+   */
+  _parse(jsonString, id) {
+    try {
+      return JSON.parse(jsonString);
+    } catch (e) {
+      console.error(`Failed to parse JSON for ID "${id}": ${e.message}`);
+      throw new Error(`Corrupted data found for ID "${id}".`);
+    }
+  }
+
+  /**
+   * @method get - Reads a record.
+   * @param {string} id - The record ID.
+   * @returns {Promise<Object | null>} - The record, or null if not found.
+   * @throws {Error} - If the stored data is corrupted.
+   */
+  async get(id) {
+    const stored = localStorage.getItem(this.keyPrefix + id);
+    return stored === null ? null : this._parse(stored, id);
+  }
+
+  /**
+   * @method set - Writes a record.
+   * @param {string} id - The record ID.
+   * @param {Object} record - The record to store.
+   * @throws {DOMException} - A "QuotaExceededError" when storage is full.
+   */
+  async set(id, record) {
+    localStorage.setItem(this.keyPrefix + id, JSON.stringify(record));
+  }
+
+  /**
+   * @method update - Reads a record, changes it, and writes it back, with no other write in between.
+   * @param {string} id - The record ID.
+   * @param {Function} updater - Called with the record (or null); returns the new record, or undefined to leave it as it is.
+   * @returns {Promise<Object | null>} - The stored record after the update.
+   * @throws {Error} - If the stored data is corrupted, or what the updater throws.
+   * @throws {DOMException} - A "QuotaExceededError" when storage is full.
+   */
+  async update(id, updater) {
+    // localStorage is synchronous, so nothing can run between the read and the write
+    const stored = localStorage.getItem(this.keyPrefix + id);
+    const record = stored === null ? null : this._parse(stored, id);
+    const updated = updater(record);
+    if (updated === undefined) return record;
+    localStorage.setItem(this.keyPrefix + id, JSON.stringify(updated));
+    return updated;
+  }
+
+  /**
+   * @method delete - Removes a record.
+   * @param {string} id - The record ID.
+   */
+  async delete(id) {
+    localStorage.removeItem(this.keyPrefix + id);
+  }
+
+  /**
+   * @method entries - Reads all records. Corrupted entries are skipped.
+   * @returns {Promise<Array<Array>>} - The [id, record] pairs.
+   */
+  async entries() {
+    const entries = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(this.keyPrefix)) {
+        const id = key.substring(this.keyPrefix.length);
+        try {
+          entries.push([id, this._parse(localStorage.getItem(key), id)]);
+        } catch (e) {
+          console.error(
+            `Error processing storage key "${key}": ${e.message}. Skipping entry.`,
+          );
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @method clear - Removes all records.
+   * @returns {Promise<number>} - The number of records removed.
+   */
+  async clear() {
+    let removedCount = 0;
+    // Iterate backwards when removing items to avoid index issues
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(this.keyPrefix)) {
+        localStorage.removeItem(key);
+        removedCount++;
+      }
+    }
+    return removedCount;
+  }
+}
+
+/**
+ * @class IndexedDBBackend - Stores records in an IndexedDB object store, off the main thread and without the localStorage size cap.
+ */
+class IndexedDBBackend {
+  /**
+   * @constructor
+   * @param {string} databaseName - The name of the IndexedDB database.
+   * @param {string} [storeName='records'] - The object store holding the records (one of INDEXED_DB_STORE_NAMES).
+   */
+  constructor(databaseName, storeName = INDEXED_DB_STORE_NAMES[0]) {
+    if (!databaseName) {
+      throw new Error('Database name cannot be empty.');
+    }
+    if (!INDEXED_DB_STORE_NAMES.includes(storeName)) {
+      throw new Error(`Unknown object store "${storeName}".`);
+    }
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.storesBlobs = true;
+    this.databasePromise = null;
+  }
+
+  /**
+   * @method isAvailable - Checks whether the browser supports IndexedDB.
+   * @returns {boolean} - True if IndexedDB exists.
+   */
+  static isAvailable() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch {
+      return false; // Accessing the global throws when storage is blocked
+    }
+  }
+
+  /**
+   * @method open - Opens (and on first use creates) the database.
+   * @returns {Promise<IDBDatabase>} - The open database.
+   * @throws {Error} - If the database cannot be opened.
+   */
+  open() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, INDEXED_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          INDEXED_DB_STORE_NAMES.filter(
+            (storeName) => !database.objectStoreNames.contains(storeName),
+          ).forEach((storeName) => database.createObjectStore(storeName));
+        };
+        request.onsuccess = () => {
+          const database = request.result;
+          // Lets a newer version of the IDE, opened in another tab, upgrade the database
+          database.onversionchange = () => {
+            database.close();
+            this.databasePromise = null; // The next call opens it again
+          };
+          resolve(database);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+          reject(new Error('The storage database is blocked by another tab.'));
+      }).catch((error) => {
+        this.databasePromise = null; // Allow a later retry
+        throw error;
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * @method _transaction - Runs one request in a transaction and waits for it to commit.
+   * @param {string} mode - "readonly" or "readwrite".
+   * @param {Function} operation - Called with the object store; returns the request whose result is wanted.
+   * @returns {Promise<*>} - The request result.
+   */
+  async _transaction(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  /**
+   * @method get - Reads a record.
+   * @param {string} id - The record ID.
+   * @returns {Promise<Object | null>} - The record, or null if not found.
+   */
+  async get(id) {
+    const record = await this._transaction('readonly', (store) =>
+      store.get(id),
+    );
+    return record === undefined ? null : record;
+  }
+
+  /**
+   * @method set - Writes a record.
+   * @param {string} id - The record ID.
+   * @param {Object} record - The record to store.
+   * @throws {DOMException} - A "QuotaExceededError" when storage is full.
+   */
+  async set(id, record) {
+    await this._transaction('readwrite', (store) => store.put(record, id));
+  }
+
+  /**
+   * @method update - Reads a record, changes it, and writes it back in one transaction.
+   * @param {string} id - The record ID.
+   * @param {Function} updater - Called with the record (or null); returns the new record, or undefined to leave it as it is.
+   * @returns {Promise<Object | null>} - The stored record after the update.
+   * @throws {Error} - What the updater throws.
+   * @throws {DOMException} - A "QuotaExceededError" when storage is full.
+   */
+  async update(id, updater) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get(id);
+      let result = null;
+      let updaterError = null;
+      request.onsuccess = () => {
+        const record = request.result === undefined ? null : request.result;
+        try {
+          const updated = updater(record);
+          result = updated === undefined ? record : updated;
+          if (updated !== undefined) {
+            store.put(updated, id);
+          }
+        } catch (error) {
+          updaterError = error;
+          transaction.abort();
+        }
+      };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () =>
+        reject(updaterError || transaction.error || request.error);
+    });
+  }
+
+  /**
+   * @method delete - Removes a record.
+   * @param {string} id - The record ID.
+   */
+  async delete(id) {
+    await this._transaction('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * @method entries - Reads all records.
+   * @returns {Promise<Array<Array>>} - The [id, record] pairs.
+   */
+  async entries() {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const transaction = database.transaction(this.storeName, 'readonly');
+      const request = transaction.objectStore(this.storeName).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries.push([cursor.key, cursor.value]);
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(entries);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  /**
+   * @method clear - Removes all records.
+   * @returns {Promise<number>} - The number of records removed.
+   */
+  async clear() {
+    const count = await this._transaction('readonly', (store) => store.count());
+    await this._transaction('readwrite', (store) => store.clear());
+    return count;
+  }
+}
+
+/**
+ * @class MemoryBackend - Keeps records in memory only; they are lost on reload. Used as a last resort and for experiments.
+ */
+class MemoryBackend {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.records = new Map();
+    this.storesBlobs = true;
+  }
+
+  /**
+   * @method _copy - Copies a record, so callers cannot mutate what is stored (like a real backend).
+   * @param {Object | Blob} record - The record to copy.
+   * @returns {Object | Blob} - The copy (Blobs are immutable, so they are kept as they are).
+   */
+  _copy(record) {
+    if (typeof Blob !== 'undefined' && record instanceof Blob) return record;
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  /**
+   * @method get - Reads a record.
+   * @param {string} id - The record ID.
+   * @returns {Promise<Object | null>} - The record, or null if not found.
+   */
+  async get(id) {
+    return this.records.has(id) ? this._copy(this.records.get(id)) : null;
+  }
+
+  /**
+   * @method set - Writes a record.
+   * @param {string} id - The record ID.
+   * @param {Object} record - The record to store.
+   */
+  async set(id, record) {
+    this.records.set(id, this._copy(record));
+  }
+
+  /**
+   * @method update - Reads a record, changes it, and writes it back.
+   * @param {string} id - The record ID.
+   * @param {Function} updater - Called with the record (or null); returns the new record, or undefined to leave it as it is.
+   * @returns {Promise<Object | null>} - The stored record after the update.
+   */
+  async update(id, updater) {
+    const record = this.records.has(id)
+      ? this._copy(this.records.get(id))
+      : null;
+    const updated = updater(record);
+    if (updated === undefined) return record;
+    this.records.set(id, this._copy(updated));
+    return this._copy(updated);
+  }
+
+  /**
+   * @method delete - Removes a record.
+   * @param {string} id - The record ID.
+   */
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  /**
+   * @method entries - Reads all records.
+   * @returns {Promise<Array<Array>>} - The [id, record] pairs.
+   */
+  async entries() {
+    return Array.from(this.records, ([id, record]) => [id, this._copy(record)]);
+  }
+
+  /**
+   * @method clear - Removes all records.
+   * @returns {Promise<number>} - The number of records removed.
+   */
+  async clear() {
+    const count = this.records.size;
+    this.records.clear();
+    return count;
+  }
+}
+
+module.exports = { LocalStorageBackend, IndexedDBBackend, MemoryBackend };
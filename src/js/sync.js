@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Sync Channel Module
+ * @description This module sends messages to the other browser tabs of the IDE, over a BroadcastChannel or, where that is missing, the storage event of localStorage.
+ */
+
+const UNIQUE_ID_BASE = 36;
+const UNIQUE_ID_START_INDEX = 2;
+
+/**
+ * @class SyncChannel - Posts messages to the other tabs of the same origin and receives theirs.
+ * Messages are never delivered to the tab that posted them.
+ */
+class SyncChannel {
+  /**
+   * @constructor
+   * @param {string} name - The channel name. Tabs using the same name receive each other's messages.
+   */
+  constructor(name) {
+    if (!name) {
+      throw new Error('Channel name cannot be empty.');
+    }
+    this.name = name;
+    this.listeners = [];
+    this.channel = null;
+
+    if (typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(name);
+      this.channel.addEventListener('message', (event) =>
+        this._dispatch(event.data),
+      );
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.name || !event.newValue) return;
+        try {
+          this._dispatch(JSON.parse(event.newValue).message);
+        } catch (e) {
+          console.warn('Ignoring a malformed sync message:', e);
+        }
+      });
+    }
+  }
+
+  /**
+   * @method _dispatch - Calls the listeners with a received message.
+   * @param {Object} message - The message.
+   */
+  _dispatch(message) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(message);
+      } catch (e) {
+        console.error('Sync listener failed:', e);
+      }
+    });
+  }
+
+  /**
+   * @method post - Sends a message to the other tabs.
+   * @param {Object} message - The message. It must be serializable as JSON.
+   */
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+    try {
+      // The storage event only fires when the value changes, hence the nonce
+      const nonce = Math.random()
+        .toString(UNIQUE_ID_BASE)
+        .substring(UNIQUE_ID_START_INDEX);
+      localStorage.setItem(this.name, JSON.stringify({ message, nonce }));
+    } catch (e) {
+      console.warn('Failed to notify the other tabs:', e);
+    }
+  }
+
+  /**
+   * @method onMessage - Registers a callback called with every message from the other tabs.
+   * @param {Function} callback - The callback, receiving the message.
+   */
+  onMessage(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+}
+
+module.exports = SyncChannel;
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tab Bar Module
+ * @description This module renders the tabs of the files and projects open in the editor.
+ */
+
+const TAB_CLASSES =
+  'group flex items-center flex-shrink-0 max-w-xs pl-3 pr-1 py-1 border-r border-gray-700 cursor-pointer select-none';
+const MIDDLE_BUTTON = 1;
+
+/**
+ * @class TabBar - Displays the open tabs and reports which one the user selects or closes.
+ */
+class TabBar {
+  /**
+   * @constructor
+   * @param {HTMLElement} barElement - The tab bar, containing [data-tab-list] and optional [data-tab-action] buttons.
+   * @param {Object} [handlers] - Callbacks for user interaction.
+   * @param {Function} [handlers.onSelect] - Called with (tabId) when a tab is clicked.
+   * @param {Function} [handlers.onClose] - Called with (tabId) when the close button of a tab (or the tab with the middle button) is clicked.
+   * @param {Function} [handlers.onAction] - Called with (action) for the [data-tab-action] buttons of the bar (e.g. "new").
+   */
+  constructor(barElement, handlers = {}) {
+    if (!barElement) {
+      throw new Error('Tab bar element is required.');
+    }
+    this.barElement = barElement;
+    this.listElement = barElement.querySelector('[data-tab-list]');
+    this.handlers = handlers;
+
+    this.barElement.addEventListener('click', (event) =>
+      this._handleClick(event),
+    );
+    this.barElement.addEventListener('auxclick', (event) => {
+      const tab = event.target.closest('[data-tab-id]');
+      if (tab && event.button === MIDDLE_BUTTON) {
+        this._emit('onClose', Number(tab.dataset.tabId));
+      }
+    });
+  }
+
+  /**
+   * @method _emit - Calls a handler if it is set.
+   * @param {string} name - The handler name.
+   * @param {*} value - The value to pass.
+   */
+  _emit(name, value) {
+    if (typeof this.handlers[name] === 'function') {
+      this.handlers[name](value);
+    }
+  }
+
+  /**
+   * @method _handleClick - Routes clicks on tabs, their close buttons, and the bar actions.
+   * @param {MouseEvent} event - The click event.
+   */
+  _handleClick(event) {
+    const actionButton = event.target.closest('[data-tab-action]');
+    if (actionButton) {
+      this._emit('onAction', actionButton.dataset.tabAction);
+      return;
+    }
+
+    const tab = event.target.closest('[data-tab-id]');
+    if (!tab) return;
+    const tabId = Number(tab.dataset.tabId);
+    if (event.target.closest('[data-tab-close]')) {
+      this._emit('onClose', tabId);
+    } else {
+      this._emit('onSelect', tabId);
+    }
+  }
+
+  /**
+   * @method _createTab - Creates the element of one tab.
+   * @param {Object} tab - The tab ({ id, title, tooltip, isDirty, isProject }).
+   * @param {boolean} isActive - Whether the tab is the one shown.
+   * @returns {HTMLElement} - The tab element.
+   */
+  _createTab({ id, title, tooltip, isDirty, isProject }, isActive) {
+    const element = document.createElement('div');
+    element.className = TAB_CLASSES;
+    element.dataset.tabId = String(id);
+    element.title = tooltip || title;
+    element.setAttribute('role', 'tab');
+    element.setAttribute('aria-selected', String(isActive));
+    element.classList.add(
+      ...(isActive
+        ? ['bg-gray-700', 'text-white']
+        : ['bg-gray-800', 'text-gray-400', 'hover:text-gray-200']),
+    );
+
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    label.textContent = `${isProject ? '▣ ' : ''}${title}`;
+
+    // The close button shows a dot while the tab has unsaved changes
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.dataset.tabClose = '';
+    close.className =
+      'ml-2 w-4 flex-shrink-0 text-center rounded hover:bg-gray-600';
+    close.title = 'Close';
+    close.textContent = isDirty ? '●' : '×';
+    if (isDirty) {
+      close.classList.add('text-yellow-400');
+    } else if (!isActive) {
+      close.classList.add('invisible', 'group-hover:visible');
+    }
+
+    element.appendChild(label);
+    element.appendChild(close);
+    return element;
+  }
+
+  /**
+   * @method render - Renders the tabs.
+   * @param {Array<Object>} tabs - The tabs in order, each { id, title, tooltip, isDirty, isProject }.
+   * @param {number | null} activeId - The ID of the tab shown in the editor.
+   */
+  render(tabs, activeId) {
+    this.listElement.innerHTML = '';
+    tabs.forEach((tab) => {
+      const element = this._createTab(tab, tab.id === activeId);
+      this.listElement.appendChild(element);
+      if (tab.id === activeId) {
+        element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+    });
+  }
+}
+
+module.exports = TabBar;
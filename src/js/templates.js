@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Templates Module
+ * @description This module lists the starter scripts shipped with the IDE and the tridecco-board versions they work with.
+ */
+
+const { compareVersions } = require('./versions');
+
+/**
+ * The starter templates. Version bounds are inclusive; a bound with fewer parts covers a whole release line ("0.6" matches 0.6.x).
+ * @type {Array<{id: string, name: string, description: string, minVersion: string, maxVersion: string, code: string}>}
+ */
+const STARTER_TEMPLATES = [
+  {
+    id: 'basic-board',
+    name: 'Basic Board',
+    description:
+      'Creates a board with the default map, places a few pieces, and renders it.',
+    minVersion: '0.1',
+    maxVersion: '0.6',
+    code: require('../templates/basic-board.js'),
+  },
+  {
+    id: 'custom-textures',
+    name: 'Renderer with Custom Textures',
+    description:
+      'Passes a background drawn in code to the renderer, and shows where a texture atlas for the pieces goes.',
+    minVersion: '0.5',
+    maxVersion: '0.6',
+    code: require('../templates/custom-textures.js'),
+  },
+  {
+    id: 'click-handling',
+    name: 'Click Handling',
+    description:
+      'Places or removes a piece on the clicked position with listenClickEvents.',
+    minVersion: '0.3',
+    maxVersion: '0.6',
+    code: require('../templates/click-handling.js'),
+  },
+  {
+    id: 'two-player-game',
+    name: 'Two-Player Game',
+    description:
+      'Two players take turns placing pieces, with the free positions highlighted, until the board is full.',
+    minVersion: '0.4',
+    maxVersion: '0.6',
+    code: require('../templates/two-player-game.js'),
+  },
+];
+
+/**
+ * @function isTemplateCompatible - Checks whether a template works with a tridecco-board version.
+ * @param {Object} template - The template.
+ * @param {string} version - The tridecco-board version (e.g. "0.4.2").
+ * @returns {boolean} - True if the version is within the template's bounds.
+ */
+function isTemplateCompatible(template, version) {
+  const maxParts = template.maxVersion.split('.').length;
+  const versionLine = String(version).split('.').slice(0, maxParts).join('.');
+  return (
+    compareVersions(version, template.minVersion) >= 0 &&
+    compareVersions(versionLine, template.maxVersion) <= 0
+  );
+}
+
+/**
+ * @function formatVersionRange - Describes the versions a template works with.
+ * @param {Object} template - The template.
+ * @returns {string} - The range, e.g. "v0.3 – v0.6".
+ */
+function formatVersionRange(template) {
+  return `v${template.minVersion} – v${template.maxVersion}`;
+}
+
+module.exports = {
+  STARTER_TEMPLATES,
+  isTemplateCompatible,
+  formatVersionRange,
+};
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Tests Module
+ * @description This module renders the results of a test run in the Tests tab of the console panel.
+ */
+
+const DURATION_PRECISION = 1;
+const NAME_SEPARATOR = ' › ';
+
+const STATUS_CLASSES = {
+  passed: 'text-green-400',
+  failed: 'text-red-400',
+};
+const STATUS_ICONS = {
+  passed: '✓',
+  failed: '✗',
+};
+const BADGE_CLASSES = {
+  passed: ['bg-green-700', 'text-white'],
+  failed: ['bg-red-700', 'text-white'],
+};
+
+/**
+ * @function diffLines - Compares two texts line by line (longest common subsequence).
+ * @param {string} expected - The expected text.
+ * @param {string} actual - The actual text.
+ * @returns {Array<Object>} - The lines in order, each { type: 'same' | 'expected' | 'actual', text }.
+ */
+function diffLines(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'expected', text: a[i++] });
+    } else {
+      lines.push({ type: 'actual', text: b[j++] });
+    }
+  }
+  a.slice(i).forEach((text) => lines.push({ type: 'expected', text }));
+  b.slice(j).forEach((text) => lines.push({ type: 'actual', text }));
+  return lines;
+}
+
+/**
+ * @class TestReport - Shows pass/fail counts, failures with assertion diffs, and links to the failing lines.
+ */
+class TestReport {
+  /**
+   * @constructor
+   * @param {HTMLElement} panelElement - The console panel containing [data-test-output], [data-test-summary], and [data-test-badge].
+   * @param {Object} [options] - Optional parameters for the report.
+   * @param {Function} [options.onNavigate] - Called with ({ file, line, column }) when a location link is clicked. The file is undefined for single-file code.
+   */
+  constructor(panelElement, options = {}) {
+    if (!panelElement) {
+      throw new Error('Test report panel element is required.');
+    }
+    this.outputElement = panelElement.querySelector('[data-test-output]');
+    this.summaryElement = panelElement.querySelector('[data-test-summary]');
+    this.badgeElement = panelElement.querySelector('[data-test-badge]');
+    this.onNavigate = options.onNavigate;
+  }
+
+  /**
+   * @method _setBadge - Shows the pass/fail state on the Tests tab.
+   * @param {string | null} status - "passed", "failed", or null to hide the badge.
+   * @param {string} [text] - The badge text.
+   */
+  _setBadge(status, text = '') {
+    if (!this.badgeElement) return;
+    Object.values(BADGE_CLASSES)
+      .flat()
+      .forEach((cls) => this.badgeElement.classList.remove(cls));
+    this.badgeElement.classList.toggle('hidden', !status);
+    if (status) {
+      this.badgeElement.classList.add(...BADGE_CLASSES[status]);
+    }
+    this.badgeElement.textContent = text;
+  }
+
+  /**
+   * @method _createLocationLink - Creates a link that jumps to a source location.
+   * @param {Object} location - The location ({ file, line, column }).
+   * @returns {HTMLElement} - The link element.
+   */
+  _createLocationLink(location) {
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'ml-4 text-blue-400 underline hover:text-blue-300';
+    link.textContent = location.file
+      ? `${location.file}:${location.line}:${location.column}`
+      : `Line ${location.line}, column ${location.column}`;
+    link.title = 'Show in editor';
+    link.addEventListener('click', () => {
+      if (typeof this.onNavigate === 'function') {
+        this.onNavigate(location);
+      }
+    });
+    return link;
+  }
+
+  /**
+   * @method _renderDiff - Renders an assertion diff ("- Expected" / "+ Received").
+   * @param {Object} diff - The stringified values ({ expected, actual }).
+   * @returns {HTMLElement} - The diff element.
+   */
+  _renderDiff(diff) {
+    const element = document.createElement('div');
+    element.className = 'ml-4 my-1 pl-2 border-l border-gray-600';
+
+    const legend = document.createElement('div');
+    legend.innerHTML =
+      '<span class="text-green-400">- Expected</span>  <span class="text-red-400">+ Received</span>';
+    element.appendChild(legend);
+
+    diffLines(diff.expected, diff.actual).forEach(({ type, text }) => {
+      const line = document.createElement('div');
+      if (type === 'expected') {
+        line.className = 'text-green-400 bg-green-900/20';
+        line.textContent = `- ${text}`;
+      } else if (type === 'actual') {
+        line.className = 'text-red-400 bg-red-900/20';
+        line.textContent = `+ ${text}`;
+      } else {
+        line.className = 'text-gray-400';
+        line.textContent = `  ${text}`;
+      }
+      element.appendChild(line);
+    });
+    return element;
+  }
+
+  /**
+   * @method start - Clears the previous results and shows that tests are running.
+   */
+  start() {
+    if (this.outputElement) this.outputElement.innerHTML = '';
+    if (this.summaryElement) this.summaryElement.textContent = 'Running tests…';
+    this._setBadge(null);
+  }
+
+  /**
+   * @method addResult - Adds the result of one test.
+   * @param {Object} result - The result sent by the sandbox ({ names, status, duration, error }).
+   */
+  addResult({ names, status, duration, error }) {
+    if (!this.outputElement) return;
+
+    const entry = document.createElement('div');
+    entry.className = 'px-2 py-0.5 border-b border-gray-700';
+
+    const header = document.createElement('div');
+    header.className = STATUS_CLASSES[status] || '';
+    header.textContent = `${STATUS_ICONS[status] || '?'} ${names.join(NAME_SEPARATOR)}`;
+    const time = document.createElement('span');
+    time.className = 'ml-2 text-gray-500';
+    time.textContent = `(${duration.toFixed(DURATION_PRECISION)} ms)`;
+    header.appendChild(time);
+    entry.appendChild(header);
+
+    if (error) {
+      const message = document.createElement('div');
+      message.className = 'ml-4 text-red-300';
+      message.textContent =
+        error.name && error.name !== 'AssertionError'
+          ? `${error.name}: ${error.message}`
+          : error.message;
+      entry.appendChild(message);
+
+      if (error.diff) {
+        entry.appendChild(this._renderDiff(error.diff));
+      }
+      if (error.stack) {
+        const stack = document.createElement('div');
+        stack.className = 'ml-4 text-gray-500';
+        stack.textContent = error.stack
+          .split('\n')
+          .filter((line) => /^\s*at\s|@/.test(line))
+          .join('\n');
+        entry.appendChild(stack);
+      }
+      if (error.location) {
+        entry.appendChild(this._createLocationLink(error.location));
+      }
+    }
+
+    this.outputElement.appendChild(entry);
+  }
+
+  /**
+   * @method finish - Shows the totals of the run.
+   * @param {Object} summary - The summary sent by the sandbox ({ passed, failed, total, duration }).
+   */
+  finish({ passed, failed, total, duration }) {
+    if (total === 0) {
+      if (this.summaryElement) {
+        this.summaryElement.textContent =
+          'No tests found. Define them with describe(), it(), and expect().';
+      }
+      this._setBadge(null);
+      return;
+    }
+
+    const text = `${passed} passed, ${failed} failed, ${total} total (${duration.toFixed(DURATION_PRECISION)} ms)`;
+    if (this.summaryElement) this.summaryElement.textContent = text;
+    this._setBadge(
+      failed > 0 ? 'failed' : 'passed',
+      failed > 0 ? String(failed) : String(passed),
+    );
+  }
+
+  /**
+   * @method abort - Marks the run as incomplete (e.g. the library failed to load or a newer run replaced it).
+   * @param {string} message - The reason shown in the summary.
+   */
+  abort(message) {
+    if (this.summaryElement) this.summaryElement.textContent = message;
+    this._setBadge(null);
+  }
+}
+
+module.exports = TestReport;
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview File Tree Module
+ * @description This module renders the file tree of a multi-file project in the editor sidebar.
+ */
+
+const INDENT_WIDTH_REM = 0.75;
+const ITEM_CLASSES =
+  'group flex items-center justify-between pr-1 py-0.5 cursor-pointer rounded hover:bg-gray-700';
+const ACTION_BUTTON_CLASSES =
+  'hidden group-hover:inline px-1 text-gray-400 hover:text-white';
+
+/**
+ * @class FileTree - Displays project files and folders and reports what the user picks.
+ */
+class FileTree {
+  /**
+   * @constructor
+   * @param {HTMLElement} treeElement - The sidebar element, containing [data-tree-list] and [data-tree-action] buttons.
+   * @param {Object} [handlers] - Callbacks for user interaction.
+   * @param {Function} [handlers.onOpen] - Called with (path) when a file is clicked.
+   * @param {Function} [handlers.onAction] - Called with (action, path) for "new-file", "new-folder", "rename", "delete", and "set-entry". The path is the target folder ("" for the root) or item.
+   */
+  constructor(treeElement, handlers = {}) {
+    if (!treeElement) {
+      throw new Error('File tree element is required.');
+    }
+    this.treeElement = treeElement;
+    this.listElement = treeElement.querySelector('[data-tree-list]');
+    this.handlers = handlers;
+    this.collapsedFolders = new Set();
+
+    this.treeElement.addEventListener('click', (event) =>
+      this._handleClick(event),
+    );
+  }
+
+  /**
+   * @method _handleClick - Routes clicks on items and action buttons.
+   * @param {MouseEvent} event - The click event.
+   */
+  _handleClick(event) {
+    const actionButton = event.target.closest('[data-tree-action]');
+    if (actionButton) {
+      event.stopPropagation();
+      if (typeof this.handlers.onAction === 'function') {
+        this.handlers.onAction(
+          actionButton.dataset.treeAction,
+          actionButton.dataset.path || '',
+        );
+      }
+      return;
+    }
+
+    const item = event.target.closest('[data-tree-item]');
+    if (!item) return;
+    const { path, kind } = item.dataset;
+
+    if (kind === 'folder') {
+      if (this.collapsedFolders.has(path)) {
+        this.collapsedFolders.delete(path);
+      } else {
+        this.collapsedFolders.add(path);
+      }
+      this.render(this.project, this.activePath);
+    } else if (typeof this.handlers.onOpen === 'function') {
+      this.handlers.onOpen(path);
+    }
+  }
+
+  /**
+   * @method _createActionButton - Creates a hover button acting on an item.
+   * @param {string} action - The action name.
+   * @param {string} path - The item path.
+   * @param {string} label - The button text.
+   * @param {string} title - The button tooltip.
+   * @returns {HTMLButtonElement} - The button.
+   */
+  _createActionButton(action, path, label, title) {
+    const button = document.createElement('button');
+    button.className = ACTION_BUTTON_CLASSES;
+    button.dataset.treeAction = action;
+    button.dataset.path = path;
+    button.title = title;
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * @method _createItem - Creates the row of a file or folder.
+   * @param {string} path - The item path.
+   * @param {string} kind - "file" or "folder".
+   * @param {number} depth - The nesting depth.
+   * @returns {HTMLElement} - The row element.
+   */
+  _createItem(path, kind, depth) {
+    const isFolder = kind === 'folder';
+    const item = document.createElement('div');
+    item.className = ITEM_CLASSES;
+    item.dataset.treeItem = '';
+    item.dataset.path = path;
+    item.dataset.kind = kind;
+    item.title = path;
+    if (path === this.activePath) {
+      item.classList.add('bg-gray-700', 'text-white');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    label.style.paddingLeft = `${depth * INDENT_WIDTH_REM + INDENT_WIDTH_REM}rem`;
+    const icon = isFolder
+      ? this.collapsedFolders.has(path)
+        ? '▸ '
+        : '▾ '
+      : '';
+    label.textContent = `${icon}${path.split('/').pop()}`;
+    if (!isFolder && path === this.project.entry) {
+      const badge = document.createElement('span');
+      badge.className = 'ml-1 text-yellow-400';
+      badge.title = 'Entry point';
+      badge.textContent = '★';
+      label.appendChild(badge);
+    }
+
+    const actions = document.createElement('span');
+    actions.className = 'flex-shrink-0';
+    if (isFolder) {
+      actions.appendChild(
+        this._createActionButton('new-file', path, '+', 'New file here'),
+      );
+    } else if (path !== this.project.entry) {
+      actions.appendChild(
+        this._createActionButton('set-entry', path, '★', 'Set as entry point'),
+      );
+    }
+    actions.appendChild(
+      this._createActionButton('rename', path, '✎', 'Rename or move'),
+    );
+    actions.appendChild(
+      this._createActionButton('delete', path, '×', 'Delete'),
+    );
+
+    item.appendChild(label);
+    item.appendChild(actions);
+    return item;
+  }
+
+  /**
+   * @method render - Renders the tree of a project.
+   * @param {Project} project - The project to show.
+   * @param {string | null} activePath - The path of the file open in the editor.
+   */
+  render(project, activePath) {
+    this.project = project;
+    this.activePath = activePath;
+    this.listElement.innerHTML = '';
+
+    const folders = project.listFolders();
+    const files = project.listFiles();
+    const isHidden = (path) =>
+      folders.some(
+        (folder) =>
+          this.collapsedFolders.has(folder) && path.startsWith(`${folder}/`),
+      );
+
+    // Folders first, then files, at every level
+    const sortKey = ({ path, kind }) =>
+      path
+        .split('/')
+        .map((segment, index, segments) =>
+          kind === 'file' && index === segments.length - 1
+            ? `1${segment}`
+            : `0${segment}`,
+        )
+        .join('/');
+    const paths = [
+      ...folders.map((path) => ({ path, kind: 'folder' })),
+      ...files.map((path) => ({ path, kind: 'file' })),
+    ].sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+    paths
+      .filter(({ path }) => !isHidden(path))
+      .forEach(({ path, kind }) => {
+        const depth = path.split('/').length - 1;
+        this.listElement.appendChild(this._createItem(path, kind, depth));
+      });
+  }
+
+  /**
+   * @method show - Shows or hides the sidebar.
+   * @param {boolean} visible - Whether the sidebar should be visible.
+   */
+  show(visible) {
+    this.treeElement.classList.toggle('hidden', !visible);
+    this.treeElement.classList.toggle('flex', visible);
+  }
+}
+
+module.exports = FileTree;
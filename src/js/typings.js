@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Typings Module
+ * @description This module provides the bundled type declarations used for editor IntelliSense.
+ */
+
+const CANVAS_CONTAINER_DECLARATIONS = require('../types/canvas-container.d.ts');
+const TEST_API_DECLARATIONS = require('../types/test-api.d.ts');
+
+// Declarations per tridecco-board release line; patch releases share the file of their minor line
+const TRIDECCO_DECLARATIONS = {
+  0.6: require('../types/tridecco-board/0.6.d.ts'),
+  0.5: require('../types/tridecco-board/0.5.d.ts'),
+  0.4: require('../types/tridecco-board/0.4.d.ts'),
+  0.3: require('../types/tridecco-board/0.3.d.ts'),
+  0.2: require('../types/tridecco-board/0.2.d.ts'),
+  0.1: require('../types/tridecco-board/0.1.d.ts'),
+};
+
+const RELEASE_LINE_PARTS = 2; // major.minor
+const TRIDECCO_LIB_PATH = 'file:///types/tridecco-board.d.ts';
+const CANVAS_CONTAINER_LIB_PATH = 'file:///types/canvas-container.d.ts';
+const TEST_API_LIB_PATH = 'file:///types/test-api.d.ts';
+
+/**
+ * @function getTrideccoTypings - Gets the extra libs describing the globals available to code of a tridecco-board version.
+ * @param {string} version - The tridecco-board version (e.g. "0.6.2").
+ * @returns {Array<{content: string, filePath: string}>} - The extra libs. Only the CanvasContainer global and the test API if the version has no declarations.
+ */
+function getTrideccoTypings(version) {
+  const libs = [
+    {
+      content: CANVAS_CONTAINER_DECLARATIONS,
+      filePath: CANVAS_CONTAINER_LIB_PATH,
+    },
+    { content: TEST_API_DECLARATIONS, filePath: TEST_API_LIB_PATH },
+  ];
+
+  const releaseLine = String(version)
+    .split('.')
+    .slice(0, RELEASE_LINE_PARTS)
+    .join('.');
+  const declarations = TRIDECCO_DECLARATIONS[releaseLine];
+  if (declarations) {
+    libs.push({ content: declarations, filePath: TRIDECCO_LIB_PATH });
+  } else {
+    console.warn(
+      `No type declarations bundled for tridecco-board v${version}.`,
+    );
+  }
+
+  return libs;
+}
+
+module.exports = { getTrideccoTypings };
@@ -11,18 +11,29 @@ const DEFAULT_ALERT_DURATION = 3000;
 class UI {
   /**
    * @constructor
+   * @param {Object} [options] - Optional parameters for the UI.
+   * @param {number} [options.alertDuration=3000] - The default time alerts stay visible, in milliseconds.
    */
-  constructor() {
+  constructor(options = {}) {
     this.notifications = new Map();
+    this.alertDuration = options.alertDuration || DEFAULT_ALERT_DURATION;
+  }
+
+  /**
+   * @method setAlertDuration - Changes how long alerts stay visible when no duration is given.
+   * @param {number} duration - The duration in milliseconds.
+   */
+  setAlertDuration(duration) {
+    this.alertDuration = duration;
   }
 
   /**
    * @method alert - Displays an alert message at the top-left corner of the page.
    * @param {string} message - The message to display.
    * @param {string} status - The status of the alert (e.g., "success", "info", "warning", "error").
-   * @param {number} duration - The duration in milliseconds for which the alert should be visible.
+   * @param {number} [duration] - The duration in milliseconds for which the alert should be visible. Defaults to the alert duration of the UI.
    */
-  alert(message, status = 'info', duration = DEFAULT_ALERT_DURATION) {
+  alert(message, status = 'info', duration = this.alertDuration) {
     const FADE_IN_DELAY = 10;
     const FADE_OUT_DURATION = 500;
 
@@ -39,10 +50,12 @@ class UI {
 
     alertBox.className = `fixed right-4 top-4 z-50 p-4 text-sm ${colorClasses} border rounded-lg opacity-0 transition-opacity duration-500`;
     alertBox.role = 'alert';
-    alertBox.innerHTML = `
-      <div class="flex items-center">
-        <span>${message}</span>
-      </div>`;
+    const content = document.createElement('div');
+    content.className = 'flex items-center';
+    const text = document.createElement('span');
+    text.textContent = message; // Messages can quote file names from imported archives
+    content.appendChild(text);
+    alertBox.appendChild(content);
 
     document.body.appendChild(alertBox);
 
@@ -1,23 +1,95 @@
 /**
  * @fileoverview URL Data Transcoder Module
  * @description This module handles the encoding, and decoding of data for URL transmission.
+ *
+ * Current format: "v2." + base64url(flags byte + payload), where the payload is the UTF-8 JSON,
+ * deflate-compressed when the flags byte is 1. Links without the prefix use the original
+ * Base64 JSON format and are still decoded.
  */
 
+const FORMAT_PREFIX = 'v2.';
+const FLAG_PLAIN = 0;
+const FLAG_DEFLATE = 1;
+const COMPRESSION_FORMAT = 'deflate-raw';
+const BYTE_CHUNK_SIZE = 0x8000; // Keeps String.fromCharCode below argument limits
+
+// Checked from the strictest limit down; the first one exceeded is reported
+const URL_LENGTH_LIMITS = [
+  {
+    length: 8192,
+    message:
+      'This share URL is longer than 8,192 characters. Many servers, chat apps, and browsers will reject or cut it off.',
+  },
+  {
+    length: 2000,
+    message:
+      'This share URL is longer than 2,000 characters. Some email clients, link shorteners, and older browsers may cut it off.',
+  },
+];
+
+/**
+ * @function bytesToBase64Url - Encodes bytes as URL-safe Base64 without padding.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} - The encoded string.
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BYTE_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BYTE_CHUNK_SIZE));
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @function base64UrlToBytes - Decodes URL-safe Base64 (with or without padding).
+ * @param {string} encoded - The encoded string.
+ * @returns {Uint8Array} - The decoded bytes.
+ */
+function base64UrlToBytes(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @function transformBytes - Pipes bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes - The input bytes.
+ * @param {TransformStream} stream - The (de)compression stream.
+ * @returns {Promise<Uint8Array>} - The output bytes.
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
 /**
  * @class URLDataTranscoder - Handles the encoding and decoding of data for URL transmission.
  */
 class URLDataTranscoder {
   /**
-   * @method compile - Encodes the data into a URL-friendly string.
+   * @method compile - Encodes the data into a URL-friendly string (UTF-8 safe, compressed when the browser supports it).
    * @param {Object} data - The data to be encoded.
-   * @returns {string|null} - The URL-safe encoded data string, or null on error.
+   * @returns {Promise<string|null>} - The URL-safe encoded data string, or null on error.
    */
-  static compile(data) {
+  static async compile(data) {
     try {
-      const jsonString = JSON.stringify(data); // Convert object to JSON string
-      const base64String = btoa(jsonString); // Convert JSON string to Base64
-      const encodedString = encodeURIComponent(base64String); // URL-encode the Base64 string
-      return encodedString;
+      const jsonBytes = new TextEncoder().encode(JSON.stringify(data));
+      let flag = FLAG_PLAIN;
+      let payload = jsonBytes;
+      if (typeof CompressionStream !== 'undefined') {
+        flag = FLAG_DEFLATE;
+        payload = await transformBytes(
+          jsonBytes,
+          new CompressionStream(COMPRESSION_FORMAT),
+        );
+      }
+
+      const bytes = new Uint8Array(payload.length + 1);
+      bytes[0] = flag;
+      bytes.set(payload, 1);
+      return FORMAT_PREFIX + bytesToBase64Url(bytes);
     } catch (error) {
       console.error('Error compiling data:', error);
       return null;
@@ -25,25 +97,66 @@ class URLDataTranscoder {
   }
 
   /**
-   * @method decompile - Decodes the data from a URL-friendly string.
+   * @method decompile - Decodes the data from a URL-friendly string, in the current or the original format.
    * @param {string} encodedString - The URL-safe encoded data string.
-   * @returns {Object|null} - The original data object, or null on error.
+   * @returns {Promise<Object|null>} - The original data object, or null on error.
    */
-  static decompile(encodedString) {
+  static async decompile(encodedString) {
     if (typeof encodedString !== 'string' || encodedString.length === 0) {
       console.error('Error decompiling data: Input is not a valid string.');
       return null;
     }
     try {
-      const base64String = decodeURIComponent(encodedString); // Decode the URL-encoded string
-      const jsonString = atob(base64String); // Convert Base64 string back to JSON string
-      const originalData = JSON.parse(jsonString); // Convert JSON string to JavaScript object
-      return originalData;
+      if (!encodedString.startsWith(FORMAT_PREFIX)) {
+        return URLDataTranscoder._decompileLegacy(encodedString);
+      }
+
+      const bytes = base64UrlToBytes(encodedString.slice(FORMAT_PREFIX.length));
+      let payload = bytes.subarray(1);
+      if (bytes[0] === FLAG_DEFLATE) {
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('This browser cannot decompress share links.');
+        }
+        payload = await transformBytes(
+          payload,
+          new DecompressionStream(COMPRESSION_FORMAT),
+        );
+      } else if (bytes[0] !== FLAG_PLAIN) {
+        throw new Error(`Unknown share data flags: ${bytes[0]}`);
+      }
+      return JSON.parse(new TextDecoder().decode(payload));
     } catch (error) {
       console.error('Error decompiling data:', error);
       return null;
     }
   }
+
+  /**
+   * @method _decompileLegacy - Decodes the original format (Base64 JSON, URL-encoded once or twice).
+   * @param {string} encodedString - The encoded data string.
+   * @returns {Object} - The original data object.
+   * @throws {Error} - If the string cannot be decoded.
+   */
+  static _decompileLegacy(encodedString) {
+    let base64String = encodedString;
+    while (base64String.includes('%')) {
+      base64String = decodeURIComponent(base64String); // Old links were URL-encoded twice
+    }
+    const jsonString = atob(base64String); // Convert Base64 string back to JSON string
+    return JSON.parse(jsonString); // Convert JSON string to JavaScript object
+  }
+
+  /**
+   * @method getLengthWarning - Checks a URL against common length limits.
+   * @param {string} url - The full URL.
+   * @returns {string|null} - A warning message, or null if the URL is short enough.
+   */
+  static getLengthWarning(url) {
+    const exceeded = URL_LENGTH_LIMITS.find(
+      (limit) => url.length > limit.length,
+    );
+    return exceeded ? exceeded.message : null;
+  }
 }
 
 module.exports = URLDataTranscoder;
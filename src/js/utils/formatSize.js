@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Size Formatting Utility
+ * @description This utility formats a number of bytes for display (e.g. "1.5 MB").
+ */
+
+const BYTES_PER_KILOBYTE = 1024;
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+function formatSize(bytes) {
+  let size = bytes || 0;
+  let unitIndex = 0;
+  while (size >= BYTES_PER_KILOBYTE && unitIndex < SIZE_UNITS.length - 1) {
+    size /= BYTES_PER_KILOBYTE;
+    unitIndex++;
+  }
+  return `${unitIndex === 0 ? size : size.toFixed(1)} ${SIZE_UNITS[unitIndex]}`;
+}
+
+module.exports = formatSize;
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Versions Module
+ * @description This module lists the supported tridecco-board versions and where their builds live. It is shared with the build scripts.
+ */
+
+const SUPPORTED_TRIDECCO_VERSIONS = [
+  '0.6.2',
+  '0.6.1',
+  '0.6.0',
+  '0.5.1',
+  '0.5.0',
+  '0.4.2',
+  '0.4.1',
+  '0.4.0',
+  '0.3.1',
+  '0.3.0',
+  '0.2.3',
+  '0.2.2',
+  '0.2.1',
+  '0.2.0',
+  '0.1.1',
+]; // Newest first
+
+const LATEST_TRIDECCO_VERSION = SUPPORTED_TRIDECCO_VERSIONS[0];
+
+const TRIDECCO_CDN_URL_TEMPLATE =
+  'https://cdn.jsdelivr.net/npm/tridecco-board@{version}/dist/tridecco-board.min.js';
+const TRIDECCO_BUNDLE_FILE_NAME = 'tridecco-board.min.js';
+const TRIDECCO_VENDOR_PATH = 'vendor/tridecco-board'; // Relative to the site root (and dist/)
+const TRIDECCO_MANIFEST_FILE_NAME = 'manifest.json';
+
+/**
+ * @function formatVersionUrl - Fills the "{version}" placeholder of a URL template.
+ * @param {string} template - The URL template.
+ * @param {string} version - The tridecco-board version.
+ * @returns {string} - The URL.
+ */
+function formatVersionUrl(template, version) {
+  return template.replace(/\{version\}/g, version);
+}
+
+/**
+ * @function compareVersions - Compares two versions part by part (missing parts count as 0).
+ * @param {string} a - The first version (e.g. "0.6.2" or "0.6").
+ * @param {string} b - The second version.
+ * @returns {number} - A negative number if a is older, a positive number if a is newer, or 0 if they are equal.
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+module.exports = {
+  SUPPORTED_TRIDECCO_VERSIONS,
+  LATEST_TRIDECCO_VERSION,
+  TRIDECCO_CDN_URL_TEMPLATE,
+  TRIDECCO_BUNDLE_FILE_NAME,
+  TRIDECCO_VENDOR_PATH,
+  TRIDECCO_MANIFEST_FILE_NAME,
+  formatVersionUrl,
+  compareVersions,
+};
@@ -0,0 +1,19 @@
+/*
+ * Basic Board
+ * Creates a board with the default map, places a few pieces, and renders it.
+ */
+
+const board = new Tridecco.Board();
+
+board.place(0, new Tridecco.Piece(['red', 'blue']));
+board.place(1, new Tridecco.Piece(['green', 'yellow']));
+board.place(2, new Tridecco.Piece(['purple', 'red']));
+
+// The renderer draws the board into the canvas area of the IDE
+const renderer = new Tridecco.Renderer({
+  board,
+  container: CanvasContainer,
+});
+
+console.log(`The board has ${board.map.positions.length} positions.`);
+console.log(renderer.canvas);
@@ -0,0 +1,27 @@
+/*
+ * Click Handling
+ * Places a piece on the clicked position, or removes the piece that is already there.
+ */
+
+const COLORS = ['red', 'blue'];
+
+const board = new Tridecco.Board();
+const renderer = new Tridecco.Renderer({
+  board,
+  container: CanvasContainer,
+});
+
+renderer.listenClickEvents((index) => {
+  if (board.isEmpty(index)) {
+    board.place(index, new Tridecco.Piece(COLORS));
+    console.log(`Placed a piece on position ${index}.`);
+  } else {
+    board.remove(index);
+    console.log(`Removed the piece on position ${index}.`);
+  }
+  renderer.updateBoard();
+});
+
+console.log(
+  'Click a position to place a piece, and click it again to remove it.',
+);
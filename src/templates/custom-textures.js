@@ -0,0 +1,37 @@
+/*
+ * Custom Textures
+ * Renders a board over a background image drawn in code, and shows where your own
+ * piece textures (a texture atlas image and its JSON index) are plugged in.
+ */
+
+// Draws an image on an off-screen canvas and returns it as a data URL
+function createImageUrl(width, height, draw) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  draw(canvas.getContext('2d'), width, height);
+  return canvas.toDataURL();
+}
+
+const backgroundUrl = createImageUrl(512, 512, (context, width, height) => {
+  const gradient = context.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, '#1e3a8a');
+  gradient.addColorStop(1, '#581c87');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, width, height);
+});
+
+const board = new Tridecco.Board();
+board.place(0, new Tridecco.Piece(['red', 'blue']));
+board.place(1, new Tridecco.Piece(['yellow', 'green']));
+
+const renderer = new Tridecco.Renderer({
+  board,
+  container: CanvasContainer,
+  backgroundUrl,
+  // Replace these with the URLs of your own texture atlas to change how pieces look:
+  // texturesIndexUrl: 'https://example.com/textures/index.json',
+  // texturesAtlasUrl: 'https://example.com/textures/atlas.png',
+});
+
+console.log('Rendered with a custom background.', renderer.canvas);
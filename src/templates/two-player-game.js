@@ -0,0 +1,43 @@
+/*
+ * Two-Player Game
+ * Players take turns placing pieces in their colours until the board is full.
+ * The positions that are still free are highlighted on every turn.
+ */
+
+const PLAYERS = [
+  { name: 'Player 1', colors: ['red', 'orange'] },
+  { name: 'Player 2', colors: ['blue', 'purple'] },
+];
+
+const board = new Tridecco.Board();
+const renderer = new Tridecco.Renderer({
+  board,
+  container: CanvasContainer,
+});
+let turn = 0;
+
+function startTurn() {
+  const available = board.getAvailablePositions();
+  if (available.length === 0) {
+    renderer.clearAvailablePositions();
+    console.log('The board is full. Game over!');
+    return;
+  }
+  renderer.showAvailablePositions(available);
+  console.log(
+    `${PLAYERS[turn].name}'s turn (${PLAYERS[turn].colors.join(' / ')}).`,
+  );
+}
+
+renderer.listenClickEvents((index) => {
+  if (!board.isEmpty(index)) {
+    console.warn(`Position ${index} is already taken.`);
+    return;
+  }
+  board.place(index, new Tridecco.Piece(PLAYERS[turn].colors));
+  renderer.updateBoard();
+  turn = (turn + 1) % PLAYERS.length;
+  startTurn();
+});
+
+startTurn();
@@ -0,0 +1,9 @@
+/**
+ * Globals provided by the IDE to code run in the sandbox.
+ */
+
+/**
+ * The element the board canvas should be rendered into.
+ * Pass it as the `container` option of `new Tridecco.Renderer()`.
+ */
+declare const CanvasContainer: HTMLDivElement;
@@ -0,0 +1,54 @@
+/**
+ * Test API provided by the IDE to code run in the sandbox.
+ * Tests are collected on every run, but only executed by "Run Tests".
+ */
+
+/**
+ * Groups tests. The body runs right away and may contain more `describe` blocks.
+ */
+declare function describe(name: string, body: () => void): void;
+
+/**
+ * Defines a test. It fails when the body throws or the returned promise rejects (or takes longer than 5 seconds).
+ */
+declare function it(name: string, body: () => void | Promise<void>): void;
+
+/**
+ * Runs before every test of the enclosing `describe` block (or of the whole file).
+ */
+declare function beforeEach(body: () => void | Promise<void>): void;
+
+/**
+ * Runs after every test of the enclosing `describe` block (or of the whole file).
+ */
+declare function afterEach(body: () => void | Promise<void>): void;
+
+interface Matchers {
+  /** Inverts the following matcher. */
+  not: Matchers;
+  /** Checks strict identity (`Object.is`). */
+  toBe(expected: unknown): void;
+  /** Checks deep equality of arrays, plain objects, Maps, Sets, Dates, and RegExps. Undefined properties are ignored. */
+  toEqual(expected: unknown): void;
+  toBeTruthy(): void;
+  toBeFalsy(): void;
+  toBeNull(): void;
+  toBeUndefined(): void;
+  toBeDefined(): void;
+  /** Checks that an array, string, or Set contains the item. */
+  toContain(item: unknown): void;
+  toHaveLength(length: number): void;
+  toBeGreaterThan(value: number): void;
+  toBeLessThan(value: number): void;
+  /** Checks that a number is within 10^-digits / 2 of the expected number (2 digits by default). */
+  toBeCloseTo(expected: number, digits?: number): void;
+  /** Checks that a string matches a pattern or contains a substring. */
+  toMatch(pattern: RegExp | string): void;
+  /** Calls the function and checks that it throws, optionally an error whose message matches or of a class. */
+  toThrow(expected?: RegExp | string | (new (...args: any[]) => Error)): void;
+}
+
+/**
+ * Starts an assertion about a value.
+ */
+declare function expect(actual: unknown): Matchers;
@@ -0,0 +1,186 @@
+/**
+ * Type declarations for tridecco-board 0.6.x
+ * Hand-maintained from the library's public API; patch releases share the declarations of their minor line.
+ */
+
+declare namespace Tridecco {
+  /**
+   * A Tridecco piece, made of two coloured triangles.
+   */
+  class Piece {
+    /**
+     * Creates a piece.
+     * @param colors - The colours of the two triangles, e.g. ['red', 'blue'].
+     */
+    constructor(colors: [string, string]);
+
+    /** The colours of the two triangles. */
+    readonly colors: [string, string];
+  }
+
+  /**
+   * A position on the board map.
+   */
+  interface Position {
+    /** The index of the position on the board. */
+    index: number;
+    /** The horizontal coordinate of the position on the map. */
+    x: number;
+    /** The vertical coordinate of the position on the map. */
+    y: number;
+  }
+
+  /**
+   * The layout of a board: the positions pieces can be placed on.
+   */
+  interface BoardMap {
+    /** All positions of the map, ordered by index. */
+    positions: Position[];
+  }
+
+  /** The default board map. */
+  const DEFAULT_MAP: BoardMap;
+
+  /**
+   * The event names emitted by a board.
+   */
+  type BoardEventType = 'place' | 'remove' | 'clear';
+
+  /**
+   * The payload passed to board event listeners.
+   */
+  interface BoardEvent {
+    /** The event name. */
+    type: BoardEventType;
+    /** The index of the affected position (not set for 'clear'). */
+    index?: number;
+    /** The affected piece (not set for 'clear'). */
+    piece?: Piece;
+  }
+
+  /**
+   * The game board, holding the pieces placed on each position of its map.
+   */
+  class Board {
+    /**
+     * Creates a board.
+     * @param map - The board map. Defaults to Tridecco.DEFAULT_MAP.
+     */
+    constructor(map?: BoardMap);
+
+    /** The board map. */
+    readonly map: BoardMap;
+
+    /**
+     * Places a piece on a position.
+     * @param index - The position index.
+     * @param piece - The piece to place.
+     * @throws If the position is out of range or already occupied.
+     */
+    place(index: number, piece: Piece): void;
+
+    /**
+     * Removes the piece on a position.
+     * @param index - The position index.
+     * @returns The removed piece, or null if the position was empty.
+     */
+    remove(index: number): Piece | null;
+
+    /**
+     * Gets the piece on a position.
+     * @param index - The position index.
+     * @returns The piece, or null if the position is empty.
+     */
+    get(index: number): Piece | null;
+
+    /**
+     * Checks whether a position is empty.
+     * @param index - The position index.
+     */
+    isEmpty(index: number): boolean;
+
+    /** Removes all pieces from the board. */
+    clear(): void;
+
+    /**
+     * Gets the indexes of all empty positions.
+     */
+    getAvailablePositions(): number[];
+
+    /**
+     * Adds a listener for a board event.
+     * @param type - The event name.
+     * @param listener - Called with the event payload.
+     */
+    addEventListener(
+      type: BoardEventType,
+      listener: (event: BoardEvent) => void,
+    ): void;
+
+    /**
+     * Removes a listener added with addEventListener.
+     * @param type - The event name.
+     * @param listener - The listener to remove.
+     */
+    removeEventListener(
+      type: BoardEventType,
+      listener: (event: BoardEvent) => void,
+    ): void;
+  }
+
+  /**
+   * The options accepted by the renderer.
+   */
+  interface RendererOptions {
+    /** The board to render. */
+    board: Board;
+    /** The element the canvas is appended to. Use CanvasContainer in the IDE. */
+    container: HTMLElement;
+    /** The URL of the texture index (JSON) describing the texture atlas. */
+    texturesIndexUrl?: string;
+    /** The URL of the texture atlas image. */
+    texturesAtlasUrl?: string;
+    /** The URL of the background image. */
+    backgroundUrl?: string;
+    /** The URL of the grid image. */
+    gridUrl?: string;
+  }
+
+  /**
+   * Renders a board onto a canvas.
+   */
+  class Renderer {
+    /**
+     * Creates a renderer and appends its canvas to the container.
+     * @param options - The renderer options.
+     */
+    constructor(options: RendererOptions);
+
+    /** The canvas the board is drawn on. */
+    readonly canvas: HTMLCanvasElement;
+
+    /** The rendered board. */
+    readonly board: Board;
+
+    /** Redraws the board after it changed. */
+    updateBoard(): void;
+
+    /**
+     * Listens for clicks on board positions.
+     * @param callback - Called with the index of the clicked position.
+     */
+    listenClickEvents(callback: (index: number) => void): void;
+
+    /**
+     * Highlights positions, e.g. the available ones.
+     * @param positions - The position indexes to highlight.
+     */
+    showAvailablePositions(positions: number[]): void;
+
+    /** Removes the highlight added with showAvailablePositions. */
+    clearAvailablePositions(): void;
+
+    /** Removes the canvas and all listeners of the renderer. */
+    destroy(): void;
+  }
+}
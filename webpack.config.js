@@ -19,6 +19,14 @@ module.exports = {
         test: /\.ttf$/,
         type: 'asset/resource',
       },
+      {
+        test: /\.d\.ts$/,
+        type: 'asset/source',
+      },
+      {
+        test: /[\\/]src[\\/]templates[\\/].+\.js$/, // Starter scripts are shipped as text
+        type: 'asset/source',
+      },
     ],
   },
   optimization: {